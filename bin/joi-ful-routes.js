@@ -0,0 +1,8 @@
+#!/usr/bin/env node
+import { runCli } from '../lib/cli.js'
+
+const main = async () => {
+  process.exitCode = await runCli(process.argv.slice(2))
+}
+
+main()
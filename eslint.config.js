@@ -11,7 +11,7 @@ export default [
   js.configs.recommended,
   prettier, // Integrate Prettier formatting rules
   {
-    ignores: ['node_modules/', 'tests/**/*.js'], // Ignore specific files and directories
+    ignores: ['node_modules/', 'tests/**/*.js', 'index.cjs'], // Ignore specific files and directories, and the CommonJS build
   },
   {
     files: ['**/*.js', '**/*.jsx', '**/*.ts', '**/*.tsx'], // Match all relevant files
@@ -65,7 +65,7 @@ export default [
           'newlines-between': 'always',
         },
       ],
-      'import/no-unresolved': 'error', // Ensure imports point to a file/module
+      'import/no-unresolved': ['error', { ignore: ['^joi-ful-routes$'] }], // Ensure imports point to a file/module; tests import the package by its own name
       'import/newline-after-import': ['error', { count: 1 }], // Require newline after imports
 
       // Promises
@@ -2,6 +2,567 @@
 
 var Joi = require('joi');
 var _ = require('lodash');
+var node_crypto = require('node:crypto');
+var node_http = require('node:http');
+var node_module = require('node:module');
+var path = require('node:path');
+var node_stream = require('node:stream');
+
+var _documentCurrentScript = typeof document !== 'undefined' ? document.currentScript : null;
+/**
+ * Parses a `Cookie` header into an object, decoding percent-encoded values.
+ * The first of several cookies with the same name wins, as in browsers.
+ *
+ * @param {string} [header=''] - The `Cookie` header.
+ * @returns {Object<string, string>} The cookie values by name.
+ */
+function parseCookieHeader(header = '') {
+  const cookies = {};
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) {
+      continue
+    }
+    const name = pair.slice(0, separator).trim();
+    if (!name || Object.hasOwn(cookies, name)) {
+      continue
+    }
+    let value = pair.slice(separator + 1).trim();
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1);
+    }
+    try {
+      cookies[name] = decodeURIComponent(value);
+    } catch {
+      cookies[name] = value;
+    }
+  }
+  return cookies
+}
+
+/**
+ * Checks the signature of a cookie value signed as cookie-parser does
+ * (`s:<value>.<HMAC-SHA256 in base64>`).
+ *
+ * @param {string} signed - The value, without its `s:` prefix.
+ * @param {string[]} secrets - The secrets that may have signed it.
+ * @returns {string|false} The unsigned value, or `false` if the signature is invalid.
+ */
+function unsign(signed, secrets) {
+  const separator = signed.lastIndexOf('.');
+  const value = signed.slice(0, separator);
+  const signature = Buffer.from(signed.slice(separator + 1));
+  const valid =
+    separator !== -1 &&
+    secrets.some((secret) => {
+      const expected = Buffer.from(
+        node_crypto.createHmac('sha256', secret)
+          .update(value)
+          .digest('base64')
+          .replace(/=+$/, '')
+      );
+      return (
+        expected.length === signature.length &&
+        node_crypto.timingSafeEqual(expected, signature)
+      )
+    });
+  return valid ? value : false
+}
+
+// Values prefixed with `j:` hold JSON, as written by `res.cookie()`
+const parseJsonCookie = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('j:')) {
+    return value
+  }
+  try {
+    return JSON.parse(value.slice(2))
+  } catch {
+    return value
+  }
+};
+
+/**
+ * Reads the plain or signed cookies of a request: from `req.cookies` and
+ * `req.signedCookies` when cookie-parser ran, otherwise from the `Cookie`
+ * header, with the same results. Signed cookies with an invalid signature are
+ * `false`, and are left out of the plain cookies.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} [options={}] - Reading options.
+ * @param {boolean} [options.signed=false] - Whether to read the signed cookies.
+ * @param {string|string[]} [options.secret] - The signing secrets, when
+ *   cookie-parser did not run. Defaults to `req.secret`.
+ * @throws {Error} If signed cookies are read without any secret.
+ * @returns {Object} The cookie values by name.
+ */
+function requestCookies(req, { signed = false, secret } = {}) {
+  const parsed = signed ? req.signedCookies : req.cookies;
+  if (parsed) {
+    return parsed
+  }
+
+  const cookies = parseCookieHeader(req.headers.cookie);
+  const isSigned = (name) =>
+    typeof cookies[name] === 'string' && cookies[name].startsWith('s:');
+  if (!signed) {
+    return Object.fromEntries(
+      Object.keys(cookies)
+        .filter((name) => !isSigned(name))
+        .map((name) => [name, parseJsonCookie(cookies[name])])
+    )
+  }
+
+  const secrets = [].concat(secret || req.secret || []);
+  if (!secrets.length) {
+    throw new Error(
+      'Validating signed cookies requires cookie-parser with a secret, or the cookieSecret option.'
+    )
+  }
+  return Object.fromEntries(
+    Object.keys(cookies)
+      .filter(isSigned)
+      .map((name) => {
+        const value = unsign(cookies[name].slice(2), secrets);
+        return [name, value === false ? false : parseJsonCookie(value)]
+      })
+  )
+}
+
+/**
+ * Raised when a request container fails Joi validation.
+ * Passed to `next()` when `validateRequest` is configured with `passErrors: true`,
+ * and to the `onError` hook.
+ */
+class ValidationError extends Error {
+  /**
+   * @param {Object} options - The error properties.
+   * @param {string} options.container - The container that failed validation.
+   * @param {Array<Object>} [options.details=[]] - Joi error details.
+   * @param {string|null} [options.requestID=null] - The request ID, if any.
+   * @param {number} [options.statusCode=422] - The HTTP status code to respond with.
+   * @param {string} [options.message] - The error message. Defaults to the joined detail messages.
+   */
+  constructor({
+    container,
+    details = [],
+    requestID = null,
+    statusCode = 422,
+    message,
+  }) {
+    super(
+      message ||
+        details.map((detail) => detail.message).join('. ') ||
+        'Request validation failed.'
+    );
+    this.name = 'ValidationError';
+    this.container = container;
+    this.details = details;
+    this.requestID = requestID;
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Raised when the request body has a content type the route does not declare.
+ */
+class UnsupportedMediaTypeError extends ValidationError {
+  /**
+   * @param {Object} options - The error properties.
+   * @param {string} [options.contentType] - The content type that was received.
+   * @param {string|null} [options.requestID=null] - The request ID, if any.
+   */
+  constructor({ contentType, requestID = null }) {
+    super({
+      container: 'body',
+      requestID,
+      statusCode: 415,
+      message: `Unsupported content type: ${contentType}`,
+    });
+    this.name = 'UnsupportedMediaTypeError';
+    this.contentType = contentType;
+  }
+}
+
+/**
+ * Thrown by a Joi `.external()` rule to fail validation with a status code of
+ * its choice, e.g. 404 for an unknown ID or 409 for a conflicting value.
+ * Other errors thrown by external rules are passed to `next()`.
+ *
+ * @example
+ * Joi.string().external(async (id, { prefs, state }) => {
+ *   if (!(await prefs.context.services.catalog.has(id))) {
+ *     throw new ExternalRuleError({ statusCode: 404, message: 'Product not found', path: state.path })
+ *   }
+ * })
+ */
+class ExternalRuleError extends Error {
+  /**
+   * @param {Object} options - The error properties.
+   * @param {string} options.message - The error message.
+   * @param {number} [options.statusCode=422] - The HTTP status code to respond with.
+   * @param {Array<string|number>} [options.path=[]] - The path of the value that failed.
+   * @param {string} [options.type='external'] - The error type, as in Joi error details.
+   */
+  constructor({ message, statusCode = 422, path = [], type = 'external' }) {
+    super(message);
+    this.name = 'ExternalRuleError';
+    this.statusCode = statusCode;
+    this.path = path;
+    this.type = type;
+  }
+}
+
+/**
+ * Raised by `validateResponse` in `error` mode when a handler sends a body
+ * that does not match the schema declared in the route's `responses`.
+ */
+class ResponseValidationError extends Error {
+  /**
+   * @param {Object} options - The error properties.
+   * @param {number} options.responseStatus - The status code the handler responded with.
+   * @param {string} options.contentType - The content type of the response.
+   * @param {Array<Object>} [options.details=[]] - Joi error details.
+   * @param {string|null} [options.requestID=null] - The request ID, if any.
+   * @param {string} [options.message] - The error message.
+   */
+  constructor({
+    responseStatus,
+    contentType,
+    details = [],
+    requestID = null,
+    message,
+  }) {
+    super(
+      `Response validation failed for ${responseStatus} ${contentType}: ${
+        message || details.map((detail) => detail.message).join('. ')
+      }`
+    );
+    this.name = 'ResponseValidationError';
+    this.responseStatus = responseStatus;
+    this.contentType = contentType;
+    this.details = details;
+    this.requestID = requestID;
+    this.statusCode = 500;
+  }
+}
+
+const { isPlainObject: isPlainObject$3, mapValues: mapValues$1 } = _;
+
+/**
+ * Copies a Joi error context without the uploaded file buffers it holds, at
+ * any depth (such as the files of an array that has too many).
+ *
+ * @param {*} value - The context, or a value inside it.
+ * @returns {*} The value without buffers.
+ */
+function withoutBuffers(value) {
+  if (Array.isArray(value)) {
+    return value
+      .filter((item) => !Buffer.isBuffer(item))
+      .map((item) => withoutBuffers(item))
+  }
+  if (isPlainObject$3(value)) {
+    const kept = Object.entries(value).filter(
+      ([, item]) => !Buffer.isBuffer(item)
+    );
+    return mapValues$1(Object.fromEntries(kept), (item) => withoutBuffers(item))
+  }
+  return value
+}
+
+// Media type for RFC 7807 "problem details" responses
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * Joi description of the problem details body sent for failed validations.
+ * It is converted by `schemaToSwagger` so the documented error responses
+ * always match what the middleware sends.
+ */
+const ValidationProblemSchema = Joi.object({
+  type: Joi.string()
+    .required()
+    .description('A URI reference that identifies the problem type.'),
+  title: Joi.string()
+    .required()
+    .description('A short, human-readable summary of the problem type.'),
+  status: Joi.number()
+    .integer()
+    .required()
+    .description('The HTTP status code of the response.'),
+  detail: Joi.string().description(
+    'A human-readable explanation of this occurrence of the problem.'
+  ),
+  instance: Joi.string().description('The request path that failed.'),
+  requestID: Joi.string()
+    .allow(null)
+    .description('The request ID, if one was supplied.'),
+  container: Joi.string()
+    .valid(
+      'query',
+      'body',
+      'headers',
+      'params',
+      'fields',
+      'cookies',
+      'signedCookies'
+    )
+    .description('The request container that failed validation.'),
+  errors: Joi.array()
+    .items(
+      Joi.object({
+        path: Joi.array()
+          .items(Joi.string(), Joi.number().integer())
+          .description('Path to the offending value within the container.'),
+        type: Joi.string().description('The Joi error type.'),
+        message: Joi.string().description('The Joi error message.'),
+        context: Joi.object()
+          .unknown(true)
+          .description('Additional context provided by Joi.'),
+      })
+    )
+    .description('One entry per validation failure.'),
+}).label('ValidationProblem');
+
+/**
+ * Builds an RFC 7807 problem details object for a failed validation.
+ *
+ * @param {Object} options - The problem properties.
+ * @param {number} options.status - The HTTP status code.
+ * @param {string} options.detail - A human-readable explanation.
+ * @param {string} [options.type='about:blank'] - The problem type URI.
+ * @param {string} [options.instance] - The request path that failed.
+ * @param {string|null} [options.requestID] - The request ID.
+ * @param {string} [options.container] - The container that failed validation.
+ * @param {Array<Object>} [options.details] - Joi error details.
+ * @returns {Object} The problem details object.
+ */
+function toProblemDetails({
+  status,
+  detail,
+  type = 'about:blank',
+  instance,
+  requestID,
+  container,
+  details,
+}) {
+  return {
+    type,
+    title: node_http.STATUS_CODES[status] || 'Error',
+    status,
+    detail,
+    ...(instance && { instance }),
+    requestID: requestID ?? null,
+    ...(container && { container }),
+    ...(details && {
+      errors: details.map((item) => ({
+        path: item.path,
+        type: item.type,
+        message: item.message,
+        // Uploaded file buffers are not worth echoing back to the client
+        context: withoutBuffers(item.context),
+      })),
+    }),
+  }
+}
+
+const { get: get$2, groupBy, pick: pick$1 } = _;
+
+// The properties of a multer file that are validated; `buffer` comes from
+// memory storage and `path` from disk storage
+const fileKeys = ['originalname', 'mimetype', 'size', 'buffer', 'path'];
+
+const isFileSchema = (schema) =>
+  Joi.isSchema(schema) &&
+  (schema.$_terms.metas || []).some((meta) => meta.swaggerType === 'file');
+
+const keySchema = (objectSchema, name) =>
+  (objectSchema.$_terms.keys || []).find(({ key }) => key === name)?.schema;
+
+/**
+ * Reads the numeric limit of the first of the given rules a schema has, such
+ * as its `max()` or `length()`.
+ *
+ * @param {Joi.Schema} [schema] - The schema.
+ * @param {string[]} names - The rule names, in order of preference.
+ * @returns {number|undefined} The limit, unless none is set or it is a reference.
+ */
+function ruleLimit(schema, names) {
+  const rule = names
+    .map((name) => schema?.$_getRule(name))
+    .find((found) => found && typeof found.args.limit === 'number');
+  return rule?.args.limit
+}
+
+/**
+ * Finds the schema of the `mimetype` key of an object schema, such as a file
+ * schema.
+ *
+ * @param {Joi.ObjectSchema} objectSchema - The schema holding the `mimetype` key.
+ * @returns {Joi.Schema|undefined} The key's schema, if any.
+ */
+function mimetypeSchema(objectSchema) {
+  return keySchema(objectSchema, 'mimetype')
+}
+
+/**
+ * Lists the values allowed by the `mimetype` key of an object schema, such as
+ * a file schema.
+ *
+ * @param {Joi.ObjectSchema} objectSchema - The schema holding the `mimetype` key.
+ * @returns {string[]} The allowed MIME types, or an empty array if any is allowed.
+ */
+function allowedMimetypes(objectSchema) {
+  const mimetype = mimetypeSchema(objectSchema);
+  return mimetype && mimetype._flags.only ? [...mimetype._valids.values()] : []
+}
+
+// The largest size of a file schema, from its `size` or `buffer` key
+const maxFileSize = (fileSchema) =>
+  ruleLimit(keySchema(fileSchema, 'size'), ['max']) ??
+  ruleLimit(keySchema(fileSchema, 'buffer'), ['max', 'length']);
+
+/**
+ * Describes one uploaded file in a request body: an object holding its
+ * `originalname`, `mimetype`, `size` and `buffer` (or `path` with disk
+ * storage), documented as a binary string.
+ *
+ * @example
+ * Joi.object({
+ *   images: Joi.array().items(uploadedFile({ mimetypes: ['image/png'] })).max(10),
+ *   specSheet: uploadedFile({ mimetypes: ['application/pdf'] }).required(),
+ * })
+ *
+ * @param {Object} [options={}] - File constraints.
+ * @param {string[]} [options.mimetypes] - The allowed MIME types.
+ * @param {number} [options.maxSize] - The maximum size in bytes.
+ * @returns {Joi.ObjectSchema} The file schema.
+ */
+function uploadedFile({ mimetypes, maxSize } = {}) {
+  let mimetype = Joi.string();
+  if (mimetypes) {
+    mimetype = mimetype.valid(...mimetypes);
+  }
+  let size = Joi.number().integer().min(0);
+  if (maxSize !== undefined) {
+    size = size.max(maxSize);
+  }
+
+  return Joi.object({
+    originalname: Joi.string(),
+    mimetype: mimetype.required(),
+    size,
+    buffer: Joi.binary(),
+    path: Joi.string(),
+  }).meta({ swaggerType: 'file' })
+}
+
+/**
+ * Lists the file fields of a body schema: its keys holding a file schema
+ * (`uploadedFile()` or any schema with `.meta({ swaggerType: 'file' })`), or
+ * an array of them.
+ *
+ * @param {Joi.ObjectSchema} bodySchema - The body schema.
+ * @returns {Array<{ name: string, multiple: boolean, maxCount?: number, maxSize?: number, mimetypes: string[], schema: Joi.Schema }>}
+ *   The file fields: `maxCount` is the number of files allowed (unset when
+ *   unbounded), `maxSize` the size limit of each file in bytes, `mimetypes`
+ *   lists the allowed MIME types (empty when any type is allowed), and `schema`
+ *   is the schema of one file.
+ */
+function fileFields(bodySchema) {
+  const keys = (Joi.isSchema(bodySchema) && bodySchema.$_terms.keys) || [];
+  return keys.flatMap(({ key, schema }) => {
+    if (isFileSchema(schema)) {
+      return [
+        {
+          name: key,
+          multiple: false,
+          maxCount: 1,
+          maxSize: maxFileSize(schema),
+          mimetypes: allowedMimetypes(schema),
+          schema,
+        },
+      ]
+    }
+    const item = get$2(schema, '$_terms.items.0');
+    if (schema.type === 'array' && isFileSchema(item)) {
+      return [
+        {
+          name: key,
+          multiple: true,
+          maxCount: ruleLimit(schema, ['max', 'length']),
+          maxSize: maxFileSize(item),
+          mimetypes: allowedMimetypes(item),
+          schema: item,
+        },
+      ]
+    }
+    return []
+  })
+}
+
+/**
+ * Describes the single file of a body declaring it as `file: Joi.binary()`
+ * next to a `mimetype` key, which `validateRequest` fills from `req.file`.
+ *
+ * @param {Joi.ObjectSchema} bodySchema - The body schema.
+ * @returns {Object|undefined} The file field, as listed by `fileFields`.
+ */
+function singleFileField(bodySchema) {
+  const file = (bodySchema.$_terms.keys || []).find(
+    ({ key, schema }) => key === 'file' && schema.type === 'binary'
+  );
+  return (
+    file && {
+      name: file.key,
+      multiple: false,
+      maxCount: 1,
+      maxSize: ruleLimit(file.schema, ['max', 'length']),
+      mimetypes: allowedMimetypes(bodySchema),
+      mimetypeSchema: mimetypeSchema(bodySchema),
+      schema: file.schema,
+    }
+  )
+}
+
+/**
+ * Copies the files parsed by multer (`req.file` or `req.files`, from
+ * `single()`, `array()`, `fields()` or `any()`) into the request body, under
+ * their field names, so the body schema validates them. Fields declared as
+ * a single file get an object, the others an array.
+ *
+ * A single file whose field is not declared as a file keeps the original
+ * behavior: its buffer and MIME type are copied to `file` and `mimetype`. It
+ * needs memory storage, since files stored on disk have no buffer.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Joi.ObjectSchema} [bodySchema] - The body schema.
+ */
+function attachUploadedFiles(req, bodySchema) {
+  const fields = new Map(
+    fileFields(bodySchema).map((field) => [field.name, field])
+  );
+  if (req.file && !req.files && !fields.has(req.file.fieldname)) {
+    req.body.file = req.file.buffer;
+    req.body.mimetype = req.file.mimetype;
+    return
+  }
+
+  const files = [
+    ...[].concat(req.file || []),
+    ...(Array.isArray(req.files)
+      ? req.files
+      : Object.values(req.files || {}).flat()),
+  ];
+  const byField = groupBy(files, 'fieldname');
+  for (const [name, fieldFiles] of Object.entries(byField)) {
+    const values = fieldFiles.map((file) => pick$1(file, fileKeys));
+    const single = fields.has(name) && !fields.get(name).multiple;
+    // Several files for a single-file field fail validation as an array
+    req.body[name] = single && values.length === 1 ? values[0] : values;
+  }
+}
+
+const { pick } = _;
 
 // These represent the incoming data containers that we might need to validate
 const containers = {
@@ -31,8 +592,92 @@ const containers = {
     allowUnknown: false,
     abortEarly: false,
   },
+  // Browsers send every cookie of the domain, not only the route's
+  cookies: {
+    convert: true,
+    allowUnknown: true,
+    abortEarly: false,
+  },
+  signedCookies: {
+    convert: true,
+    allowUnknown: true,
+    abortEarly: false,
+  },
 };
 
+// Joi validation options that may be overridden globally or per route
+const joiOptionKeys = [
+  'allowUnknown',
+  'stripUnknown',
+  'abortEarly',
+  'convert',
+  'presence',
+  'context',
+  'messages',
+];
+
+// Options that control the middleware itself rather than Joi
+const middlewareDefaults = {
+  errorFormat: 'default', // 'default' ({ requestID, error }) or 'problem' (RFC 7807)
+  problemType: 'about:blank',
+  passErrors: false, // Pass errors to next() instead of responding
+  onError: null, // (err, req, res, next) hook that takes over error handling
+  async: false, // Validate with validateAsync, running .external() rules
+  services: null, // Dependencies for external rules, or a (req) => services function
+  timeout: 0, // Milliseconds before async validation fails with a 503; 0 for none
+  cookieSecret: null, // Secret(s) checking signed cookies without cookie-parser
+};
+
+// Defaults of the factories made by `createValidator`, for `uploadFor`
+const validatorDefaults = new WeakMap();
+
+/**
+ * Resolves the Joi options for every container by layering option objects on
+ * top of the built-in `containers` defaults. Each layer may set options for all
+ * containers at its top level and for a single container under its name, e.g.
+ * `{ abortEarly: false, query: { allowUnknown: true } }`. Later layers win.
+ *
+ * @param {...Object} layers - Option objects, from lowest to highest precedence.
+ * @returns {Object<string, Object>} The Joi options keyed by container.
+ */
+const resolveContainerOptions = (...layers) => {
+  const resolved = {};
+
+  for (const [container, defaults] of Object.entries(containers)) {
+    resolved[container] = layers.reduce(
+      (options, layer = {}) => ({
+        ...options,
+        ...pick(layer, joiOptionKeys),
+        ...pick(layer[container], joiOptionKeys),
+      }),
+      { ...defaults }
+    );
+  }
+
+  return resolved
+};
+
+/**
+ * Resolves the middleware options (`errorFormat`, `problemType`, `passErrors`
+ * and `onError`) from option objects, ignoring their Joi options.
+ *
+ * @param {...Object} layers - Option objects, from lowest to highest precedence.
+ * @returns {Object} The middleware options.
+ */
+const resolveSettings = (...layers) =>
+  Object.assign(
+    { ...middlewareDefaults },
+    ...layers.map((layer) => pick(layer, Object.keys(middlewareDefaults)))
+  );
+
+/**
+ * Finds the defaults a middleware factory was created with.
+ *
+ * @param {Function} [validate] - A factory returned by `createValidator`.
+ * @returns {Object} Its defaults, or an empty object for any other value.
+ */
+const defaultsOf = (validate) => validatorDefaults.get(validate) || {};
+
 /**
  * Extracts the request ID from the request object.
  * Looks for the ID in the headers or the request object.
@@ -44,234 +689,522 @@ const getRequestID = (req) =>
   req.headers['x-request-id'] || req.requestID || null;
 
 /**
- * Middleware for validating incoming request data against Joi schemas.
+ * Sends a validation error in the configured error format.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {Object} settings - The resolved middleware options.
+ * @param {ValidationError} err - The validation error.
+ * @returns {Object} The Express response.
+ */
+const sendValidationError = (req, res, settings, err) => {
+  if (settings.errorFormat === 'problem') {
+    return res
+      .status(err.statusCode)
+      .type(PROBLEM_CONTENT_TYPE)
+      .json(
+        toProblemDetails({
+          status: err.statusCode,
+          detail: err.message,
+          type: settings.problemType,
+          instance: req.originalUrl,
+          requestID: err.requestID,
+          container: err.container,
+          details:
+            err instanceof UnsupportedMediaTypeError ? undefined : err.details,
+        })
+      )
+  }
+
+  return res.status(err.statusCode).json({
+    requestID: err.requestID,
+    error: err.message,
+  })
+};
+
+/**
+ * Hands a validation error to the `onError` hook, to `next()` when
+ * `passErrors` is set, or otherwise responds with it directly.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {Function} next - The Express next function.
+ * @param {Object} settings - The resolved middleware options.
+ * @param {ValidationError} err - The validation error.
+ * @returns {*} Whatever the chosen handler returns.
+ */
+const handleValidationError = (req, res, next, settings, err) => {
+  if (typeof settings.onError === 'function') {
+    return settings.onError(err, req, res, next)
+  }
+
+  if (settings.passErrors) {
+    return next(err)
+  }
+
+  return sendValidationError(req, res, settings, err)
+};
+
+/**
+ * Reads a request container. Cookies are parsed from the `Cookie` header
+ * when cookie-parser did not fill `req.cookies` and `req.signedCookies`.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} container - The container name.
+ * @param {Object} settings - The resolved middleware options.
+ * @returns {*} The container's value.
+ */
+const containerValue = (req, container, settings) => {
+  if (container === 'cookies' || container === 'signedCookies') {
+    return requestCookies(req, {
+      signed: container === 'signedCookies',
+      secret: settings.cookieSecret,
+    })
+  }
+  return req[container]
+};
+
+/**
+ * Picks the Joi schema of a request container. Bodies declared per content
+ * type use the schema of the request's `Content-Type`, if any; file uploads
+ * are first copied into the body so the schema validates them.
  *
  * @param {Object<string, Joi.ObjectSchema>} schema - The validation schema.
- * @returns {(req, res, next) => void} Express middleware function.
+ * @param {string} container - The container name.
+ * @param {Object} req - The Express request object.
+ * @returns {Joi.Schema|UnsupportedMediaTypeError} The schema, or the error to
+ *   send when the body's content type is not declared.
  */
-const validateRequest = (schema) => (req, res, next) => {
-  try {
-    const requestID = getRequestID(req);
-
-    for (const [container, options] of Object.entries(containers)) {
-      if (schema?.[container] && req[container]) {
-        // Handle multipart/form-data (file uploads)
-        if (container === 'body' && req.file) {
-          // Copy the file buffer AND the mimetype so Joi can validate them
-          req.body.file = req.file.buffer;
-          req.body.mimetype = req.file.mimetype;
-        }
+const containerSchema = (schema, container, req) => {
+  if (container !== 'body') {
+    return schema[container]
+  }
 
-        // Handle content-type-specific schemas for the request body
-        if (container === 'body' && schema.body?.content) {
-          const contentType = req.headers['content-type']?.split(';')[0];
-          const requestBodySchema = schema.body.content[contentType]?.schema;
+  const contentType = req.headers['content-type']?.split(';')[0];
+  const requestBodySchema = schema.body.content
+    ? schema.body.content[contentType]?.schema
+    : schema.body;
 
-          if (requestBodySchema) {
-            const { error, value } = requestBodySchema.validate(
-              req.body,
-              options
-            );
-            if (error) {
-              return res.status(422).json({
-                requestID,
-                error: error.message,
-              })
-            }
-            req.body = value; // Set validated body
-          } else {
-            const message = `Unsupported content type: ${contentType}`;
-            return res.status(415).json({
-              requestID,
-              error: message,
-            })
+  // Handle multipart/form-data (file uploads)
+  if (req.file || req.files) {
+    // Copy the files under their field names so Joi can validate them
+    attachUploadedFiles(req, requestBodySchema);
+  }
+
+  return (
+    requestBodySchema ||
+    new UnsupportedMediaTypeError({
+      contentType,
+      requestID: getRequestID(req),
+    })
+  )
+};
+
+/**
+ * Builds the Express middleware that validates each request container.
+ *
+ * @param {Object<string, Joi.ObjectSchema>} schema - The validation schema.
+ * @param {Object<string, Object>} containerOptions - Joi options keyed by container.
+ * @param {Object} settings - The resolved middleware options.
+ * @returns {(req, res, next) => void} Express middleware function.
+ */
+const validationMiddleware =
+  (schema, containerOptions, settings) => (req, res, next) => {
+    try {
+      for (const [container, options] of Object.entries(containerOptions)) {
+        const data =
+          schema?.[container] && containerValue(req, container, settings);
+        if (data) {
+          const joiSchema = containerSchema(schema, container, req);
+          if (joiSchema instanceof ValidationError) {
+            return handleValidationError(req, res, next, settings, joiSchema)
           }
-        } else {
-          const { error, value } = schema[container].validate(
-            req[container],
-            options
-          );
+
+          const { error, value } = joiSchema.validate(data, options);
           if (error) {
-            return res.status(422).json({
-              requestID,
-              error: error.message,
-            })
+            return handleValidationError(
+              req,
+              res,
+              next,
+              settings,
+              new ValidationError({
+                container,
+                details: error.details,
+                requestID: getRequestID(req),
+                message: error.message,
+              })
+            )
           }
           req[container] = value; // Set validated container
         }
       }
+
+      // If everything passed validation, continue
+      next();
+    } catch (err) {
+      if (!res.headersSent) {
+        next(err);
+      }
     }
+  };
 
-    // If everything passed validation, continue
-    next();
+/**
+ * Validates one container with `validateAsync`, so its `.external()` rules
+ * run, and stores the validated value.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} container - The container name.
+ * @param {*} data - The container's value.
+ * @param {Joi.Schema} joiSchema - The container's schema.
+ * @param {Object} options - The container's Joi options.
+ * @returns {Promise<ValidationError|undefined>} The error to send, if the
+ *   container is invalid. Errors thrown by external rules other than
+ *   `ExternalRuleError` are rethrown.
+ */
+const validateContainerAsync = async (
+  req,
+  container,
+  data,
+  joiSchema,
+  options
+) => {
+  try {
+    req[container] = await joiSchema.validateAsync(data, options);
+    return undefined
   } catch (err) {
-    if (!res.headersSent) {
-      next(err);
+    if (err instanceof ExternalRuleError) {
+      return new ValidationError({
+        container,
+        details: [
+          {
+            message: err.message,
+            path: err.path,
+            type: err.type,
+            context: { label: err.path.join('.') },
+          },
+        ],
+        requestID: getRequestID(req),
+        statusCode: err.statusCode,
+        message: err.message,
+      })
+    }
+    if (err.isJoi) {
+      return new ValidationError({
+        container,
+        details: err.details,
+        requestID: getRequestID(req),
+        message: err.message,
+      })
     }
+    throw err
   }
 };
 
 /**
- * Base class for all schemas. Provides utilities for creating and managing route definitions.
+ * Builds the Express middleware that validates each request container with
+ * `validateAsync`. External rules get the request, the `services` and an
+ * `AbortSignal` in their context (`helpers.prefs.context`); the signal aborts
+ * when validation times out or the client disconnects.
+ *
+ * @param {Object<string, Joi.ObjectSchema>} schema - The validation schema.
+ * @param {Object<string, Object>} containerOptions - Joi options keyed by container.
+ * @param {Object} settings - The resolved middleware options.
+ * @returns {(req, res, next) => void} Express middleware function.
  */
-class RouteSchema {
-  /**
-   * Subclasses must override this getter to provide a "tag" object used in Swagger documentation.
-   * Example:
-   *   { name: 'ExampleTag', description: 'Detailed description of the tag.' }
-   * @throws {Error} If not implemented in a subclass.
-   */
-  static get tag() {
-    throw new Error(
-      'You must implement the static getter "tag" in your subclass.'
-    )
-  }
+const asyncValidationMiddleware =
+  (schema, containerOptions, settings) => (req, res, next) => {
+    const controller = new AbortController();
+    const disconnected = new Error('The client disconnected.');
+    const onClose = () => {
+      if (!res.writableFinished) {
+        controller.abort(disconnected);
+      }
+    };
+    res.on('close', onClose);
+
+    let container;
+    const validation = (async () => {
+      const services =
+        typeof settings.services === 'function'
+          ? await settings.services(req)
+          : settings.services;
+      for (const [name, options] of Object.entries(containerOptions)) {
+        if (controller.signal.aborted) {
+          return undefined
+        }
+        const data = schema?.[name] && containerValue(req, name, settings);
+        if (data) {
+          container = name;
+          const joiSchema = containerSchema(schema, name, req);
+          if (joiSchema instanceof ValidationError) {
+            return joiSchema
+          }
+          const error = await validateContainerAsync(
+            req,
+            name,
+            data,
+            joiSchema,
+            {
+              ...options,
+              context: {
+                ...options.context,
+                req,
+                services,
+                signal: controller.signal,
+              },
+            }
+          );
+          if (error) {
+            return error
+          }
+        }
+      }
+      return undefined
+    })();
+
+    let timer;
+    const timedOut = new Promise((resolve) => {
+      if (settings.timeout > 0) {
+        timer = setTimeout(() => {
+          const error = new ValidationError({
+            container,
+            requestID: getRequestID(req),
+            statusCode: 503,
+            message: `Request validation timed out after ${settings.timeout} ms.`,
+          });
+          controller.abort(error);
+          resolve(error);
+        }, settings.timeout);
+      }
+    });
 
-  /**
-   * Subclasses must override this method to provide Joi schemas for request validation.
-   * @throws {Error} If not implemented in a subclass.
-   */
-  static schemas() {
-    throw new Error('You must implement the schemas() method in your subclass.')
-  }
+    Promise.race([validation, timedOut])
+      .finally(() => {
+        clearTimeout(timer);
+        res.off('close', onClose);
+      })
+      .then((error) => {
+        if (controller.signal.reason === disconnected) {
+          return undefined
+        }
+        return error
+          ? handleValidationError(req, res, next, settings, error)
+          : next()
+      })
+      .catch((err) => {
+        if (controller.signal.reason !== disconnected && !res.headersSent) {
+          next(err);
+        }
+      });
+  };
 
-  /**
-   * Subclasses must override this method to provide Joi schemas for route parameters, if applicable.
-   * @throws {Error} If not implemented in a subclass.
-   */
-  static parameters() {
-    throw new Error(
-      'You must implement the parameters() method in your subclass.'
+/**
+ * Creates a `validateRequest` middleware factory with its own default Joi options.
+ *
+ * Defaults may be given for all containers at the top level, or for a single
+ * container (`query`, `body`, `headers`, `params`, `fields`, `cookies`,
+ * `signedCookies`) under its name.
+ * Options passed to the returned factory override these defaults for one route.
+ *
+ * Besides Joi options, `errorFormat: 'problem'` sends failures as RFC 7807
+ * `application/problem+json` bodies (with `problemType` as their `type`),
+ * `passErrors: true` passes a `ValidationError` to `next()` instead of
+ * responding, and `onError(err, req, res, next)` takes over error handling.
+ * `async: true` validates with `validateAsync` so `.external()` rules run,
+ * with `services` (or a `(req) => services` function) in their context, and
+ * `timeout` fails validation that takes longer with a 503. `cookieSecret`
+ * checks signed cookies when cookie-parser is not used.
+ *
+ * @example
+ * const validateRequest = createValidator({ query: { allowUnknown: true } })
+ * router.get('/legacy', validateRequest(LegacySchema.search, { abortEarly: false }))
+ *
+ * @param {Object} [defaults={}] - Default Joi options for every route.
+ * @returns {(route: Object, options?: Object) => Function} A middleware factory.
+ */
+const createValidator = (defaults = {}) => {
+  const validate = (schema, options = {}) => {
+    const containerOptions = resolveContainerOptions(defaults, options);
+    const settings = resolveSettings(defaults, options);
+
+    return settings.async
+      ? asyncValidationMiddleware(schema, containerOptions, settings)
+      : validationMiddleware(schema, containerOptions, settings)
+  };
+  validatorDefaults.set(validate, defaults);
+  return validate
+};
+
+/**
+ * Middleware for validating incoming request data against Joi schemas.
+ *
+ * Express parses `?tag=a&tag=b` as an array but `?tag=a` as a plain string, so
+ * query arrays should use `Joi.array().single()`: the validated `req.query`
+ * then always holds an array, and the spec documents both forms as `oneOf`.
+ *
+ * Files parsed by multer's `array()`, `fields()` or `any()` (`req.files`) are
+ * copied into `req.body` under their field names, as declared with
+ * `uploadedFile()` or `Joi.array().items(uploadedFile())`.
+ *
+ * With `{ async: true }`, `.external()` rules run after the other rules pass,
+ * and may throw an `ExternalRuleError` to respond with a status of their
+ * choice, such as 404 or 409.
+ *
+ * @param {Object<string, Joi.ObjectSchema>} schema - The validation schema.
+ * @param {Object} [options={}] - Joi option overrides for this route.
+ * @returns {(req, res, next) => void} Express middleware function.
+ */
+const validateRequest = createValidator();
+
+const require$1 = node_module.createRequire((typeof document === 'undefined' ? require('u' + 'rl').pathToFileURL(__filename).href : (_documentCurrentScript && _documentCurrentScript.tagName.toUpperCase() === 'SCRIPT' && _documentCurrentScript.src || new URL('index.cjs', document.baseURI).href)));
+
+function missingPackage(err, name, feature) {
+  if (err.code === 'MODULE_NOT_FOUND') {
+    return new Error(
+      `${feature} requires the "${name}" package. Install it with: npm install ${name}`
     )
   }
+  return err
+}
 
-  /**
-   * Aggregates schemas and parameters into a structure for OpenAPI components.
-   * This is consumed by Swagger or other documentation generators.
-   * @returns {Object} An object containing `schemas` and `parameters`.
-   */
-  static components() {
-    return {
-      schemas: this.schemas(),
-      parameters: this.parameters(),
-    }
+/**
+ * Loads an optional peer dependency on first use, so the package can be
+ * imported without it by projects that do not use the feature needing it.
+ *
+ * @param {string} name - The package name.
+ * @param {string} feature - The feature that needs the package, for the error message.
+ * @throws {Error} If the package is not installed.
+ * @returns {*} The package's exports.
+ */
+function requireOptional(name, feature) {
+  try {
+    return require$1(name)
+  } catch (err) {
+    throw missingPackage(err, name, feature)
   }
+}
 
-  /**
-   * Utility method for constructing API route definitions.
-   * Subclasses should use this to define their routes.
-   * @param {Object} options - Options for defining a route.
-   * @param {string} options.path - The API endpoint path.
-   * @param {string} options.method - The HTTP method (e.g., 'get', 'post').
-   * @param {string} options.summary - A summary of the route's purpose.
-   * @param {Object} [options.headers] - Optional headers schema.
-   * @param {Object} [options.query] - Optional query parameter schema.
-   * @param {Object} [options.body] - Optional request body schema.
-   * @param {Object} [options.responses] - Optional response schemas.
-   * @throws {Error} If `path`, `method`, or `summary` is missing.
-   * @returns {Object} A route definition object.
-   */
-  static createRoute({
-    path,
-    method,
-    summary,
-    headers,
-    query,
-    body,
-    responses,
-  }) {
-    if (!path || !method || !summary) {
-      throw new Error(
-        'Path, method, and summary are required to define an API route.'
-      )
-    }
-
-    return {
-      path,
-      method,
-      summary,
-      // The "tags" property helps group operations in OpenAPI docs.
-      tags: this._tags.map((tag) => tag.name),
-      ...(headers && { headers }),
-      ...(query && { query }),
-      ...(body && { body }),
-      ...(responses && { responses }),
-    }
+/**
+ * Locates an optional peer dependency without loading it, for packages that
+ * only ship files to serve, such as browser bundles.
+ *
+ * @param {string} name - The package name.
+ * @param {string} feature - The feature that needs the package, for the error message.
+ * @throws {Error} If the package is not installed.
+ * @returns {string} The path of the package's main file.
+ */
+function resolveOptional(name, feature) {
+  try {
+    return require$1.resolve(name)
+  } catch (err) {
+    throw missingPackage(err, name, feature)
   }
+}
 
-  /**
-   * Internal method for generating OpenAPI tags.
-   * Tags are used for grouping routes in the documentation.
-   * Subclasses should define their `tag` to leverage this grouping.
-   * @returns {Array} An array of tag objects.
-   * @private
-   */
-  static get _tags() {
-    return [this.tag]
+/**
+ * Wraps a route handler so that a rejected promise is passed to `next()`
+ * instead of being left unhandled (Express 4 does not do this itself).
+ *
+ * @param {Function} handler - The route handler.
+ * @returns {(req, res, next) => void} The wrapped handler.
+ */
+const forwardRejections = (handler) => (req, res, next) => {
+  const result = handler(req, res, next);
+  if (result && typeof result.catch === 'function') {
+    result.catch(next);
   }
+};
 
-  /**
-   * Internal method for generating a reflection-based structure of paths.
-   * This scans static properties of the class and identifies route definitions.
-   * @returns {Object} A Swagger-compatible "paths" object.
-   * @private
-   */
-  static get _paths() {
-    const allProps = Object.getOwnPropertyNames(this);
-    const swaggerPaths = {};
+/**
+ * Creates an Express router from a RouteSchema class and a map of handlers,
+ * so each route's path and method are declared only once, in the schema.
+ *
+ * Handlers are keyed by the name of the static route getter (e.g. `getProduct`).
+ * A handler may also be an array `[...middleware, handler]`; the middleware runs
+ * before validation, which suits upload middleware that fills `req.file`.
+ *
+ * @example
+ * const router = createRouter(ProductSchema, {
+ *   getProduct: (req, res) => res.json(findProduct(req.query.productId)),
+ *   uploadFile: [upload.single('file'), (req, res) => res.sendStatus(200)],
+ * }, { prefix: '/v2' })
+ *
+ * @param {import('./route-schema').default} schemaClass - The schema class declaring the routes.
+ * @param {Object<string, Function|Function[]>} handlers - Handlers keyed by route name.
+ * @param {Object} [options={}] - Router options.
+ * @param {string} [options.prefix=''] - A path prefix for every route.
+ * @param {Function} [options.validate=validateRequest] - The validator used for every
+ *   route, e.g. one made by `createValidator`.
+ * @param {Object} [options.router] - An existing Express router to add the routes to.
+ * @throws {Error} If a route has no handler, or a handler has no route.
+ * @throws {TypeError} If a handler is not a function or an array of functions.
+ * @returns {Object} The Express router.
+ */
+const createRouter = (schemaClass, handlers, options = {}) => {
+  const { validate = validateRequest } = options;
+  const prefix = (options.prefix || '').replace(/\/+$/, '');
+  const routes = schemaClass._routes;
+
+  // Reading the paths checks for duplicate path + method declarations
+  void schemaClass._paths;
+
+  const problems = [];
+  Object.entries(routes).forEach(([name, route]) => {
+    if (!Object.hasOwn(handlers, name)) {
+      problems.push(
+        `route "${name}" (${route.method.toUpperCase()} ${route.path}) has no handler`
+      );
+    }
+  });
+  Object.keys(handlers).forEach((name) => {
+    if (!routes[name]) {
+      problems.push(`handler "${name}" does not match any route`);
+    }
+  });
+  if (problems.length) {
+    throw new Error(
+      `Cannot create a router for ${schemaClass.name}: ${problems.join('; ')}.`
+    )
+  }
 
-    for (const propName of allProps) {
-      // Skip built-ins or known base methods
-      if (['length', 'name', 'prototype'].includes(propName)) {
-        continue
-      }
-      // Skip known base methods
-      if (
-        [
-          'createRoute',
-          'schemas',
-          'parameters',
-          'components',
-          'tag',
-          '_tags',
-          '_paths', // itself
-        ].includes(propName)
-      ) {
-        continue
-      }
+  const router =
+    options.router || requireOptional('express', 'createRouter').Router();
 
-      // Check if this static property looks like a route object
-      const potentialRoute = this[propName];
-      if (
-        potentialRoute &&
-        typeof potentialRoute === 'object' &&
-        potentialRoute.path &&
-        potentialRoute.method
-      ) {
-        // e.g. potentialRoute = { path: '/some', method: 'get', summary: '...' }
-        const { path, method } = potentialRoute;
-        if (!swaggerPaths[path]) {
-          swaggerPaths[path] = {};
-        }
-        swaggerPaths[path][method] = potentialRoute;
-      }
+  Object.entries(routes).forEach(([name, route]) => {
+    const stack = [].concat(handlers[name]);
+    if (!stack.length || stack.some((fn) => typeof fn !== 'function')) {
+      throw new TypeError(
+        `Handler "${name}" must be a function or an array of functions.`
+      )
     }
-    return swaggerPaths
-  }
-}
 
-// CConversion library for transforming joi schema objects into swagger/OpenApi OAS 3.0 schema definitions.
+    const handler = stack.pop();
+    router[route.method.toLowerCase()](
+      `${prefix}${route.expressPath || route.path}`,
+      ...stack,
+      validate(route),
+      forwardRejections(handler)
+    );
+  });
+
+  return router
+};
+
+// Conversion library for transforming joi schema objects into swagger/OpenApi OAS 3.0 or 3.1 schema definitions.
 
 const { isRef, object: _object, isSchema } = Joi;
 
 const {
+  castArray,
+  escapeRegExp,
   find,
-  get,
-  isEqual,
+  get: get$1,
+  isEqual: isEqual$1,
   isNumber,
-  isPlainObject,
+  isPlainObject: isPlainObject$2,
   isString,
   merge,
+  omit,
   set,
   uniqWith,
 } = _;
@@ -284,8 +1217,33 @@ const patterns = {
   alphanumLower: '^[a-z0-9]*$',
   alphanumUpper: '^[A-Z0-9]*$',
   token: '^[a-zA-Z0-9_]*$',
+  hex: '[a-fA-F0-9]*',
+  hexByteAligned: '(?:[a-fA-F0-9]{2})*',
+  caseLower: '^[^A-Z]*$',
+  caseUpper: '^[^a-z]*$',
+  trim: '^(?:\\S(?:[\\s\\S]*\\S)?)?$',
+  dataUri: '^data:',
 };
 
+/**
+ * Supported OpenAPI versions. 3.1 output follows JSON Schema 2020-12.
+ */
+const targets = ['3.0', '3.1'];
+
+/**
+ * Converters registered for custom Joi types, by type name.
+ *
+ * @type {Map<string, Function>}
+ */
+const typeConverters = new Map();
+
+/**
+ * Converters registered for Joi rules, by type name and then rule name.
+ *
+ * @type {Map<string, Map<string, Function>>}
+ */
+const ruleConverters = new Map();
+
 /**
  * Extracts metadata from a Joi schema.
  *
@@ -295,7 +1253,7 @@ const patterns = {
  */
 function meta(schema, key) {
   const flattened = Object.assign.apply(null, [{}].concat(schema.$_terms.metas));
-  return get(flattened, key)
+  return get$1(flattened, key)
 }
 
 /**
@@ -352,16 +1310,154 @@ function getCaseSuffix(schema) {
   return ''
 }
 
+/**
+ * Builds the pattern for a Joi `hex()` rule.
+ *
+ * @param {Object} [hexOptions={}] - The options passed to `hex()`.
+ * @returns {string} The regex source matching the accepted hex strings.
+ */
+function getHexPattern(hexOptions = {}) {
+  const digits = hexOptions.byteAligned ? patterns.hexByteAligned : patterns.hex;
+  const prefix = { true: '0x', optional: '(?:0x)?' }[hexOptions.prefix] || '';
+  return `^${prefix}${digits}$`
+}
+
+/**
+ * Maps the format-like rules of a Joi string schema (uri, ip, base64, ...)
+ * to the matching OpenAPI `format` and its companion keywords.
+ *
+ * @param {Joi.Schema} schema - The Joi string schema.
+ * @param {Object} options - Conversion options (`target`).
+ * @returns {Object|null} The keywords to merge into the string schema, or null.
+ */
+function getStringFormat(schema, options) {
+  for (const { name, args = {} } of schema._rules) {
+    switch (name) {
+      case 'email':
+        return { format: 'email' }
+      case 'isoDate':
+        return { format: 'date-time' }
+      case 'isoDuration':
+        return { format: 'duration' }
+      case 'guid':
+        return { format: 'uuid' }
+      case 'hostname':
+      case 'domain':
+        return { format: 'hostname' }
+      case 'creditCard':
+        return { format: 'credit-card' }
+      case 'dataUri':
+        return { format: 'uri', pattern: patterns.dataUri }
+      case 'uri':
+        return getUriFormat(args.options)
+      case 'ip':
+        return getIpFormat(args.options)
+      case 'base64':
+        return getBase64Format(args.options, options)
+    }
+  }
+  return null
+}
+
+function getUriFormat(uriOptions = {}) {
+  const relative = uriOptions.relativeOnly || uriOptions.allowRelative;
+  const swagger = { format: relative ? 'uri-reference' : 'uri' };
+  if (uriOptions.scheme) {
+    const schemes = castArray(uriOptions.scheme);
+    swagger['x-uri-schemes'] = schemes.map((scheme) =>
+      scheme instanceof RegExp ? scheme.source : scheme
+    );
+    // A relative reference has no scheme to match against
+    if (!relative) {
+      const sources = schemes.map((scheme) =>
+        scheme instanceof RegExp ? scheme.source : escapeRegExp(scheme)
+      );
+      swagger.pattern = `^(?:${sources.join('|')}):`;
+    }
+  }
+  return swagger
+}
+
+function getIpFormat(ipOptions = {}) {
+  const versions = ipOptions.version ? castArray(ipOptions.version) : [];
+  const cidr = ipOptions.cidr || 'optional';
+  if (
+    versions.length === 1 &&
+    ['ipv4', 'ipv6'].includes(versions[0]) &&
+    cidr === 'forbidden'
+  ) {
+    return { format: versions[0] }
+  }
+  const swagger = { format: 'ip', 'x-cidr': cidr };
+  if (versions.length) {
+    swagger['x-ip-version'] = versions;
+  }
+  return swagger
+}
+
+function getBase64Format(base64Options = {}, options) {
+  const encoding = base64Options.urlSafe ? 'base64url' : 'base64';
+  if (options.target === '3.1') {
+    return { contentEncoding: encoding }
+  }
+  return { format: encoding === 'base64' ? 'byte' : encoding }
+}
+
+/**
+ * Adds every `pattern()` rule of a Joi string schema. The first plain pattern
+ * fills `pattern` when it is still free; the others, and inverted patterns,
+ * become `allOf` entries so that none of them is lost.
+ *
+ * @param {Object} swagger - The string schema being built.
+ * @param {Joi.Schema} schema - The Joi string schema.
+ */
+function addPatterns(swagger, schema) {
+  const allOf = [];
+  for (const { name, args } of schema._rules) {
+    if (name !== 'pattern') {
+      continue
+    }
+    const pattern = args.regex.source;
+    if (get$1(args, 'options.invert')) {
+      allOf.push({ not: { pattern } });
+    } else if (!swagger.pattern) {
+      swagger.pattern = pattern;
+    } else {
+      allOf.push({ pattern });
+    }
+  }
+  if (allOf.length) {
+    swagger.allOf = allOf;
+  }
+}
+
 /**
  * Parses conditional schemas (when clauses) in Joi schemas.
  *
  * @param {Joi.Schema} schema - The Joi schema containing when clauses.
  * @param {object} existingComponents - Existing Swagger components.
  * @param {object} newComponentsByRef - Newly added components by reference.
+ * @param {object} options - Conversion options, see `parse`.
  * @returns {object} The Swagger schema for conditional alternatives.
  */
-function parseWhens(schema, existingComponents, newComponentsByRef) {
-  const whens = get(schema, '$_terms.whens');
+function parseWhens(schema, existingComponents, newComponentsByRef, options) {
+  const whens = get$1(schema, '$_terms.whens');
+
+  // Each variant of a discriminated object is the object itself, without
+  // its conditions, combined with the `then` schema of its case
+  const base = schema.clone();
+  base.$_terms.whens = null;
+  const discriminated = parseDiscriminator(
+    whens,
+    (then) => (then.type === 'object' ? base.concat(then) : then),
+    existingComponents,
+    newComponentsByRef,
+    options
+  );
+  if (discriminated) {
+    return discriminated
+  }
+
   const mode = whens.length > 1 ? 'anyOf' : 'oneOf';
 
   const alternatives = [];
@@ -388,42 +1484,189 @@ function parseWhens(schema, existingComponents, newComponentsByRef) {
     alternatives,
     existingComponents,
     newComponentsByRef,
-    mode
+    mode,
+    options
   )
 }
 
 /**
- * Constructs Swagger schema for alternative Joi schemas.
+ * Lists the `{ is, then }` cases of Joi conditions when they all switch on
+ * the value of the same own key, e.g. `conditional('.type', { switch })`.
  *
- * @param {Joi.Schema[]} alternatives - The alternative Joi schemas.
- * @param {object} existingComponents - Existing Swagger components.
- * @param {object} newComponentsByRef - Newly added components by reference.
- * @param {string} mode - The OpenAPI mode ('anyOf', 'oneOf', etc.).
- * @returns {object} The Swagger schema for alternatives.
+ * @param {object[]} conditions - Joi `whens` or alternatives `matches`.
+ * @returns {{ propertyName: string, cases: object[] }|null} The discriminator
+ *   key and its cases, or null when the conditions do not form one.
  */
-function schemaForAlternatives(
-  alternatives,
-  existingComponents,
-  newComponentsByRef,
-  mode
-) {
-  let swaggers = [];
-  for (const joiSchema of alternatives) {
-    const { swagger, components } = parse(
-      joiSchema,
-      merge({}, existingComponents || {}, newComponentsByRef || {})
-    );
-    if (!swagger) {
-      continue
+function getDiscriminatorCases(conditions) {
+  const cases = [];
+  const keys = new Set();
+
+  for (const condition of conditions) {
+    const { ref } = condition;
+    // Only a reference to an own key (`.type`) can act as a discriminator
+    if (!ref || ref.ancestor !== 0 || ref.path.length !== 1) {
+      return null
+    }
+    keys.add(ref.path[0]);
+
+    const branches = condition.switch || [condition];
+    if (branches.some((branch) => branch.otherwise)) {
+      return null
+    }
+    cases.push(...branches);
+  }
+
+  const values = cases.map(({ is }) => is && is._valids && is._valids.values());
+  const isDiscriminator =
+    keys.size === 1 &&
+    cases.every(
+      ({ is, then }, i) =>
+        then &&
+        get$1(is, '_flags.only') &&
+        values[i].length === 1 &&
+        isString(values[i][0])
+    ) &&
+    new Set(values.map(([value]) => value)).size === cases.length;
+
+  if (!isDiscriminator) {
+    return null
+  }
+
+  return {
+    propertyName: [...keys][0],
+    cases: cases.map(({ then }, i) => ({ value: values[i][0], then })),
+  }
+}
+
+/**
+ * Names the component of a discriminated variant.
+ *
+ * @param {Joi.Schema} schema - The `then` schema of a case.
+ * @returns {string|undefined} Its `className` meta, label or id.
+ */
+function variantName(schema) {
+  return (
+    meta(schema, 'className') ||
+    get$1(schema, '_flags.label') ||
+    get$1(schema, '_flags.id')
+  )
+}
+
+/**
+ * Restricts the discriminator property of a variant to the value of its case,
+ * instead of every value the base schema allows.
+ *
+ * @param {object} swagger - The Swagger schema of the variant.
+ * @param {string} propertyName - The discriminator property.
+ * @param {string} value - The value selecting the variant.
+ * @param {object} options - Conversion options, see `parse`.
+ */
+function narrowDiscriminator(swagger, propertyName, value, options) {
+  const property = get$1(swagger, ['properties', propertyName]);
+  if (!property || property.$ref) {
+    return
+  }
+
+  swagger.properties[propertyName] = {
+    ...omit(property, ['enum', 'const']),
+    ...(options.target === '3.1' ? { const: value } : { enum: [value] }),
+  };
+}
+
+/**
+ * Converts conditions on a discriminator key into a `oneOf` of named
+ * component schemas with a `discriminator` mapping, as code generators expect
+ * for polymorphic payloads. Every `then` schema must be named through
+ * `.meta({ className })`, `.label()` or `.id()`.
+ *
+ * @param {object[]} conditions - Joi `whens` or alternatives `matches`.
+ * @param {(then: Joi.Schema) => Joi.Schema} toVariant - Builds the full
+ *   schema of a case from its `then` schema.
+ * @param {object} existingComponents - Existing Swagger components.
+ * @param {object} newComponentsByRef - Newly added components by reference.
+ * @param {object} options - Conversion options, see `parse`.
+ * @returns {object|null} The discriminated schema, or null when the
+ *   conditions are not a discriminator.
+ */
+function parseDiscriminator(
+  conditions,
+  toVariant,
+  existingComponents,
+  newComponentsByRef,
+  options
+) {
+  const discriminator = getDiscriminatorCases(conditions || []);
+  if (
+    !discriminator ||
+    !discriminator.cases.every(({ then }) => variantName(then))
+  ) {
+    return null
+  }
+
+  const oneOf = [];
+  const mapping = {};
+  for (const { value, then } of discriminator.cases) {
+    const { swagger, components } = parse(
+      toVariant(then),
+      merge({}, existingComponents || {}, newComponentsByRef || {}),
+      false,
+      options
+    );
+    merge(newComponentsByRef, components || {});
+
+    let ref = swagger;
+    if (!swagger.$ref) {
+      narrowDiscriminator(swagger, discriminator.propertyName, value, options);
+      ref = refDef('schemas', variantName(then));
+      set(newComponentsByRef, ['schemas', variantName(then)], swagger);
+    }
+
+    oneOf.push(ref);
+    mapping[value] = ref.$ref;
+  }
+
+  return {
+    oneOf: uniqWith(oneOf, isEqual$1),
+    discriminator: { propertyName: discriminator.propertyName, mapping },
+  }
+}
+
+/**
+ * Constructs Swagger schema for alternative Joi schemas.
+ *
+ * @param {Joi.Schema[]} alternatives - The alternative Joi schemas.
+ * @param {object} existingComponents - Existing Swagger components.
+ * @param {object} newComponentsByRef - Newly added components by reference.
+ * @param {string} mode - The OpenAPI mode ('anyOf', 'oneOf', etc.).
+ * @param {object} options - Conversion options, see `parse`.
+ * @returns {object} The Swagger schema for alternatives.
+ */
+function schemaForAlternatives(
+  alternatives,
+  existingComponents,
+  newComponentsByRef,
+  mode,
+  options
+) {
+  let swaggers = [];
+  for (const joiSchema of alternatives) {
+    const { swagger, components } = parse(
+      joiSchema,
+      merge({}, existingComponents || {}, newComponentsByRef || {}),
+      false,
+      options
+    );
+    if (!swagger) {
+      continue
     } // swagger is falsy if joi.forbidden()
-    if (get(joiSchema, '_flags.presence') === 'required') {
+    if (get$1(joiSchema, '_flags.presence') === 'required') {
       swagger['x-required'] = true;
     }
     merge(newComponentsByRef, components || {});
 
     swaggers.push(swagger);
   }
-  swaggers = uniqWith(swaggers, isEqual);
+  swaggers = uniqWith(swaggers, isEqual$1);
 
   return swaggers.length > 0 ? { [mode]: swaggers } : {}
 }
@@ -433,14 +1676,19 @@ function schemaForAlternatives(
  *
  * @param {Joi.Schema} schema - The Joi schema.
  * @param {Function} filterFunc - The function to filter values.
- * @returns {object} An object containing enum or not constraints.
+ * @param {object} [options={}] - Conversion options, see `parse`.
+ * @returns {object} An object containing enum, const or not constraints.
  */
-function parseValidsAndInvalids(schema, filterFunc) {
+function parseValidsAndInvalids(schema, filterFunc, options = {}) {
   const swagger = {};
   if (schema._valids) {
     const valids = schema._valids.values().filter(filterFunc);
-    if (get(schema, '_flags.only') && valids.length) {
-      swagger.enum = valids;
+    if (get$1(schema, '_flags.only') && valids.length) {
+      if (options.target === '3.1' && valids.length === 1) {
+        swagger.const = valids[0];
+      } else {
+        swagger.enum = valids;
+      }
     }
   }
 
@@ -468,14 +1716,327 @@ function getRefValue(ref, schema, fallback) {
   return refValues[refKey] || fallback
 }
 
+/**
+ * Resolves the schema targeted by a `Joi.link()` reference the way Joi does:
+ * `#id` links search the ancestors (including their shared and nested schemas)
+ * for the id, `/` links the root and `..`-style links the matching ancestor.
+ *
+ * @param {Joi.Ref} ref - The link reference.
+ * @param {Joi.Schema[]} ancestors - The schemas being converted, outermost first.
+ * @returns {Joi.Schema|undefined} The linked schema, if found.
+ */
+function resolveLink(ref, ancestors) {
+  if (ref.type === 'local') {
+    const [id, ...path] = ref.path;
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const ancestor = ancestors[i];
+      const target =
+        (get$1(ancestor, '_flags.id') === id && ancestor) ||
+        find(
+          get$1(ancestor, '$_terms.shared') || [],
+          (shared) => get$1(shared, '_flags.id') === id
+        ) ||
+        get$1(ancestor, '_ids._byId')?.get(id)?.schema;
+      if (target) {
+        return path.length ? target.extract(path) : target
+      }
+    }
+    return undefined
+  }
+
+  const target =
+    ref.ancestor === 'root'
+      ? ancestors[0]
+      : ancestors[ancestors.length - 1 - ref.ancestor];
+  return target && ref.path.length ? target.extract(ref.path) : target
+}
+
+/**
+ * Names the component emitted for a schema targeted by `Joi.link()`.
+ *
+ * @param {Joi.Schema} schema - The linked schema.
+ * @returns {string} The component name: the schema's label, or else its id.
+ * @throws {Error} If the schema has neither a label nor an id.
+ */
+function linkedComponentName(schema) {
+  const name = get$1(schema, '_flags.label') || get$1(schema, '_flags.id');
+  if (!name) {
+    throw new Error(
+      'Schemas targeted by Joi.link() need an .id() or a .label() to be named in components.'
+    )
+  }
+  return name
+}
+
+/**
+ * Sets an exclusive numeric bound. OpenAPI 3.0 pairs `minimum`/`maximum` with
+ * a boolean `exclusiveMinimum`/`exclusiveMaximum`, while 3.1 (JSON Schema
+ * 2020-12) carries the limit in `exclusiveMinimum`/`exclusiveMaximum` itself.
+ *
+ * @param {object} swagger - The Swagger schema to update in place.
+ * @param {'Minimum'|'Maximum'} bound - Which bound to set.
+ * @param {number} limit - The exclusive limit.
+ * @param {object} options - Conversion options, see `parse`.
+ */
+function setExclusiveBound(swagger, bound, limit, options) {
+  const inclusiveKey = bound.toLowerCase();
+
+  if (options.target === '3.1') {
+    delete swagger[inclusiveKey];
+    swagger[`exclusive${bound}`] = limit;
+  } else {
+    swagger[inclusiveKey] = limit;
+    swagger[`exclusive${bound}`] = true;
+  }
+}
+
+/**
+ * Narrows a numeric bound, keeping the stricter of the current and the new
+ * limit. On equal limits an exclusive bound wins over an inclusive one.
+ *
+ * @param {object} bounds - The bounds collected so far, updated in place.
+ * @param {'Minimum'|'Maximum'} bound - Which bound to narrow.
+ * @param {number} limit - The new limit.
+ * @param {boolean} exclusive - Whether the limit itself is excluded.
+ */
+function tightenBound(bounds, bound, limit, exclusive) {
+  const current = bounds[bound];
+  const stricter =
+    !current ||
+    (bound === 'Minimum' ? limit > current.limit : limit < current.limit) ||
+    (limit === current.limit && exclusive);
+  if (stricter) {
+    bounds[bound] = { limit, exclusive };
+  }
+}
+
+/**
+ * Picks the OpenAPI format of an integer: `int64` when Joi allows unsafe
+ * integers, `int32` when both bounds fit in a signed 32-bit integer.
+ *
+ * @param {Joi.Schema} schema - The Joi number schema.
+ * @param {object} bounds - The bounds collected by `tightenBound`.
+ * @returns {string|undefined} The format, if one applies.
+ */
+function getIntegerFormat(schema, bounds) {
+  if (get$1(schema, '_flags.unsafe')) {
+    return 'int64'
+  }
+  const { Minimum: min, Maximum: max } = bounds;
+  if (min && max && min.limit >= -(2 ** 31) && max.limit <= 2 ** 31 - 1) {
+    return 'int32'
+  }
+}
+
+/**
+ * Builds a schema that requires all the given keys.
+ *
+ * @param {string[]} keys - The keys to require.
+ * @returns {object} A `{ required }` schema.
+ */
+function requireKeys(...keys) {
+  return { required: keys }
+}
+
+/**
+ * Builds a schema matching objects holding at least one of the given keys.
+ *
+ * @param {string[]} keys - The keys to look for.
+ * @returns {object} A `required` schema, or an `anyOf` of them.
+ */
+function requireAnyKey(keys) {
+  return keys.length === 1
+    ? requireKeys(keys[0])
+    : { anyOf: keys.map((key) => requireKeys(key)) }
+}
+
+/**
+ * Translates a single Joi object dependency (`and`, `or`, `xor`, `oxor`,
+ * `nand`, `with`, `without`) into OpenAPI `required` combinations.
+ *
+ * @param {object} dependency - An entry of `$_terms.dependencies`.
+ * @param {string[]} peers - The peer keys.
+ * @param {string} [key] - The subject key of `with` and `without`.
+ * @param {object} options - Conversion options, see `parse`.
+ * @returns {object|undefined} The constraint, if the rule is known.
+ */
+function getDependencyConstraint({ rel }, peers, key, options) {
+  switch (rel) {
+    case 'and':
+      // All of the peers or none of them
+      return {
+        anyOf: [requireKeys(...peers), { not: requireAnyKey(peers) }],
+      }
+    case 'or':
+      return requireAnyKey(peers)
+    case 'xor':
+      return { oneOf: peers.map((peer) => requireKeys(peer)) }
+    case 'oxor':
+      return {
+        not: {
+          anyOf: peers.flatMap((peer, i) =>
+            peers.slice(i + 1).map((other) => requireKeys(peer, other))
+          ),
+        },
+      }
+    case 'nand':
+      return { not: requireKeys(...peers) }
+    case 'with':
+      if (options.target === '3.1') {
+        return { dependentRequired: { [key]: peers } }
+      }
+      return { anyOf: [{ not: requireKeys(key) }, requireKeys(...peers)] }
+    case 'without':
+      if (options.target === '3.1') {
+        return { dependentSchemas: { [key]: { not: requireAnyKey(peers) } } }
+      }
+      return {
+        anyOf: [{ not: requireKeys(key) }, { not: requireAnyKey(peers) }],
+      }
+  }
+}
+
+/**
+ * Adds a constraint to a schema in place. Its keywords are copied when the
+ * schema does not use them yet; otherwise the constraint is added to `allOf`,
+ * so that keywords such as `required` or `oneOf` are never overwritten.
+ *
+ * @param {object} swagger - The Swagger schema to update in place.
+ * @param {object} constraint - The schema to combine with it.
+ */
+function addConstraint(swagger, constraint) {
+  const { allOf = [], ...keywords } = constraint;
+  const conflicts = Object.keys(keywords).some((keyword) =>
+    Object.hasOwn(swagger, keyword)
+  );
+  const combined = [
+    ...(swagger.allOf || []),
+    ...allOf,
+    ...(conflicts ? [keywords] : []),
+  ];
+  if (!conflicts) {
+    Object.assign(swagger, keywords);
+  }
+  if (combined.length) {
+    swagger.allOf = combined;
+  }
+}
+
+/**
+ * Adds the key dependencies of a Joi object schema. Dependencies between
+ * direct keys become `required` combinations (grouped under `allOf` when there
+ * are several); the ones OpenAPI cannot express, such as nested paths, are
+ * listed in `x-joi-dependencies`.
+ *
+ * @param {object} swagger - The object schema being built, updated in place.
+ * @param {Joi.Schema} schema - The Joi object schema.
+ * @param {object} options - Conversion options, see `parse`.
+ */
+function addDependencies(swagger, schema, options) {
+  const constraints = [];
+  const unsupported = [];
+
+  for (const dependency of get$1(schema, '$_terms.dependencies') || []) {
+    const refs = [dependency.key, ...dependency.peers].filter(Boolean);
+    const peers = dependency.peers.map((peer) => peer.path.join('.'));
+    const key = dependency.key ? dependency.key.path.join('.') : undefined;
+    const constraint = refs.every((ref) => ref.path.length === 1)
+      ? getDependencyConstraint(dependency, peers, key, options)
+      : undefined;
+
+    if (constraint) {
+      constraints.push(constraint);
+    } else {
+      unsupported.push({ rule: dependency.rel, ...(key && { key }), peers });
+    }
+  }
+
+  if (constraints.length === 1) {
+    addConstraint(swagger, constraints[0]);
+  } else if (constraints.length) {
+    addConstraint(swagger, { allOf: constraints });
+  }
+
+  if (unsupported.length) {
+    swagger['x-joi-dependencies'] = unsupported;
+  }
+}
+
+/**
+ * Allows `null` in a JSON Schema 2020-12 (OpenAPI 3.1) schema, which has no
+ * `nullable` keyword: `null` is added to the type list, enum and alternatives.
+ *
+ * @param {object} swagger - The Swagger schema to update in place.
+ */
+function makeNullable(swagger) {
+  if (swagger.type) {
+    swagger.type = uniqWith([].concat(swagger.type, 'null'), isEqual$1);
+  }
+
+  if (swagger.enum) {
+    swagger.enum = uniqWith([...swagger.enum, null], isEqual$1);
+  } else if (Object.hasOwn(swagger, 'const')) {
+    swagger.enum = uniqWith([swagger.const, null], isEqual$1);
+    delete swagger.const;
+  }
+
+  for (const mode of ['anyOf', 'oneOf']) {
+    if (swagger[mode]) {
+      swagger[mode] = uniqWith([...swagger[mode], { type: 'null' }], isEqual$1);
+    }
+  }
+}
+
+/**
+ * Lets the items of a sparse array be `undefined`, which JSON serializes as
+ * `null`.
+ *
+ * @param {object} items - The items schema.
+ * @param {object} options - Conversion options, see `parse`.
+ * @returns {object} The items schema accepting `null`.
+ */
+function allowNullItems(items, options) {
+  if (!Object.keys(items).length) {
+    return items
+  }
+  if (options.target === '3.1') {
+    if (items.$ref) {
+      return { anyOf: [items, { type: 'null' }] }
+    }
+    const nullable = { ...items };
+    makeNullable(nullable);
+    return nullable
+  }
+  // Siblings of $ref are ignored in OpenAPI 3.0
+  return items.$ref
+    ? { allOf: [items], nullable: true }
+    : { ...items, nullable: true }
+}
+
+/**
+ * Documents an uploaded file, marked with `.meta({ swaggerType: 'file' })`,
+ * as a binary string, whatever the type of its Joi schema.
+ *
+ * @param {Object} options - Generation options.
+ * @returns {Object} The binary string schema.
+ */
+function getFileSchema(options) {
+  return options.target === '3.1'
+    ? { type: 'string', contentMediaType: 'application/octet-stream' }
+    : { type: 'string', format: 'binary' }
+}
+
 /**
  * Parsers for different Joi types to Swagger schema.
  */
 const parseAsType = {
-  number: (schema) => {
+  number: (schema, existingComponents, newComponentsByRef, options) => {
     const swagger = {};
+    const isInteger =
+      find(schema._rules, { name: 'integer' }) ||
+      find(schema._rules, { name: 'port' });
 
-    if (find(schema._rules, { name: 'integer' })) {
+    if (isInteger) {
       swagger.type = 'integer';
     } else {
       swagger.type = 'number';
@@ -486,87 +2047,139 @@ const parseAsType = {
       }
     }
 
-    const sign = find(schema._rules, { name: 'sign' });
-    if (sign) {
-      if (sign.args.sign === 'positive') {
-        swagger.minimum = 1;
-      } else if (sign.args.sign === 'negative') {
-        swagger.maximum = -1;
+    const bounds = {};
+    const limitOf = (rule) =>
+      isRef(rule.args.limit)
+        ? getRefValue(rule.args.limit, schema, 0)
+        : rule.args.limit;
+
+    for (const rule of schema._rules) {
+      switch (rule.name) {
+        case 'sign':
+          if (rule.args.sign === 'positive') {
+            tightenBound(bounds, 'Minimum', 0, true);
+          } else if (rule.args.sign === 'negative') {
+            tightenBound(bounds, 'Maximum', 0, true);
+          }
+          break
+        case 'min':
+          tightenBound(bounds, 'Minimum', limitOf(rule), false);
+          break
+        case 'max':
+          tightenBound(bounds, 'Maximum', limitOf(rule), false);
+          break
+        case 'greater':
+          tightenBound(bounds, 'Minimum', limitOf(rule), true);
+          break
+        case 'less':
+          tightenBound(bounds, 'Maximum', limitOf(rule), true);
+          break
+        case 'port':
+          tightenBound(bounds, 'Minimum', 0, false);
+          tightenBound(bounds, 'Maximum', 65535, false);
+          break
+      }
+    }
+
+    for (const bound of ['Minimum', 'Maximum']) {
+      if (!bounds[bound]) {
+        continue
+      }
+      const { limit, exclusive } = bounds[bound];
+      if (exclusive) {
+        setExclusiveBound(swagger, bound, limit, options);
+      } else {
+        swagger[bound.toLowerCase()] = limit;
       }
     }
 
-    const min = find(schema._rules, { name: 'min' });
-    if (min) {
-      swagger.minimum = isRef(min.args.limit)
-        ? getRefValue(min.args.limit, schema, 0)
-        : min.args.limit;
+    const multiple = find(schema._rules, { name: 'multiple' });
+    const precision = find(schema._rules, { name: 'precision' });
+    if (multiple && !isRef(multiple.args.base)) {
+      swagger.multipleOf = multiple.args.base;
+    } else if (precision && !isInteger) {
+      // precision(n) allows at most n decimal places
+      swagger.multipleOf = Number(`1e-${precision.args.limit}`);
     }
 
-    const max = find(schema._rules, { name: 'max' });
-    if (max) {
-      swagger.maximum = isRef(max.args.limit)
-        ? getRefValue(max.args.limit, schema, 0)
-        : max.args.limit;
+    if (isInteger) {
+      const format = getIntegerFormat(schema, bounds);
+      if (format) {
+        swagger.format = format;
+      }
     }
 
     Object.assign(
       swagger,
-      parseValidsAndInvalids(schema, (s) => isNumber(s))
+      parseValidsAndInvalids(schema, (s) => isNumber(s), options)
     );
 
     return swagger
   },
-  string: (schema) => {
+  string: (schema, existingComponents, newComponentsByRef, options) => {
     const swagger = { type: 'string' };
+    const strict = get$1(schema, '_preferences.convert') === false;
+    const rule = (name) => find(schema._rules, { name });
 
-    if (find(schema._rules, { name: 'alphanum' })) {
-      const strict = get(schema, '_preferences.convert') === false;
+    if (rule('alphanum')) {
       swagger.pattern =
         patterns[`alphanum${strict ? getCaseSuffix(schema) : ''}`];
     }
 
-    if (find(schema._rules, { name: 'token' })) {
+    if (rule('token')) {
       swagger.pattern = patterns.token;
     }
 
-    if (find(schema._rules, { name: 'email' })) {
-      swagger.format = 'email';
-      if (swagger.pattern) {
-        delete swagger.pattern;
-      }
+    if (rule('hex')) {
+      swagger.pattern = getHexPattern(rule('hex').args.options);
     }
 
-    if (find(schema._rules, { name: 'isoDate' })) {
-      swagger.format = 'date-time';
-      if (swagger.pattern) {
-        delete swagger.pattern;
-      }
+    const format = getStringFormat(schema, options);
+    if (format) {
+      // Formats replace the character-class patterns above
+      delete swagger.pattern;
+      Object.assign(swagger, format);
     }
 
-    if (find(schema._rules, { name: 'guid' })) {
-      swagger.format = 'uuid';
-      if (swagger.pattern) {
-        delete swagger.pattern;
+    const caseRule = rule('case');
+    if (caseRule) {
+      swagger['x-case'] = caseRule.args.direction;
+      if (strict && !swagger.pattern && !swagger.format) {
+        swagger.pattern = patterns[`case${getCaseSuffix(schema)}`];
       }
     }
 
-    const pattern = find(schema._rules, { name: 'pattern' });
-    if (pattern) {
-      swagger.pattern = pattern.args.regex.toString().slice(1, -1);
+    const trimRule = rule('trim');
+    if (trimRule && trimRule.args.enabled !== false) {
+      swagger['x-trim'] = true;
+      if (strict && !swagger.pattern && !swagger.format) {
+        swagger.pattern = patterns.trim;
+      }
     }
 
+    addPatterns(swagger, schema);
+
     Object.assign(swagger, getMinMax(schema));
     Object.assign(
       swagger,
-      parseValidsAndInvalids(schema, (s) => isString(s))
+      parseValidsAndInvalids(schema, (s) => isString(s), options)
     );
 
     return swagger
   },
-  binary: (schema) => {
+  binary: (schema, existingComponents, newComponentsByRef, options) => {
     const swagger = { type: 'string', format: 'binary' };
+    const encoding = get$1(schema, '_flags.encoding');
 
-    if (get(schema, '_flags.encoding') === 'base64') {
+    if (options.target === '3.1') {
+      // JSON Schema describes raw and encoded binaries with content keywords
+      delete swagger.format;
+      if (encoding) {
+        swagger.contentEncoding = encoding;
+      } else {
+        swagger.contentMediaType = 'application/octet-stream';
+      }
+    } else if (encoding === 'base64') {
       swagger.format = 'byte';
     }
 
@@ -576,15 +2189,56 @@ const parseAsType = {
   },
   date: (schema) => {
     const swagger = { type: 'string', format: 'date-time' };
-    if (get(schema, '_flags.format') === 'YYYY-MM-DD') {
+    if (get$1(schema, '_flags.format') === 'YYYY-MM-DD') {
       swagger.format = 'date';
     }
     return swagger
   },
   boolean: (/* schema */) => ({ type: 'boolean' }),
-  alternatives: (schema, existingComponents, newComponentsByRef) => {
-    const matches = get(schema, '$_terms.matches');
-    const mode = `${get(schema, '_flags.match') || 'any'}Of`;
+  link: (schema, existingComponents, newComponentsByRef, options) => {
+    const ref = get$1(schema, '$_terms.link.0.ref');
+    if (!ref) {
+      throw new Error('Joi.link() was used without a reference.')
+    }
+
+    const { links } = options;
+    const target = resolveLink(ref, links.ancestors);
+    if (!target) {
+      throw new Error(`Unable to resolve the Joi link "${ref.display}".`)
+    }
+
+    if (!links.linked.has(target)) {
+      links.linked.add(target);
+
+      // Ancestors register themselves once converted (this is how cycles end);
+      // any other target, such as a shared schema, is converted here.
+      if (!links.ancestors.includes(target)) {
+        const { components } = parse(
+          target,
+          merge({}, existingComponents || {}, newComponentsByRef || {}),
+          false,
+          options
+        );
+        merge(newComponentsByRef, components || {});
+      }
+    }
+
+    return refDef('schemas', linkedComponentName(target))
+  },
+  alternatives: (schema, existingComponents, newComponentsByRef, options) => {
+    const matches = get$1(schema, '$_terms.matches');
+    const mode = `${get$1(schema, '_flags.match') || 'any'}Of`;
+
+    const discriminated = parseDiscriminator(
+      matches,
+      (then) => then,
+      existingComponents,
+      newComponentsByRef,
+      options
+    );
+    if (discriminated) {
+      return discriminated
+    }
 
     const alternatives = [];
     for (const m of matches) {
@@ -614,48 +2268,89 @@ const parseAsType = {
       alternatives,
       existingComponents,
       newComponentsByRef,
-      mode
+      mode,
+      options
     )
   },
-  array: (schema, existingComponents, newComponentsByRef) => {
-    const items = get(schema, '$_terms.items');
-    const mode = 'oneOf';
-
-    const alternatives = items;
-
-    let swaggers = [];
-    for (const joiSchema of alternatives) {
+  array: (schema, existingComponents, newComponentsByRef, options) => {
+    const convert = (joiSchema) => {
       const { swagger, components } = parse(
         joiSchema,
-        merge({}, existingComponents || {}, newComponentsByRef || {})
+        merge({}, existingComponents || {}, newComponentsByRef || {}),
+        false,
+        options
       );
-      if (!swagger) {
-        continue
-      } // swagger is falsy if joi.forbidden()
-
       merge(newComponentsByRef, components || {});
+      return swagger
+    };
+    // swagger is falsy if joi.forbidden()
+    const convertAll = (joiSchemas) =>
+      uniqWith(joiSchemas.map(convert).filter(Boolean), isEqual$1);
 
-      swaggers.push(swagger);
-    }
-    swaggers = uniqWith(swaggers, isEqual);
+    const swaggers = convertAll(get$1(schema, '$_terms.items') || []);
+    const ordered = (get$1(schema, '$_terms.ordered') || [])
+      .map(convert)
+      .map((swagger) => swagger || { not: {} });
 
-    const openapi = {
+    let openapi = {
       type: 'array',
-      items: { [mode]: swaggers },
+      items: swaggers.length > 1 ? { oneOf: swaggers } : swaggers[0] || {},
     };
-    if (swaggers.length <= 1) {
-      openapi.items = get(swaggers, [0]) || {};
+
+    if (get$1(schema, '_flags.sparse')) {
+      openapi.items = allowNullItems(openapi.items, options);
+    }
+
+    if (ordered.length) {
+      if (options.target === '3.1') {
+        openapi.prefixItems = ordered;
+        // Without items(), Joi rejects anything past the ordered positions
+        openapi.items = swaggers.length ? openapi.items : false;
+      } else {
+        // OpenAPI 3.0 has no tuples: positions are listed in an extension
+        // and items accepts any of the positional or trailing schemas
+        const all = uniqWith([...ordered, ...swaggers], isEqual$1);
+        openapi['x-prefix-items'] = ordered;
+        openapi.items = all.length > 1 ? { oneOf: all } : all[0];
+        if (!swaggers.length) {
+          openapi.maxItems = ordered.length;
+        }
+      }
     }
 
     Object.assign(openapi, getMinMax(schema, 'Items'));
 
-    if (find(schema._rules, { name: 'unique' })) {
+    const contains = schema._rules
+      .filter(({ name }) => name === 'has')
+      .map((rule) => convert(rule.args.schema))
+      .filter(Boolean);
+    if (contains.length && options.target === '3.1') {
+      if (contains.length === 1) {
+        openapi.contains = contains[0];
+      } else {
+        openapi.allOf = contains.map((swagger) => ({ contains: swagger }));
+      }
+    } else if (contains.length) {
+      openapi['x-contains'] = contains;
+    }
+
+    const unique = find(schema._rules, { name: 'unique' });
+    if (unique) {
       openapi.uniqueItems = true;
+      if (isString(unique.args.comparator)) {
+        openapi['x-unique-by'] = unique.args.comparator;
+      }
+    }
+
+    if (get$1(schema, '_flags.single')) {
+      // single() also accepts one bare item, which Joi wraps into an array
+      const item = swaggers.length ? openapi.items : { not: { type: 'array' } };
+      openapi = { oneOf: [item, openapi] };
     }
 
     return openapi
   },
-  object: (schema, existingComponents, newComponentsByRef) => {
+  object: (schema, existingComponents, newComponentsByRef, options) => {
     const requireds = [];
     const properties = {};
     let additionalProperties = {};
@@ -666,10 +2361,15 @@ const parseAsType = {
       newComponentsByRef || {}
     );
 
-    const children = get(schema, '$_terms.keys') || [];
+    const children = get$1(schema, '$_terms.keys') || [];
     children.forEach((child) => {
       const key = child.key;
-      const { swagger, components } = parse(child.schema, combinedComponents);
+      const { swagger, components } = parse(
+        child.schema,
+        combinedComponents,
+        false,
+        options
+      );
       if (!swagger) {
         // swagger is falsy if joi.forbidden()
         return
@@ -680,19 +2380,21 @@ const parseAsType = {
 
       properties[key] = swagger;
 
-      if (get(child, 'schema._flags.presence') === 'required') {
+      if (get$1(child, 'schema._flags.presence') === 'required') {
         requireds.push(key);
       }
     });
 
     if (!children.length) {
-      const keyPatterns = get(schema, '$_terms.patterns');
+      const keyPatterns = get$1(schema, '$_terms.patterns');
       if (keyPatterns) {
         keyPatterns.forEach((pattern) => {
           if (pattern.rule) {
             const { swagger, components } = parse(
               pattern.rule,
-              combinedComponents
+              combinedComponents,
+              false,
+              options
             );
             if (!swagger) {
               // swagger is falsy if joi.forbidden()
@@ -716,7 +2418,7 @@ const parseAsType = {
       swagger.required = requireds;
     }
 
-    if (get(schema, '_flags.unknown') !== true) {
+    if (get$1(schema, '_flags.unknown') !== true) {
       swagger.additionalProperties = false;
     }
 
@@ -724,19 +2426,28 @@ const parseAsType = {
       swagger.additionalProperties = additionalProperties;
     }
 
+    Object.assign(swagger, getMinMax(schema, 'Properties'));
+    addDependencies(swagger, schema, options);
+
+    const renames = get$1(schema, '$_terms.renames') || [];
+    if (renames.length) {
+      swagger['x-joi-renames'] = renames.map(
+        ({ from, to, options: renameOptions }) => ({
+          from: from instanceof RegExp ? from.source : from,
+          to,
+          ...(renameOptions.alias && { alias: true }),
+        })
+      );
+    }
+
     return swagger
   },
-  any: (schema) => {
+  any: (schema, existingComponents, newComponentsByRef, options) => {
     const swagger = {};
-    // convert property to file upload, if indicated by meta property
-    if (meta(schema, 'swaggerType') === 'file') {
-      swagger.type = 'file';
-      swagger.in = 'formData';
-    }
 
     Object.assign(
       swagger,
-      parseValidsAndInvalids(schema, (s) => isString(s) || isNumber(s))
+      parseValidsAndInvalids(schema, (s) => isString(s) || isNumber(s), options)
     );
 
     return swagger
@@ -744,30 +2455,172 @@ const parseAsType = {
 };
 
 /**
- * Parses a Joi schema into Swagger/OpenAPI schema definitions.
+ * Builds the context handed to registered type and rule converters.
  *
- * @param {Joi.Schema|object} schema - The Joi schema or a plain object to be converted to a Joi object schema.
- * @param {Object<string, Object>} [existingComponents={}] - Existing Swagger components (schemas, parameters, etc.) that may be referenced by the parsed schema.
- * @param {boolean} [isSchemaOverride=false] - Indicates whether the current schema is being overridden by another schema (to prevent nested overrides).
- * @returns {{swagger: Object, components: Object<string, Object>}|false} -
- *   An object containing:
- *   - `swagger`: The converted Swagger/OpenAPI schema.
- *   - `components`: The new or updated Swagger components.
- *   Returns `false` if the schema is marked as `forbidden`.
- * @throws {Error} If no schema is provided or if schema override rules are violated.
- * @throws {TypeError} If the provided schema is not a valid Joi schema or if it has an unrecognized type.
+ * @param {object} existingComponents - Existing Swagger components.
+ * @param {object} newComponentsByRef - Newly added components by reference.
+ * @param {object} options - Conversion options, see `parse`.
+ * @returns {{ target: string, components: object, convert: Function }} The
+ *   OpenAPI target, the components gathered so far, and `convert(joiSchema)`
+ *   to convert nested schemas (their components are collected automatically).
  */
-function parse(
-  schema,
-  existingComponents = {},
-  isSchemaOverride = false
-) {
-  if (!schema) {
-    throw new Error('No schema was passed.')
+function converterContext(existingComponents, newComponentsByRef, options) {
+  return {
+    target: options.target,
+    components: newComponentsByRef,
+    convert: (joiSchema) => {
+      const { swagger, components } = parse(
+        joiSchema,
+        merge({}, existingComponents || {}, newComponentsByRef || {}),
+        false,
+        options
+      );
+      merge(newComponentsByRef, components || {});
+      return swagger
+    },
   }
+}
 
-  if (isPlainObject(schema)) {
-    schema = _object().keys(schema);
+/**
+ * Merges the output of the rule converters registered for the schema's type.
+ *
+ * @param {object} swagger - The converted schema, updated in place.
+ * @param {Joi.Schema} schema - The Joi schema.
+ * @param {object} existingComponents - Existing Swagger components.
+ * @param {object} newComponentsByRef - Newly added components by reference.
+ * @param {object} options - Conversion options, see `parse`.
+ */
+function applyRuleConverters(
+  swagger,
+  schema,
+  existingComponents,
+  newComponentsByRef,
+  options
+) {
+  const converters = ruleConverters.get(schema.type);
+  if (!converters) {
+    return
+  }
+
+  for (const rule of schema._rules) {
+    const convertRule = converters.get(rule.name);
+    if (convertRule) {
+      Object.assign(
+        swagger,
+        convertRule(
+          rule.args || {},
+          schema,
+          converterContext(existingComponents, newComponentsByRef, options)
+        )
+      );
+    }
+  }
+}
+
+/**
+ * Registers the converter of a custom Joi type, such as one added with
+ * `Joi.extend()`. A converter registered for a built-in type replaces the
+ * default conversion.
+ *
+ * @example
+ * registerType('objectId', (schema, { target }) => ({
+ *   type: 'string',
+ *   pattern: '^[a-f0-9]{24}$',
+ * }))
+ *
+ * @param {string} name - The Joi type name (`schema.type`).
+ * @param {(schema: Joi.Schema, context: object) => object} converter -
+ *   Returns the Swagger schema. `context` holds the OpenAPI `target`, the
+ *   `components` gathered so far and a `convert(joiSchema)` helper for
+ *   nested schemas.
+ * @throws {TypeError} If the name or the converter is invalid.
+ */
+function registerType(name, converter) {
+  assertConverter(name, converter);
+  typeConverters.set(name, converter);
+}
+
+/**
+ * Registers the converter of a Joi rule. Its result is merged into the
+ * converted schema, after the type's own conversion.
+ *
+ * @example
+ * registerRule('money', 'currency', ({ code }) => ({ 'x-currency': code }))
+ *
+ * @param {string} type - The Joi type name the rule belongs to.
+ * @param {string} ruleName - The rule name, as listed in `schema._rules`.
+ * @param {(args: object, schema: Joi.Schema, context: object) => object} converter -
+ *   Returns the keywords to add. `context` is the one given to type converters.
+ * @throws {TypeError} If a name or the converter is invalid.
+ */
+function registerRule(type, ruleName, converter) {
+  assertConverter(type, converter);
+  assertConverter(ruleName, converter);
+  if (!ruleConverters.has(type)) {
+    ruleConverters.set(type, new Map());
+  }
+  ruleConverters.get(type).set(ruleName, converter);
+}
+
+function assertConverter(name, converter) {
+  if (!isString(name) || !name) {
+    throw new TypeError('Converters must be registered under a non-empty name.')
+  }
+  if (typeof converter !== 'function') {
+    throw new TypeError(
+      `The converter registered for "${name}" must be a function.`
+    )
+  }
+}
+
+/**
+ * Parses a Joi schema into Swagger/OpenAPI schema definitions.
+ *
+ * @param {Joi.Schema|object} schema - The Joi schema or a plain object to be converted to a Joi object schema.
+ * @param {Object<string, Object>} [existingComponents={}] - Existing Swagger components (schemas, parameters, etc.) that may be referenced by the parsed schema.
+ * @param {boolean} [isSchemaOverride=false] - Indicates whether the current schema is being overridden by another schema (to prevent nested overrides).
+ * @param {Object} [options={}] - Conversion options.
+ * @param {'3.0'|'3.1'} [options.target='3.0'] - The OpenAPI version to emit. '3.1' emits JSON Schema 2020-12
+ *   idioms: `type: [..., 'null']` instead of `nullable`, `examples` arrays, `const`, and content keywords for binaries.
+ *
+ * Recursive and shared schemas written with `Joi.link()`, `.id()` and `.shared()` are emitted as
+ * `#/components/schemas/<label or id>` entries in `components`, referenced with `$ref`.
+ * @returns {{swagger: Object, components: Object<string, Object>}|false} -
+ *   An object containing:
+ *   - `swagger`: The converted Swagger/OpenAPI schema.
+ *   - `components`: The new or updated Swagger components.
+ *   Returns `false` if the schema is marked as `forbidden`.
+ * @throws {Error} If no schema is provided or if schema override rules are violated.
+ * @throws {TypeError} If the provided schema is not a valid Joi schema, if it has an unrecognized type,
+ *   or if the target is not supported.
+ */
+function parse(
+  schema,
+  existingComponents = {},
+  isSchemaOverride = false,
+  options = {}
+) {
+  if (!schema) {
+    throw new Error('No schema was passed.')
+  }
+
+  options = { target: '3.0', ...options };
+  if (!targets.includes(options.target)) {
+    throw new TypeError(
+      `Unsupported OpenAPI target "${options.target}". Use one of: ${targets.join(', ')}.`
+    )
+  }
+
+  // Private state shared by one conversion, used to resolve Joi.link()
+  if (!options.links) {
+    options.links = {
+      ancestors: [], // Schemas being converted, outermost first
+      linked: new Set(), // Schemas targeted by a link, emitted as components
+    };
+  }
+
+  if (isPlainObject$2(schema)) {
+    schema = _object().keys(schema);
   }
 
   if (!isSchema(schema)) {
@@ -786,7 +2639,7 @@ function parse(
         'Cannot override the schema for one which is being used in another override (no nested schema overrides).'
       )
     }
-    return parse(schemaOverride, existingComponents, true)
+    return parse(schemaOverride, existingComponents, true, options)
   }
 
   const components = {};
@@ -809,48 +2662,92 @@ function parse(
 
   // if the schema has a definition class name, and that
   // definition is already defined, just use that definition
-  if (metaDefName && get(existingComponents, [metaDefType, metaDefName])) {
+  if (metaDefName && get$1(existingComponents, [metaDefType, metaDefName])) {
     return { swagger: refDef(metaDefType, metaDefName), components }
   }
 
-  if (get(schema, '_flags.presence') === 'forbidden') {
+  if (get$1(schema, '_flags.presence') === 'forbidden') {
     return false
   }
 
   const type = meta(schema, 'baseType') || schema.type;
 
-  if (!parseAsType[type]) {
-    throw new TypeError(`${type} is not a recognized Joi type.`)
+  if (!typeConverters.has(type) && !parseAsType[type]) {
+    throw new TypeError(
+      `${type} is not a recognized Joi type. Use registerType() to document custom types.`
+    )
   }
 
-  const swagger = parseAsType[type](schema, existingComponents, components);
-  if (get(schema, '$_terms.whens')) {
-    Object.assign(swagger, parseWhens(schema, existingComponents, components));
+  options.links.ancestors.push(schema);
+  let swagger;
+  if (flattenMeta.swaggerType === 'file') {
+    swagger = getFileSchema(options);
+  } else {
+    swagger = typeConverters.has(type)
+      ? typeConverters.get(type)(
+          schema,
+          converterContext(existingComponents, components, options)
+        )
+      : parseAsType[type](schema, existingComponents, components, options);
+    applyRuleConverters(
+      swagger,
+      schema,
+      existingComponents,
+      components,
+      options
+    );
+    if (get$1(schema, '$_terms.whens')) {
+      const whens = parseWhens(schema, existingComponents, components, options);
+      // A discriminated union replaces the base schema, which every variant
+      // already includes
+      if (whens.discriminator) {
+        swagger = whens;
+      } else {
+        addConstraint(swagger, whens);
+      }
+    }
   }
+  options.links.ancestors.pop();
 
   if (schema._valids && schema._valids.has(null)) {
-    swagger.nullable = true;
+    if (options.target === '3.1') {
+      makeNullable(swagger);
+    } else {
+      swagger.nullable = true;
+    }
   }
 
-  const description = get(schema, '_flags.description');
+  const description = get$1(schema, '_flags.description');
   if (description) {
     swagger.description = description;
   }
 
+  // External rules (checked by `validateRequest` in async mode) are listed by
+  // their descriptions, or flagged when they have none
+  const externals = schema.$_terms.externals || [];
+  if (externals.length) {
+    const descriptions = externals
+      .map((external) => external.description)
+      .filter(Boolean);
+    swagger['x-external-validation'] = descriptions.length ? descriptions : true;
+  }
+
   if (schema.$_terms.examples) {
-    if (schema.$_terms.examples.length === 1) {
+    if (options.target === '3.1') {
+      swagger.examples = schema.$_terms.examples;
+    } else if (schema.$_terms.examples.length === 1) {
       swagger.example = schema.$_terms.examples[0];
     } else {
       swagger.examples = schema.$_terms.examples;
     }
   }
 
-  const label = get(schema, '_flags.label');
+  const label = get$1(schema, '_flags.label');
   if (label) {
     swagger.title = label;
   }
 
-  const defaultValue = get(schema, '_flags.default');
+  const defaultValue = get$1(schema, '_flags.default');
   if (
     (defaultValue || typeof defaultValue === 'boolean') &&
     typeof defaultValue !== 'function'
@@ -862,9 +2759,56 @@ function parse(
     Object.assign(swagger, override);
   }
 
+  // Schemas targeted by Joi.link() become named components. The outermost
+  // schema stays inline as well, so callers still get its full definition.
+  if (options.links.linked.has(schema) && !metaDefName) {
+    const name = linkedComponentName(schema);
+    set(components, ['schemas', name], { ...swagger });
+    if (options.links.ancestors.length) {
+      return { swagger: refDef('schemas', name), components }
+    }
+  }
+
   return getReturnValue(swagger)
 }
 
+// Request containers that `validateRequest` validates
+const validatedContainers = [
+  'headers',
+  'query',
+  'params',
+  'cookies',
+  'signedCookies',
+  'body',
+];
+
+// Groups of `parameters()` entries, by the location of their parameters
+const parameterGroups = {
+  headers: 'header',
+  query: 'query',
+  path: 'path',
+  cookie: 'cookie',
+};
+
+// Route containers, by the location of the parameters they validate, in the
+// order their parameters are listed
+const containerLocations = {
+  params: 'path',
+  headers: 'header',
+  query: 'query',
+  cookies: 'cookie',
+  signedCookies: 'cookie',
+};
+
+// Locations whose parameters routes reference as components; path
+// parameters and cookies are emitted inline
+const referencedLocations = ['header', 'query'];
+
+// Identifies a parameter by location and name. Header names are compared
+// case-insensitively, since Express lowercases them.
+const locationKey = (location, name) =>
+  `${location}:${location === 'header' ? name.toLowerCase() : name}`;
+
 /**
  * @typedef {import('./route-schema').default} RouteSchema
  * Represents a RouteSchema class, including its static properties and methods.
@@ -879,19 +2823,24 @@ function parse(
 /**
  * Primary entry point: convert a Joi-based RouteSchema class to Swagger documentation.
  * @param {RouteSchema} schemaClass - The schema class with paths, components, and tags.
+ * @param {Object} [options={}] - Generation options.
+ * @param {string} [options.errorFormat='default'] - Set to 'problem' to document the
+ *   `application/problem+json` responses sent by `validateRequest` in that format.
+ * @param {'3.0'|'3.1'} [options.target='3.0'] - The OpenAPI version of the generated schemas.
  * @returns {Object} The generated Swagger documentation.
  */
-function schemaToSwagger(schemaClass) {
+function schemaToSwagger(schemaClass, options = {}) {
   // 1) Build all "components" (schemas + parameters)
   const { swaggerComponents, schemaMap, convertedSchemasMap } =
-    buildSwaggerComponents(schemaClass);
+    buildSwaggerComponents(schemaClass, options);
 
   // 2) Build the "paths" section
   const swaggerPaths = buildSwaggerPaths(
     schemaClass,
     swaggerComponents,
     schemaMap,
-    convertedSchemasMap
+    convertedSchemasMap,
+    options
   );
 
   // Finally, return the fully assembled definition
@@ -910,12 +2859,13 @@ function schemaToSwagger(schemaClass) {
  * can reuse them (preventing duplicates).
  *
  * @param {RouteSchema} schemaClass - The schema class with paths, components, and tags.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  * @returns {Object} The Swagger components and supporting maps.
  * @returns {SwaggerComponents} return.swaggerComponents - The built components.
  * @returns {Map} return.schemaMap - Maps Joi object -> assigned schema name.
  * @returns {Map} return.convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
  */
-function buildSwaggerComponents(schemaClass) {
+function buildSwaggerComponents(schemaClass, options) {
   const components = schemaClass.components();
   const swaggerComponents = {
     schemas: {},
@@ -929,40 +2879,61 @@ function buildSwaggerComponents(schemaClass) {
   // 1. Convert top-level schemas
   Object.keys(components.schemas).forEach((key) => {
     const joiSchema = components.schemas[key];
-    const convertedSchema = parse(joiSchema).swagger;
+    const { swagger: convertedSchema, components: linkedComponents } = parse(
+      joiSchema,
+      {},
+      false,
+      options
+    );
 
     // Store directly under that key
     swaggerComponents.schemas[key] = convertedSchema;
+    addLinkedSchemas(swaggerComponents.schemas, linkedComponents);
 
     // Cache the association
     schemaMap.set(joiSchema, key);
     convertedSchemasMap.set(JSON.stringify(convertedSchema), key);
   });
-  Object.keys(components.parameters).forEach((refName) => {
-    const parameter = components.parameters[refName];
-    if (parameter && typeof parameter.describe === 'function') {
-      const swaggerParam = parse(parameter).swagger;
-      const [paramName] = Object.keys(swaggerParam.properties || {});
-      if (!paramName) {
-        return
-      }
 
-      const paramDef = { ...swaggerParam.properties[paramName] };
-      const isRequired = swaggerParam.required?.includes(paramName) || false;
+  // 2. Convert parameters, in the location they are declared in or used in
+  const entries = listParameterEntries(components.parameters);
+  const usage = collectParameterUsage(schemaClass);
+  const declared = new Set(
+    entries
+      .filter(({ location }) => location)
+      .map(({ schema, location }) =>
+        locationKey(location, parameterKey(schema))
+      )
+  );
+  entries.forEach(({ refName, schema: parameter, location }) => {
+    const swaggerParam = parse(parameter, {}, false, options).swagger;
+    const [paramName] = Object.keys(swaggerParam.properties || {});
+    if (!paramName) {
+      return
+    }
+
+    const paramDef = { ...swaggerParam.properties[paramName] };
+    const isRequired = swaggerParam.required?.includes(paramName) || false;
 
-      const paramIn = paramName.startsWith('x-') ? 'header' : 'query';
+    const paramIn = resolveParameterLocation(
+      refName,
+      parameter,
+      location,
+      usage,
+      declared
+    );
 
-      const paramDescription = paramDef.description || '';
-      delete paramDef.description;
+    const paramDescription = paramDef.description || '';
+    delete paramDef.description;
 
-      swaggerComponents.parameters[refName] = {
-        name: paramName,
-        in: paramIn,
-        required: isRequired,
-        schema: paramDef,
-        description: paramDescription,
-      };
-    }
+    swaggerComponents.parameters[refName] = {
+      name: paramName,
+      in: paramIn,
+      // Path parameters are always required
+      required: paramIn === 'path' || isRequired,
+      schema: paramDef,
+      description: paramDescription,
+    };
   });
 
   // Return the components plus the "maps" so they can be reused for the path building
@@ -974,99 +2945,314 @@ function buildSwaggerComponents(schemaClass) {
 }
 
 /**
- * Build the 'paths' object from the route definitions in schemaClass._paths.
+ * Flatten the entries of `parameters()`, which may be grouped by location
+ * under `headers`, `query`, `path` and `cookie` keys, and read the location
+ * each entry declares: its group, or `.meta({ in })`.
+ *
+ * @param {Object} [parameters={}] - The parameters returned by `parameters()`.
+ * @throws {Error} If an entry declares an unknown location, a location other
+ *   than its group's, or a name already used by another entry.
+ * @returns {Array<Object>} The entries, with their `refName`, Joi `schema` and
+ *   declared `location` (undefined when not declared).
+ */
+function listParameterEntries(parameters = {}) {
+  const entries = [];
+  Object.entries(parameters).forEach(([key, value]) => {
+    const isGroup =
+      Object.hasOwn(parameterGroups, key) &&
+      value &&
+      typeof value.describe !== 'function';
+    const group = isGroup ? Object.entries(value) : [[key, value]];
+
+    group.forEach(([refName, schema]) => {
+      if (!schema || typeof schema.describe !== 'function') {
+        return
+      }
+      if (entries.some((entry) => entry.refName === refName)) {
+        throw new Error(
+          `Parameter "${refName}" is declared more than once in parameters().`
+        )
+      }
+
+      const groupLocation = isGroup ? parameterGroups[key] : undefined;
+      const metaLocation = Object.assign({}, ...schema.$_terms.metas).in;
+      if (
+        metaLocation !== undefined &&
+        !Object.values(parameterGroups).includes(metaLocation)
+      ) {
+        throw new Error(
+          `Parameter "${refName}" has an invalid location "${metaLocation}": use header, query, path or cookie.`
+        )
+      }
+      if (groupLocation && metaLocation && groupLocation !== metaLocation) {
+        throw new Error(
+          `Parameter "${refName}" is grouped under "${key}" but declares the ${metaLocation} location.`
+        )
+      }
+
+      entries.push({ refName, schema, location: groupLocation || metaLocation });
+    });
+  });
+  return entries
+}
+
+/**
+ * The Joi schema of the first key of a parameter.
+ *
+ * @param {Joi.ObjectSchema} parameter - A `parameters()` entry.
+ * @returns {Joi.Schema|undefined} The key's schema.
+ */
+function parameterKeySchema(parameter) {
+  return parameter.$_terms.keys?.[0]?.schema
+}
+
+/**
+ * The name of the first key of a parameter.
+ *
+ * @param {Joi.ObjectSchema} parameter - A `parameters()` entry.
+ * @returns {string|undefined} The key's name.
+ */
+function parameterKey(parameter) {
+  return parameter.$_terms.keys?.[0]?.key
+}
+
+/**
+ * Record where the routes of a schema class use each key: in their `headers`,
+ * `query`, `params`, `cookies` or `signedCookies`.
+ *
+ * @param {RouteSchema} schemaClass - The schema class with its routes.
+ * @returns {Map<string, Object[]>} Maps a 'location:name' key (see
+ *   `locationKey`) to its uses, each with the route (e.g. 'GET /orders') and
+ *   the key's Joi schema.
+ */
+function collectParameterUsage(schemaClass) {
+  const usage = new Map();
+  Object.values(schemaClass._routes || {}).forEach((route) => {
+    const routeName = `${route.method.toUpperCase()} ${route.path}`;
+    Object.entries(containerLocations).forEach(([container, location]) => {
+      const keys = route[container]?.$_terms?.keys || [];
+      keys.forEach(({ key, schema }) => {
+        const usageKey = locationKey(location, key);
+        usage.set(usageKey, [
+          ...(usage.get(usageKey) || []),
+          { routeName, schema },
+        ]);
+      });
+    });
+  });
+  return usage
+}
+
+// Describes the routes using a parameter in a location, for error messages
+const describeUse = ([used, uses]) =>
+  `in ${used} by ${[...new Set(uses.map(({ routeName }) => routeName))].join(', ')}`;
+
+/**
+ * Narrow the locations a parameter is used in to the one using its own key
+ * schema, when several locations use a key with its name.
+ *
+ * @param {Array} usedIn - `[location, uses]` pairs.
+ * @param {Joi.Schema} keySchema - The parameter's key schema.
+ * @returns {Array} The pairs, narrowed when exactly one uses the key schema.
+ */
+function preferSameSchema(usedIn, keySchema) {
+  const same = usedIn.filter(([, uses]) =>
+    uses.some(({ schema }) => schema === keySchema)
+  );
+  return usedIn.length > 1 && same.length === 1 ? same : usedIn
+}
+
+/**
+ * Decide the location of a parameter component. A declared location wins;
+ * otherwise it is the location routes use a key with the parameter's name in
+ * (headers and query first, since routes reference their components), and
+ * finally `header` for names starting with `x-` and `query` for the others.
+ * When several locations use the name, the one using the parameter's own Joi
+ * schema is picked.
+ *
+ * @param {string} refName - The parameter's name in `parameters()`.
+ * @param {Joi.ObjectSchema} parameter - The `parameters()` entry.
+ * @param {string} [location] - The declared location, if any.
+ * @param {Map} usage - The key usage from `collectParameterUsage`.
+ * @param {Set<string>} declared - The 'location:name' pairs declared explicitly.
+ * @throws {Error} If routes use the parameter's name in headers or query other
+ *   than its declared location, or in several locations.
+ * @returns {'header'|'query'|'path'|'cookie'} The parameter location.
+ */
+function resolveParameterLocation(
+  refName,
+  parameter,
+  location,
+  usage,
+  declared
+) {
+  const name = parameterKey(parameter);
+  // Uses covered by another entry declaring the same name there do not count
+  const usedIn = [...new Set(Object.values(containerLocations))]
+    .map((used) => [used, usage.get(locationKey(used, name))])
+    .filter(
+      ([used, uses]) =>
+        uses && (used === location || !declared.has(locationKey(used, name)))
+    );
+  const referenced = usedIn.filter(([used]) =>
+    referencedLocations.includes(used)
+  );
+
+  if (location) {
+    const conflicts = referenced.filter(([used]) => used !== location);
+    if (conflicts.length) {
+      throw new Error(
+        `Parameter "${refName}" is declared in ${location}, but "${name}" is used ${conflicts.map(describeUse).join('; ')}.`
+      )
+    }
+    return location
+  }
+
+  const inferred = preferSameSchema(
+    referenced.length ? referenced : usedIn,
+    parameterKeySchema(parameter)
+  );
+  if (inferred.length > 1) {
+    throw new Error(
+      `Parameter "${refName}" is used in conflicting locations: ${inferred.map(describeUse).join('; ')}. Declare its location with .meta({ in }) or split it into one parameter per location.`
+    )
+  }
+  if (inferred.length === 1) {
+    return inferred[0][0]
+  }
+  return name.startsWith('x-') ? 'header' : 'query'
+}
+
+/**
+ * Build the 'paths' object from the route definitions in schemaClass._paths,
+ * emitting every method declared for each path.
  * Reuses schema and conversion maps from `buildSwaggerComponents`.
  *
  * @param {RouteSchema} schemaClass - The schema class with paths, components, and tags.
  * @param {SwaggerComponents} swaggerComponents - The built Swagger components.
  * @param {Map} schemaMap - Maps Joi object -> assigned schema name.
  * @param {Map} convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  * @returns {Object} The Swagger paths object.
  */
 function buildSwaggerPaths(
   schemaClass,
   swaggerComponents,
   schemaMap,
-  convertedSchemasMap
+  convertedSchemasMap,
+  options
 ) {
   const swaggerPaths = {};
   const paths = schemaClass._paths;
 
-  // Build a quick paramName->refName map from the existing swaggerComponents:
+  // Build a quick 'location:paramName'->refName map from the existing swaggerComponents:
   const paramNameToRefName = {};
   Object.entries(swaggerComponents.parameters).forEach(
     ([refName, paramObj]) => {
-      paramNameToRefName[paramObj.name] = refName; // Map param names to their references
+      paramNameToRefName[locationKey(paramObj.in, paramObj.name)] = refName; // Map param names to their references
     }
   );
 
   Object.keys(paths).forEach((path) => {
     const routeDef = paths[path];
-    const [methodKey] = Object.keys(routeDef);
-    const methodConfig = routeDef[methodKey];
+    swaggerPaths[path] = {};
 
-    if (!methodConfig || !methodConfig.method) {
-      return
-    }
+    Object.entries(routeDef).forEach(([methodKey, methodConfig]) => {
+      if (!methodConfig || !methodConfig.method) {
+        return
+      }
 
-    const parameters = collectParameters(methodConfig, paramNameToRefName);
-    const requestBody = buildRequestBody(
-      methodConfig.body,
-      swaggerComponents,
-      schemaMap,
-      convertedSchemasMap
-    );
-    const responses = buildResponses(
-      methodConfig.responses,
-      swaggerComponents,
-      schemaMap,
-      convertedSchemasMap
-    );
+      const parameters = collectParameters(
+        methodConfig,
+        paramNameToRefName,
+        options
+      );
+      const requestBody = buildRequestBody(
+        methodConfig.body,
+        swaggerComponents,
+        schemaMap,
+        convertedSchemasMap,
+        options
+      );
+      const responses = buildResponses(
+        methodConfig.responses,
+        swaggerComponents,
+        schemaMap,
+        convertedSchemasMap,
+        options
+      );
+
+      if (options.errorFormat === 'problem') {
+        addProblemResponses(
+          methodConfig,
+          responses,
+          swaggerComponents,
+          schemaMap,
+          convertedSchemasMap,
+          options
+        );
+      }
 
-    swaggerPaths[path] = {
-      [methodKey]: {
+      swaggerPaths[path][methodKey] = {
         tags: methodConfig.tags || [],
         summary: methodConfig.summary || '',
         parameters,
         ...(requestBody && { requestBody }),
         responses,
-      },
-    };
+      };
+    });
   });
 
   return swaggerPaths
 }
 
 /**
- * Collect parameters from headers and query in method configuration.
+ * Collect parameters from path params, headers, query and cookies in method configuration.
+ * Headers and query parameters reference their component when one is registered for their
+ * location, and are emitted inline otherwise. Path parameters are always emitted inline,
+ * since their names are bound to the route's path, and so are cookies.
  *
  * @param {Object} methodConfig - The route method configuration.
- * @param {Object} paramNameToRefName - Map of parameter names to reference names.
- * @returns {Array<Object>} Array of parameter references for Swagger.
+ * @param {Object} paramNameToRefName - Map of 'location:name' pairs to reference names.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
+ * @returns {Array<Object>} Array of parameter objects and references for Swagger.
  */
-function collectParameters(methodConfig, paramNameToRefName) {
+function collectParameters(methodConfig, paramNameToRefName, options) {
   const parameters = [];
 
-  // HEADERS
-  if (
-    methodConfig.headers &&
-    typeof methodConfig.headers.describe === 'function'
-  ) {
-    const headerKeys = Object.keys(methodConfig.headers.describe().keys || {});
-    headerKeys.forEach((k) => {
-      const refName = paramNameToRefName[k] || k;
-      parameters.push({ $ref: `#/components/parameters/${refName}` });
-    });
-  }
+  Object.entries(containerLocations).forEach(([container, location]) => {
+    const containerSchema = methodConfig[container];
+    if (!containerSchema || typeof containerSchema.describe !== 'function') {
+      return
+    }
+    const swaggerParams = parse(containerSchema, {}, false, options).swagger;
+    Object.entries(swaggerParams.properties || {}).forEach(
+      ([name, paramDef]) => {
+        // Only reference components that exist, in this location
+        const refName =
+          referencedLocations.includes(location) &&
+          paramNameToRefName[locationKey(location, name)];
+        if (refName) {
+          parameters.push({ $ref: `#/components/parameters/${refName}` });
+          return
+        }
 
-  // QUERY
-  if (methodConfig.query && typeof methodConfig.query.describe === 'function') {
-    const queryKeys = Object.keys(methodConfig.query.describe().keys || {});
-    queryKeys.forEach((k) => {
-      const refName = paramNameToRefName[k] || k;
-      parameters.push({ $ref: `#/components/parameters/${refName}` });
-    });
-  }
+        const { description, ...schema } = paramDef;
+        parameters.push({
+          name,
+          in: location,
+          required:
+            location === 'path' ||
+            swaggerParams.required?.includes(name) ||
+            false,
+          schema,
+          ...(description && { description }),
+          // Signed cookies are flagged
+          ...(container === 'signedCookies' && { 'x-signed': true }),
+        });
+      }
+    );
+  });
 
   return parameters
 }
@@ -1078,13 +3264,15 @@ function collectParameters(methodConfig, paramNameToRefName) {
  * @param {SwaggerComponents} swaggerComponents - The built Swagger components.
  * @param {Map} schemaMap - Maps Joi object -> assigned schema name.
  * @param {Map} convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  * @returns {Object|null} The requestBody object or null if not applicable.
  */
 function buildRequestBody(
   bodyConfig,
   swaggerComponents,
   schemaMap,
-  convertedSchemasMap
+  convertedSchemasMap,
+  options
 ) {
   if (!bodyConfig || !bodyConfig.content) {
     return null
@@ -1097,12 +3285,28 @@ function buildRequestBody(
       joiSchema,
       swaggerComponents.schemas,
       schemaMap,
-      convertedSchemasMap
+      convertedSchemasMap,
+      options
     );
 
     content[mimeType] = {
       schema: { $ref: `#/components/schemas/${schemaName}` },
     };
+
+    // Multipart bodies list the MIME types each file field accepts
+    const encoding = mimeType.startsWith('multipart/')
+      ? Object.fromEntries(
+          fileFields(joiSchema)
+            .filter(({ mimetypes }) => mimetypes.length)
+            .map(({ name, mimetypes }) => [
+              name,
+              { contentType: mimetypes.join(', ') },
+            ])
+        )
+      : {};
+    if (Object.keys(encoding).length) {
+      content[mimeType].encoding = encoding;
+    }
   });
 
   return {
@@ -1119,13 +3323,15 @@ function buildRequestBody(
  * @param {SwaggerComponents} swaggerComponents - The built Swagger components.
  * @param {Map} schemaMap - Maps Joi object -> assigned schema name.
  * @param {Map} convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  * @returns {Object} The responses object for Swagger.
  */
 function buildResponses(
   responsesConfig,
   swaggerComponents,
   schemaMap,
-  convertedSchemasMap
+  convertedSchemasMap,
+  options
 ) {
   const responses = {};
   if (!responsesConfig) {
@@ -1143,7 +3349,8 @@ function buildResponses(
           joiSchema,
           swaggerComponents.schemas,
           schemaMap,
-          convertedSchemasMap
+          convertedSchemasMap,
+          options
         );
 
         builtContent[mimeType] = {
@@ -1167,60 +3374,214 @@ function buildResponses(
 }
 
 /**
- * Helper function to get the schema name from a Joi object.
- * If the schema is already defined in the swaggerComponents, it will reuse it.
- * Otherwise, it will add it to the swaggerComponents and return the name.
- * @param {Joi.ObjectSchema} joiSchema
- * @param {Object} schemasObj - e.g. swaggerComponents.schemas
- * @param {Map<Joi.ObjectSchema, string>} schemaMap - Maps Joi object -> assigned schema name
- * @param {Map<string, string>} convertedSchemasMap - Maps JSON string of swagger schema -> schema name
- * @returns {string} The schema name.
+ * Document the problem details responses that `validateRequest` sends when
+ * configured with `errorFormat: 'problem'` (including the 503 of async
+ * validation that times out), and the 413 that `uploadFor` sends for files
+ * above their size limit. Responses declared by the route for the same status
+ * code take precedence.
+ *
+ * @param {Object} methodConfig - The route method configuration.
+ * @param {Object} responses - The responses object built for the route.
+ * @param {SwaggerComponents} swaggerComponents - The built Swagger components.
+ * @param {Map} schemaMap - Maps Joi object -> assigned schema name.
+ * @param {Map} convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  */
-function getSchemaNameFromObj(
-  joiSchema,
-  schemasObj, // e.g. swaggerComponents.schemas
-  schemaMap, // Map<JoiObject, schemaName>
-  convertedSchemasMap // Map<stringifiedSwaggerSchema, schemaName>
+function addProblemResponses(
+  methodConfig,
+  responses,
+  swaggerComponents,
+  schemaMap,
+  convertedSchemasMap,
+  options
 ) {
-  // Already mapped by exact object reference?
-  if (schemaMap.has(joiSchema)) {
-    return schemaMap.get(joiSchema)
+  const isValidated = validatedContainers.some(
+    (container) => methodConfig[container]
+  );
+  if (!isValidated) {
+    return
   }
 
-  // Convert with joi-to-swagger
-  const convertedSchema = parse(joiSchema).swagger;
-  const str = JSON.stringify(convertedSchema);
+  const schemaName = getSchemaNameFromObj(
+    ValidationProblemSchema,
+    swaggerComponents.schemas,
+    schemaMap,
+    convertedSchemasMap,
+    options
+  );
+  const content = {
+    [PROBLEM_CONTENT_TYPE]: {
+      schema: { $ref: `#/components/schemas/${schemaName}` },
+    },
+  };
 
-  // If we already have an identical shape
-  if (convertedSchemasMap.has(str)) {
-    const existingName = convertedSchemasMap.get(str);
-    // Link our current joi object to that name
-    schemaMap.set(joiSchema, existingName);
-    return existingName
+  if (!responses[422]) {
+    responses[422] = {
+      description: 'Unprocessable Entity - Request validation failed.',
+      content,
+    };
   }
 
-  // Attempt to use the label from `.label(...)`
-  const chosenName = convertedSchema.title; // might be undefined if no label
+  if (methodConfig.body?.content && !responses[415]) {
+    responses[415] = {
+      description: 'Unsupported Media Type - Request content type not allowed.',
+      content,
+    };
+  }
 
-  if (!chosenName) {
-    throw new Error(
-      'Encountered a Joi schema without a label. ' +
-        'Please add .label() to your joi object or define the schema in static schemas() for reuse.'
-    )
+  if (hasUploadSizeLimit(methodConfig.body) && !responses[413]) {
+    responses[413] = {
+      description:
+        'Payload Too Large - An uploaded file exceeds its size limit.',
+      content,
+    };
   }
 
-  // If the label is already used in 'schemasObj'
-  if (chosenName && schemasObj[chosenName]) {
-    // We have to check if the shape is truly the same
-    const existingSchema = schemasObj[chosenName];
-    const existingStr = JSON.stringify(existingSchema);
+  if (hasExternalRules(methodConfig) && !responses[503]) {
+    responses[503] = {
+      description: 'Service Unavailable - Request validation timed out.',
+      content,
+    };
+  }
+}
 
-    if (existingStr === str) {
-      // Exactly the same shape => reuse
-      schemaMap.set(joiSchema, chosenName);
-      convertedSchemasMap.set(str, chosenName);
-      return chosenName
-    } else {
+// Whether a Joi description, or any schema nested in it, has external rules
+const describesExternals = (description) => {
+  if (Array.isArray(description)) {
+    return description.some(describesExternals)
+  }
+  if (!description || typeof description !== 'object') {
+    return false
+  }
+  return (
+    Array.isArray(description.externals) ||
+    Object.values(description).some(describesExternals)
+  )
+};
+
+/**
+ * Tells whether a route validates a container with `.external()` rules, which
+ * `validateRequest` runs in async mode and fails with a 503 after `timeout`.
+ *
+ * @param {Object} methodConfig - The route method configuration.
+ * @returns {boolean} Whether a container schema has external rules.
+ */
+function hasExternalRules(methodConfig) {
+  const schemas = [
+    ...validatedContainers.map((container) => methodConfig[container]),
+    ...Object.values(methodConfig.body?.content || {}).map(
+      ({ schema }) => schema
+    ),
+  ];
+  return schemas.some(
+    (schema) => Joi.isSchema(schema) && describesExternals(schema.describe())
+  )
+}
+
+/**
+ * Tells whether `uploadFor` rejects files of a request body as too large: its
+ * `multipart/form-data` schema declares a size limit on a file field.
+ *
+ * @param {Object} [bodyConfig] - Configuration for the request body.
+ * @returns {boolean} Whether a file field has a size limit.
+ */
+function hasUploadSizeLimit(bodyConfig) {
+  const schema = bodyConfig?.content?.['multipart/form-data']?.schema;
+  if (!schema) {
+    return false
+  }
+  const fields = fileFields(schema);
+  const single = fields.length ? undefined : singleFileField(schema);
+  return [...fields, ...(single ? [single] : [])].some(
+    ({ maxSize }) => maxSize !== undefined
+  )
+}
+
+/**
+ * Add the named schemas produced while converting a Joi schema (such as the
+ * targets of `Joi.link()`) to the Swagger schemas. Existing entries with the
+ * same shape are kept.
+ *
+ * @param {Object} schemasObj - e.g. swaggerComponents.schemas
+ * @param {Object} [components={}] - The components returned by joi-to-swagger.
+ * @throws {Error} If a name is already used for a different schema shape.
+ */
+function addLinkedSchemas(schemasObj, components = {}) {
+  Object.entries(components.schemas || {}).forEach(([name, schema]) => {
+    if (!schemasObj[name]) {
+      schemasObj[name] = schema;
+      return
+    }
+    if (JSON.stringify(schemasObj[name]) !== JSON.stringify(schema)) {
+      throw new Error(
+        `Component schema "${name}" is used for two different schema shapes. Give the linked schemas distinct .id() or .label() names.`
+      )
+    }
+  });
+}
+
+/**
+ * Helper function to get the schema name from a Joi object.
+ * If the schema is already defined in the swaggerComponents, it will reuse it.
+ * Otherwise, it will add it to the swaggerComponents and return the name.
+ * @param {Joi.ObjectSchema} joiSchema
+ * @param {Object} schemasObj - e.g. swaggerComponents.schemas
+ * @param {Map<Joi.ObjectSchema, string>} schemaMap - Maps Joi object -> assigned schema name
+ * @param {Map<string, string>} convertedSchemasMap - Maps JSON string of swagger schema -> schema name
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
+ * @returns {string} The schema name.
+ */
+function getSchemaNameFromObj(
+  joiSchema,
+  schemasObj, // e.g. swaggerComponents.schemas
+  schemaMap, // Map<JoiObject, schemaName>
+  convertedSchemasMap, // Map<stringifiedSwaggerSchema, schemaName>
+  options
+) {
+  // Already mapped by exact object reference?
+  if (schemaMap.has(joiSchema)) {
+    return schemaMap.get(joiSchema)
+  }
+
+  // Convert with joi-to-swagger
+  const { swagger: convertedSchema, components: linkedComponents } = parse(
+    joiSchema,
+    {},
+    false,
+    options
+  );
+  const str = JSON.stringify(convertedSchema);
+
+  // If we already have an identical shape
+  if (convertedSchemasMap.has(str)) {
+    const existingName = convertedSchemasMap.get(str);
+    // Link our current joi object to that name
+    schemaMap.set(joiSchema, existingName);
+    return existingName
+  }
+
+  // Attempt to use the label from `.label(...)`
+  const chosenName = convertedSchema.title; // might be undefined if no label
+
+  if (!chosenName) {
+    throw new Error(
+      'Encountered a Joi schema without a label. ' +
+        'Please add .label() to your joi object or define the schema in static schemas() for reuse.'
+    )
+  }
+
+  // If the label is already used in 'schemasObj'
+  if (chosenName && schemasObj[chosenName]) {
+    // We have to check if the shape is truly the same
+    const existingSchema = schemasObj[chosenName];
+    const existingStr = JSON.stringify(existingSchema);
+
+    if (existingStr === str) {
+      // Exactly the same shape => reuse
+      schemaMap.set(joiSchema, chosenName);
+      convertedSchemasMap.set(str, chosenName);
+      return chosenName
+    } else {
       // Shapes differ => best practice is to raise an error
       // or rename automatically if you prefer.
       throw new Error(
@@ -1235,12 +3596,2464 @@ function getSchemaNameFromObj(
 
   // Register in swagger components
   schemasObj[chosenName] = convertedSchema;
+  addLinkedSchemas(schemasObj, linkedComponents);
   schemaMap.set(joiSchema, chosenName);
   convertedSchemasMap.set(str, chosenName);
 
   return chosenName
 }
 
+const { isEqual } = _;
+
+/**
+ * @typedef {import('./route-schema').default} RouteSchema
+ * Represents a RouteSchema class, including its static properties and methods.
+ */
+
+/**
+ * Adds named entries to a merged section of the document. Entries that are
+ * deeply equal across classes (such as a shared error schema) are merged,
+ * while different entries with the same name raise an error.
+ *
+ * @param {Object} target - The merged section, e.g. `components.schemas`.
+ * @param {Object} source - The section generated for one schema class.
+ * @param {Object<string, string>} owners - Maps entry name -> declaring class name.
+ * @param {string} className - The name of the class being merged.
+ * @param {string} kind - What the entries are, for error messages.
+ * @throws {Error} If an entry name is already used for a different definition.
+ */
+function mergeNamed(target, source, owners, className, kind) {
+  Object.entries(source || {}).forEach(([name, definition]) => {
+    if (target[name] && !isEqual(target[name], definition)) {
+      throw new Error(
+        `${kind} "${name}" is defined differently by ${owners[name]} and ${className}. ` +
+          'Rename one of them or make the definitions identical.'
+      )
+    }
+    if (!target[name]) {
+      target[name] = definition;
+      owners[name] = className;
+    }
+  });
+}
+
+/**
+ * Builds a complete OpenAPI 3.0 (or 3.1) document from several RouteSchema classes,
+ * merging their paths, tags and components.
+ *
+ * @param {RouteSchema[]} schemaClasses - The schema classes to document.
+ * @param {Object} options - Document options.
+ * @param {Object} options.info - The OpenAPI `info` object; `title` and `version` are required.
+ * @param {Array<Object>} [options.servers] - The OpenAPI `servers` list.
+ * @param {Array<Object>} [options.security] - Global security requirements.
+ * @param {Object} [options.securitySchemes] - Added to `components.securitySchemes`.
+ * @param {Object} [options.externalDocs] - The OpenAPI `externalDocs` object.
+ * @param {'3.0'|'3.1'} [options.target='3.0'] - The OpenAPI version to generate, passed to `schemaToSwagger`.
+ * @param {string} [options.openapi] - The OpenAPI version to declare. Defaults to
+ *   '3.0.3', or '3.1.0' for the 3.1 target.
+ * @param {string} [options.errorFormat] - Passed to `schemaToSwagger`.
+ * @throws {Error} If `info` is incomplete, or if paths, tags or components collide.
+ * @returns {Object} The OpenAPI document.
+ */
+function buildOpenApiDocument(schemaClasses, options = {}) {
+  const {
+    info,
+    servers,
+    security,
+    securitySchemes,
+    externalDocs,
+    openapi = options.target === '3.1' ? '3.1.0' : '3.0.3',
+    ...swaggerOptions
+  } = options;
+
+  if (!info || !info.title || !info.version) {
+    throw new Error(
+      'An OpenAPI document requires "info.title" and "info.version".'
+    )
+  }
+
+  const tags = {};
+  const paths = {};
+  const components = { schemas: {}, parameters: {} };
+  const owners = { tags: {}, paths: {}, schemas: {}, parameters: {} };
+
+  for (const schemaClass of [].concat(schemaClasses)) {
+    const className = schemaClass.name;
+    const { definition } = schemaToSwagger(schemaClass, swaggerOptions);
+
+    mergeNamed(
+      tags,
+      Object.fromEntries(definition.tags.map((tag) => [tag.name, tag])),
+      owners.tags,
+      className,
+      'Tag'
+    );
+
+    Object.entries(definition.paths).forEach(([path, operations]) => {
+      paths[path] = paths[path] || {};
+      Object.entries(operations).forEach(([method, operation]) => {
+        const routeKey = `${method.toUpperCase()} ${path}`;
+        if (paths[path][method]) {
+          throw new Error(
+            `Route ${routeKey} is declared by both ${owners.paths[routeKey]} and ${className}.`
+          )
+        }
+        paths[path][method] = operation;
+        owners.paths[routeKey] = className;
+      });
+    });
+
+    mergeNamed(
+      components.schemas,
+      definition.components.schemas,
+      owners.schemas,
+      className,
+      'Schema component'
+    );
+    mergeNamed(
+      components.parameters,
+      definition.components.parameters,
+      owners.parameters,
+      className,
+      'Parameter component'
+    );
+  }
+
+  if (securitySchemes) {
+    components.securitySchemes = securitySchemes;
+  }
+
+  return {
+    openapi,
+    info,
+    ...(externalDocs && { externalDocs }),
+    ...(servers && { servers }),
+    ...(security && { security }),
+    tags: Object.values(tags),
+    paths,
+    components,
+  }
+}
+
+const { isPlainObject: isPlainObject$1, mapValues } = _;
+
+// Field orders of the OpenAPI specification's objects
+const documentKeys = [
+  'openapi',
+  'info',
+  'jsonSchemaDialect',
+  'servers',
+  'paths',
+  'webhooks',
+  'components',
+  'security',
+  'tags',
+  'externalDocs',
+];
+const infoKeys = [
+  'title',
+  'summary',
+  'description',
+  'termsOfService',
+  'contact',
+  'license',
+  'version',
+];
+const httpMethods$1 = [
+  'get',
+  'put',
+  'post',
+  'delete',
+  'options',
+  'head',
+  'patch',
+  'trace',
+];
+const pathItemKeys = [
+  '$ref',
+  'summary',
+  'description',
+  ...httpMethods$1,
+  'servers',
+  'parameters',
+];
+const operationKeys = [
+  'tags',
+  'summary',
+  'description',
+  'externalDocs',
+  'operationId',
+  'parameters',
+  'requestBody',
+  'responses',
+  'callbacks',
+  'deprecated',
+  'security',
+  'servers',
+];
+const parameterKeys = [
+  '$ref',
+  'name',
+  'in',
+  'description',
+  'required',
+  'deprecated',
+  'allowEmptyValue',
+  'style',
+  'explode',
+  'allowReserved',
+  'schema',
+  'example',
+  'examples',
+  'content',
+];
+const requestBodyKeys = ['$ref', 'description', 'content', 'required'];
+const responseKeys = ['$ref', 'description', 'headers', 'content', 'links'];
+const mediaTypeKeys = ['schema', 'example', 'examples', 'encoding'];
+const componentKeys = [
+  'schemas',
+  'responses',
+  'parameters',
+  'examples',
+  'requestBodies',
+  'headers',
+  'securitySchemes',
+  'links',
+  'callbacks',
+  'pathItems',
+];
+const tagKeys = ['name', 'description', 'externalDocs'];
+// JSON Schema keywords: annotations, then validation by type, then composition
+const schemaKeys = [
+  '$ref',
+  '$id',
+  'title',
+  'description',
+  'type',
+  'format',
+  'enum',
+  'const',
+  'default',
+  'nullable',
+  'readOnly',
+  'writeOnly',
+  'deprecated',
+  'minimum',
+  'exclusiveMinimum',
+  'maximum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'contentMediaType',
+  'contentEncoding',
+  'prefixItems',
+  'items',
+  'contains',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'properties',
+  'patternProperties',
+  'additionalProperties',
+  'required',
+  'minProperties',
+  'maxProperties',
+  'dependentRequired',
+  'dependentSchemas',
+  'allOf',
+  'oneOf',
+  'anyOf',
+  'not',
+  'discriminator',
+  'example',
+  'examples',
+  'externalDocs',
+  'xml',
+];
+
+/**
+ * Copies an object with its keys in the given order. Other keys, such as
+ * `x-` extensions, follow in alphabetical order.
+ *
+ * @param {Object} object - The object to copy.
+ * @param {string[]} order - The known keys, in order.
+ * @param {Object<string, Function>} [transforms={}] - Functions sorting the
+ *   values of some keys.
+ * @returns {Object} The copy.
+ */
+function orderKeys(object, order, transforms = {}) {
+  if (!isPlainObject$1(object)) {
+    return object
+  }
+  const known = order.filter((key) => Object.hasOwn(object, key));
+  const others = Object.keys(object)
+    .filter((key) => !order.includes(key))
+    .sort();
+  return Object.fromEntries(
+    [...known, ...others].map((key) => [
+      key,
+      transforms[key] ? transforms[key](object[key]) : object[key],
+    ])
+  )
+}
+
+/**
+ * Copies a map with its keys sorted, and each value transformed.
+ *
+ * @param {Object} map - The map, such as `paths` or `components.schemas`.
+ * @param {Function} transform - Sorts each value.
+ * @param {Function} [compare] - Compares two keys; alphabetical by default.
+ * @returns {Object} The copy.
+ */
+function sortMap(map, transform, compare) {
+  if (!isPlainObject$1(map)) {
+    return map
+  }
+  return Object.fromEntries(
+    Object.keys(map)
+      .sort(compare)
+      .map((key) => [key, transform(map[key])])
+  )
+}
+
+const statusRank = (code) =>
+  code === 'default' ? 2 : /^\d+$/.test(code) ? 0 : 1;
+
+// Status codes in numeric order, then ranges such as 4XX, then `default`
+function compareStatusCodes(a, b) {
+  return statusRank(a) - statusRank(b) || a.localeCompare(b)
+}
+
+const mapList = (transform) => (list) =>
+  Array.isArray(list) ? list.map(transform) : list;
+
+const sortSection = (transform) => (section) => sortMap(section, transform);
+
+/**
+ * Sorts the keywords of a schema and of its subschemas. Property, enum and
+ * `required` orders are kept: they come from the Joi schema.
+ *
+ * @param {Object} schema - The schema.
+ * @returns {Object} The sorted copy.
+ */
+function sortSchema(schema) {
+  const schemaList = mapList(sortSchema);
+  const schemaMap = (map) =>
+    isPlainObject$1(map) ? mapValues(map, sortSchema) : map;
+  return orderKeys(schema, schemaKeys, {
+    prefixItems: schemaList,
+    items: sortSchema,
+    contains: sortSchema,
+    properties: schemaMap,
+    patternProperties: schemaMap,
+    additionalProperties: sortSchema,
+    dependentSchemas: schemaMap,
+    allOf: schemaList,
+    oneOf: schemaList,
+    anyOf: schemaList,
+    not: sortSchema,
+    discriminator: (discriminator) =>
+      orderKeys(discriminator, ['propertyName', 'mapping']),
+  })
+}
+
+function sortContent(content) {
+  return isPlainObject$1(content)
+    ? mapValues(content, (mediaType) =>
+        orderKeys(mediaType, mediaTypeKeys, { schema: sortSchema })
+      )
+    : content
+}
+
+function sortParameter(parameter) {
+  return orderKeys(parameter, parameterKeys, {
+    schema: sortSchema,
+    content: sortContent,
+  })
+}
+
+function sortRequestBody(requestBody) {
+  return orderKeys(requestBody, requestBodyKeys, { content: sortContent })
+}
+
+function sortResponse(response) {
+  return orderKeys(response, responseKeys, {
+    headers: (headers) => sortMap(headers, sortParameter),
+    content: sortContent,
+  })
+}
+
+function sortOperation(operation) {
+  return orderKeys(operation, operationKeys, {
+    parameters: mapList(sortParameter),
+    requestBody: sortRequestBody,
+    responses: (responses) =>
+      sortMap(responses, sortResponse, compareStatusCodes),
+  })
+}
+
+function sortPathItem(pathItem) {
+  return orderKeys(pathItem, pathItemKeys, {
+    ...Object.fromEntries(httpMethods$1.map((method) => [method, sortOperation])),
+    parameters: mapList(sortParameter),
+  })
+}
+
+function sortComponents(components) {
+  return orderKeys(components, componentKeys, {
+    ...Object.fromEntries(
+      componentKeys.map((key) => [key, sortSection((value) => value)])
+    ),
+    schemas: sortSection(sortSchema),
+    responses: sortSection(sortResponse),
+    parameters: sortSection(sortParameter),
+    requestBodies: sortSection(sortRequestBody),
+    headers: sortSection(sortParameter),
+    pathItems: sortSection(sortPathItem),
+  })
+}
+
+/**
+ * Copies an OpenAPI document in a stable order, so that regenerating it after
+ * a refactoring only changes what the refactoring changed: paths and
+ * components sorted alphabetically, methods and status codes in their
+ * canonical order, and the keys of every object in the specification's
+ * order. Tags, schema properties and list items keep their order.
+ *
+ * @param {Object} document - An OpenAPI 3.0 or 3.1 document.
+ * @returns {Object} The sorted copy.
+ */
+function sortOpenApiDocument(document) {
+  return orderKeys(document, documentKeys, {
+    info: (info) => orderKeys(info, infoKeys),
+    paths: (paths) => sortMap(paths, sortPathItem),
+    webhooks: (webhooks) => sortMap(webhooks, sortPathItem),
+    components: sortComponents,
+    tags: mapList((tag) => orderKeys(tag, tagKeys)),
+  })
+}
+
+// Plain scalars YAML would read as booleans, null, numbers or a merge key
+const yamlKeywords =
+  /^(true|false|null|yes|no|on|off|y|n|~|<<)$|^[-+]?(\.?\d|\.inf|\.nan)/i;
+
+/**
+ * Writes a string as a YAML scalar: plain when it cannot be read as anything
+ * else, single-quoted otherwise, and double-quoted (as JSON, which YAML
+ * reads) when it holds control characters.
+ *
+ * @param {string} string - The string.
+ * @returns {string} The YAML scalar.
+ */
+function yamlString(string) {
+  // eslint-disable-next-line no-control-regex
+  if (/[\u0000-\u001f\u007f]/.test(string)) {
+    return JSON.stringify(string)
+  }
+  const plain =
+    /^[^\s\-?:,[\]{}#&*!|>'"%@`]/.test(string) &&
+    !/: |:$| #|\s$/.test(string) &&
+    !yamlKeywords.test(string) &&
+    !/^\d/.test(string);
+  return plain ? string : `'${string.replaceAll("'", "''")}'`
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null'
+  }
+  if (typeof value === 'string') {
+    return yamlString(value)
+  }
+  return String(value)
+}
+
+function isCollection(value) {
+  return (
+    (Array.isArray(value) && value.length > 0) ||
+    (isPlainObject$1(value) && Object.keys(value).length > 0)
+  )
+}
+
+/**
+ * Writes a multiline string as a literal block, when its lines survive it.
+ *
+ * @param {string} string - The string.
+ * @param {string} indent - The indentation of the block's lines.
+ * @returns {string|undefined} The block, or `undefined` to quote the string.
+ */
+function yamlBlock(string, indent) {
+  const body = string.endsWith('\n') ? string.slice(0, -1) : string;
+  if (
+    !body.includes('\n') ||
+    // eslint-disable-next-line no-control-regex
+    /[\u0000-\u0009\u000b-\u001f\u007f]|^\n* |\n$/.test(body)
+  ) {
+    return undefined
+  }
+  const lines = body
+    .split('\n')
+    .map((line) => (line ? `${indent}${line}` : ''))
+    .join('\n');
+  return `${string.endsWith('\n') ? '|' : '|-'}\n${lines}`
+}
+
+function yamlLines(value, indent) {
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      if (isCollection(item)) {
+        // The first line of a nested collection follows the dash
+        const lines = yamlLines(item, `${indent}  `).join('\n');
+        return `${indent}- ${lines.slice(indent.length + 2)}`
+      }
+      return `${indent}- ${yamlValue(item, `${indent}  `)}`
+    })
+  }
+  return Object.entries(value).map(([key, item]) => {
+    const prefix = `${indent}${yamlString(key)}:`;
+    if (isCollection(item)) {
+      return `${prefix}\n${yamlLines(item, `${indent}  `).join('\n')}`
+    }
+    return `${prefix} ${yamlValue(item, `${indent}  `)}`
+  })
+}
+
+function yamlValue(value, indent) {
+  if (Array.isArray(value)) {
+    return value.length ? yamlLines(value, indent).join('\n') : '[]'
+  }
+  if (isPlainObject$1(value)) {
+    return Object.keys(value).length
+      ? yamlLines(value, indent).join('\n')
+      : '{}'
+  }
+  if (typeof value === 'string') {
+    return yamlBlock(value, indent) || yamlString(value)
+  }
+  return yamlScalar(value)
+}
+
+/**
+ * Writes a JSON value as YAML (block style, two-space indentation), without
+ * any dependency.
+ *
+ * @param {*} value - A JSON value, such as an OpenAPI document.
+ * @returns {string} The YAML text, ending with a newline.
+ */
+function toYaml(value) {
+  const text = isCollection(value)
+    ? yamlLines(value, '').join('\n')
+    : yamlValue(value, '');
+  return `${text}\n`
+}
+
+/**
+ * Serializes an OpenAPI document in a stable order (see `sortOpenApiDocument`)
+ * for files kept in version control.
+ *
+ * @param {Object} document - The OpenAPI document.
+ * @param {Object} [options={}] - Serialization options.
+ * @param {'json'|'yaml'} [options.format='json'] - The output format.
+ * @throws {Error} If the format is not supported.
+ * @returns {string} The serialized document, ending with a newline.
+ */
+function serializeOpenApiDocument(document, { format = 'json' } = {}) {
+  const sorted = sortOpenApiDocument(document);
+  if (format === 'yaml') {
+    return toYaml(sorted)
+  }
+  if (format === 'json') {
+    return `${JSON.stringify(sorted, null, 2)}\n`
+  }
+  throw new Error(`Unsupported format "${format}": use "json" or "yaml".`)
+}
+
+// Scaffolds RouteSchema classes from an OpenAPI 3.0/3.1 document: the reverse of joi-to-swagger.
+
+const { camelCase, get, isPlainObject, upperFirst } = _;
+
+const httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch'];
+
+// Keywords handled by the translation; any other keyword is kept through the
+// `swagger` meta, which joi-to-swagger merges back into the converted schema
+const translatedKeywords = new Set([
+  'type',
+  'format',
+  'nullable',
+  'enum',
+  'const',
+  'default',
+  'example',
+  'examples',
+  'description',
+  'title',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'items',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'properties',
+  'required',
+  'additionalProperties',
+  'minProperties',
+  'maxProperties',
+  'oneOf',
+  'anyOf',
+  'allOf',
+  'discriminator',
+  '$ref',
+]);
+
+// Joi string rules matching the OpenAPI formats emitted by joi-to-swagger
+const stringFormats = {
+  email: '.email()',
+  'date-time': '.isoDate()',
+  duration: '.isoDuration()',
+  uuid: '.uuid()',
+  uri: '.uri()',
+  'uri-reference': '.uri({ allowRelative: true })',
+  hostname: '.hostname()',
+  ipv4: ".ip({ version: ['ipv4'], cidr: 'forbidden' })",
+  ipv6: ".ip({ version: ['ipv6'], cidr: 'forbidden' })",
+  byte: '.base64()',
+  'credit-card': '.creditCard()',
+};
+
+const maxLineLength = 80;
+
+const escapes = {
+  '\\': '\\\\',
+  "'": "\\'",
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+};
+
+/**
+ * Marks generated source code, as opposed to values to be written as literals.
+ */
+class Code {
+  constructor(text) {
+    this.text = text;
+  }
+}
+
+/**
+ * Writes a value as JavaScript source, in the style of the repository
+ * (single quotes, trailing commas, two-space indentation).
+ *
+ * @param {*} value - A JSON value, or `Code`.
+ * @param {number} [level=0] - The indentation level of the value's first line.
+ * @returns {string} The source code.
+ */
+function toSource(value, level = 0) {
+  const pad = '  '.repeat(level + 1);
+
+  if (value instanceof Code) {
+    return value.text.replaceAll('\n', `\n${'  '.repeat(level)}`)
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/[\\'\n\r\t]/g, (char) => escapes[char])}'`
+  }
+  if (Array.isArray(value)) {
+    const items = value.map((item) => toSource(item, level + 1));
+    const inline = `[${items.join(', ')}]`;
+    if (!inline.includes('\n') && inline.length + level * 2 <= maxLineLength) {
+      return inline
+    }
+    return `[\n${items.map((item) => `${pad}${item},\n`).join('')}${'  '.repeat(level)}]`
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value);
+    if (!entries.length) {
+      return '{}'
+    }
+    const lines = entries.map(([key, item]) =>
+      item instanceof Code && item.text === key
+        ? `${pad}${key},\n`
+        : `${pad}${propertyKey(key)}: ${toSource(item, level + 1)},\n`
+    );
+    return `{\n${lines.join('')}${'  '.repeat(level)}}`
+  }
+  return String(value)
+}
+
+/**
+ * Writes an object key, quoted only when it is not a valid identifier.
+ *
+ * @param {string} key - The key.
+ * @returns {string} The key as source code.
+ */
+function propertyKey(key) {
+  return /^([A-Za-z_$][\w$]*|0|[1-9]\d*)$/.test(key) ? key : toSource(key)
+}
+
+/**
+ * Turns any name into a valid JavaScript identifier.
+ *
+ * @param {string} name - A component, parameter or operation name.
+ * @returns {string} The identifier.
+ */
+function toIdentifier(name) {
+  const identifier = String(name).replace(/[^\w$]+/g, '_');
+  return /^\d/.test(identifier) ? `_${identifier}` : identifier
+}
+
+/**
+ * Writes a method call. Like Prettier, multiline arguments go on their own
+ * lines, unless there is a single object or array argument.
+ *
+ * @param {string} name - The method name.
+ * @param {string[]} args - The arguments' source code.
+ * @returns {string} The call, such as `.items(Joi.string())`.
+ */
+function call(name, args) {
+  const inline = `.${name}(${args.join(', ')})`;
+  if (!inline.includes('\n') || (args.length === 1 && /^[[{]/.test(args[0]))) {
+    return inline
+  }
+  // Trailing commas are only written in objects and arrays (es5)
+  const lines = args.map((arg) => `  ${arg.replaceAll('\n', '\n  ')}`);
+  return `.${name}(\n${lines.join(',\n')}\n)`
+}
+
+/**
+ * Writes a method chain, breaking it over several lines when it is too long.
+ *
+ * @param {string} base - The chain's first call, such as `Joi.string()`.
+ * @param {string[]} calls - The chained calls, such as `.email()`.
+ * @param {Object} [layout={}] - Where the chain is written, see `schemaToJoi`.
+ * @returns {string} The source code.
+ */
+function chain(base, calls, { indent = 0, prefix = 0 } = {}) {
+  const inline = `${base}${calls.join('')}`;
+  if (
+    !inline.includes('\n') &&
+    indent + prefix + inline.length <= maxLineLength
+  ) {
+    return inline
+  }
+  // Like Prettier, a single call keeps its multiline arguments on the chain
+  if (calls.length === 1 && inline.includes('\n')) {
+    return inline
+  }
+  const lines = calls.map((line) => {
+    // Long string arguments go on their own line
+    const [, name, string] = /^\.(\w+)\(('(?:[^'\\]|\\.)*')\)$/.exec(line) || [];
+    return string && indent + 2 + line.length > maxLineLength
+      ? `.${name}(\n  ${string}\n)`
+      : line
+  });
+  // Multiline calls are written relative to the chain's indentation
+  return `${base}${lines.map((line) => `\n  ${line.replaceAll('\n', '\n  ')}`).join('')}`
+}
+
+/**
+ * Writes a regex literal for a JSON Schema `pattern`.
+ *
+ * @param {string} pattern - The pattern source.
+ * @returns {string} The regex literal.
+ */
+function regexLiteral(pattern) {
+  return `/${pattern.replace(/(^|[^\\])\//g, '$1\\/')}/`
+}
+
+/**
+ * Translates a JSON Schema (OpenAPI 3.0 or 3.1) into a Joi chain.
+ *
+ * Generated code is indented relative to the line it starts on; `indent` and
+ * `prefix` only tell where that line starts, to keep chains under the
+ * maximum line length.
+ *
+ * @param {object} schema - The JSON Schema.
+ * @param {object} context - Translation state: `refName(name)` names the
+ *   component referenced by a `$ref`, and `component` is the component being
+ *   translated, whose self references become `Joi.link()`s.
+ * @param {Object} [layout={}] - Where the chain is written.
+ * @param {number} [layout.indent=0] - The indentation of the chain's line.
+ * @param {number} [layout.prefix=0] - The length of the code before the chain.
+ * @param {string[]} [layout.calls=[]] - Calls to append to the chain.
+ * @returns {string} The Joi source code.
+ */
+function schemaToJoi(
+  schema,
+  context,
+  { indent = 0, prefix = 0, calls: extra = [] } = {}
+) {
+  if (schema === true || !schema || !Object.keys(schema).length) {
+    return chain('Joi.any()', extra, { indent, prefix })
+  }
+  if (schema.$ref) {
+    const name = componentName(schema.$ref, 'schemas');
+    const base =
+      name === context.component
+        ? `Joi.link(${toSource(`#${name}`)})`
+        : context.refName(name);
+    return chain(base, extra, { indent, prefix })
+  }
+
+  const calls = [];
+  const nested = { indent: indent + 2, prefix: 0 };
+  const nullable =
+    schema.nullable === true ||
+    (Array.isArray(schema.type) && schema.type.includes('null'));
+  const types = [].concat(schema.type || []).filter((type) => type !== 'null');
+  let type = types.length > 1 ? undefined : types[0];
+  if (!type && (schema.properties || schema.additionalProperties)) {
+    type = 'object';
+  } else if (!type && schema.items) {
+    type = 'array';
+  }
+
+  let base;
+  if (schema.oneOf || schema.anyOf) {
+    const alternatives = (schema.oneOf || schema.anyOf).map((alternative) =>
+      schemaToJoi(alternative, context, nested)
+    );
+    base = 'Joi.alternatives()';
+    calls.push(call('try', alternatives));
+    if (schema.oneOf) {
+      calls.push(".match('one')");
+    }
+  } else if (schema.allOf) {
+    const [first, ...others] = schema.allOf.map((member) =>
+      schemaToJoi(member, context, nested)
+    );
+    base = first;
+    calls.push(...others.map((other) => call('concat', [other])));
+  } else if (types.length > 1) {
+    const alternatives = types.map((alternative) =>
+      schemaToJoi({ type: alternative }, context)
+    );
+    base = 'Joi.alternatives()';
+    calls.push(call('try', alternatives));
+  } else if (type === 'string' && schema.format === 'binary') {
+    base = 'Joi.binary()';
+    calls.push(...sizeCalls(schema, 'Length'));
+  } else if (type === 'string') {
+    base = 'Joi.string()';
+    calls.push(...stringCalls(schema));
+  } else if (type === 'number' || type === 'integer') {
+    base = 'Joi.number()';
+    calls.push(...numberCalls(schema, type));
+  } else if (type === 'boolean') {
+    base = 'Joi.boolean()';
+  } else if (type === 'array') {
+    base = 'Joi.array()';
+    calls.push(...arrayCalls(schema, context, nested));
+  } else if (type === 'object') {
+    base = objectBase(schema, context, indent);
+    calls.push(...sizeCalls(schema, 'Properties'));
+    if (
+      schema.additionalProperties === undefined ||
+      schema.additionalProperties === true
+    ) {
+      calls.push('.unknown()');
+    }
+  } else {
+    base = 'Joi.any()';
+  }
+
+  const valids = Object.hasOwn(schema, 'const') ? [schema.const] : schema.enum;
+  const values = (valids || []).filter((value) => value !== null);
+  if (values.length) {
+    calls.push(`.valid(${values.map((value) => toSource(value)).join(', ')})`);
+  }
+  if (nullable || (valids && valids.includes(null))) {
+    calls.push('.allow(null)');
+  }
+  if (schema.title) {
+    calls.push(`.label(${toSource(schema.title)})`);
+  }
+  if (schema.description) {
+    calls.push(`.description(${toSource(schema.description)})`);
+  }
+  if (Object.hasOwn(schema, 'default')) {
+    calls.push(`.default(${toSource(schema.default)})`);
+  }
+  const examples = [
+    ...(Object.hasOwn(schema, 'example') ? [schema.example] : []),
+    ...(schema.examples || []),
+  ];
+  for (const example of examples) {
+    calls.push(`.example(${toSource(example)})`);
+  }
+
+  const untranslated = Object.fromEntries(
+    Object.entries(schema).filter(
+      ([keyword]) =>
+        !translatedKeywords.has(keyword) ||
+        (keyword === 'format' && !isTranslatedFormat(schema, type))
+    )
+  );
+  if (Object.keys(untranslated).length) {
+    calls.push(`.meta(${toSource({ swagger: untranslated })})`);
+  }
+
+  return chain(base, [...calls, ...extra], { indent, prefix })
+}
+
+function isTranslatedFormat({ format }, type) {
+  return (
+    (type === 'string' && (format === 'binary' || format in stringFormats)) ||
+    (type === 'number' && ['float', 'double'].includes(format)) ||
+    (type === 'integer' && ['int32', 'int64'].includes(format))
+  )
+}
+
+function sizeCalls(schema, suffix) {
+  const min = schema[`min${suffix}`];
+  const max = schema[`max${suffix}`];
+  if (min !== undefined && min === max) {
+    return [`.length(${min})`]
+  }
+  return [
+    ...(min !== undefined ? [`.min(${min})`] : []),
+    ...(max !== undefined ? [`.max(${max})`] : []),
+  ]
+}
+
+function stringCalls(schema) {
+  const calls = [];
+  if (stringFormats[schema.format]) {
+    calls.push(stringFormats[schema.format]);
+  }
+  calls.push(...sizeCalls(schema, 'Length'));
+  if (schema.pattern) {
+    calls.push(`.pattern(${regexLiteral(schema.pattern)})`);
+  }
+  return calls
+}
+
+function numberCalls(schema, type) {
+  const calls = type === 'integer' ? ['.integer()'] : [];
+  // OpenAPI 3.0 flags a bound as exclusive, 3.1 carries the limit itself
+  for (const [bound, inclusive, exclusive] of [
+    ['minimum', 'min', 'greater'],
+    ['maximum', 'max', 'less'],
+  ]) {
+    const exclusiveKey = `exclusive${upperFirst(bound)}`;
+    if (typeof schema[exclusiveKey] === 'number') {
+      calls.push(`.${exclusive}(${schema[exclusiveKey]})`);
+    } else if (schema[bound] !== undefined) {
+      const method = schema[exclusiveKey] === true ? exclusive : inclusive;
+      calls.push(`.${method}(${schema[bound]})`);
+    }
+  }
+  if (schema.multipleOf !== undefined) {
+    calls.push(`.multiple(${schema.multipleOf})`);
+  }
+  if (schema.format === 'int64') {
+    calls.push('.unsafe()');
+  }
+  return calls
+}
+
+function arrayCalls(schema, context, layout) {
+  const calls = [];
+  const { items } = schema;
+  if (items && items.oneOf && !items.discriminator) {
+    const alternatives = items.oneOf.map((item) =>
+      schemaToJoi(item, context, layout)
+    );
+    calls.push(call('items', alternatives));
+  } else if (items && Object.keys(items).length) {
+    calls.push(call('items', [schemaToJoi(items, context, layout)]));
+  }
+  calls.push(...sizeCalls(schema, 'Items'));
+  if (schema.uniqueItems) {
+    calls.push('.unique()');
+  }
+  return calls
+}
+
+function objectBase(schema, context, indent) {
+  const required = new Set(schema.required || []);
+  const keys = {};
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    keys[key] = new Code(
+      schemaToJoi(property, context, {
+        indent: indent + 2,
+        prefix: propertyKey(key).length + 2,
+        calls: required.has(key) ? ['.required()'] : [],
+      })
+    );
+  }
+
+  const base = Object.keys(keys).length
+    ? `Joi.object(${toSource(keys)})`
+    : 'Joi.object()';
+  const additional = schema.additionalProperties;
+  if (isPlainObject(additional) && Object.keys(additional).length) {
+    const values = schemaToJoi(additional, context, { indent: indent + 2 });
+    return `${base}${call('pattern', ['Joi.string()', values])}`
+  }
+  return base
+}
+
+/**
+ * Extracts the component name from a local `$ref`.
+ *
+ * @param {string} ref - The reference, such as `#/components/schemas/Order`.
+ * @param {string} section - The expected components section.
+ * @returns {string} The component name.
+ * @throws {Error} If the reference is not a local reference to that section.
+ */
+function componentName(ref, section) {
+  const prefix = `#/components/${section}/`;
+  if (!ref.startsWith(prefix)) {
+    throw new Error(
+      `Unsupported $ref "${ref}": only references to ${prefix}* can be imported.`
+    )
+  }
+  return decodeURIComponent(ref.slice(prefix.length))
+    .replaceAll('~1', '/')
+    .replaceAll('~0', '~')
+}
+
+/**
+ * Follows a `$ref` to a reusable component (parameter, request body, response).
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @param {object} value - The value, possibly a `$ref`.
+ * @param {string} section - The components section of the reference.
+ * @returns {object} The referenced component, or the value itself.
+ */
+function resolveComponent(spec, value, section) {
+  if (!value || !value.$ref) {
+    return value
+  }
+  const name = componentName(value.$ref, section);
+  const component = get(spec, ['components', section, name]);
+  if (!component) {
+    throw new Error(`Unable to resolve "${value.$ref}".`)
+  }
+  return component
+}
+
+/**
+ * Lists the component schemas referenced by a JSON Schema, directly or not.
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @param {*} value - The value to search.
+ * @param {Set<string>} [found] - The names found so far.
+ * @returns {Set<string>} The names of the referenced component schemas.
+ */
+function collectSchemaRefs(spec, value, found = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectSchemaRefs(spec, item, found));
+  } else if (isPlainObject(value)) {
+    if (typeof value.$ref === 'string') {
+      const name = componentName(value.$ref, 'schemas');
+      if (!found.has(name)) {
+        found.add(name);
+        collectSchemaRefs(
+          spec,
+          get(spec, ['components', 'schemas', name]),
+          found
+        );
+      }
+    }
+    Object.entries(value)
+      .filter(([key]) => key !== '$ref')
+      .forEach(([, item]) => collectSchemaRefs(spec, item, found));
+  }
+  return found
+}
+
+/**
+ * Orders component schemas so that each one comes after the schemas it
+ * references. A schema may reference itself (it becomes a `Joi.link()`), but
+ * longer reference cycles cannot be written as constants.
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @returns {string[]} The component schema names, dependencies first.
+ * @throws {Error} If component schemas reference each other in a cycle.
+ */
+function sortSchemaComponents(spec) {
+  const schemas = get(spec, 'components.schemas') || {};
+  const sorted = [];
+  const visiting = [];
+
+  const visit = (name) => {
+    if (sorted.includes(name)) {
+      return
+    }
+    if (visiting.includes(name)) {
+      const cycle = [...visiting.slice(visiting.indexOf(name)), name];
+      throw new Error(
+        `Component schemas reference each other in a cycle (${cycle.join(' -> ')}). Only self references can be imported.`
+      )
+    }
+    if (!schemas[name]) {
+      throw new Error(`Unable to resolve "#/components/schemas/${name}".`)
+    }
+    visiting.push(name);
+    const direct = new Set();
+    collectDirectRefs(schemas[name], direct);
+    direct.delete(name);
+    direct.forEach(visit);
+    visiting.pop();
+    sorted.push(name);
+  };
+
+  Object.keys(schemas).forEach(visit);
+  return sorted
+}
+
+function collectDirectRefs(value, found) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectDirectRefs(item, found));
+  } else if (isPlainObject(value)) {
+    if (typeof value.$ref === 'string') {
+      found.add(componentName(value.$ref, 'schemas'));
+    }
+    Object.values(value).forEach((item) => collectDirectRefs(item, found));
+  }
+}
+
+/**
+ * Translates a parameter into a Joi object holding its single key, the shape
+ * `RouteSchema.parameters()` entries have.
+ *
+ * @param {object} parameter - The OpenAPI parameter.
+ * @param {object} context - Translation state, see `schemaToJoi`.
+ * @returns {string} The Joi source code.
+ */
+function parameterToJoi(parameter, context) {
+  const schema = {
+    ...parameter.schema,
+    ...(parameter.description && { description: parameter.description }),
+    ...(Object.hasOwn(parameter, 'example') && { example: parameter.example }),
+  };
+  const source = schemaToJoi(schema, context, {
+    indent: 2,
+    prefix: propertyKey(parameter.name).length + 2,
+    calls: parameter.required ? ['.required()'] : [],
+  });
+  const object = `Joi.object(${toSource({ [parameter.name]: new Code(source) })})`;
+  // Requests carry many more headers than the documented ones
+  return parameter.in === 'header' ? `${object}.unknown(true)` : object
+}
+
+/**
+ * Lists the operations of a document with their resolved parameters.
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @returns {object[]} The operations, in document order.
+ */
+function listOperations(spec) {
+  const operations = [];
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    const shared = (pathItem.parameters || []).map((parameter) =>
+      resolveComponent(spec, parameter, 'parameters')
+    );
+    for (const method of httpMethods) {
+      const operation = pathItem[method];
+      if (!operation) {
+        continue
+      }
+      const own = (operation.parameters || []).map((parameter) => ({
+        parameter: resolveComponent(spec, parameter, 'parameters'),
+        ref: parameter.$ref && componentName(parameter.$ref, 'parameters'),
+      }));
+      // Operation parameters override path-level ones with the same name and location
+      const inherited = (pathItem.parameters || [])
+        .map((parameter, i) => ({
+          parameter: shared[i],
+          ref: parameter.$ref && componentName(parameter.$ref, 'parameters'),
+        }))
+        .filter(
+          ({ parameter }) =>
+            !own.some(
+              (item) =>
+                item.parameter.name === parameter.name &&
+                item.parameter.in === parameter.in
+            )
+        );
+      operations.push({
+        path,
+        method,
+        operation,
+        parameters: [...inherited, ...own],
+      });
+    }
+  }
+  return operations
+}
+
+/**
+ * Names the getter of an operation: its `operationId`, or else its method and path.
+ *
+ * @param {object} entry - An operation listed by `listOperations`.
+ * @returns {string} The getter name.
+ */
+function routeName({ operation, method, path }) {
+  return toIdentifier(camelCase(operation.operationId || `${method} ${path}`))
+}
+
+/**
+ * Generates the source of `RouteSchema` subclasses from an OpenAPI document,
+ * one class per tag, plus a `components.js` module holding the component
+ * schemas and parameters they share. The generated classes convert back to
+ * the same paths and schemas with `schemaToSwagger`, within what both sides
+ * support: nested `$ref`s are inlined, and inline request and response
+ * schemas become named components.
+ *
+ * @param {object} spec - The OpenAPI 3.0 or 3.1 document.
+ * @param {Object} [options={}] - Generation options.
+ * @param {string} [options.packageName='joi-ful-routes'] - The module the
+ *   generated classes import `RouteSchema` from.
+ * @returns {{ files: Array<{ fileName: string, source: string }>, warnings: string[] }}
+ *   The generated files, and what could not be translated.
+ * @throws {Error} If the document is not an OpenAPI 3 document, or uses
+ *   references that cannot be imported.
+ */
+function openApiToRouteSchemas(
+  spec,
+  { packageName = 'joi-ful-routes' } = {}
+) {
+  if (!isPlainObject(spec) || !/^3\./.test(String(spec.openapi))) {
+    throw new TypeError('Only OpenAPI 3.0 and 3.1 documents can be imported.')
+  }
+
+  const warnings = [];
+  const identifiers = new Map(); // Component key -> exported identifier
+  const exportName = (key, name) => {
+    if (!identifiers.has(key)) {
+      let identifier = toIdentifier(name);
+      const taken = new Set(identifiers.values());
+      for (let i = 2; taken.has(identifier); i++) {
+        identifier = `${toIdentifier(name)}${i}`;
+      }
+      identifiers.set(key, identifier);
+    }
+    return identifiers.get(key)
+  };
+
+  // 1. Shared components: schemas, then the parameters used as query or headers
+  const componentSources = [];
+  const schemaContext = (component) => ({
+    component,
+    refName: (name) => exportName(`schemas/${name}`, name),
+  });
+  for (const name of sortSchemaComponents(spec)) {
+    const context = schemaContext(name);
+    const identifier = exportName(`schemas/${name}`, name);
+    const schema = spec.components.schemas[name];
+    const references = new Set();
+    collectDirectRefs(schema, references);
+    const source = schemaToJoi(schema, context, {
+      prefix: `export const ${identifier} = `.length,
+      // Self references link to the schema by id
+      calls: references.has(name) ? [`.id(${toSource(name)})`] : [],
+    });
+    componentSources.push({ identifier, source });
+  }
+
+  const operations = listOperations(spec);
+  const parameterNames = new Map(); // 'in:name' -> parameters() key
+  for (const { parameters, method, path } of operations) {
+    for (const { parameter, ref } of parameters) {
+      if (!['query', 'header'].includes(parameter.in)) {
+        if (!['path', 'cookie'].includes(parameter.in)) {
+          warnings.push(
+            `${method.toUpperCase()} ${path}: "${parameter.name}" in ${parameter.in} parameters cannot be imported.`
+          );
+        }
+        continue
+      }
+      const key = `${parameter.in}:${parameter.name}`;
+      if (parameterNames.has(key)) {
+        continue
+      }
+      const name =
+        ref ||
+        `${upperFirst(camelCase(parameter.name))}${parameter.in === 'header' ? 'Header' : 'Query'}`;
+      parameterNames.set(key, name);
+      // Inline parameters become components, as schemaToSwagger documents them
+      componentSources.push({
+        identifier: exportName(`parameters/${name}`, name),
+        source: parameterToJoi(parameter, schemaContext()),
+      });
+    }
+  }
+
+  const files = [
+    {
+      fileName: 'components.js',
+      source: [
+        "import Joi from 'joi'\n",
+        ...componentSources.map(
+          ({ identifier, source }) => `export const ${identifier} = ${source}\n`
+        ),
+      ].join('\n'),
+    },
+  ];
+
+  // 2. One class per tag
+  const groups = new Map();
+  for (const entry of operations) {
+    const tag = get(entry.operation, 'tags.0') || 'Default';
+    if (!groups.has(tag)) {
+      groups.set(tag, []);
+    }
+    groups.get(tag).push(entry);
+  }
+
+  for (const [tagName, entries] of groups) {
+    const tag = (spec.tags || []).find(({ name }) => name === tagName) || {
+      name: tagName,
+    };
+    const className = `${upperFirst(camelCase(tagName))}Schema`;
+    const usedSchemas = new Set();
+    const usedParameters = new Set();
+    const context = {
+      refName: (name) => {
+        usedSchemas.add(name);
+        return exportName(`schemas/${name}`, name)
+      },
+    };
+    const getterNames = new Set();
+    const getters = entries.map((entry) => {
+      let name = routeName(entry);
+      for (let i = 2; getterNames.has(name); i++) {
+        name = `${routeName(entry)}${i}`;
+      }
+      getterNames.add(name);
+      return routeGetter(spec, entry, name, context, {
+        parameterNames,
+        usedParameters,
+        exportName,
+      })
+    });
+
+    // Referenced schemas are inlined, but stay documented as components
+    const schemaNames = new Set();
+    for (const name of usedSchemas) {
+      schemaNames.add(name);
+      collectSchemaRefs(spec, { $ref: `#/components/schemas/${name}` }).forEach(
+        (nested) => schemaNames.add(nested)
+      );
+    }
+    const schemaEntries = Object.fromEntries(
+      [...schemaNames].map((name) => [
+        name,
+        new Code(exportName(`schemas/${name}`, name)),
+      ])
+    );
+    const schemaIdentifiers = Object.values(schemaEntries).map(
+      ({ text }) => text
+    );
+    const parameterEntries = Object.fromEntries(
+      [...usedParameters].map((name) => [
+        name,
+        new Code(exportName(`parameters/${name}`, name)),
+      ])
+    );
+    const parameterIdentifiers = Object.values(parameterEntries).map(
+      ({ text }) => text
+    );
+    const imported = [...schemaIdentifiers, ...parameterIdentifiers].sort();
+    const usesJoi = getters.some((getter) => getter.includes('Joi.'));
+
+    files.push({
+      fileName: `${_.kebabCase(tagName)}-schema.js`,
+      source: [
+        ...(usesJoi ? ["import Joi from 'joi'"] : []),
+        `import { RouteSchema } from '${packageName}'`,
+        '',
+        ...(imported.length
+          ? [importStatement(imported, './components.js'), '']
+          : []),
+        `class ${className} extends RouteSchema {`,
+        '  static get tag() {',
+        `    return ${toSource(tag, 2)}`,
+        '  }',
+        '',
+        '  static schemas() {',
+        `    return ${toSource(schemaEntries, 2)}`,
+        '  }',
+        '',
+        '  static parameters() {',
+        `    return ${toSource(parameterEntries, 2)}`,
+        '  }',
+        ...getters.flatMap((getter) => ['', getter]),
+        '}',
+        '',
+        `export default ${className}`,
+        '',
+      ].join('\n'),
+    });
+  }
+
+  return { files, warnings }
+}
+
+/**
+ * Writes a named import, one name per line when it does not fit on one line.
+ *
+ * @param {string[]} names - The imported names.
+ * @param {string} from - The module.
+ * @returns {string} The import statement.
+ */
+function importStatement(names, from) {
+  const inline = `import { ${names.join(', ')} } from '${from}'`;
+  if (inline.length <= maxLineLength) {
+    return inline
+  }
+  return `import {\n${names.map((name) => `  ${name},\n`).join('')}} from '${from}'`
+}
+
+/**
+ * Combines the parameter objects of one container with `concat()`.
+ *
+ * @param {string} key - The container, such as `query`.
+ * @param {string[]} identifiers - The parameter identifiers.
+ * @returns {Code} The combined schema.
+ */
+function concatSchemas(key, [first, ...others]) {
+  return new Code(
+    chain(
+      first,
+      others.map((other) => call('concat', [other])),
+      { indent: 6, prefix: key.length + 2 }
+    )
+  )
+}
+
+/**
+ * Writes the `createRoute` getter of one operation.
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @param {object} entry - An operation listed by `listOperations`.
+ * @param {string} name - The getter name.
+ * @param {object} context - Translation state, see `schemaToJoi`.
+ * @param {object} shared - The parameter names and identifiers of the document.
+ * @returns {string} The getter source, indented for a class body.
+ */
+function routeGetter(spec, entry, name, context, shared) {
+  const { path, method, operation, parameters } = entry;
+  const route = {
+    path,
+    method,
+    summary:
+      operation.summary ||
+      operation.description ||
+      `${method.toUpperCase()} ${path}`,
+  };
+
+  const containers = { header: [], query: [] };
+  // Path parameters and cookies are declared inline, by route
+  const inlineKeys = { params: {}, cookies: {}, signedCookies: {} };
+  for (const { parameter } of parameters) {
+    if (parameter.in === 'path' || parameter.in === 'cookie') {
+      const schema = {
+        ...parameter.schema,
+        ...(parameter.description && { description: parameter.description }),
+      };
+      const container =
+        parameter.in === 'path'
+          ? 'params'
+          : parameter['x-signed']
+            ? 'signedCookies'
+            : 'cookies';
+      inlineKeys[container][parameter.name] = new Code(
+        schemaToJoi(schema, context, {
+          indent: 8,
+          prefix: propertyKey(parameter.name).length + 2,
+          calls:
+            parameter.in === 'path' || parameter.required
+              ? ['.required()']
+              : [],
+        })
+      );
+    } else if (containers[parameter.in]) {
+      const parameterName = shared.parameterNames.get(
+        `${parameter.in}:${parameter.name}`
+      );
+      shared.usedParameters.add(parameterName);
+      containers[parameter.in].push(
+        shared.exportName(`parameters/${parameterName}`, parameterName)
+      );
+    }
+  }
+  if (containers.header.length) {
+    route.headers = concatSchemas('headers', containers.header);
+  }
+  if (Object.keys(inlineKeys.params).length) {
+    route.params = new Code(`Joi.object(${toSource(inlineKeys.params, 0)})`);
+  }
+  if (containers.query.length) {
+    route.query = concatSchemas('query', containers.query);
+  }
+  for (const container of ['cookies', 'signedCookies']) {
+    if (Object.keys(inlineKeys[container]).length) {
+      route[container] = new Code(
+        `Joi.object(${toSource(inlineKeys[container], 0)})`
+      );
+    }
+  }
+
+  const baseLabel = upperFirst(name);
+  const content = (mediaTypes, label) =>
+    Object.fromEntries(
+      Object.entries(mediaTypes || {}).map(([mediaType, { schema }]) => {
+        const source = schemaToJoi(schema, context, {
+          indent: 12,
+          prefix: 'schema: '.length,
+          calls: schema && schema.$ref ? [] : [`.label(${toSource(label)})`],
+        });
+        return [mediaType, { schema: new Code(source) }]
+      })
+    );
+
+  const requestBody = resolveComponent(
+    spec,
+    operation.requestBody,
+    'requestBodies'
+  );
+  if (requestBody) {
+    route.body = {
+      ...(requestBody.description && { description: requestBody.description }),
+      ...(requestBody.required && { required: true }),
+      content: content(requestBody.content, `${baseLabel}Request`),
+    };
+  }
+
+  if (operation.responses) {
+    route.responses = Object.fromEntries(
+      Object.entries(operation.responses).map(([status, value]) => {
+        const response = resolveComponent(spec, value, 'responses');
+        return [
+          status,
+          {
+            description: response.description || '',
+            content: content(
+              response.content,
+              `${baseLabel}${upperFirst(status)}Response`
+            ),
+          },
+        ]
+      })
+    );
+  }
+
+  return [
+    `  static get ${name}() {`,
+    `    return this.createRoute(${toSource(route, 2)})`,
+    '  }',
+  ].join('\n')
+}
+
+// Joi options for each response validation mode
+const modes = {
+  error: {
+    abortEarly: false,
+    allowUnknown: false,
+  },
+  warn: {
+    abortEarly: false,
+    allowUnknown: false,
+  },
+  strip: {
+    abortEarly: false,
+    stripUnknown: true,
+    noDefaults: true, // Only remove fields, never add defaults to the body
+  },
+};
+
+// Content types of JSON bodies, such as application/json or application/problem+json
+const jsonContentTypePattern = /^application\/(?:[\w.-]+\+)?json$/;
+
+/**
+ * Looks up the response definition for a status code. Falls back to a range
+ * key such as `2XX`, then to `default`, as in OpenAPI.
+ *
+ * @param {Object} responses - The route's `responses` definitions.
+ * @param {number} statusCode - The response status code.
+ * @returns {Object|undefined} The matching response definition.
+ */
+const findResponseDefinition = (responses, statusCode) =>
+  responses[statusCode] ||
+  responses[`${String(statusCode)[0]}XX`] ||
+  responses.default;
+
+/**
+ * Middleware that validates JSON response bodies against the Joi schemas
+ * declared in the route's `responses[status].content[mime].schema`.
+ *
+ * `res.json` and `res.send` are wrapped for the current response: objects sent
+ * with either, and strings sent with `res.send` under a JSON content type, are
+ * validated. Responses without a matching status code or content type are
+ * sent unchanged.
+ *
+ * Modes:
+ * - `error` (default): respond with 500 instead of the invalid body.
+ * - `warn`: send the body unchanged and log a warning.
+ * - `strip`: remove undeclared fields before sending, and warn about any
+ *   other mismatch.
+ *
+ * @param {Object} route - A route definition created with `RouteSchema.createRoute`.
+ * @param {Object} [options={}] - Response validation options.
+ * @param {'error'|'warn'|'strip'} [options.mode='error'] - What to do with invalid bodies.
+ * @param {{ warn: Function }} [options.logger=console] - Logger used by `warn` and `strip`.
+ * @param {boolean} [options.passErrors=false] - In `error` mode, pass the
+ *   `ResponseValidationError` to `next()` instead of responding.
+ * @param {Function} [options.onError] - `(err, req, res, next)` hook that takes
+ *   over error handling in `error` mode.
+ * @throws {TypeError} If the mode is not recognized.
+ * @returns {(req, res, next) => void} Express middleware function.
+ */
+const validateResponse = (route, options = {}) => {
+  const {
+    mode = 'error',
+    logger = console,
+    passErrors = false,
+    onError = null,
+  } = options;
+
+  if (!modes[mode]) {
+    throw new TypeError(
+      `Unknown response validation mode "${mode}". Use one of: ${Object.keys(modes).join(', ')}.`
+    )
+  }
+
+  return (req, res, next) => {
+    const json = res.json.bind(res);
+    const send = res.send.bind(res);
+    let sendingJson = false;
+
+    // `res.json` sends its serialized body through `res.send`, unvalidated
+    const sendJson = (body) => {
+      sendingJson = true;
+      try {
+        return json(body)
+      } finally {
+        sendingJson = false;
+      }
+    };
+
+    /**
+     * Validates a body against the schema declared for the response, then
+     * sends it (or its stripped value) with `respond`, or handles the error.
+     *
+     * @param {*} body - The parsed response body.
+     * @param {string} contentType - The response content type.
+     * @param {(body: *) => *} respond - Sends a valid body.
+     * @returns {*} The result of sending the response.
+     */
+    const validateAndSend = (body, contentType, respond) => {
+      const responseDef = findResponseDefinition(
+        route?.responses || {},
+        res.statusCode
+      );
+      const responseSchema = responseDef?.content?.[contentType]?.schema;
+
+      if (!responseSchema) {
+        return respond(body)
+      }
+
+      const { error, value } = responseSchema.validate(body, modes[mode]);
+      if (!error) {
+        return respond(mode === 'strip' ? value : body)
+      }
+
+      const err = new ResponseValidationError({
+        responseStatus: res.statusCode,
+        contentType,
+        details: error.details,
+        requestID: getRequestID(req),
+      });
+
+      if (mode !== 'error') {
+        logger.warn(err.message);
+        return respond(mode === 'strip' ? value : body)
+      }
+
+      if (typeof onError === 'function') {
+        return onError(err, req, res, next)
+      }
+
+      if (passErrors) {
+        return next(err)
+      }
+
+      // Bypass the wrapper so the error body is not validated in turn
+      res.status(err.statusCode);
+      return sendJson({
+        requestID: err.requestID,
+        error: err.message,
+      })
+    };
+
+    res.json = (body) =>
+      validateAndSend(
+        body,
+        res.get('Content-Type')?.split(';')[0] || 'application/json',
+        sendJson
+      );
+
+    // JSON already serialized by the handler, e.g. `res.type('json').send(text)`
+    res.send = (body) => {
+      const contentType = res.get('Content-Type')?.split(';')[0];
+      const isJson = jsonContentTypePattern.test(contentType || '');
+      if (sendingJson || !isJson || typeof body !== 'string') {
+        return send(body)
+      }
+
+      let parsed;
+      try {
+        parsed = JSON.parse(body);
+      } catch {
+        // Not JSON after all: there is nothing to validate
+        return send(body)
+      }
+      return validateAndSend(parsed, contentType, (value) =>
+        send(value === parsed ? body : JSON.stringify(value))
+      )
+    };
+
+    next();
+  }
+};
+
+// Matches OpenAPI path templates such as `{productId}`
+const pathPlaceholderPattern = /{([^{}/]+)}/g;
+
+/**
+ * Base class for all schemas. Provides utilities for creating and managing route definitions.
+ */
+class RouteSchema {
+  /**
+   * Subclasses must override this getter to provide a "tag" object used in Swagger documentation.
+   * Example:
+   *   { name: 'ExampleTag', description: 'Detailed description of the tag.' }
+   * @throws {Error} If not implemented in a subclass.
+   */
+  static get tag() {
+    throw new Error(
+      'You must implement the static getter "tag" in your subclass.'
+    )
+  }
+
+  /**
+   * Subclasses must override this method to provide Joi schemas for request validation.
+   * @throws {Error} If not implemented in a subclass.
+   */
+  static schemas() {
+    throw new Error('You must implement the schemas() method in your subclass.')
+  }
+
+  /**
+   * Subclasses must override this method to provide Joi schemas for route parameters, if applicable.
+   * Each entry is a Joi object with one key. Its OpenAPI location is declared with
+   * `.meta({ in: 'header' })` or by grouping entries under `headers`, `query`, `path` and
+   * `cookie` keys; otherwise it is inferred from the routes using the parameter.
+   * @throws {Error} If not implemented in a subclass.
+   */
+  static parameters() {
+    throw new Error(
+      'You must implement the parameters() method in your subclass.'
+    )
+  }
+
+  /**
+   * Aggregates schemas and parameters into a structure for OpenAPI components.
+   * This is consumed by Swagger or other documentation generators.
+   * @returns {Object} An object containing `schemas` and `parameters`.
+   */
+  static components() {
+    return {
+      schemas: this.schemas(),
+      parameters: this.parameters(),
+    }
+  }
+
+  /**
+   * Utility method for constructing API route definitions.
+   * Subclasses should use this to define their routes.
+   * @param {Object} options - Options for defining a route.
+   * @param {string} options.path - The API endpoint path, with path parameters
+   *   in OpenAPI form (e.g., '/products/{productId}').
+   * @param {string} options.method - The HTTP method (e.g., 'get', 'post').
+   * @param {string} options.summary - A summary of the route's purpose.
+   * @param {Object} [options.headers] - Optional headers schema.
+   * @param {Object} [options.params] - Path parameter schema, required when the
+   *   path has placeholders. Its keys must match the placeholders exactly.
+   * @param {Object} [options.query] - Optional query parameter schema.
+   * @param {Object} [options.cookies] - Optional cookie schema, validating
+   *   `req.cookies` (parsed from the `Cookie` header without cookie-parser).
+   * @param {Object} [options.signedCookies] - Optional schema of the cookies
+   *   signed with cookie-parser's secret, validating `req.signedCookies`.
+   * @param {Object} [options.body] - Optional request body schema.
+   * @param {Object} [options.responses] - Optional response schemas.
+   * @throws {Error} If `path`, `method`, or `summary` is missing, or if the
+   *   path placeholders and `params` keys do not match.
+   * @returns {Object} A route definition object. Its `expressPath` holds the
+   *   path in Express form (e.g., '/products/:productId') for mounting.
+   */
+  static createRoute({
+    path,
+    method,
+    summary,
+    headers,
+    params,
+    query,
+    cookies,
+    signedCookies,
+    body,
+    responses,
+  }) {
+    if (!path || !method || !summary) {
+      throw new Error(
+        'Path, method, and summary are required to define an API route.'
+      )
+    }
+
+    this._checkPathParams(path, params);
+
+    return {
+      path,
+      expressPath: path.replace(pathPlaceholderPattern, ':$1'),
+      method,
+      summary,
+      // The "tags" property helps group operations in OpenAPI docs.
+      tags: this._tags.map((tag) => tag.name),
+      ...(headers && { headers }),
+      ...(params && { params }),
+      ...(query && { query }),
+      ...(cookies && { cookies }),
+      ...(signedCookies && { signedCookies }),
+      ...(body && { body }),
+      ...(responses && { responses }),
+    }
+  }
+
+  /**
+   * Internal method that checks the path placeholders against the keys of the
+   * `params` schema, so mistakes surface when the route is defined.
+   * @param {string} path - The API endpoint path.
+   * @param {Object} [params] - The path parameter schema.
+   * @throws {Error} If a placeholder has no matching key, or a key no placeholder.
+   * @private
+   */
+  static _checkPathParams(path, params) {
+    const placeholders = [...path.matchAll(pathPlaceholderPattern)].map(
+      ([, name]) => name
+    );
+    const paramKeys =
+      params && typeof params.describe === 'function'
+        ? Object.keys(params.describe().keys || {})
+        : [];
+
+    const missing = placeholders.filter((name) => !paramKeys.includes(name));
+    if (missing.length) {
+      throw new Error(
+        `Path "${path}" has placeholders without a matching key in "params": ${missing.join(', ')}.`
+      )
+    }
+
+    const unused = paramKeys.filter((key) => !placeholders.includes(key));
+    if (unused.length) {
+      throw new Error(
+        `Path "${path}" has no placeholders for these "params" keys: ${unused.join(', ')}.`
+      )
+    }
+  }
+
+  /**
+   * Internal method for generating OpenAPI tags.
+   * Tags are used for grouping routes in the documentation.
+   * Subclasses should define their `tag` to leverage this grouping.
+   * @returns {Array} An array of tag objects.
+   * @private
+   */
+  static get _tags() {
+    return [this.tag]
+  }
+
+  /**
+   * Internal method for discovering route definitions by reflection.
+   * This scans static properties of the class and identifies route definitions.
+   * @returns {Object<string, Object>} Route definitions keyed by property name.
+   * @private
+   */
+  static get _routes() {
+    const allProps = Object.getOwnPropertyNames(this);
+    const routes = {};
+
+    for (const propName of allProps) {
+      // Skip built-ins or known base methods
+      if (['length', 'name', 'prototype'].includes(propName)) {
+        continue
+      }
+      // Skip known base methods
+      if (
+        [
+          'createRoute',
+          '_checkPathParams',
+          'schemas',
+          'parameters',
+          'components',
+          'tag',
+          '_tags',
+          '_routes', // itself
+          '_paths',
+        ].includes(propName)
+      ) {
+        continue
+      }
+
+      // Check if this static property looks like a route object
+      const potentialRoute = this[propName];
+      if (
+        potentialRoute &&
+        typeof potentialRoute === 'object' &&
+        potentialRoute.path &&
+        potentialRoute.method
+      ) {
+        // e.g. potentialRoute = { path: '/some', method: 'get', summary: '...' }
+        routes[propName] = potentialRoute;
+      }
+    }
+    return routes
+  }
+
+  /**
+   * Internal method for generating a reflection-based structure of paths.
+   * Groups the route definitions found by `_routes` by path and method.
+   * @returns {Object} A Swagger-compatible "paths" object, keyed by path and then
+   *   by lower-case method.
+   * @throws {Error} If the same path and method are declared more than once.
+   * @private
+   */
+  static get _paths() {
+    const swaggerPaths = {};
+    const declaredBy = {}; // Maps 'METHOD /path' -> declaring property name
+
+    for (const [propName, route] of Object.entries(this._routes)) {
+      const { path } = route;
+      const method = route.method.toLowerCase();
+      if (!swaggerPaths[path]) {
+        swaggerPaths[path] = {};
+      }
+
+      // Several methods may share a path, but each path + method only once
+      const routeKey = `${method.toUpperCase()} ${path}`;
+      if (declaredBy[routeKey]) {
+        throw new Error(
+          `Duplicate route ${routeKey} in ${this.name}: declared by both "${declaredBy[routeKey]}" and "${propName}".`
+        )
+      }
+      declaredBy[routeKey] = propName;
+
+      swaggerPaths[path][method] = route;
+    }
+    return swaggerPaths
+  }
+}
+
+const htmlEscapes = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+};
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => htmlEscapes[char]);
+
+const page = (title, head, body) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${escapeHtml(title)}</title>
+${head}
+  </head>
+  <body>
+${body}
+  </body>
+</html>
+`;
+
+// The browser bundles of each UI, served from the package's own files
+const userInterfaces = {
+  'swagger-ui': {
+    packageName: 'swagger-ui-dist',
+    assets: ['swagger-ui.css', 'swagger-ui-bundle.js'],
+    page: ({ title, assetsUrl, specUrl }) =>
+      page(
+        title,
+        `    <link rel="stylesheet" href="${escapeHtml(assetsUrl)}/swagger-ui.css" />`,
+        [
+          '    <div id="swagger-ui"></div>',
+          `    <script src="${escapeHtml(assetsUrl)}/swagger-ui-bundle.js"></script>`,
+          // A script file rather than inline code, for Content-Security-Policy
+          `    <script src="${escapeHtml(assetsUrl)}/init.js" data-spec-url="${escapeHtml(specUrl)}"></script>`,
+        ].join('\n')
+      ),
+    init: [
+      'const { specUrl } = document.currentScript.dataset',
+      "window.ui = SwaggerUIBundle({ url: specUrl, dom_id: '#swagger-ui' })",
+      '',
+    ].join('\n'),
+  },
+  redoc: {
+    packageName: 'redoc',
+    assets: ['redoc.standalone.js'],
+    page: ({ title, assetsUrl, specUrl }) =>
+      page(
+        title,
+        '',
+        [
+          `    <redoc spec-url="${escapeHtml(specUrl)}"></redoc>`,
+          `    <script src="${escapeHtml(assetsUrl)}/redoc.standalone.js"></script>`,
+        ].join('\n')
+      ),
+  },
+};
+
+const sameClasses = (a, b) =>
+  a.length === b.length && a.every((schemaClass, i) => schemaClass === b[i]);
+
+/**
+ * Creates an Express router serving the OpenAPI document of RouteSchema
+ * classes, as JSON and YAML, and an interactive documentation page. The UI's
+ * browser files are served from its locally installed package, so the page
+ * works without a CDN or network access.
+ *
+ * The document is built once and cached. In development, `schemaClasses` may
+ * be a function returning the current classes (e.g. after a hot reload): it
+ * is called on each request, and the document is rebuilt when the classes
+ * it returns change. An array of classes is never rebuilt, even in
+ * development.
+ *
+ * @example
+ * app.use(serveDocs([ProductSchema, OrderSchema], {
+ *   info: { title: 'Shop API', version: '1.0.0' },
+ *   ui: 'redoc',
+ * }))
+ *
+ * @param {Function[]|(() => Function[])} schemaClasses - The schema classes to
+ *   document, or a function returning them.
+ * @param {Object} options - Docs options; other options are passed to
+ *   `buildOpenApiDocument` (`info` is required).
+ * @param {string} [options.path='/docs'] - The path of the documentation page.
+ * @param {'swagger-ui'|'redoc'} [options.ui='swagger-ui'] - The documentation UI,
+ *   which needs the "swagger-ui-dist" or "redoc" package.
+ * @param {string} [options.specPath] - The path of the JSON document; the YAML
+ *   document is served next to it. Defaults to `${path}/openapi.json`.
+ * @param {string} [options.assets] - A directory holding the UI's browser
+ *   files, instead of its package.
+ * @param {boolean} [options.development] - Whether to rebuild the document when
+ *   the classes returned by a `schemaClasses` function change. Defaults to
+ *   `NODE_ENV !== 'production'`.
+ * @param {Object} [options.router] - An existing Express router to add the routes to.
+ * @throws {Error} If the UI is unknown or its package is not installed, or if
+ *   the document cannot be built.
+ * @returns {Object} The Express router.
+ */
+const serveDocs = (schemaClasses, options = {}) => {
+  const {
+    path: docsPath = '/docs',
+    ui = 'swagger-ui',
+    specPath = `${docsPath.replace(/\/+$/, '')}/openapi.json`,
+    assets,
+    development = process.env.NODE_ENV !== 'production',
+    router: existingRouter,
+    ...documentOptions
+  } = options;
+
+  const userInterface = userInterfaces[ui];
+  if (!userInterface) {
+    throw new Error(
+      `Unknown docs UI "${ui}". Use one of: ${Object.keys(userInterfaces).join(', ')}.`
+    )
+  }
+  const assetsDir =
+    assets ||
+    path.dirname(
+      resolveOptional(userInterface.packageName, `serveDocs({ ui: '${ui}' })`)
+    );
+
+  const basePath = docsPath.replace(/\/+$/, '');
+  const jsonPath = specPath.replace(/\.ya?ml$/, '.json');
+  const yamlPath = jsonPath.replace(/\.json$/, '.yaml');
+
+  let cache;
+  const currentDocument = () => {
+    if (cache && !development) {
+      return cache
+    }
+    const classes = [].concat(
+      typeof schemaClasses === 'function' ? schemaClasses() : schemaClasses
+    );
+    if (!cache || !sameClasses(cache.classes, classes)) {
+      const document = buildOpenApiDocument(classes, documentOptions);
+      cache = { classes, document, serialized: {} };
+    }
+    return cache
+  };
+  const serialized = (format) => {
+    const entry = currentDocument();
+    entry.serialized[format] =
+      entry.serialized[format] ||
+      serializeOpenApiDocument(entry.document, { format });
+    return entry.serialized[format]
+  };
+
+  // Fail on startup rather than on the first request
+  currentDocument();
+
+  const router =
+    existingRouter || requireOptional('express', 'serveDocs').Router();
+
+  router.get(jsonPath, (req, res) => {
+    res.type('application/json').send(serialized('json'));
+  });
+  router.get(yamlPath, (req, res) => {
+    res.type('application/yaml').send(serialized('yaml'));
+  });
+  router.get([basePath || '/', `${basePath}/`], (req, res) => {
+    res.type('html').send(
+      userInterface.page({
+        title: currentDocument().document.info.title,
+        assetsUrl: `${req.baseUrl}${basePath}/assets`,
+        specUrl: `${req.baseUrl}${jsonPath}`,
+      })
+    );
+  });
+  router.get(`${basePath}/assets/:file`, (req, res, next) => {
+    const { file } = req.params;
+    if (file === 'init.js' && userInterface.init) {
+      res.type('application/javascript').send(userInterface.init);
+    } else if (userInterface.assets.includes(file)) {
+      res.sendFile(path.join(assetsDir, file), { maxAge: '1d' }, (err) => {
+        if (err) {
+          next(err);
+        }
+      });
+    } else {
+      next();
+    }
+  });
+
+  return router
+};
+
+// Multer limits that a request exceeds by being too large
+const sizeLimitCodes = [
+  'LIMIT_FILE_SIZE',
+  'LIMIT_FILE_COUNT',
+  'LIMIT_PART_COUNT',
+  'LIMIT_FIELD_COUNT',
+  'LIMIT_FIELD_VALUE',
+];
+
+/**
+ * Finds the schema of a route's `multipart/form-data` body.
+ *
+ * @param {Object} route - The route, as returned by `createRoute`.
+ * @returns {Joi.ObjectSchema|undefined} The body schema, if any.
+ */
+function multipartSchema(route) {
+  const body = route?.body;
+  if (Joi.isSchema(body)) {
+    return body
+  }
+  return body?.content?.['multipart/form-data']?.schema
+}
+
+/**
+ * Adapts a function writing a file stream to a sink into a multer storage
+ * engine. The function resolves with properties added to the file, such as
+ * its `path`; the file's `size` is counted while it streams.
+ *
+ * @param {(file: Object, req: Object) => Promise<Object>} sink - Consumes
+ *   `file.stream`, and resolves once it is stored.
+ * @returns {Object} The storage engine.
+ */
+function streamStorage(sink) {
+  return {
+    _handleFile(req, file, cb) {
+      let size = 0;
+      const stream = file.stream.pipe(
+        new node_stream.Transform({
+          transform(chunk, encoding, done) {
+            size += chunk.length;
+            done(null, chunk);
+          },
+        })
+      );
+      Promise.resolve()
+        .then(() => sink({ ...file, stream }, req))
+        .then((info) => cb(null, { size, ...info }))
+        .catch(cb);
+    },
+    // Stored files are the sink's to clean up
+    _removeFile(req, file, cb) {
+      cb(null);
+    },
+  }
+}
+
+function storageEngine(multer, storage, dest) {
+  if (storage === 'memory') {
+    return multer.memoryStorage()
+  }
+  if (storage === 'disk') {
+    return multer.diskStorage({ destination: dest })
+  }
+  if (typeof storage === 'function') {
+    return streamStorage(storage)
+  }
+  if (typeof storage?._handleFile === 'function') {
+    return storage
+  }
+  throw new TypeError(
+    'The upload storage must be "memory", "disk", a multer storage engine or a function.'
+  )
+}
+
+/**
+ * Builds the `ValidationError` sent for a rejected upload, with one detail
+ * shaped like a Joi error detail.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} detail - The detail's `message`, `path`, `type` and `context`.
+ * @param {number} [statusCode=422] - The HTTP status code to respond with.
+ * @returns {ValidationError} The error.
+ */
+function uploadError(req, { message, path, type, context }, statusCode = 422) {
+  const label = path.join('.');
+  return new ValidationError({
+    container: 'body',
+    details: [{ message, path, type, context: { label, ...context } }],
+    requestID: getRequestID(req),
+    statusCode,
+    message,
+  })
+}
+
+/**
+ * Translates a multer limit error into a `ValidationError`: 413 for a request
+ * that is too large, 422 for files the route does not accept.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Error} err - The `MulterError`.
+ * @param {Object[]} fields - The route's file fields.
+ * @param {Object} limits - The multer limits.
+ * @returns {ValidationError} The error.
+ */
+function limitError(req, err, fields, limits) {
+  const statusCode = sizeLimitCodes.includes(err.code) ? 413 : 422;
+  const field = fields.find(({ name }) => name === err.field);
+  const path = err.field ? [err.field] : [];
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    // Multer stops at the largest size of all fields; report this field's own
+    const limit = field?.maxSize ?? limits.fileSize;
+    return uploadError(
+      req,
+      {
+        message: `"${err.field}" must be a file of at most ${limit} bytes`,
+        path,
+        type: 'file.maxSize',
+        context: { limit },
+      },
+      statusCode
+    )
+  }
+  if (err.code === 'LIMIT_UNEXPECTED_FILE' && field) {
+    return uploadError(req, {
+      message: `"${err.field}" must contain at most ${field.maxCount} ${field.maxCount === 1 ? 'file' : 'files'}`,
+      path,
+      type: 'file.maxCount',
+      context: { limit: field.maxCount },
+    })
+  }
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return uploadError(req, {
+      message: `"${err.field}" is not allowed`,
+      path,
+      type: 'object.unknown',
+    })
+  }
+  return uploadError(
+    req,
+    {
+      message: err.field ? `"${err.field}": ${err.message}` : err.message,
+      path,
+      type: `multipart.${err.code}`,
+    },
+    statusCode
+  )
+}
+
+/**
+ * Creates the multer middleware parsing a route's uploads, configured from its
+ * `multipart/form-data` body schema so the limits are declared only once: the
+ * file fields and their counts (`uploadedFile()` keys, arrays of them with
+ * `max()`, or a `file: Joi.binary()` key for a single file), their allowed
+ * MIME types and their size limits (`maxSize`, or `Joi.binary().max()`).
+ *
+ * Multer stops files above the largest declared size as they stream, and
+ * files of another type before they are stored. Each field's own limits are
+ * checked again by `validateRequest`, which should follow this middleware.
+ * Rejected uploads are handled like failed validations: `errorFormat`,
+ * `passErrors` and `onError` apply, with a 413 status for files that are too
+ * large. Pass the factory made by `createValidator` as `validate` to use its
+ * defaults for these options.
+ *
+ * @example
+ * const validate = createValidator({ errorFormat: 'problem' })
+ * app.post(
+ *   '/gallery',
+ *   uploadFor(GallerySchema.uploadImages, { storage: 'disk', validate }),
+ *   validate(GallerySchema.uploadImages),
+ *   handler
+ * )
+ *
+ * @param {Object} route - The route, as returned by `createRoute`.
+ * @param {Object} [options={}] - Upload options, and the error options of
+ *   `validateRequest` (`errorFormat`, `problemType`, `passErrors`, `onError`).
+ * @param {'memory'|'disk'|Object|Function} [options.storage='memory'] - Where
+ *   files go: in memory (`buffer`), on disk (`path`), to a multer storage
+ *   engine, or to a function `(file, req) => Promise<Object>` that consumes
+ *   `file.stream` and resolves with properties to add to the file. A single
+ *   `file: Joi.binary()` key validates the file's `buffer`, so it needs memory
+ *   storage (or an engine providing `buffer`).
+ * @param {string} [options.dest] - The directory of disk storage. Defaults to
+ *   the OS temporary directory.
+ * @param {Object} [options.limits] - Multer limits, overriding the derived ones.
+ * @param {Function} [options.validate] - The factory made by `createValidator`
+ *   whose defaults apply to the error options.
+ * @throws {Error} If the route has no multipart body or file fields, if a
+ *   `file: Joi.binary()` key is stored on disk or by a function, or if the
+ *   "multer" package is not installed.
+ * @returns {(req, res, next) => void} Express middleware function.
+ */
+const uploadFor = (route, options = {}) => {
+  const { storage = 'memory', dest, limits: limitOverrides } = options;
+  const settings = resolveSettings(defaultsOf(options.validate), options);
+  const routeName = `${route?.method?.toUpperCase()} ${route?.path}`;
+
+  const bodySchema = multipartSchema(route);
+  if (!bodySchema) {
+    throw new Error(
+      `Cannot create an upload middleware for ${routeName}: it has no multipart/form-data body schema.`
+    )
+  }
+  const namedFields = fileFields(bodySchema);
+  const singleFile = namedFields.length
+    ? undefined
+    : singleFileField(bodySchema);
+  const fields = singleFile ? [singleFile] : namedFields;
+  if (!fields.length) {
+    throw new Error(
+      `Cannot create an upload middleware for ${routeName}: its body declares no file fields. Use uploadedFile().`
+    )
+  }
+
+  // `file: Joi.binary()` validates `req.file.buffer`, which only memory storage
+  // and some storage engines provide
+  if (singleFile && (storage === 'disk' || typeof storage === 'function')) {
+    throw new Error(
+      `Cannot create an upload middleware for ${routeName}: its "file: Joi.binary()" field needs memory storage. Declare the file with uploadedFile() to store it elsewhere.`
+    )
+  }
+
+  const sizes = fields.map(({ maxSize }) => maxSize);
+  const limits = {
+    ...(sizes.every((size) => size !== undefined) && {
+      fileSize: Math.max(...sizes),
+    }),
+    ...limitOverrides,
+  };
+  const fieldsByName = new Map(fields.map((field) => [field.name, field]));
+
+  const multer = requireOptional('multer', 'uploadFor');
+  const upload = multer({
+    storage: storageEngine(multer, storage, dest),
+    limits,
+    fileFilter: (req, file, cb) => {
+      const field = fieldsByName.get(file.fieldname);
+      const { mimetypes } = field;
+      if (!mimetypes.length) {
+        return cb(null, true)
+      }
+      // Checked by the `mimetype` key itself, for the message Joi gives,
+      // including a custom `.error()` declared on it
+      const path = singleFile ? ['mimetype'] : [file.fieldname, 'mimetype'];
+      const schema = field.mimetypeSchema || mimetypeSchema(field.schema);
+      const { error } = schema.label(path.join('.')).validate(file.mimetype);
+      if (!error) {
+        return cb(null, true)
+      }
+      cb(
+        uploadError(req, {
+          message: error.message,
+          path,
+          type: 'any.only',
+          context: { valids: mimetypes, value: file.mimetype },
+        })
+      );
+    },
+  });
+  const parse = singleFile
+    ? upload.single(singleFile.name)
+    : upload.fields(fields.map(({ name, maxCount }) => ({ name, maxCount })));
+
+  return (req, res, next) =>
+    parse(req, res, (err) => {
+      if (!err) {
+        return next()
+      }
+      if (err instanceof ValidationError) {
+        return handleValidationError(req, res, next, settings, err)
+      }
+      if (err instanceof multer.MulterError) {
+        return handleValidationError(
+          req,
+          res,
+          next,
+          settings,
+          limitError(req, err, fields, limits)
+        )
+      }
+      return next(err)
+    })
+};
+
+exports.ExternalRuleError = ExternalRuleError;
+exports.ResponseValidationError = ResponseValidationError;
 exports.RouteSchema = RouteSchema;
+exports.UnsupportedMediaTypeError = UnsupportedMediaTypeError;
+exports.ValidationError = ValidationError;
+exports.buildOpenApiDocument = buildOpenApiDocument;
+exports.createRouter = createRouter;
+exports.createValidator = createValidator;
+exports.openApiToRouteSchemas = openApiToRouteSchemas;
+exports.registerRule = registerRule;
+exports.registerType = registerType;
 exports.schemaToSwagger = schemaToSwagger;
+exports.serializeOpenApiDocument = serializeOpenApiDocument;
+exports.serveDocs = serveDocs;
+exports.sortOpenApiDocument = sortOpenApiDocument;
+exports.toYaml = toYaml;
+exports.uploadFor = uploadFor;
+exports.uploadedFile = uploadedFile;
 exports.validateRequest = validateRequest;
+exports.validateResponse = validateResponse;
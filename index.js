@@ -1,5 +1,45 @@
-import validateRequest from './lib/middleware-validator.js'
+import createRouter from './lib/create-router.js'
+import {
+  ExternalRuleError,
+  ResponseValidationError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+} from './lib/errors.js'
+import { registerRule, registerType } from './lib/joi-to-swagger.js'
+import validateRequest, { createValidator } from './lib/middleware-validator.js'
+import { buildOpenApiDocument } from './lib/openapi-document.js'
+import {
+  serializeOpenApiDocument,
+  sortOpenApiDocument,
+  toYaml,
+} from './lib/openapi-serializer.js'
+import { openApiToRouteSchemas } from './lib/openapi-to-joi.js'
+import validateResponse from './lib/response-validator.js'
 import RouteSchema from './lib/route-schema.js'
 import { schemaToSwagger } from './lib/schema-to-swagger.js'
+import serveDocs from './lib/serve-docs.js'
+import uploadFor from './lib/upload-for.js'
+import { uploadedFile } from './lib/uploaded-file.js'
 
-export { validateRequest, schemaToSwagger, RouteSchema }
+export {
+  validateRequest,
+  createValidator,
+  validateResponse,
+  createRouter,
+  serveDocs,
+  schemaToSwagger,
+  buildOpenApiDocument,
+  sortOpenApiDocument,
+  serializeOpenApiDocument,
+  toYaml,
+  openApiToRouteSchemas,
+  registerType,
+  registerRule,
+  RouteSchema,
+  uploadedFile,
+  uploadFor,
+  ValidationError,
+  UnsupportedMediaTypeError,
+  ExternalRuleError,
+  ResponseValidationError,
+}
@@ -0,0 +1,310 @@
+import _ from 'lodash'
+import {
+  existsSync,
+  mkdirSync,
+  readdirSync,
+  readFileSync,
+  writeFileSync,
+} from 'node:fs'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { parseArgs } from 'node:util'
+
+import { buildOpenApiDocument } from './openapi-document.js'
+import { serializeOpenApiDocument } from './openapi-serializer.js'
+import { openApiToRouteSchemas } from './openapi-to-joi.js'
+import { requireOptional } from './optional-require.js'
+import RouteSchema from './route-schema.js'
+import { schemaToSwagger } from './schema-to-swagger.js'
+
+const { omit } = _
+
+// buildOpenApiDocument options that schemaToSwagger does not take
+const documentOptions = [
+  'info',
+  'servers',
+  'security',
+  'securitySchemes',
+  'externalDocs',
+  'openapi',
+]
+
+const usage = `Usage: joi-ful-routes <command> [options]
+
+Commands:
+  generate              Write the OpenAPI document of RouteSchema modules
+  import <spec>         Scaffold RouteSchema classes from an OpenAPI 3 document
+                        (JSON, or YAML with the "js-yaml" package installed)
+
+Options for generate:
+  --schemas <glob>      The modules exporting RouteSchema classes (repeatable)
+  --out <file>          The .json, .yaml or .yml file to write (default: stdout)
+  --info <file>         A JSON file with the "info" object, or with all the
+                        buildOpenApiDocument options (info, servers, ...)
+  --target <version>    The OpenAPI version to generate: 3.0 or 3.1
+  --error-format <name> Passed to schemaToSwagger, such as "problem"
+
+Options for import:
+  --out <dir>           The directory to write the classes to (default: .)
+  --package <id>        The module to import RouteSchema from
+                        (default: joi-ful-routes)
+  --force               Overwrite existing files
+`
+
+/**
+ * Reads an OpenAPI document from a JSON or YAML file.
+ *
+ * @param {string} file - The file path.
+ * @returns {object} The parsed document.
+ */
+function readSpec(file) {
+  const text = readFileSync(file, 'utf8')
+  if (/\.ya?ml$/i.test(file)) {
+    return requireOptional('js-yaml', 'Importing YAML documents').load(text)
+  }
+  return JSON.parse(text)
+}
+
+/**
+ * Converts a glob pattern (`*`, `?` and `**` for any number of directories)
+ * into a regular expression matching relative POSIX paths.
+ *
+ * @param {string} pattern - The glob pattern.
+ * @returns {RegExp} The regular expression.
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .split('/')
+    .map((segment) =>
+      segment === '**'
+        ? '(?:[^/]+/)*'
+        : `${segment
+            .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+            .replaceAll('*', '[^/]*')
+            .replaceAll('?', '[^/]')}/`
+    )
+    .join('')
+  return new RegExp(`^${source.slice(0, -1)}$`)
+}
+
+/**
+ * Lists the files matching a glob pattern, skipping `node_modules` and hidden
+ * directories.
+ *
+ * @param {string} pattern - The pattern, relative to `cwd` or absolute.
+ * @param {string} cwd - The working directory.
+ * @returns {string[]} The absolute paths of the matching files.
+ */
+function expandGlob(pattern, cwd) {
+  const segments = path
+    .resolve(cwd, pattern)
+    .split(path.sep)
+    .join('/')
+    .split('/')
+  const firstGlob = segments.findIndex((segment) => /[*?]/.test(segment))
+  if (firstGlob === -1) {
+    const file = segments.join('/')
+    return existsSync(file) ? [path.resolve(file)] : []
+  }
+
+  const root = segments.slice(0, firstGlob).join('/') || '/'
+  const matcher = globToRegExp(segments.slice(firstGlob).join('/'))
+  const files = []
+  const walk = (dir, relative) => {
+    if (!existsSync(dir)) {
+      return
+    }
+    for (const entry of readdirSync(dir, { withFileTypes: true })) {
+      const entryPath = relative ? `${relative}/${entry.name}` : entry.name
+      if (entry.isDirectory()) {
+        if (entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+          walk(path.join(dir, entry.name), entryPath)
+        }
+      } else if (matcher.test(entryPath)) {
+        files.push(path.join(dir, entry.name))
+      }
+    }
+  }
+  walk(root, '')
+  return files
+}
+
+/**
+ * Tells whether a module export is a RouteSchema subclass. Classes extending
+ * another copy of the package (such as its CommonJS build) are recognized
+ * by name.
+ *
+ * @param {*} value - The exported value.
+ * @returns {boolean} Whether the value is a RouteSchema subclass.
+ */
+function isRouteSchemaClass(value) {
+  if (typeof value !== 'function' || value === RouteSchema) {
+    return false
+  }
+  for (
+    let parent = Object.getPrototypeOf(value);
+    parent;
+    parent = Object.getPrototypeOf(parent)
+  ) {
+    if (parent === RouteSchema || parent.name === 'RouteSchema') {
+      return true
+    }
+  }
+  return false
+}
+
+async function generateCommand(args, { stdout, stderr, cwd }) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      schemas: { type: 'string', multiple: true, default: [] },
+      out: { type: 'string' },
+      info: { type: 'string' },
+      target: { type: 'string' },
+      'error-format': { type: 'string' },
+    },
+  })
+  // Unquoted globs are expanded by the shell into extra arguments
+  const patterns = [...values.schemas, ...positionals]
+  if (!patterns.length || !values.info) {
+    stderr.write(usage)
+    return 1
+  }
+
+  const files = [
+    ...new Set(patterns.flatMap((pattern) => expandGlob(pattern, cwd))),
+  ].sort()
+  if (!files.length) {
+    throw new Error(`No files match ${patterns.join(', ')}.`)
+  }
+
+  const settings = JSON.parse(
+    readFileSync(path.resolve(cwd, values.info), 'utf8')
+  )
+  const options = {
+    ...(settings.info ? settings : { info: settings }),
+    ...(values.target && { target: values.target }),
+    ...(values['error-format'] && { errorFormat: values['error-format'] }),
+  }
+  const swaggerOptions = omit(options, documentOptions)
+
+  const schemaClasses = []
+  for (const file of files) {
+    const exports = await import(pathToFileURL(file).href)
+    for (const value of Object.values(exports)) {
+      if (!isRouteSchemaClass(value) || schemaClasses.includes(value)) {
+        continue
+      }
+      // Convert each class on its own first, so errors name their module
+      try {
+        schemaToSwagger(value, swaggerOptions)
+      } catch (err) {
+        throw new Error(
+          `${path.relative(cwd, file)} (${value.name}): ${err.message}`
+        )
+      }
+      schemaClasses.push(value)
+    }
+  }
+  if (!schemaClasses.length) {
+    throw new Error(
+      `No RouteSchema classes are exported by ${patterns.join(', ')}.`
+    )
+  }
+
+  const document = buildOpenApiDocument(schemaClasses, options)
+  if (!values.out) {
+    stdout.write(serializeOpenApiDocument(document))
+    return 0
+  }
+  const outFile = path.resolve(cwd, values.out)
+  mkdirSync(path.dirname(outFile), { recursive: true })
+  writeFileSync(
+    outFile,
+    serializeOpenApiDocument(document, {
+      format: /\.ya?ml$/i.test(outFile) ? 'yaml' : 'json',
+    })
+  )
+  stdout.write(
+    `Wrote ${path.relative(cwd, outFile)} (${schemaClasses.length} schema classes, ${Object.keys(document.paths).length} paths)\n`
+  )
+  return 0
+}
+
+function importCommand(args, { stdout, stderr, cwd }) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      out: { type: 'string', default: '.' },
+      package: { type: 'string', default: 'joi-ful-routes' },
+      force: { type: 'boolean', default: false },
+    },
+  })
+  if (positionals.length !== 1) {
+    stderr.write(usage)
+    return 1
+  }
+
+  const spec = readSpec(path.resolve(cwd, positionals[0]))
+  const { files, warnings } = openApiToRouteSchemas(spec, {
+    packageName: values.package,
+  })
+  const outDir = path.resolve(cwd, values.out)
+  const existing = files
+    .map(({ fileName }) => path.join(outDir, fileName))
+    .filter((file) => existsSync(file))
+  if (existing.length && !values.force) {
+    stderr.write(
+      `Refusing to overwrite ${existing.join(', ')}. Use --force to overwrite.\n`
+    )
+    return 1
+  }
+
+  mkdirSync(outDir, { recursive: true })
+  for (const { fileName, source } of files) {
+    const file = path.join(outDir, fileName)
+    writeFileSync(file, source)
+    stdout.write(`Wrote ${path.relative(cwd, file)}\n`)
+  }
+  warnings.forEach((warning) => stderr.write(`Warning: ${warning}\n`))
+  return 0
+}
+
+const commands = {
+  generate: generateCommand,
+  import: importCommand,
+}
+
+/**
+ * Runs the `joi-ful-routes` command line.
+ *
+ * @param {string[]} argv - The arguments, without the node and script paths.
+ * @param {Object} [io] - Where to write output, and the working directory.
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout] - Progress output.
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr] - Errors and warnings.
+ * @param {string} [io.cwd=process.cwd()] - The directory paths are relative to.
+ * @returns {Promise<number>} The exit code.
+ */
+export async function runCli(
+  argv,
+  { stdout = process.stdout, stderr = process.stderr, cwd = process.cwd() } = {}
+) {
+  const [name, ...args] = argv
+  const command = commands[name]
+  if (!name || name === '--help' || name === '-h') {
+    stdout.write(usage)
+    return 0
+  }
+  if (!command) {
+    stderr.write(`Unknown command "${name}".\n\n${usage}`)
+    return 1
+  }
+  try {
+    return await command(args, { stdout, stderr, cwd })
+  } catch (err) {
+    stderr.write(`Error: ${err.message}\n`)
+    return 1
+  }
+}
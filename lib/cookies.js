@@ -0,0 +1,120 @@
+import { createHmac, timingSafeEqual } from 'node:crypto'
+
+/**
+ * Parses a `Cookie` header into an object, decoding percent-encoded values.
+ * The first of several cookies with the same name wins, as in browsers.
+ *
+ * @param {string} [header=''] - The `Cookie` header.
+ * @returns {Object<string, string>} The cookie values by name.
+ */
+export function parseCookieHeader(header = '') {
+  const cookies = {}
+  for (const pair of header.split(';')) {
+    const separator = pair.indexOf('=')
+    if (separator === -1) {
+      continue
+    }
+    const name = pair.slice(0, separator).trim()
+    if (!name || Object.hasOwn(cookies, name)) {
+      continue
+    }
+    let value = pair.slice(separator + 1).trim()
+    if (value.startsWith('"') && value.endsWith('"')) {
+      value = value.slice(1, -1)
+    }
+    try {
+      cookies[name] = decodeURIComponent(value)
+    } catch {
+      cookies[name] = value
+    }
+  }
+  return cookies
+}
+
+/**
+ * Checks the signature of a cookie value signed as cookie-parser does
+ * (`s:<value>.<HMAC-SHA256 in base64>`).
+ *
+ * @param {string} signed - The value, without its `s:` prefix.
+ * @param {string[]} secrets - The secrets that may have signed it.
+ * @returns {string|false} The unsigned value, or `false` if the signature is invalid.
+ */
+function unsign(signed, secrets) {
+  const separator = signed.lastIndexOf('.')
+  const value = signed.slice(0, separator)
+  const signature = Buffer.from(signed.slice(separator + 1))
+  const valid =
+    separator !== -1 &&
+    secrets.some((secret) => {
+      const expected = Buffer.from(
+        createHmac('sha256', secret)
+          .update(value)
+          .digest('base64')
+          .replace(/=+$/, '')
+      )
+      return (
+        expected.length === signature.length &&
+        timingSafeEqual(expected, signature)
+      )
+    })
+  return valid ? value : false
+}
+
+// Values prefixed with `j:` hold JSON, as written by `res.cookie()`
+const parseJsonCookie = (value) => {
+  if (typeof value !== 'string' || !value.startsWith('j:')) {
+    return value
+  }
+  try {
+    return JSON.parse(value.slice(2))
+  } catch {
+    return value
+  }
+}
+
+/**
+ * Reads the plain or signed cookies of a request: from `req.cookies` and
+ * `req.signedCookies` when cookie-parser ran, otherwise from the `Cookie`
+ * header, with the same results. Signed cookies with an invalid signature are
+ * `false`, and are left out of the plain cookies.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} [options={}] - Reading options.
+ * @param {boolean} [options.signed=false] - Whether to read the signed cookies.
+ * @param {string|string[]} [options.secret] - The signing secrets, when
+ *   cookie-parser did not run. Defaults to `req.secret`.
+ * @throws {Error} If signed cookies are read without any secret.
+ * @returns {Object} The cookie values by name.
+ */
+export function requestCookies(req, { signed = false, secret } = {}) {
+  const parsed = signed ? req.signedCookies : req.cookies
+  if (parsed) {
+    return parsed
+  }
+
+  const cookies = parseCookieHeader(req.headers.cookie)
+  const isSigned = (name) =>
+    typeof cookies[name] === 'string' && cookies[name].startsWith('s:')
+  if (!signed) {
+    return Object.fromEntries(
+      Object.keys(cookies)
+        .filter((name) => !isSigned(name))
+        .map((name) => [name, parseJsonCookie(cookies[name])])
+    )
+  }
+
+  const secrets = [].concat(secret || req.secret || [])
+  if (!secrets.length) {
+    throw new Error(
+      'Validating signed cookies requires cookie-parser with a secret, or the cookieSecret option.'
+    )
+  }
+  return Object.fromEntries(
+    Object.keys(cookies)
+      .filter(isSigned)
+      .map((name) => {
+        const value = unsign(cookies[name].slice(2), secrets)
+        return [name, value === false ? false : parseJsonCookie(value)]
+      })
+  )
+}
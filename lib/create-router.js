@@ -0,0 +1,93 @@
+import validateRequest from './middleware-validator.js'
+import { requireOptional } from './optional-require.js'
+
+/**
+ * Wraps a route handler so that a rejected promise is passed to `next()`
+ * instead of being left unhandled (Express 4 does not do this itself).
+ *
+ * @param {Function} handler - The route handler.
+ * @returns {(req, res, next) => void} The wrapped handler.
+ */
+const forwardRejections = (handler) => (req, res, next) => {
+  const result = handler(req, res, next)
+  if (result && typeof result.catch === 'function') {
+    result.catch(next)
+  }
+}
+
+/**
+ * Creates an Express router from a RouteSchema class and a map of handlers,
+ * so each route's path and method are declared only once, in the schema.
+ *
+ * Handlers are keyed by the name of the static route getter (e.g. `getProduct`).
+ * A handler may also be an array `[...middleware, handler]`; the middleware runs
+ * before validation, which suits upload middleware that fills `req.file`.
+ *
+ * @example
+ * const router = createRouter(ProductSchema, {
+ *   getProduct: (req, res) => res.json(findProduct(req.query.productId)),
+ *   uploadFile: [upload.single('file'), (req, res) => res.sendStatus(200)],
+ * }, { prefix: '/v2' })
+ *
+ * @param {import('./route-schema').default} schemaClass - The schema class declaring the routes.
+ * @param {Object<string, Function|Function[]>} handlers - Handlers keyed by route name.
+ * @param {Object} [options={}] - Router options.
+ * @param {string} [options.prefix=''] - A path prefix for every route.
+ * @param {Function} [options.validate=validateRequest] - The validator used for every
+ *   route, e.g. one made by `createValidator`.
+ * @param {Object} [options.router] - An existing Express router to add the routes to.
+ * @throws {Error} If a route has no handler, or a handler has no route.
+ * @throws {TypeError} If a handler is not a function or an array of functions.
+ * @returns {Object} The Express router.
+ */
+const createRouter = (schemaClass, handlers, options = {}) => {
+  const { validate = validateRequest } = options
+  const prefix = (options.prefix || '').replace(/\/+$/, '')
+  const routes = schemaClass._routes
+
+  // Reading the paths checks for duplicate path + method declarations
+  void schemaClass._paths
+
+  const problems = []
+  Object.entries(routes).forEach(([name, route]) => {
+    if (!Object.hasOwn(handlers, name)) {
+      problems.push(
+        `route "${name}" (${route.method.toUpperCase()} ${route.path}) has no handler`
+      )
+    }
+  })
+  Object.keys(handlers).forEach((name) => {
+    if (!routes[name]) {
+      problems.push(`handler "${name}" does not match any route`)
+    }
+  })
+  if (problems.length) {
+    throw new Error(
+      `Cannot create a router for ${schemaClass.name}: ${problems.join('; ')}.`
+    )
+  }
+
+  const router =
+    options.router || requireOptional('express', 'createRouter').Router()
+
+  Object.entries(routes).forEach(([name, route]) => {
+    const stack = [].concat(handlers[name])
+    if (!stack.length || stack.some((fn) => typeof fn !== 'function')) {
+      throw new TypeError(
+        `Handler "${name}" must be a function or an array of functions.`
+      )
+    }
+
+    const handler = stack.pop()
+    router[route.method.toLowerCase()](
+      `${prefix}${route.expressPath || route.path}`,
+      ...stack,
+      validate(route),
+      forwardRejections(handler)
+    )
+  })
+
+  return router
+}
+
+export default createRouter
@@ -0,0 +1,117 @@
+/**
+ * Raised when a request container fails Joi validation.
+ * Passed to `next()` when `validateRequest` is configured with `passErrors: true`,
+ * and to the `onError` hook.
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {Object} options - The error properties.
+   * @param {string} options.container - The container that failed validation.
+   * @param {Array<Object>} [options.details=[]] - Joi error details.
+   * @param {string|null} [options.requestID=null] - The request ID, if any.
+   * @param {number} [options.statusCode=422] - The HTTP status code to respond with.
+   * @param {string} [options.message] - The error message. Defaults to the joined detail messages.
+   */
+  constructor({
+    container,
+    details = [],
+    requestID = null,
+    statusCode = 422,
+    message,
+  }) {
+    super(
+      message ||
+        details.map((detail) => detail.message).join('. ') ||
+        'Request validation failed.'
+    )
+    this.name = 'ValidationError'
+    this.container = container
+    this.details = details
+    this.requestID = requestID
+    this.statusCode = statusCode
+  }
+}
+
+/**
+ * Raised when the request body has a content type the route does not declare.
+ */
+export class UnsupportedMediaTypeError extends ValidationError {
+  /**
+   * @param {Object} options - The error properties.
+   * @param {string} [options.contentType] - The content type that was received.
+   * @param {string|null} [options.requestID=null] - The request ID, if any.
+   */
+  constructor({ contentType, requestID = null }) {
+    super({
+      container: 'body',
+      requestID,
+      statusCode: 415,
+      message: `Unsupported content type: ${contentType}`,
+    })
+    this.name = 'UnsupportedMediaTypeError'
+    this.contentType = contentType
+  }
+}
+
+/**
+ * Thrown by a Joi `.external()` rule to fail validation with a status code of
+ * its choice, e.g. 404 for an unknown ID or 409 for a conflicting value.
+ * Other errors thrown by external rules are passed to `next()`.
+ *
+ * @example
+ * Joi.string().external(async (id, { prefs, state }) => {
+ *   if (!(await prefs.context.services.catalog.has(id))) {
+ *     throw new ExternalRuleError({ statusCode: 404, message: 'Product not found', path: state.path })
+ *   }
+ * })
+ */
+export class ExternalRuleError extends Error {
+  /**
+   * @param {Object} options - The error properties.
+   * @param {string} options.message - The error message.
+   * @param {number} [options.statusCode=422] - The HTTP status code to respond with.
+   * @param {Array<string|number>} [options.path=[]] - The path of the value that failed.
+   * @param {string} [options.type='external'] - The error type, as in Joi error details.
+   */
+  constructor({ message, statusCode = 422, path = [], type = 'external' }) {
+    super(message)
+    this.name = 'ExternalRuleError'
+    this.statusCode = statusCode
+    this.path = path
+    this.type = type
+  }
+}
+
+/**
+ * Raised by `validateResponse` in `error` mode when a handler sends a body
+ * that does not match the schema declared in the route's `responses`.
+ */
+export class ResponseValidationError extends Error {
+  /**
+   * @param {Object} options - The error properties.
+   * @param {number} options.responseStatus - The status code the handler responded with.
+   * @param {string} options.contentType - The content type of the response.
+   * @param {Array<Object>} [options.details=[]] - Joi error details.
+   * @param {string|null} [options.requestID=null] - The request ID, if any.
+   * @param {string} [options.message] - The error message.
+   */
+  constructor({
+    responseStatus,
+    contentType,
+    details = [],
+    requestID = null,
+    message,
+  }) {
+    super(
+      `Response validation failed for ${responseStatus} ${contentType}: ${
+        message || details.map((detail) => detail.message).join('. ')
+      }`
+    )
+    this.name = 'ResponseValidationError'
+    this.responseStatus = responseStatus
+    this.contentType = contentType
+    this.details = details
+    this.requestID = requestID
+    this.statusCode = 500
+  }
+}
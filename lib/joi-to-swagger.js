@@ -1,4 +1,4 @@
-// CConversion library for transforming joi schema objects into swagger/OpenApi OAS 3.0 schema definitions.
+// Conversion library for transforming joi schema objects into swagger/OpenApi OAS 3.0 or 3.1 schema definitions.
 'use strict'
 
 import Joi from 'joi'
@@ -7,6 +7,8 @@ import _ from 'lodash'
 const { isRef, object: _object, isSchema } = Joi
 
 const {
+  castArray,
+  escapeRegExp,
   find,
   get,
   isEqual,
@@ -14,6 +16,7 @@ const {
   isPlainObject,
   isString,
   merge,
+  omit,
   set,
   uniqWith,
 } = _
@@ -26,8 +29,33 @@ const patterns = {
   alphanumLower: '^[a-z0-9]*$',
   alphanumUpper: '^[A-Z0-9]*$',
   token: '^[a-zA-Z0-9_]*$',
+  hex: '[a-fA-F0-9]*',
+  hexByteAligned: '(?:[a-fA-F0-9]{2})*',
+  caseLower: '^[^A-Z]*$',
+  caseUpper: '^[^a-z]*$',
+  trim: '^(?:\\S(?:[\\s\\S]*\\S)?)?$',
+  dataUri: '^data:',
 }
 
+/**
+ * Supported OpenAPI versions. 3.1 output follows JSON Schema 2020-12.
+ */
+const targets = ['3.0', '3.1']
+
+/**
+ * Converters registered for custom Joi types, by type name.
+ *
+ * @type {Map<string, Function>}
+ */
+const typeConverters = new Map()
+
+/**
+ * Converters registered for Joi rules, by type name and then rule name.
+ *
+ * @type {Map<string, Map<string, Function>>}
+ */
+const ruleConverters = new Map()
+
 /**
  * Extracts metadata from a Joi schema.
  *
@@ -94,16 +122,154 @@ function getCaseSuffix(schema) {
   return ''
 }
 
+/**
+ * Builds the pattern for a Joi `hex()` rule.
+ *
+ * @param {Object} [hexOptions={}] - The options passed to `hex()`.
+ * @returns {string} The regex source matching the accepted hex strings.
+ */
+function getHexPattern(hexOptions = {}) {
+  const digits = hexOptions.byteAligned ? patterns.hexByteAligned : patterns.hex
+  const prefix = { true: '0x', optional: '(?:0x)?' }[hexOptions.prefix] || ''
+  return `^${prefix}${digits}$`
+}
+
+/**
+ * Maps the format-like rules of a Joi string schema (uri, ip, base64, ...)
+ * to the matching OpenAPI `format` and its companion keywords.
+ *
+ * @param {Joi.Schema} schema - The Joi string schema.
+ * @param {Object} options - Conversion options (`target`).
+ * @returns {Object|null} The keywords to merge into the string schema, or null.
+ */
+function getStringFormat(schema, options) {
+  for (const { name, args = {} } of schema._rules) {
+    switch (name) {
+      case 'email':
+        return { format: 'email' }
+      case 'isoDate':
+        return { format: 'date-time' }
+      case 'isoDuration':
+        return { format: 'duration' }
+      case 'guid':
+        return { format: 'uuid' }
+      case 'hostname':
+      case 'domain':
+        return { format: 'hostname' }
+      case 'creditCard':
+        return { format: 'credit-card' }
+      case 'dataUri':
+        return { format: 'uri', pattern: patterns.dataUri }
+      case 'uri':
+        return getUriFormat(args.options)
+      case 'ip':
+        return getIpFormat(args.options)
+      case 'base64':
+        return getBase64Format(args.options, options)
+    }
+  }
+  return null
+}
+
+function getUriFormat(uriOptions = {}) {
+  const relative = uriOptions.relativeOnly || uriOptions.allowRelative
+  const swagger = { format: relative ? 'uri-reference' : 'uri' }
+  if (uriOptions.scheme) {
+    const schemes = castArray(uriOptions.scheme)
+    swagger['x-uri-schemes'] = schemes.map((scheme) =>
+      scheme instanceof RegExp ? scheme.source : scheme
+    )
+    // A relative reference has no scheme to match against
+    if (!relative) {
+      const sources = schemes.map((scheme) =>
+        scheme instanceof RegExp ? scheme.source : escapeRegExp(scheme)
+      )
+      swagger.pattern = `^(?:${sources.join('|')}):`
+    }
+  }
+  return swagger
+}
+
+function getIpFormat(ipOptions = {}) {
+  const versions = ipOptions.version ? castArray(ipOptions.version) : []
+  const cidr = ipOptions.cidr || 'optional'
+  if (
+    versions.length === 1 &&
+    ['ipv4', 'ipv6'].includes(versions[0]) &&
+    cidr === 'forbidden'
+  ) {
+    return { format: versions[0] }
+  }
+  const swagger = { format: 'ip', 'x-cidr': cidr }
+  if (versions.length) {
+    swagger['x-ip-version'] = versions
+  }
+  return swagger
+}
+
+function getBase64Format(base64Options = {}, options) {
+  const encoding = base64Options.urlSafe ? 'base64url' : 'base64'
+  if (options.target === '3.1') {
+    return { contentEncoding: encoding }
+  }
+  return { format: encoding === 'base64' ? 'byte' : encoding }
+}
+
+/**
+ * Adds every `pattern()` rule of a Joi string schema. The first plain pattern
+ * fills `pattern` when it is still free; the others, and inverted patterns,
+ * become `allOf` entries so that none of them is lost.
+ *
+ * @param {Object} swagger - The string schema being built.
+ * @param {Joi.Schema} schema - The Joi string schema.
+ */
+function addPatterns(swagger, schema) {
+  const allOf = []
+  for (const { name, args } of schema._rules) {
+    if (name !== 'pattern') {
+      continue
+    }
+    const pattern = args.regex.source
+    if (get(args, 'options.invert')) {
+      allOf.push({ not: { pattern } })
+    } else if (!swagger.pattern) {
+      swagger.pattern = pattern
+    } else {
+      allOf.push({ pattern })
+    }
+  }
+  if (allOf.length) {
+    swagger.allOf = allOf
+  }
+}
+
 /**
  * Parses conditional schemas (when clauses) in Joi schemas.
  *
  * @param {Joi.Schema} schema - The Joi schema containing when clauses.
  * @param {object} existingComponents - Existing Swagger components.
  * @param {object} newComponentsByRef - Newly added components by reference.
+ * @param {object} options - Conversion options, see `parse`.
  * @returns {object} The Swagger schema for conditional alternatives.
  */
-function parseWhens(schema, existingComponents, newComponentsByRef) {
+function parseWhens(schema, existingComponents, newComponentsByRef, options) {
   const whens = get(schema, '$_terms.whens')
+
+  // Each variant of a discriminated object is the object itself, without
+  // its conditions, combined with the `then` schema of its case
+  const base = schema.clone()
+  base.$_terms.whens = null
+  const discriminated = parseDiscriminator(
+    whens,
+    (then) => (then.type === 'object' ? base.concat(then) : then),
+    existingComponents,
+    newComponentsByRef,
+    options
+  )
+  if (discriminated) {
+    return discriminated
+  }
+
   const mode = whens.length > 1 ? 'anyOf' : 'oneOf'
 
   const alternatives = []
@@ -130,10 +296,153 @@ function parseWhens(schema, existingComponents, newComponentsByRef) {
     alternatives,
     existingComponents,
     newComponentsByRef,
-    mode
+    mode,
+    options
+  )
+}
+
+/**
+ * Lists the `{ is, then }` cases of Joi conditions when they all switch on
+ * the value of the same own key, e.g. `conditional('.type', { switch })`.
+ *
+ * @param {object[]} conditions - Joi `whens` or alternatives `matches`.
+ * @returns {{ propertyName: string, cases: object[] }|null} The discriminator
+ *   key and its cases, or null when the conditions do not form one.
+ */
+function getDiscriminatorCases(conditions) {
+  const cases = []
+  const keys = new Set()
+
+  for (const condition of conditions) {
+    const { ref } = condition
+    // Only a reference to an own key (`.type`) can act as a discriminator
+    if (!ref || ref.ancestor !== 0 || ref.path.length !== 1) {
+      return null
+    }
+    keys.add(ref.path[0])
+
+    const branches = condition.switch || [condition]
+    if (branches.some((branch) => branch.otherwise)) {
+      return null
+    }
+    cases.push(...branches)
+  }
+
+  const values = cases.map(({ is }) => is && is._valids && is._valids.values())
+  const isDiscriminator =
+    keys.size === 1 &&
+    cases.every(
+      ({ is, then }, i) =>
+        then &&
+        get(is, '_flags.only') &&
+        values[i].length === 1 &&
+        isString(values[i][0])
+    ) &&
+    new Set(values.map(([value]) => value)).size === cases.length
+
+  if (!isDiscriminator) {
+    return null
+  }
+
+  return {
+    propertyName: [...keys][0],
+    cases: cases.map(({ then }, i) => ({ value: values[i][0], then })),
+  }
+}
+
+/**
+ * Names the component of a discriminated variant.
+ *
+ * @param {Joi.Schema} schema - The `then` schema of a case.
+ * @returns {string|undefined} Its `className` meta, label or id.
+ */
+function variantName(schema) {
+  return (
+    meta(schema, 'className') ||
+    get(schema, '_flags.label') ||
+    get(schema, '_flags.id')
   )
 }
 
+/**
+ * Restricts the discriminator property of a variant to the value of its case,
+ * instead of every value the base schema allows.
+ *
+ * @param {object} swagger - The Swagger schema of the variant.
+ * @param {string} propertyName - The discriminator property.
+ * @param {string} value - The value selecting the variant.
+ * @param {object} options - Conversion options, see `parse`.
+ */
+function narrowDiscriminator(swagger, propertyName, value, options) {
+  const property = get(swagger, ['properties', propertyName])
+  if (!property || property.$ref) {
+    return
+  }
+
+  swagger.properties[propertyName] = {
+    ...omit(property, ['enum', 'const']),
+    ...(options.target === '3.1' ? { const: value } : { enum: [value] }),
+  }
+}
+
+/**
+ * Converts conditions on a discriminator key into a `oneOf` of named
+ * component schemas with a `discriminator` mapping, as code generators expect
+ * for polymorphic payloads. Every `then` schema must be named through
+ * `.meta({ className })`, `.label()` or `.id()`.
+ *
+ * @param {object[]} conditions - Joi `whens` or alternatives `matches`.
+ * @param {(then: Joi.Schema) => Joi.Schema} toVariant - Builds the full
+ *   schema of a case from its `then` schema.
+ * @param {object} existingComponents - Existing Swagger components.
+ * @param {object} newComponentsByRef - Newly added components by reference.
+ * @param {object} options - Conversion options, see `parse`.
+ * @returns {object|null} The discriminated schema, or null when the
+ *   conditions are not a discriminator.
+ */
+function parseDiscriminator(
+  conditions,
+  toVariant,
+  existingComponents,
+  newComponentsByRef,
+  options
+) {
+  const discriminator = getDiscriminatorCases(conditions || [])
+  if (
+    !discriminator ||
+    !discriminator.cases.every(({ then }) => variantName(then))
+  ) {
+    return null
+  }
+
+  const oneOf = []
+  const mapping = {}
+  for (const { value, then } of discriminator.cases) {
+    const { swagger, components } = parse(
+      toVariant(then),
+      merge({}, existingComponents || {}, newComponentsByRef || {}),
+      false,
+      options
+    )
+    merge(newComponentsByRef, components || {})
+
+    let ref = swagger
+    if (!swagger.$ref) {
+      narrowDiscriminator(swagger, discriminator.propertyName, value, options)
+      ref = refDef('schemas', variantName(then))
+      set(newComponentsByRef, ['schemas', variantName(then)], swagger)
+    }
+
+    oneOf.push(ref)
+    mapping[value] = ref.$ref
+  }
+
+  return {
+    oneOf: uniqWith(oneOf, isEqual),
+    discriminator: { propertyName: discriminator.propertyName, mapping },
+  }
+}
+
 /**
  * Constructs Swagger schema for alternative Joi schemas.
  *
@@ -141,19 +450,23 @@ function parseWhens(schema, existingComponents, newComponentsByRef) {
  * @param {object} existingComponents - Existing Swagger components.
  * @param {object} newComponentsByRef - Newly added components by reference.
  * @param {string} mode - The OpenAPI mode ('anyOf', 'oneOf', etc.).
+ * @param {object} options - Conversion options, see `parse`.
  * @returns {object} The Swagger schema for alternatives.
  */
 function schemaForAlternatives(
   alternatives,
   existingComponents,
   newComponentsByRef,
-  mode
+  mode,
+  options
 ) {
   let swaggers = []
   for (const joiSchema of alternatives) {
     const { swagger, components } = parse(
       joiSchema,
-      merge({}, existingComponents || {}, newComponentsByRef || {})
+      merge({}, existingComponents || {}, newComponentsByRef || {}),
+      false,
+      options
     )
     if (!swagger) {
       continue
@@ -175,14 +488,19 @@ function schemaForAlternatives(
  *
  * @param {Joi.Schema} schema - The Joi schema.
  * @param {Function} filterFunc - The function to filter values.
- * @returns {object} An object containing enum or not constraints.
+ * @param {object} [options={}] - Conversion options, see `parse`.
+ * @returns {object} An object containing enum, const or not constraints.
  */
-function parseValidsAndInvalids(schema, filterFunc) {
+function parseValidsAndInvalids(schema, filterFunc, options = {}) {
   const swagger = {}
   if (schema._valids) {
     const valids = schema._valids.values().filter(filterFunc)
     if (get(schema, '_flags.only') && valids.length) {
-      swagger.enum = valids
+      if (options.target === '3.1' && valids.length === 1) {
+        swagger.const = valids[0]
+      } else {
+        swagger.enum = valids
+      }
     }
   }
 
@@ -210,14 +528,327 @@ function getRefValue(ref, schema, fallback) {
   return refValues[refKey] || fallback
 }
 
+/**
+ * Resolves the schema targeted by a `Joi.link()` reference the way Joi does:
+ * `#id` links search the ancestors (including their shared and nested schemas)
+ * for the id, `/` links the root and `..`-style links the matching ancestor.
+ *
+ * @param {Joi.Ref} ref - The link reference.
+ * @param {Joi.Schema[]} ancestors - The schemas being converted, outermost first.
+ * @returns {Joi.Schema|undefined} The linked schema, if found.
+ */
+function resolveLink(ref, ancestors) {
+  if (ref.type === 'local') {
+    const [id, ...path] = ref.path
+    for (let i = ancestors.length - 1; i >= 0; i--) {
+      const ancestor = ancestors[i]
+      const target =
+        (get(ancestor, '_flags.id') === id && ancestor) ||
+        find(
+          get(ancestor, '$_terms.shared') || [],
+          (shared) => get(shared, '_flags.id') === id
+        ) ||
+        get(ancestor, '_ids._byId')?.get(id)?.schema
+      if (target) {
+        return path.length ? target.extract(path) : target
+      }
+    }
+    return undefined
+  }
+
+  const target =
+    ref.ancestor === 'root'
+      ? ancestors[0]
+      : ancestors[ancestors.length - 1 - ref.ancestor]
+  return target && ref.path.length ? target.extract(ref.path) : target
+}
+
+/**
+ * Names the component emitted for a schema targeted by `Joi.link()`.
+ *
+ * @param {Joi.Schema} schema - The linked schema.
+ * @returns {string} The component name: the schema's label, or else its id.
+ * @throws {Error} If the schema has neither a label nor an id.
+ */
+function linkedComponentName(schema) {
+  const name = get(schema, '_flags.label') || get(schema, '_flags.id')
+  if (!name) {
+    throw new Error(
+      'Schemas targeted by Joi.link() need an .id() or a .label() to be named in components.'
+    )
+  }
+  return name
+}
+
+/**
+ * Sets an exclusive numeric bound. OpenAPI 3.0 pairs `minimum`/`maximum` with
+ * a boolean `exclusiveMinimum`/`exclusiveMaximum`, while 3.1 (JSON Schema
+ * 2020-12) carries the limit in `exclusiveMinimum`/`exclusiveMaximum` itself.
+ *
+ * @param {object} swagger - The Swagger schema to update in place.
+ * @param {'Minimum'|'Maximum'} bound - Which bound to set.
+ * @param {number} limit - The exclusive limit.
+ * @param {object} options - Conversion options, see `parse`.
+ */
+function setExclusiveBound(swagger, bound, limit, options) {
+  const inclusiveKey = bound.toLowerCase()
+
+  if (options.target === '3.1') {
+    delete swagger[inclusiveKey]
+    swagger[`exclusive${bound}`] = limit
+  } else {
+    swagger[inclusiveKey] = limit
+    swagger[`exclusive${bound}`] = true
+  }
+}
+
+/**
+ * Narrows a numeric bound, keeping the stricter of the current and the new
+ * limit. On equal limits an exclusive bound wins over an inclusive one.
+ *
+ * @param {object} bounds - The bounds collected so far, updated in place.
+ * @param {'Minimum'|'Maximum'} bound - Which bound to narrow.
+ * @param {number} limit - The new limit.
+ * @param {boolean} exclusive - Whether the limit itself is excluded.
+ */
+function tightenBound(bounds, bound, limit, exclusive) {
+  const current = bounds[bound]
+  const stricter =
+    !current ||
+    (bound === 'Minimum' ? limit > current.limit : limit < current.limit) ||
+    (limit === current.limit && exclusive)
+  if (stricter) {
+    bounds[bound] = { limit, exclusive }
+  }
+}
+
+/**
+ * Picks the OpenAPI format of an integer: `int64` when Joi allows unsafe
+ * integers, `int32` when both bounds fit in a signed 32-bit integer.
+ *
+ * @param {Joi.Schema} schema - The Joi number schema.
+ * @param {object} bounds - The bounds collected by `tightenBound`.
+ * @returns {string|undefined} The format, if one applies.
+ */
+function getIntegerFormat(schema, bounds) {
+  if (get(schema, '_flags.unsafe')) {
+    return 'int64'
+  }
+  const { Minimum: min, Maximum: max } = bounds
+  if (min && max && min.limit >= -(2 ** 31) && max.limit <= 2 ** 31 - 1) {
+    return 'int32'
+  }
+}
+
+/**
+ * Builds a schema that requires all the given keys.
+ *
+ * @param {string[]} keys - The keys to require.
+ * @returns {object} A `{ required }` schema.
+ */
+function requireKeys(...keys) {
+  return { required: keys }
+}
+
+/**
+ * Builds a schema matching objects holding at least one of the given keys.
+ *
+ * @param {string[]} keys - The keys to look for.
+ * @returns {object} A `required` schema, or an `anyOf` of them.
+ */
+function requireAnyKey(keys) {
+  return keys.length === 1
+    ? requireKeys(keys[0])
+    : { anyOf: keys.map((key) => requireKeys(key)) }
+}
+
+/**
+ * Translates a single Joi object dependency (`and`, `or`, `xor`, `oxor`,
+ * `nand`, `with`, `without`) into OpenAPI `required` combinations.
+ *
+ * @param {object} dependency - An entry of `$_terms.dependencies`.
+ * @param {string[]} peers - The peer keys.
+ * @param {string} [key] - The subject key of `with` and `without`.
+ * @param {object} options - Conversion options, see `parse`.
+ * @returns {object|undefined} The constraint, if the rule is known.
+ */
+function getDependencyConstraint({ rel }, peers, key, options) {
+  switch (rel) {
+    case 'and':
+      // All of the peers or none of them
+      return {
+        anyOf: [requireKeys(...peers), { not: requireAnyKey(peers) }],
+      }
+    case 'or':
+      return requireAnyKey(peers)
+    case 'xor':
+      return { oneOf: peers.map((peer) => requireKeys(peer)) }
+    case 'oxor':
+      return {
+        not: {
+          anyOf: peers.flatMap((peer, i) =>
+            peers.slice(i + 1).map((other) => requireKeys(peer, other))
+          ),
+        },
+      }
+    case 'nand':
+      return { not: requireKeys(...peers) }
+    case 'with':
+      if (options.target === '3.1') {
+        return { dependentRequired: { [key]: peers } }
+      }
+      return { anyOf: [{ not: requireKeys(key) }, requireKeys(...peers)] }
+    case 'without':
+      if (options.target === '3.1') {
+        return { dependentSchemas: { [key]: { not: requireAnyKey(peers) } } }
+      }
+      return {
+        anyOf: [{ not: requireKeys(key) }, { not: requireAnyKey(peers) }],
+      }
+  }
+}
+
+/**
+ * Adds a constraint to a schema in place. Its keywords are copied when the
+ * schema does not use them yet; otherwise the constraint is added to `allOf`,
+ * so that keywords such as `required` or `oneOf` are never overwritten.
+ *
+ * @param {object} swagger - The Swagger schema to update in place.
+ * @param {object} constraint - The schema to combine with it.
+ */
+function addConstraint(swagger, constraint) {
+  const { allOf = [], ...keywords } = constraint
+  const conflicts = Object.keys(keywords).some((keyword) =>
+    Object.hasOwn(swagger, keyword)
+  )
+  const combined = [
+    ...(swagger.allOf || []),
+    ...allOf,
+    ...(conflicts ? [keywords] : []),
+  ]
+  if (!conflicts) {
+    Object.assign(swagger, keywords)
+  }
+  if (combined.length) {
+    swagger.allOf = combined
+  }
+}
+
+/**
+ * Adds the key dependencies of a Joi object schema. Dependencies between
+ * direct keys become `required` combinations (grouped under `allOf` when there
+ * are several); the ones OpenAPI cannot express, such as nested paths, are
+ * listed in `x-joi-dependencies`.
+ *
+ * @param {object} swagger - The object schema being built, updated in place.
+ * @param {Joi.Schema} schema - The Joi object schema.
+ * @param {object} options - Conversion options, see `parse`.
+ */
+function addDependencies(swagger, schema, options) {
+  const constraints = []
+  const unsupported = []
+
+  for (const dependency of get(schema, '$_terms.dependencies') || []) {
+    const refs = [dependency.key, ...dependency.peers].filter(Boolean)
+    const peers = dependency.peers.map((peer) => peer.path.join('.'))
+    const key = dependency.key ? dependency.key.path.join('.') : undefined
+    const constraint = refs.every((ref) => ref.path.length === 1)
+      ? getDependencyConstraint(dependency, peers, key, options)
+      : undefined
+
+    if (constraint) {
+      constraints.push(constraint)
+    } else {
+      unsupported.push({ rule: dependency.rel, ...(key && { key }), peers })
+    }
+  }
+
+  if (constraints.length === 1) {
+    addConstraint(swagger, constraints[0])
+  } else if (constraints.length) {
+    addConstraint(swagger, { allOf: constraints })
+  }
+
+  if (unsupported.length) {
+    swagger['x-joi-dependencies'] = unsupported
+  }
+}
+
+/**
+ * Allows `null` in a JSON Schema 2020-12 (OpenAPI 3.1) schema, which has no
+ * `nullable` keyword: `null` is added to the type list, enum and alternatives.
+ *
+ * @param {object} swagger - The Swagger schema to update in place.
+ */
+function makeNullable(swagger) {
+  if (swagger.type) {
+    swagger.type = uniqWith([].concat(swagger.type, 'null'), isEqual)
+  }
+
+  if (swagger.enum) {
+    swagger.enum = uniqWith([...swagger.enum, null], isEqual)
+  } else if (Object.hasOwn(swagger, 'const')) {
+    swagger.enum = uniqWith([swagger.const, null], isEqual)
+    delete swagger.const
+  }
+
+  for (const mode of ['anyOf', 'oneOf']) {
+    if (swagger[mode]) {
+      swagger[mode] = uniqWith([...swagger[mode], { type: 'null' }], isEqual)
+    }
+  }
+}
+
+/**
+ * Lets the items of a sparse array be `undefined`, which JSON serializes as
+ * `null`.
+ *
+ * @param {object} items - The items schema.
+ * @param {object} options - Conversion options, see `parse`.
+ * @returns {object} The items schema accepting `null`.
+ */
+function allowNullItems(items, options) {
+  if (!Object.keys(items).length) {
+    return items
+  }
+  if (options.target === '3.1') {
+    if (items.$ref) {
+      return { anyOf: [items, { type: 'null' }] }
+    }
+    const nullable = { ...items }
+    makeNullable(nullable)
+    return nullable
+  }
+  // Siblings of $ref are ignored in OpenAPI 3.0
+  return items.$ref
+    ? { allOf: [items], nullable: true }
+    : { ...items, nullable: true }
+}
+
+/**
+ * Documents an uploaded file, marked with `.meta({ swaggerType: 'file' })`,
+ * as a binary string, whatever the type of its Joi schema.
+ *
+ * @param {Object} options - Generation options.
+ * @returns {Object} The binary string schema.
+ */
+function getFileSchema(options) {
+  return options.target === '3.1'
+    ? { type: 'string', contentMediaType: 'application/octet-stream' }
+    : { type: 'string', format: 'binary' }
+}
+
 /**
  * Parsers for different Joi types to Swagger schema.
  */
 const parseAsType = {
-  number: (schema) => {
+  number: (schema, existingComponents, newComponentsByRef, options) => {
     const swagger = {}
+    const isInteger =
+      find(schema._rules, { name: 'integer' }) ||
+      find(schema._rules, { name: 'port' })
 
-    if (find(schema._rules, { name: 'integer' })) {
+    if (isInteger) {
       swagger.type = 'integer'
     } else {
       swagger.type = 'number'
@@ -228,87 +859,139 @@ const parseAsType = {
       }
     }
 
-    const sign = find(schema._rules, { name: 'sign' })
-    if (sign) {
-      if (sign.args.sign === 'positive') {
-        swagger.minimum = 1
-      } else if (sign.args.sign === 'negative') {
-        swagger.maximum = -1
+    const bounds = {}
+    const limitOf = (rule) =>
+      isRef(rule.args.limit)
+        ? getRefValue(rule.args.limit, schema, 0)
+        : rule.args.limit
+
+    for (const rule of schema._rules) {
+      switch (rule.name) {
+        case 'sign':
+          if (rule.args.sign === 'positive') {
+            tightenBound(bounds, 'Minimum', 0, true)
+          } else if (rule.args.sign === 'negative') {
+            tightenBound(bounds, 'Maximum', 0, true)
+          }
+          break
+        case 'min':
+          tightenBound(bounds, 'Minimum', limitOf(rule), false)
+          break
+        case 'max':
+          tightenBound(bounds, 'Maximum', limitOf(rule), false)
+          break
+        case 'greater':
+          tightenBound(bounds, 'Minimum', limitOf(rule), true)
+          break
+        case 'less':
+          tightenBound(bounds, 'Maximum', limitOf(rule), true)
+          break
+        case 'port':
+          tightenBound(bounds, 'Minimum', 0, false)
+          tightenBound(bounds, 'Maximum', 65535, false)
+          break
       }
     }
 
-    const min = find(schema._rules, { name: 'min' })
-    if (min) {
-      swagger.minimum = isRef(min.args.limit)
-        ? getRefValue(min.args.limit, schema, 0)
-        : min.args.limit
+    for (const bound of ['Minimum', 'Maximum']) {
+      if (!bounds[bound]) {
+        continue
+      }
+      const { limit, exclusive } = bounds[bound]
+      if (exclusive) {
+        setExclusiveBound(swagger, bound, limit, options)
+      } else {
+        swagger[bound.toLowerCase()] = limit
+      }
     }
 
-    const max = find(schema._rules, { name: 'max' })
-    if (max) {
-      swagger.maximum = isRef(max.args.limit)
-        ? getRefValue(max.args.limit, schema, 0)
-        : max.args.limit
+    const multiple = find(schema._rules, { name: 'multiple' })
+    const precision = find(schema._rules, { name: 'precision' })
+    if (multiple && !isRef(multiple.args.base)) {
+      swagger.multipleOf = multiple.args.base
+    } else if (precision && !isInteger) {
+      // precision(n) allows at most n decimal places
+      swagger.multipleOf = Number(`1e-${precision.args.limit}`)
+    }
+
+    if (isInteger) {
+      const format = getIntegerFormat(schema, bounds)
+      if (format) {
+        swagger.format = format
+      }
     }
 
     Object.assign(
       swagger,
-      parseValidsAndInvalids(schema, (s) => isNumber(s))
+      parseValidsAndInvalids(schema, (s) => isNumber(s), options)
     )
 
     return swagger
   },
-  string: (schema) => {
+  string: (schema, existingComponents, newComponentsByRef, options) => {
     const swagger = { type: 'string' }
+    const strict = get(schema, '_preferences.convert') === false
+    const rule = (name) => find(schema._rules, { name })
 
-    if (find(schema._rules, { name: 'alphanum' })) {
-      const strict = get(schema, '_preferences.convert') === false
+    if (rule('alphanum')) {
       swagger.pattern =
         patterns[`alphanum${strict ? getCaseSuffix(schema) : ''}`]
     }
 
-    if (find(schema._rules, { name: 'token' })) {
+    if (rule('token')) {
       swagger.pattern = patterns.token
     }
 
-    if (find(schema._rules, { name: 'email' })) {
-      swagger.format = 'email'
-      if (swagger.pattern) {
-        delete swagger.pattern
-      }
+    if (rule('hex')) {
+      swagger.pattern = getHexPattern(rule('hex').args.options)
     }
 
-    if (find(schema._rules, { name: 'isoDate' })) {
-      swagger.format = 'date-time'
-      if (swagger.pattern) {
-        delete swagger.pattern
-      }
+    const format = getStringFormat(schema, options)
+    if (format) {
+      // Formats replace the character-class patterns above
+      delete swagger.pattern
+      Object.assign(swagger, format)
     }
 
-    if (find(schema._rules, { name: 'guid' })) {
-      swagger.format = 'uuid'
-      if (swagger.pattern) {
-        delete swagger.pattern
+    const caseRule = rule('case')
+    if (caseRule) {
+      swagger['x-case'] = caseRule.args.direction
+      if (strict && !swagger.pattern && !swagger.format) {
+        swagger.pattern = patterns[`case${getCaseSuffix(schema)}`]
       }
     }
 
-    const pattern = find(schema._rules, { name: 'pattern' })
-    if (pattern) {
-      swagger.pattern = pattern.args.regex.toString().slice(1, -1)
+    const trimRule = rule('trim')
+    if (trimRule && trimRule.args.enabled !== false) {
+      swagger['x-trim'] = true
+      if (strict && !swagger.pattern && !swagger.format) {
+        swagger.pattern = patterns.trim
+      }
     }
 
+    addPatterns(swagger, schema)
+
     Object.assign(swagger, getMinMax(schema))
     Object.assign(
       swagger,
-      parseValidsAndInvalids(schema, (s) => isString(s))
+      parseValidsAndInvalids(schema, (s) => isString(s), options)
     )
 
     return swagger
   },
-  binary: (schema) => {
+  binary: (schema, existingComponents, newComponentsByRef, options) => {
     const swagger = { type: 'string', format: 'binary' }
+    const encoding = get(schema, '_flags.encoding')
 
-    if (get(schema, '_flags.encoding') === 'base64') {
+    if (options.target === '3.1') {
+      // JSON Schema describes raw and encoded binaries with content keywords
+      delete swagger.format
+      if (encoding) {
+        swagger.contentEncoding = encoding
+      } else {
+        swagger.contentMediaType = 'application/octet-stream'
+      }
+    } else if (encoding === 'base64') {
       swagger.format = 'byte'
     }
 
@@ -324,10 +1007,51 @@ const parseAsType = {
     return swagger
   },
   boolean: (/* schema */) => ({ type: 'boolean' }),
-  alternatives: (schema, existingComponents, newComponentsByRef) => {
+  link: (schema, existingComponents, newComponentsByRef, options) => {
+    const ref = get(schema, '$_terms.link.0.ref')
+    if (!ref) {
+      throw new Error('Joi.link() was used without a reference.')
+    }
+
+    const { links } = options
+    const target = resolveLink(ref, links.ancestors)
+    if (!target) {
+      throw new Error(`Unable to resolve the Joi link "${ref.display}".`)
+    }
+
+    if (!links.linked.has(target)) {
+      links.linked.add(target)
+
+      // Ancestors register themselves once converted (this is how cycles end);
+      // any other target, such as a shared schema, is converted here.
+      if (!links.ancestors.includes(target)) {
+        const { components } = parse(
+          target,
+          merge({}, existingComponents || {}, newComponentsByRef || {}),
+          false,
+          options
+        )
+        merge(newComponentsByRef, components || {})
+      }
+    }
+
+    return refDef('schemas', linkedComponentName(target))
+  },
+  alternatives: (schema, existingComponents, newComponentsByRef, options) => {
     const matches = get(schema, '$_terms.matches')
     const mode = `${get(schema, '_flags.match') || 'any'}Of`
 
+    const discriminated = parseDiscriminator(
+      matches,
+      (then) => then,
+      existingComponents,
+      newComponentsByRef,
+      options
+    )
+    if (discriminated) {
+      return discriminated
+    }
+
     const alternatives = []
     for (const m of matches) {
       if (m.ref) {
@@ -356,48 +1080,89 @@ const parseAsType = {
       alternatives,
       existingComponents,
       newComponentsByRef,
-      mode
+      mode,
+      options
     )
   },
-  array: (schema, existingComponents, newComponentsByRef) => {
-    const items = get(schema, '$_terms.items')
-    const mode = 'oneOf'
-
-    const alternatives = items
-
-    let swaggers = []
-    for (const joiSchema of alternatives) {
+  array: (schema, existingComponents, newComponentsByRef, options) => {
+    const convert = (joiSchema) => {
       const { swagger, components } = parse(
         joiSchema,
-        merge({}, existingComponents || {}, newComponentsByRef || {})
+        merge({}, existingComponents || {}, newComponentsByRef || {}),
+        false,
+        options
       )
-      if (!swagger) {
-        continue
-      } // swagger is falsy if joi.forbidden()
-
       merge(newComponentsByRef, components || {})
-
-      swaggers.push(swagger)
+      return swagger
     }
-    swaggers = uniqWith(swaggers, isEqual)
+    // swagger is falsy if joi.forbidden()
+    const convertAll = (joiSchemas) =>
+      uniqWith(joiSchemas.map(convert).filter(Boolean), isEqual)
+
+    const swaggers = convertAll(get(schema, '$_terms.items') || [])
+    const ordered = (get(schema, '$_terms.ordered') || [])
+      .map(convert)
+      .map((swagger) => swagger || { not: {} })
 
-    const openapi = {
+    let openapi = {
       type: 'array',
-      items: { [mode]: swaggers },
+      items: swaggers.length > 1 ? { oneOf: swaggers } : swaggers[0] || {},
+    }
+
+    if (get(schema, '_flags.sparse')) {
+      openapi.items = allowNullItems(openapi.items, options)
     }
-    if (swaggers.length <= 1) {
-      openapi.items = get(swaggers, [0]) || {}
+
+    if (ordered.length) {
+      if (options.target === '3.1') {
+        openapi.prefixItems = ordered
+        // Without items(), Joi rejects anything past the ordered positions
+        openapi.items = swaggers.length ? openapi.items : false
+      } else {
+        // OpenAPI 3.0 has no tuples: positions are listed in an extension
+        // and items accepts any of the positional or trailing schemas
+        const all = uniqWith([...ordered, ...swaggers], isEqual)
+        openapi['x-prefix-items'] = ordered
+        openapi.items = all.length > 1 ? { oneOf: all } : all[0]
+        if (!swaggers.length) {
+          openapi.maxItems = ordered.length
+        }
+      }
     }
 
     Object.assign(openapi, getMinMax(schema, 'Items'))
 
-    if (find(schema._rules, { name: 'unique' })) {
+    const contains = schema._rules
+      .filter(({ name }) => name === 'has')
+      .map((rule) => convert(rule.args.schema))
+      .filter(Boolean)
+    if (contains.length && options.target === '3.1') {
+      if (contains.length === 1) {
+        openapi.contains = contains[0]
+      } else {
+        openapi.allOf = contains.map((swagger) => ({ contains: swagger }))
+      }
+    } else if (contains.length) {
+      openapi['x-contains'] = contains
+    }
+
+    const unique = find(schema._rules, { name: 'unique' })
+    if (unique) {
       openapi.uniqueItems = true
+      if (isString(unique.args.comparator)) {
+        openapi['x-unique-by'] = unique.args.comparator
+      }
+    }
+
+    if (get(schema, '_flags.single')) {
+      // single() also accepts one bare item, which Joi wraps into an array
+      const item = swaggers.length ? openapi.items : { not: { type: 'array' } }
+      openapi = { oneOf: [item, openapi] }
     }
 
     return openapi
   },
-  object: (schema, existingComponents, newComponentsByRef) => {
+  object: (schema, existingComponents, newComponentsByRef, options) => {
     const requireds = []
     const properties = {}
     let additionalProperties = {}
@@ -411,7 +1176,12 @@ const parseAsType = {
     const children = get(schema, '$_terms.keys') || []
     children.forEach((child) => {
       const key = child.key
-      const { swagger, components } = parse(child.schema, combinedComponents)
+      const { swagger, components } = parse(
+        child.schema,
+        combinedComponents,
+        false,
+        options
+      )
       if (!swagger) {
         // swagger is falsy if joi.forbidden()
         return
@@ -434,7 +1204,9 @@ const parseAsType = {
           if (pattern.rule) {
             const { swagger, components } = parse(
               pattern.rule,
-              combinedComponents
+              combinedComponents,
+              false,
+              options
             )
             if (!swagger) {
               // swagger is falsy if joi.forbidden()
@@ -466,48 +1238,199 @@ const parseAsType = {
       swagger.additionalProperties = additionalProperties
     }
 
+    Object.assign(swagger, getMinMax(schema, 'Properties'))
+    addDependencies(swagger, schema, options)
+
+    const renames = get(schema, '$_terms.renames') || []
+    if (renames.length) {
+      swagger['x-joi-renames'] = renames.map(
+        ({ from, to, options: renameOptions }) => ({
+          from: from instanceof RegExp ? from.source : from,
+          to,
+          ...(renameOptions.alias && { alias: true }),
+        })
+      )
+    }
+
     return swagger
   },
-  any: (schema) => {
+  any: (schema, existingComponents, newComponentsByRef, options) => {
     const swagger = {}
-    // convert property to file upload, if indicated by meta property
-    if (meta(schema, 'swaggerType') === 'file') {
-      swagger.type = 'file'
-      swagger.in = 'formData'
-    }
 
     Object.assign(
       swagger,
-      parseValidsAndInvalids(schema, (s) => isString(s) || isNumber(s))
+      parseValidsAndInvalids(schema, (s) => isString(s) || isNumber(s), options)
     )
 
     return swagger
   },
 }
 
+/**
+ * Builds the context handed to registered type and rule converters.
+ *
+ * @param {object} existingComponents - Existing Swagger components.
+ * @param {object} newComponentsByRef - Newly added components by reference.
+ * @param {object} options - Conversion options, see `parse`.
+ * @returns {{ target: string, components: object, convert: Function }} The
+ *   OpenAPI target, the components gathered so far, and `convert(joiSchema)`
+ *   to convert nested schemas (their components are collected automatically).
+ */
+function converterContext(existingComponents, newComponentsByRef, options) {
+  return {
+    target: options.target,
+    components: newComponentsByRef,
+    convert: (joiSchema) => {
+      const { swagger, components } = parse(
+        joiSchema,
+        merge({}, existingComponents || {}, newComponentsByRef || {}),
+        false,
+        options
+      )
+      merge(newComponentsByRef, components || {})
+      return swagger
+    },
+  }
+}
+
+/**
+ * Merges the output of the rule converters registered for the schema's type.
+ *
+ * @param {object} swagger - The converted schema, updated in place.
+ * @param {Joi.Schema} schema - The Joi schema.
+ * @param {object} existingComponents - Existing Swagger components.
+ * @param {object} newComponentsByRef - Newly added components by reference.
+ * @param {object} options - Conversion options, see `parse`.
+ */
+function applyRuleConverters(
+  swagger,
+  schema,
+  existingComponents,
+  newComponentsByRef,
+  options
+) {
+  const converters = ruleConverters.get(schema.type)
+  if (!converters) {
+    return
+  }
+
+  for (const rule of schema._rules) {
+    const convertRule = converters.get(rule.name)
+    if (convertRule) {
+      Object.assign(
+        swagger,
+        convertRule(
+          rule.args || {},
+          schema,
+          converterContext(existingComponents, newComponentsByRef, options)
+        )
+      )
+    }
+  }
+}
+
+/**
+ * Registers the converter of a custom Joi type, such as one added with
+ * `Joi.extend()`. A converter registered for a built-in type replaces the
+ * default conversion.
+ *
+ * @example
+ * registerType('objectId', (schema, { target }) => ({
+ *   type: 'string',
+ *   pattern: '^[a-f0-9]{24}$',
+ * }))
+ *
+ * @param {string} name - The Joi type name (`schema.type`).
+ * @param {(schema: Joi.Schema, context: object) => object} converter -
+ *   Returns the Swagger schema. `context` holds the OpenAPI `target`, the
+ *   `components` gathered so far and a `convert(joiSchema)` helper for
+ *   nested schemas.
+ * @throws {TypeError} If the name or the converter is invalid.
+ */
+export function registerType(name, converter) {
+  assertConverter(name, converter)
+  typeConverters.set(name, converter)
+}
+
+/**
+ * Registers the converter of a Joi rule. Its result is merged into the
+ * converted schema, after the type's own conversion.
+ *
+ * @example
+ * registerRule('money', 'currency', ({ code }) => ({ 'x-currency': code }))
+ *
+ * @param {string} type - The Joi type name the rule belongs to.
+ * @param {string} ruleName - The rule name, as listed in `schema._rules`.
+ * @param {(args: object, schema: Joi.Schema, context: object) => object} converter -
+ *   Returns the keywords to add. `context` is the one given to type converters.
+ * @throws {TypeError} If a name or the converter is invalid.
+ */
+export function registerRule(type, ruleName, converter) {
+  assertConverter(type, converter)
+  assertConverter(ruleName, converter)
+  if (!ruleConverters.has(type)) {
+    ruleConverters.set(type, new Map())
+  }
+  ruleConverters.get(type).set(ruleName, converter)
+}
+
+function assertConverter(name, converter) {
+  if (!isString(name) || !name) {
+    throw new TypeError('Converters must be registered under a non-empty name.')
+  }
+  if (typeof converter !== 'function') {
+    throw new TypeError(
+      `The converter registered for "${name}" must be a function.`
+    )
+  }
+}
+
 /**
  * Parses a Joi schema into Swagger/OpenAPI schema definitions.
  *
  * @param {Joi.Schema|object} schema - The Joi schema or a plain object to be converted to a Joi object schema.
  * @param {Object<string, Object>} [existingComponents={}] - Existing Swagger components (schemas, parameters, etc.) that may be referenced by the parsed schema.
  * @param {boolean} [isSchemaOverride=false] - Indicates whether the current schema is being overridden by another schema (to prevent nested overrides).
+ * @param {Object} [options={}] - Conversion options.
+ * @param {'3.0'|'3.1'} [options.target='3.0'] - The OpenAPI version to emit. '3.1' emits JSON Schema 2020-12
+ *   idioms: `type: [..., 'null']` instead of `nullable`, `examples` arrays, `const`, and content keywords for binaries.
+ *
+ * Recursive and shared schemas written with `Joi.link()`, `.id()` and `.shared()` are emitted as
+ * `#/components/schemas/<label or id>` entries in `components`, referenced with `$ref`.
  * @returns {{swagger: Object, components: Object<string, Object>}|false} -
  *   An object containing:
  *   - `swagger`: The converted Swagger/OpenAPI schema.
  *   - `components`: The new or updated Swagger components.
  *   Returns `false` if the schema is marked as `forbidden`.
  * @throws {Error} If no schema is provided or if schema override rules are violated.
- * @throws {TypeError} If the provided schema is not a valid Joi schema or if it has an unrecognized type.
+ * @throws {TypeError} If the provided schema is not a valid Joi schema, if it has an unrecognized type,
+ *   or if the target is not supported.
  */
 export function parse(
   schema,
   existingComponents = {},
-  isSchemaOverride = false
+  isSchemaOverride = false,
+  options = {}
 ) {
   if (!schema) {
     throw new Error('No schema was passed.')
   }
 
+  options = { target: '3.0', ...options }
+  if (!targets.includes(options.target)) {
+    throw new TypeError(
+      `Unsupported OpenAPI target "${options.target}". Use one of: ${targets.join(', ')}.`
+    )
+  }
+
+  // Private state shared by one conversion, used to resolve Joi.link()
+  if (!options.links) {
+    options.links = {
+      ancestors: [], // Schemas being converted, outermost first
+      linked: new Set(), // Schemas targeted by a link, emitted as components
+    }
+  }
+
   if (isPlainObject(schema)) {
     schema = _object().keys(schema)
   }
@@ -528,7 +1451,7 @@ export function parse(
         'Cannot override the schema for one which is being used in another override (no nested schema overrides).'
       )
     }
-    return parse(schemaOverride, existingComponents, true)
+    return parse(schemaOverride, existingComponents, true, options)
   }
 
   const components = {}
@@ -561,17 +1484,49 @@ export function parse(
 
   const type = meta(schema, 'baseType') || schema.type
 
-  if (!parseAsType[type]) {
-    throw new TypeError(`${type} is not a recognized Joi type.`)
+  if (!typeConverters.has(type) && !parseAsType[type]) {
+    throw new TypeError(
+      `${type} is not a recognized Joi type. Use registerType() to document custom types.`
+    )
   }
 
-  const swagger = parseAsType[type](schema, existingComponents, components)
-  if (get(schema, '$_terms.whens')) {
-    Object.assign(swagger, parseWhens(schema, existingComponents, components))
+  options.links.ancestors.push(schema)
+  let swagger
+  if (flattenMeta.swaggerType === 'file') {
+    swagger = getFileSchema(options)
+  } else {
+    swagger = typeConverters.has(type)
+      ? typeConverters.get(type)(
+          schema,
+          converterContext(existingComponents, components, options)
+        )
+      : parseAsType[type](schema, existingComponents, components, options)
+    applyRuleConverters(
+      swagger,
+      schema,
+      existingComponents,
+      components,
+      options
+    )
+    if (get(schema, '$_terms.whens')) {
+      const whens = parseWhens(schema, existingComponents, components, options)
+      // A discriminated union replaces the base schema, which every variant
+      // already includes
+      if (whens.discriminator) {
+        swagger = whens
+      } else {
+        addConstraint(swagger, whens)
+      }
+    }
   }
+  options.links.ancestors.pop()
 
   if (schema._valids && schema._valids.has(null)) {
-    swagger.nullable = true
+    if (options.target === '3.1') {
+      makeNullable(swagger)
+    } else {
+      swagger.nullable = true
+    }
   }
 
   const description = get(schema, '_flags.description')
@@ -579,8 +1534,20 @@ export function parse(
     swagger.description = description
   }
 
+  // External rules (checked by `validateRequest` in async mode) are listed by
+  // their descriptions, or flagged when they have none
+  const externals = schema.$_terms.externals || []
+  if (externals.length) {
+    const descriptions = externals
+      .map((external) => external.description)
+      .filter(Boolean)
+    swagger['x-external-validation'] = descriptions.length ? descriptions : true
+  }
+
   if (schema.$_terms.examples) {
-    if (schema.$_terms.examples.length === 1) {
+    if (options.target === '3.1') {
+      swagger.examples = schema.$_terms.examples
+    } else if (schema.$_terms.examples.length === 1) {
       swagger.example = schema.$_terms.examples[0]
     } else {
       swagger.examples = schema.$_terms.examples
@@ -604,5 +1571,15 @@ export function parse(
     Object.assign(swagger, override)
   }
 
+  // Schemas targeted by Joi.link() become named components. The outermost
+  // schema stays inline as well, so callers still get its full definition.
+  if (options.links.linked.has(schema) && !metaDefName) {
+    const name = linkedComponentName(schema)
+    set(components, ['schemas', name], { ...swagger })
+    if (options.links.ancestors.length) {
+      return { swagger: refDef('schemas', name), components }
+    }
+  }
+
   return getReturnValue(swagger)
 }
@@ -1,6 +1,18 @@
 'use strict'
 // eslint-disable-next-line no-unused-vars
 import Joi from 'joi'
+import _ from 'lodash'
+
+import { requestCookies } from './cookies.js'
+import {
+  ExternalRuleError,
+  UnsupportedMediaTypeError,
+  ValidationError,
+} from './errors.js'
+import { PROBLEM_CONTENT_TYPE, toProblemDetails } from './problem-details.js'
+import { attachUploadedFiles } from './uploaded-file.js'
+
+const { pick } = _
 
 // These represent the incoming data containers that we might need to validate
 const containers = {
@@ -30,8 +42,92 @@ const containers = {
     allowUnknown: false,
     abortEarly: false,
   },
+  // Browsers send every cookie of the domain, not only the route's
+  cookies: {
+    convert: true,
+    allowUnknown: true,
+    abortEarly: false,
+  },
+  signedCookies: {
+    convert: true,
+    allowUnknown: true,
+    abortEarly: false,
+  },
+}
+
+// Joi validation options that may be overridden globally or per route
+const joiOptionKeys = [
+  'allowUnknown',
+  'stripUnknown',
+  'abortEarly',
+  'convert',
+  'presence',
+  'context',
+  'messages',
+]
+
+// Options that control the middleware itself rather than Joi
+const middlewareDefaults = {
+  errorFormat: 'default', // 'default' ({ requestID, error }) or 'problem' (RFC 7807)
+  problemType: 'about:blank',
+  passErrors: false, // Pass errors to next() instead of responding
+  onError: null, // (err, req, res, next) hook that takes over error handling
+  async: false, // Validate with validateAsync, running .external() rules
+  services: null, // Dependencies for external rules, or a (req) => services function
+  timeout: 0, // Milliseconds before async validation fails with a 503; 0 for none
+  cookieSecret: null, // Secret(s) checking signed cookies without cookie-parser
 }
 
+// Defaults of the factories made by `createValidator`, for `uploadFor`
+const validatorDefaults = new WeakMap()
+
+/**
+ * Resolves the Joi options for every container by layering option objects on
+ * top of the built-in `containers` defaults. Each layer may set options for all
+ * containers at its top level and for a single container under its name, e.g.
+ * `{ abortEarly: false, query: { allowUnknown: true } }`. Later layers win.
+ *
+ * @param {...Object} layers - Option objects, from lowest to highest precedence.
+ * @returns {Object<string, Object>} The Joi options keyed by container.
+ */
+const resolveContainerOptions = (...layers) => {
+  const resolved = {}
+
+  for (const [container, defaults] of Object.entries(containers)) {
+    resolved[container] = layers.reduce(
+      (options, layer = {}) => ({
+        ...options,
+        ...pick(layer, joiOptionKeys),
+        ...pick(layer[container], joiOptionKeys),
+      }),
+      { ...defaults }
+    )
+  }
+
+  return resolved
+}
+
+/**
+ * Resolves the middleware options (`errorFormat`, `problemType`, `passErrors`
+ * and `onError`) from option objects, ignoring their Joi options.
+ *
+ * @param {...Object} layers - Option objects, from lowest to highest precedence.
+ * @returns {Object} The middleware options.
+ */
+const resolveSettings = (...layers) =>
+  Object.assign(
+    { ...middlewareDefaults },
+    ...layers.map((layer) => pick(layer, Object.keys(middlewareDefaults)))
+  )
+
+/**
+ * Finds the defaults a middleware factory was created with.
+ *
+ * @param {Function} [validate] - A factory returned by `createValidator`.
+ * @returns {Object} Its defaults, or an empty object for any other value.
+ */
+const defaultsOf = (validate) => validatorDefaults.get(validate) || {}
+
 /**
  * Extracts the request ID from the request object.
  * Looks for the ID in the headers or the request object.
@@ -43,71 +139,378 @@ const getRequestID = (req) =>
   req.headers['x-request-id'] || req.requestID || null
 
 /**
- * Middleware for validating incoming request data against Joi schemas.
+ * Sends a validation error in the configured error format.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {Object} settings - The resolved middleware options.
+ * @param {ValidationError} err - The validation error.
+ * @returns {Object} The Express response.
+ */
+const sendValidationError = (req, res, settings, err) => {
+  if (settings.errorFormat === 'problem') {
+    return res
+      .status(err.statusCode)
+      .type(PROBLEM_CONTENT_TYPE)
+      .json(
+        toProblemDetails({
+          status: err.statusCode,
+          detail: err.message,
+          type: settings.problemType,
+          instance: req.originalUrl,
+          requestID: err.requestID,
+          container: err.container,
+          details:
+            err instanceof UnsupportedMediaTypeError ? undefined : err.details,
+        })
+      )
+  }
+
+  return res.status(err.statusCode).json({
+    requestID: err.requestID,
+    error: err.message,
+  })
+}
+
+/**
+ * Hands a validation error to the `onError` hook, to `next()` when
+ * `passErrors` is set, or otherwise responds with it directly.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} res - The Express response object.
+ * @param {Function} next - The Express next function.
+ * @param {Object} settings - The resolved middleware options.
+ * @param {ValidationError} err - The validation error.
+ * @returns {*} Whatever the chosen handler returns.
+ */
+const handleValidationError = (req, res, next, settings, err) => {
+  if (typeof settings.onError === 'function') {
+    return settings.onError(err, req, res, next)
+  }
+
+  if (settings.passErrors) {
+    return next(err)
+  }
+
+  return sendValidationError(req, res, settings, err)
+}
+
+/**
+ * Reads a request container. Cookies are parsed from the `Cookie` header
+ * when cookie-parser did not fill `req.cookies` and `req.signedCookies`.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} container - The container name.
+ * @param {Object} settings - The resolved middleware options.
+ * @returns {*} The container's value.
+ */
+const containerValue = (req, container, settings) => {
+  if (container === 'cookies' || container === 'signedCookies') {
+    return requestCookies(req, {
+      signed: container === 'signedCookies',
+      secret: settings.cookieSecret,
+    })
+  }
+  return req[container]
+}
+
+/**
+ * Picks the Joi schema of a request container. Bodies declared per content
+ * type use the schema of the request's `Content-Type`, if any; file uploads
+ * are first copied into the body so the schema validates them.
  *
  * @param {Object<string, Joi.ObjectSchema>} schema - The validation schema.
- * @returns {(req, res, next) => void} Express middleware function.
+ * @param {string} container - The container name.
+ * @param {Object} req - The Express request object.
+ * @returns {Joi.Schema|UnsupportedMediaTypeError} The schema, or the error to
+ *   send when the body's content type is not declared.
  */
-const validateRequest = (schema) => (req, res, next) => {
-  try {
-    const requestID = getRequestID(req)
-
-    for (const [container, options] of Object.entries(containers)) {
-      if (schema?.[container] && req[container]) {
-        // Handle multipart/form-data (file uploads)
-        if (container === 'body' && req.file) {
-          // Copy the file buffer AND the mimetype so Joi can validate them
-          req.body.file = req.file.buffer
-          req.body.mimetype = req.file.mimetype
-        }
+const containerSchema = (schema, container, req) => {
+  if (container !== 'body') {
+    return schema[container]
+  }
 
-        // Handle content-type-specific schemas for the request body
-        if (container === 'body' && schema.body?.content) {
-          const contentType = req.headers['content-type']?.split(';')[0]
-          const requestBodySchema = schema.body.content[contentType]?.schema
+  const contentType = req.headers['content-type']?.split(';')[0]
+  const requestBodySchema = schema.body.content
+    ? schema.body.content[contentType]?.schema
+    : schema.body
 
-          if (requestBodySchema) {
-            const { error, value } = requestBodySchema.validate(
-              req.body,
-              options
-            )
-            if (error) {
-              return res.status(422).json({
-                requestID,
-                error: error.message,
-              })
-            }
-            req.body = value // Set validated body
-          } else {
-            const message = `Unsupported content type: ${contentType}`
-            return res.status(415).json({
-              requestID,
-              error: message,
-            })
+  // Handle multipart/form-data (file uploads)
+  if (req.file || req.files) {
+    // Copy the files under their field names so Joi can validate them
+    attachUploadedFiles(req, requestBodySchema)
+  }
+
+  return (
+    requestBodySchema ||
+    new UnsupportedMediaTypeError({
+      contentType,
+      requestID: getRequestID(req),
+    })
+  )
+}
+
+/**
+ * Builds the Express middleware that validates each request container.
+ *
+ * @param {Object<string, Joi.ObjectSchema>} schema - The validation schema.
+ * @param {Object<string, Object>} containerOptions - Joi options keyed by container.
+ * @param {Object} settings - The resolved middleware options.
+ * @returns {(req, res, next) => void} Express middleware function.
+ */
+const validationMiddleware =
+  (schema, containerOptions, settings) => (req, res, next) => {
+    try {
+      for (const [container, options] of Object.entries(containerOptions)) {
+        const data =
+          schema?.[container] && containerValue(req, container, settings)
+        if (data) {
+          const joiSchema = containerSchema(schema, container, req)
+          if (joiSchema instanceof ValidationError) {
+            return handleValidationError(req, res, next, settings, joiSchema)
           }
-        } else {
-          const { error, value } = schema[container].validate(
-            req[container],
-            options
-          )
+
+          const { error, value } = joiSchema.validate(data, options)
           if (error) {
-            return res.status(422).json({
-              requestID,
-              error: error.message,
-            })
+            return handleValidationError(
+              req,
+              res,
+              next,
+              settings,
+              new ValidationError({
+                container,
+                details: error.details,
+                requestID: getRequestID(req),
+                message: error.message,
+              })
+            )
           }
           req[container] = value // Set validated container
         }
       }
+
+      // If everything passed validation, continue
+      next()
+    } catch (err) {
+      if (!res.headersSent) {
+        next(err)
+      }
     }
+  }
 
-    // If everything passed validation, continue
-    next()
+/**
+ * Validates one container with `validateAsync`, so its `.external()` rules
+ * run, and stores the validated value.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {string} container - The container name.
+ * @param {*} data - The container's value.
+ * @param {Joi.Schema} joiSchema - The container's schema.
+ * @param {Object} options - The container's Joi options.
+ * @returns {Promise<ValidationError|undefined>} The error to send, if the
+ *   container is invalid. Errors thrown by external rules other than
+ *   `ExternalRuleError` are rethrown.
+ */
+const validateContainerAsync = async (
+  req,
+  container,
+  data,
+  joiSchema,
+  options
+) => {
+  try {
+    req[container] = await joiSchema.validateAsync(data, options)
+    return undefined
   } catch (err) {
-    if (!res.headersSent) {
-      next(err)
+    if (err instanceof ExternalRuleError) {
+      return new ValidationError({
+        container,
+        details: [
+          {
+            message: err.message,
+            path: err.path,
+            type: err.type,
+            context: { label: err.path.join('.') },
+          },
+        ],
+        requestID: getRequestID(req),
+        statusCode: err.statusCode,
+        message: err.message,
+      })
+    }
+    if (err.isJoi) {
+      return new ValidationError({
+        container,
+        details: err.details,
+        requestID: getRequestID(req),
+        message: err.message,
+      })
     }
+    throw err
   }
 }
 
+/**
+ * Builds the Express middleware that validates each request container with
+ * `validateAsync`. External rules get the request, the `services` and an
+ * `AbortSignal` in their context (`helpers.prefs.context`); the signal aborts
+ * when validation times out or the client disconnects.
+ *
+ * @param {Object<string, Joi.ObjectSchema>} schema - The validation schema.
+ * @param {Object<string, Object>} containerOptions - Joi options keyed by container.
+ * @param {Object} settings - The resolved middleware options.
+ * @returns {(req, res, next) => void} Express middleware function.
+ */
+const asyncValidationMiddleware =
+  (schema, containerOptions, settings) => (req, res, next) => {
+    const controller = new AbortController()
+    const disconnected = new Error('The client disconnected.')
+    const onClose = () => {
+      if (!res.writableFinished) {
+        controller.abort(disconnected)
+      }
+    }
+    res.on('close', onClose)
+
+    let container
+    const validation = (async () => {
+      const services =
+        typeof settings.services === 'function'
+          ? await settings.services(req)
+          : settings.services
+      for (const [name, options] of Object.entries(containerOptions)) {
+        if (controller.signal.aborted) {
+          return undefined
+        }
+        const data = schema?.[name] && containerValue(req, name, settings)
+        if (data) {
+          container = name
+          const joiSchema = containerSchema(schema, name, req)
+          if (joiSchema instanceof ValidationError) {
+            return joiSchema
+          }
+          const error = await validateContainerAsync(
+            req,
+            name,
+            data,
+            joiSchema,
+            {
+              ...options,
+              context: {
+                ...options.context,
+                req,
+                services,
+                signal: controller.signal,
+              },
+            }
+          )
+          if (error) {
+            return error
+          }
+        }
+      }
+      return undefined
+    })()
+
+    let timer
+    const timedOut = new Promise((resolve) => {
+      if (settings.timeout > 0) {
+        timer = setTimeout(() => {
+          const error = new ValidationError({
+            container,
+            requestID: getRequestID(req),
+            statusCode: 503,
+            message: `Request validation timed out after ${settings.timeout} ms.`,
+          })
+          controller.abort(error)
+          resolve(error)
+        }, settings.timeout)
+      }
+    })
+
+    Promise.race([validation, timedOut])
+      .finally(() => {
+        clearTimeout(timer)
+        res.off('close', onClose)
+      })
+      .then((error) => {
+        if (controller.signal.reason === disconnected) {
+          return undefined
+        }
+        return error
+          ? handleValidationError(req, res, next, settings, error)
+          : next()
+      })
+      .catch((err) => {
+        if (controller.signal.reason !== disconnected && !res.headersSent) {
+          next(err)
+        }
+      })
+  }
+
+/**
+ * Creates a `validateRequest` middleware factory with its own default Joi options.
+ *
+ * Defaults may be given for all containers at the top level, or for a single
+ * container (`query`, `body`, `headers`, `params`, `fields`, `cookies`,
+ * `signedCookies`) under its name.
+ * Options passed to the returned factory override these defaults for one route.
+ *
+ * Besides Joi options, `errorFormat: 'problem'` sends failures as RFC 7807
+ * `application/problem+json` bodies (with `problemType` as their `type`),
+ * `passErrors: true` passes a `ValidationError` to `next()` instead of
+ * responding, and `onError(err, req, res, next)` takes over error handling.
+ * `async: true` validates with `validateAsync` so `.external()` rules run,
+ * with `services` (or a `(req) => services` function) in their context, and
+ * `timeout` fails validation that takes longer with a 503. `cookieSecret`
+ * checks signed cookies when cookie-parser is not used.
+ *
+ * @example
+ * const validateRequest = createValidator({ query: { allowUnknown: true } })
+ * router.get('/legacy', validateRequest(LegacySchema.search, { abortEarly: false }))
+ *
+ * @param {Object} [defaults={}] - Default Joi options for every route.
+ * @returns {(route: Object, options?: Object) => Function} A middleware factory.
+ */
+const createValidator = (defaults = {}) => {
+  const validate = (schema, options = {}) => {
+    const containerOptions = resolveContainerOptions(defaults, options)
+    const settings = resolveSettings(defaults, options)
+
+    return settings.async
+      ? asyncValidationMiddleware(schema, containerOptions, settings)
+      : validationMiddleware(schema, containerOptions, settings)
+  }
+  validatorDefaults.set(validate, defaults)
+  return validate
+}
+
+/**
+ * Middleware for validating incoming request data against Joi schemas.
+ *
+ * Express parses `?tag=a&tag=b` as an array but `?tag=a` as a plain string, so
+ * query arrays should use `Joi.array().single()`: the validated `req.query`
+ * then always holds an array, and the spec documents both forms as `oneOf`.
+ *
+ * Files parsed by multer's `array()`, `fields()` or `any()` (`req.files`) are
+ * copied into `req.body` under their field names, as declared with
+ * `uploadedFile()` or `Joi.array().items(uploadedFile())`.
+ *
+ * With `{ async: true }`, `.external()` rules run after the other rules pass,
+ * and may throw an `ExternalRuleError` to respond with a status of their
+ * choice, such as 404 or 409.
+ *
+ * @param {Object<string, Joi.ObjectSchema>} schema - The validation schema.
+ * @param {Object} [options={}] - Joi option overrides for this route.
+ * @returns {(req, res, next) => void} Express middleware function.
+ */
+const validateRequest = createValidator()
+
+export {
+  createValidator,
+  defaultsOf,
+  getRequestID,
+  handleValidationError,
+  resolveSettings,
+}
 export default validateRequest
@@ -0,0 +1,137 @@
+import _ from 'lodash'
+
+import { schemaToSwagger } from './schema-to-swagger.js'
+
+const { isEqual } = _
+
+/**
+ * @typedef {import('./route-schema').default} RouteSchema
+ * Represents a RouteSchema class, including its static properties and methods.
+ */
+
+/**
+ * Adds named entries to a merged section of the document. Entries that are
+ * deeply equal across classes (such as a shared error schema) are merged,
+ * while different entries with the same name raise an error.
+ *
+ * @param {Object} target - The merged section, e.g. `components.schemas`.
+ * @param {Object} source - The section generated for one schema class.
+ * @param {Object<string, string>} owners - Maps entry name -> declaring class name.
+ * @param {string} className - The name of the class being merged.
+ * @param {string} kind - What the entries are, for error messages.
+ * @throws {Error} If an entry name is already used for a different definition.
+ */
+function mergeNamed(target, source, owners, className, kind) {
+  Object.entries(source || {}).forEach(([name, definition]) => {
+    if (target[name] && !isEqual(target[name], definition)) {
+      throw new Error(
+        `${kind} "${name}" is defined differently by ${owners[name]} and ${className}. ` +
+          'Rename one of them or make the definitions identical.'
+      )
+    }
+    if (!target[name]) {
+      target[name] = definition
+      owners[name] = className
+    }
+  })
+}
+
+/**
+ * Builds a complete OpenAPI 3.0 (or 3.1) document from several RouteSchema classes,
+ * merging their paths, tags and components.
+ *
+ * @param {RouteSchema[]} schemaClasses - The schema classes to document.
+ * @param {Object} options - Document options.
+ * @param {Object} options.info - The OpenAPI `info` object; `title` and `version` are required.
+ * @param {Array<Object>} [options.servers] - The OpenAPI `servers` list.
+ * @param {Array<Object>} [options.security] - Global security requirements.
+ * @param {Object} [options.securitySchemes] - Added to `components.securitySchemes`.
+ * @param {Object} [options.externalDocs] - The OpenAPI `externalDocs` object.
+ * @param {'3.0'|'3.1'} [options.target='3.0'] - The OpenAPI version to generate, passed to `schemaToSwagger`.
+ * @param {string} [options.openapi] - The OpenAPI version to declare. Defaults to
+ *   '3.0.3', or '3.1.0' for the 3.1 target.
+ * @param {string} [options.errorFormat] - Passed to `schemaToSwagger`.
+ * @throws {Error} If `info` is incomplete, or if paths, tags or components collide.
+ * @returns {Object} The OpenAPI document.
+ */
+export function buildOpenApiDocument(schemaClasses, options = {}) {
+  const {
+    info,
+    servers,
+    security,
+    securitySchemes,
+    externalDocs,
+    openapi = options.target === '3.1' ? '3.1.0' : '3.0.3',
+    ...swaggerOptions
+  } = options
+
+  if (!info || !info.title || !info.version) {
+    throw new Error(
+      'An OpenAPI document requires "info.title" and "info.version".'
+    )
+  }
+
+  const tags = {}
+  const paths = {}
+  const components = { schemas: {}, parameters: {} }
+  const owners = { tags: {}, paths: {}, schemas: {}, parameters: {} }
+
+  for (const schemaClass of [].concat(schemaClasses)) {
+    const className = schemaClass.name
+    const { definition } = schemaToSwagger(schemaClass, swaggerOptions)
+
+    mergeNamed(
+      tags,
+      Object.fromEntries(definition.tags.map((tag) => [tag.name, tag])),
+      owners.tags,
+      className,
+      'Tag'
+    )
+
+    Object.entries(definition.paths).forEach(([path, operations]) => {
+      paths[path] = paths[path] || {}
+      Object.entries(operations).forEach(([method, operation]) => {
+        const routeKey = `${method.toUpperCase()} ${path}`
+        if (paths[path][method]) {
+          throw new Error(
+            `Route ${routeKey} is declared by both ${owners.paths[routeKey]} and ${className}.`
+          )
+        }
+        paths[path][method] = operation
+        owners.paths[routeKey] = className
+      })
+    })
+
+    mergeNamed(
+      components.schemas,
+      definition.components.schemas,
+      owners.schemas,
+      className,
+      'Schema component'
+    )
+    mergeNamed(
+      components.parameters,
+      definition.components.parameters,
+      owners.parameters,
+      className,
+      'Parameter component'
+    )
+  }
+
+  if (securitySchemes) {
+    components.securitySchemes = securitySchemes
+  }
+
+  return {
+    openapi,
+    info,
+    ...(externalDocs && { externalDocs }),
+    ...(servers && { servers }),
+    ...(security && { security }),
+    tags: Object.values(tags),
+    paths,
+    components,
+  }
+}
+
+export default buildOpenApiDocument
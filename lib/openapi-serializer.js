@@ -0,0 +1,436 @@
+import _ from 'lodash'
+
+const { isPlainObject, mapValues } = _
+
+// Field orders of the OpenAPI specification's objects
+const documentKeys = [
+  'openapi',
+  'info',
+  'jsonSchemaDialect',
+  'servers',
+  'paths',
+  'webhooks',
+  'components',
+  'security',
+  'tags',
+  'externalDocs',
+]
+const infoKeys = [
+  'title',
+  'summary',
+  'description',
+  'termsOfService',
+  'contact',
+  'license',
+  'version',
+]
+const httpMethods = [
+  'get',
+  'put',
+  'post',
+  'delete',
+  'options',
+  'head',
+  'patch',
+  'trace',
+]
+const pathItemKeys = [
+  '$ref',
+  'summary',
+  'description',
+  ...httpMethods,
+  'servers',
+  'parameters',
+]
+const operationKeys = [
+  'tags',
+  'summary',
+  'description',
+  'externalDocs',
+  'operationId',
+  'parameters',
+  'requestBody',
+  'responses',
+  'callbacks',
+  'deprecated',
+  'security',
+  'servers',
+]
+const parameterKeys = [
+  '$ref',
+  'name',
+  'in',
+  'description',
+  'required',
+  'deprecated',
+  'allowEmptyValue',
+  'style',
+  'explode',
+  'allowReserved',
+  'schema',
+  'example',
+  'examples',
+  'content',
+]
+const requestBodyKeys = ['$ref', 'description', 'content', 'required']
+const responseKeys = ['$ref', 'description', 'headers', 'content', 'links']
+const mediaTypeKeys = ['schema', 'example', 'examples', 'encoding']
+const componentKeys = [
+  'schemas',
+  'responses',
+  'parameters',
+  'examples',
+  'requestBodies',
+  'headers',
+  'securitySchemes',
+  'links',
+  'callbacks',
+  'pathItems',
+]
+const tagKeys = ['name', 'description', 'externalDocs']
+// JSON Schema keywords: annotations, then validation by type, then composition
+const schemaKeys = [
+  '$ref',
+  '$id',
+  'title',
+  'description',
+  'type',
+  'format',
+  'enum',
+  'const',
+  'default',
+  'nullable',
+  'readOnly',
+  'writeOnly',
+  'deprecated',
+  'minimum',
+  'exclusiveMinimum',
+  'maximum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'contentMediaType',
+  'contentEncoding',
+  'prefixItems',
+  'items',
+  'contains',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'properties',
+  'patternProperties',
+  'additionalProperties',
+  'required',
+  'minProperties',
+  'maxProperties',
+  'dependentRequired',
+  'dependentSchemas',
+  'allOf',
+  'oneOf',
+  'anyOf',
+  'not',
+  'discriminator',
+  'example',
+  'examples',
+  'externalDocs',
+  'xml',
+]
+
+/**
+ * Copies an object with its keys in the given order. Other keys, such as
+ * `x-` extensions, follow in alphabetical order.
+ *
+ * @param {Object} object - The object to copy.
+ * @param {string[]} order - The known keys, in order.
+ * @param {Object<string, Function>} [transforms={}] - Functions sorting the
+ *   values of some keys.
+ * @returns {Object} The copy.
+ */
+function orderKeys(object, order, transforms = {}) {
+  if (!isPlainObject(object)) {
+    return object
+  }
+  const known = order.filter((key) => Object.hasOwn(object, key))
+  const others = Object.keys(object)
+    .filter((key) => !order.includes(key))
+    .sort()
+  return Object.fromEntries(
+    [...known, ...others].map((key) => [
+      key,
+      transforms[key] ? transforms[key](object[key]) : object[key],
+    ])
+  )
+}
+
+/**
+ * Copies a map with its keys sorted, and each value transformed.
+ *
+ * @param {Object} map - The map, such as `paths` or `components.schemas`.
+ * @param {Function} transform - Sorts each value.
+ * @param {Function} [compare] - Compares two keys; alphabetical by default.
+ * @returns {Object} The copy.
+ */
+function sortMap(map, transform, compare) {
+  if (!isPlainObject(map)) {
+    return map
+  }
+  return Object.fromEntries(
+    Object.keys(map)
+      .sort(compare)
+      .map((key) => [key, transform(map[key])])
+  )
+}
+
+const statusRank = (code) =>
+  code === 'default' ? 2 : /^\d+$/.test(code) ? 0 : 1
+
+// Status codes in numeric order, then ranges such as 4XX, then `default`
+function compareStatusCodes(a, b) {
+  return statusRank(a) - statusRank(b) || a.localeCompare(b)
+}
+
+const mapList = (transform) => (list) =>
+  Array.isArray(list) ? list.map(transform) : list
+
+const sortSection = (transform) => (section) => sortMap(section, transform)
+
+/**
+ * Sorts the keywords of a schema and of its subschemas. Property, enum and
+ * `required` orders are kept: they come from the Joi schema.
+ *
+ * @param {Object} schema - The schema.
+ * @returns {Object} The sorted copy.
+ */
+function sortSchema(schema) {
+  const schemaList = mapList(sortSchema)
+  const schemaMap = (map) =>
+    isPlainObject(map) ? mapValues(map, sortSchema) : map
+  return orderKeys(schema, schemaKeys, {
+    prefixItems: schemaList,
+    items: sortSchema,
+    contains: sortSchema,
+    properties: schemaMap,
+    patternProperties: schemaMap,
+    additionalProperties: sortSchema,
+    dependentSchemas: schemaMap,
+    allOf: schemaList,
+    oneOf: schemaList,
+    anyOf: schemaList,
+    not: sortSchema,
+    discriminator: (discriminator) =>
+      orderKeys(discriminator, ['propertyName', 'mapping']),
+  })
+}
+
+function sortContent(content) {
+  return isPlainObject(content)
+    ? mapValues(content, (mediaType) =>
+        orderKeys(mediaType, mediaTypeKeys, { schema: sortSchema })
+      )
+    : content
+}
+
+function sortParameter(parameter) {
+  return orderKeys(parameter, parameterKeys, {
+    schema: sortSchema,
+    content: sortContent,
+  })
+}
+
+function sortRequestBody(requestBody) {
+  return orderKeys(requestBody, requestBodyKeys, { content: sortContent })
+}
+
+function sortResponse(response) {
+  return orderKeys(response, responseKeys, {
+    headers: (headers) => sortMap(headers, sortParameter),
+    content: sortContent,
+  })
+}
+
+function sortOperation(operation) {
+  return orderKeys(operation, operationKeys, {
+    parameters: mapList(sortParameter),
+    requestBody: sortRequestBody,
+    responses: (responses) =>
+      sortMap(responses, sortResponse, compareStatusCodes),
+  })
+}
+
+function sortPathItem(pathItem) {
+  return orderKeys(pathItem, pathItemKeys, {
+    ...Object.fromEntries(httpMethods.map((method) => [method, sortOperation])),
+    parameters: mapList(sortParameter),
+  })
+}
+
+function sortComponents(components) {
+  return orderKeys(components, componentKeys, {
+    ...Object.fromEntries(
+      componentKeys.map((key) => [key, sortSection((value) => value)])
+    ),
+    schemas: sortSection(sortSchema),
+    responses: sortSection(sortResponse),
+    parameters: sortSection(sortParameter),
+    requestBodies: sortSection(sortRequestBody),
+    headers: sortSection(sortParameter),
+    pathItems: sortSection(sortPathItem),
+  })
+}
+
+/**
+ * Copies an OpenAPI document in a stable order, so that regenerating it after
+ * a refactoring only changes what the refactoring changed: paths and
+ * components sorted alphabetically, methods and status codes in their
+ * canonical order, and the keys of every object in the specification's
+ * order. Tags, schema properties and list items keep their order.
+ *
+ * @param {Object} document - An OpenAPI 3.0 or 3.1 document.
+ * @returns {Object} The sorted copy.
+ */
+export function sortOpenApiDocument(document) {
+  return orderKeys(document, documentKeys, {
+    info: (info) => orderKeys(info, infoKeys),
+    paths: (paths) => sortMap(paths, sortPathItem),
+    webhooks: (webhooks) => sortMap(webhooks, sortPathItem),
+    components: sortComponents,
+    tags: mapList((tag) => orderKeys(tag, tagKeys)),
+  })
+}
+
+// Plain scalars YAML would read as booleans, null, numbers or a merge key
+const yamlKeywords =
+  /^(true|false|null|yes|no|on|off|y|n|~|<<)$|^[-+]?(\.?\d|\.inf|\.nan)/i
+
+/**
+ * Writes a string as a YAML scalar: plain when it cannot be read as anything
+ * else, single-quoted otherwise, and double-quoted (as JSON, which YAML
+ * reads) when it holds control characters.
+ *
+ * @param {string} string - The string.
+ * @returns {string} The YAML scalar.
+ */
+function yamlString(string) {
+  // eslint-disable-next-line no-control-regex
+  if (/[\u0000-\u001f\u007f]/.test(string)) {
+    return JSON.stringify(string)
+  }
+  const plain =
+    /^[^\s\-?:,[\]{}#&*!|>'"%@`]/.test(string) &&
+    !/: |:$| #|\s$/.test(string) &&
+    !yamlKeywords.test(string) &&
+    !/^\d/.test(string)
+  return plain ? string : `'${string.replaceAll("'", "''")}'`
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) {
+    return 'null'
+  }
+  if (typeof value === 'string') {
+    return yamlString(value)
+  }
+  return String(value)
+}
+
+function isCollection(value) {
+  return (
+    (Array.isArray(value) && value.length > 0) ||
+    (isPlainObject(value) && Object.keys(value).length > 0)
+  )
+}
+
+/**
+ * Writes a multiline string as a literal block, when its lines survive it.
+ *
+ * @param {string} string - The string.
+ * @param {string} indent - The indentation of the block's lines.
+ * @returns {string|undefined} The block, or `undefined` to quote the string.
+ */
+function yamlBlock(string, indent) {
+  const body = string.endsWith('\n') ? string.slice(0, -1) : string
+  if (
+    !body.includes('\n') ||
+    // eslint-disable-next-line no-control-regex
+    /[\u0000-\u0009\u000b-\u001f\u007f]|^\n* |\n$/.test(body)
+  ) {
+    return undefined
+  }
+  const lines = body
+    .split('\n')
+    .map((line) => (line ? `${indent}${line}` : ''))
+    .join('\n')
+  return `${string.endsWith('\n') ? '|' : '|-'}\n${lines}`
+}
+
+function yamlLines(value, indent) {
+  if (Array.isArray(value)) {
+    return value.map((item) => {
+      if (isCollection(item)) {
+        // The first line of a nested collection follows the dash
+        const lines = yamlLines(item, `${indent}  `).join('\n')
+        return `${indent}- ${lines.slice(indent.length + 2)}`
+      }
+      return `${indent}- ${yamlValue(item, `${indent}  `)}`
+    })
+  }
+  return Object.entries(value).map(([key, item]) => {
+    const prefix = `${indent}${yamlString(key)}:`
+    if (isCollection(item)) {
+      return `${prefix}\n${yamlLines(item, `${indent}  `).join('\n')}`
+    }
+    return `${prefix} ${yamlValue(item, `${indent}  `)}`
+  })
+}
+
+function yamlValue(value, indent) {
+  if (Array.isArray(value)) {
+    return value.length ? yamlLines(value, indent).join('\n') : '[]'
+  }
+  if (isPlainObject(value)) {
+    return Object.keys(value).length
+      ? yamlLines(value, indent).join('\n')
+      : '{}'
+  }
+  if (typeof value === 'string') {
+    return yamlBlock(value, indent) || yamlString(value)
+  }
+  return yamlScalar(value)
+}
+
+/**
+ * Writes a JSON value as YAML (block style, two-space indentation), without
+ * any dependency.
+ *
+ * @param {*} value - A JSON value, such as an OpenAPI document.
+ * @returns {string} The YAML text, ending with a newline.
+ */
+export function toYaml(value) {
+  const text = isCollection(value)
+    ? yamlLines(value, '').join('\n')
+    : yamlValue(value, '')
+  return `${text}\n`
+}
+
+/**
+ * Serializes an OpenAPI document in a stable order (see `sortOpenApiDocument`)
+ * for files kept in version control.
+ *
+ * @param {Object} document - The OpenAPI document.
+ * @param {Object} [options={}] - Serialization options.
+ * @param {'json'|'yaml'} [options.format='json'] - The output format.
+ * @throws {Error} If the format is not supported.
+ * @returns {string} The serialized document, ending with a newline.
+ */
+export function serializeOpenApiDocument(document, { format = 'json' } = {}) {
+  const sorted = sortOpenApiDocument(document)
+  if (format === 'yaml') {
+    return toYaml(sorted)
+  }
+  if (format === 'json') {
+    return `${JSON.stringify(sorted, null, 2)}\n`
+  }
+  throw new Error(`Unsupported format "${format}": use "json" or "yaml".`)
+}
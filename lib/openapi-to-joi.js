@@ -0,0 +1,987 @@
+// Scaffolds RouteSchema classes from an OpenAPI 3.0/3.1 document: the reverse of joi-to-swagger.
+'use strict'
+
+import _ from 'lodash'
+
+const { camelCase, get, isPlainObject, upperFirst } = _
+
+const httpMethods = ['get', 'put', 'post', 'delete', 'options', 'head', 'patch']
+
+// Keywords handled by the translation; any other keyword is kept through the
+// `swagger` meta, which joi-to-swagger merges back into the converted schema
+const translatedKeywords = new Set([
+  'type',
+  'format',
+  'nullable',
+  'enum',
+  'const',
+  'default',
+  'example',
+  'examples',
+  'description',
+  'title',
+  'minLength',
+  'maxLength',
+  'pattern',
+  'minimum',
+  'maximum',
+  'exclusiveMinimum',
+  'exclusiveMaximum',
+  'multipleOf',
+  'items',
+  'minItems',
+  'maxItems',
+  'uniqueItems',
+  'properties',
+  'required',
+  'additionalProperties',
+  'minProperties',
+  'maxProperties',
+  'oneOf',
+  'anyOf',
+  'allOf',
+  'discriminator',
+  '$ref',
+])
+
+// Joi string rules matching the OpenAPI formats emitted by joi-to-swagger
+const stringFormats = {
+  email: '.email()',
+  'date-time': '.isoDate()',
+  duration: '.isoDuration()',
+  uuid: '.uuid()',
+  uri: '.uri()',
+  'uri-reference': '.uri({ allowRelative: true })',
+  hostname: '.hostname()',
+  ipv4: ".ip({ version: ['ipv4'], cidr: 'forbidden' })",
+  ipv6: ".ip({ version: ['ipv6'], cidr: 'forbidden' })",
+  byte: '.base64()',
+  'credit-card': '.creditCard()',
+}
+
+const maxLineLength = 80
+
+const escapes = {
+  '\\': '\\\\',
+  "'": "\\'",
+  '\n': '\\n',
+  '\r': '\\r',
+  '\t': '\\t',
+}
+
+/**
+ * Marks generated source code, as opposed to values to be written as literals.
+ */
+class Code {
+  constructor(text) {
+    this.text = text
+  }
+}
+
+/**
+ * Writes a value as JavaScript source, in the style of the repository
+ * (single quotes, trailing commas, two-space indentation).
+ *
+ * @param {*} value - A JSON value, or `Code`.
+ * @param {number} [level=0] - The indentation level of the value's first line.
+ * @returns {string} The source code.
+ */
+function toSource(value, level = 0) {
+  const pad = '  '.repeat(level + 1)
+
+  if (value instanceof Code) {
+    return value.text.replaceAll('\n', `\n${'  '.repeat(level)}`)
+  }
+  if (typeof value === 'string') {
+    return `'${value.replace(/[\\'\n\r\t]/g, (char) => escapes[char])}'`
+  }
+  if (Array.isArray(value)) {
+    const items = value.map((item) => toSource(item, level + 1))
+    const inline = `[${items.join(', ')}]`
+    if (!inline.includes('\n') && inline.length + level * 2 <= maxLineLength) {
+      return inline
+    }
+    return `[\n${items.map((item) => `${pad}${item},\n`).join('')}${'  '.repeat(level)}]`
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value)
+    if (!entries.length) {
+      return '{}'
+    }
+    const lines = entries.map(([key, item]) =>
+      item instanceof Code && item.text === key
+        ? `${pad}${key},\n`
+        : `${pad}${propertyKey(key)}: ${toSource(item, level + 1)},\n`
+    )
+    return `{\n${lines.join('')}${'  '.repeat(level)}}`
+  }
+  return String(value)
+}
+
+/**
+ * Writes an object key, quoted only when it is not a valid identifier.
+ *
+ * @param {string} key - The key.
+ * @returns {string} The key as source code.
+ */
+function propertyKey(key) {
+  return /^([A-Za-z_$][\w$]*|0|[1-9]\d*)$/.test(key) ? key : toSource(key)
+}
+
+/**
+ * Turns any name into a valid JavaScript identifier.
+ *
+ * @param {string} name - A component, parameter or operation name.
+ * @returns {string} The identifier.
+ */
+function toIdentifier(name) {
+  const identifier = String(name).replace(/[^\w$]+/g, '_')
+  return /^\d/.test(identifier) ? `_${identifier}` : identifier
+}
+
+/**
+ * Writes a method call. Like Prettier, multiline arguments go on their own
+ * lines, unless there is a single object or array argument.
+ *
+ * @param {string} name - The method name.
+ * @param {string[]} args - The arguments' source code.
+ * @returns {string} The call, such as `.items(Joi.string())`.
+ */
+function call(name, args) {
+  const inline = `.${name}(${args.join(', ')})`
+  if (!inline.includes('\n') || (args.length === 1 && /^[[{]/.test(args[0]))) {
+    return inline
+  }
+  // Trailing commas are only written in objects and arrays (es5)
+  const lines = args.map((arg) => `  ${arg.replaceAll('\n', '\n  ')}`)
+  return `.${name}(\n${lines.join(',\n')}\n)`
+}
+
+/**
+ * Writes a method chain, breaking it over several lines when it is too long.
+ *
+ * @param {string} base - The chain's first call, such as `Joi.string()`.
+ * @param {string[]} calls - The chained calls, such as `.email()`.
+ * @param {Object} [layout={}] - Where the chain is written, see `schemaToJoi`.
+ * @returns {string} The source code.
+ */
+function chain(base, calls, { indent = 0, prefix = 0 } = {}) {
+  const inline = `${base}${calls.join('')}`
+  if (
+    !inline.includes('\n') &&
+    indent + prefix + inline.length <= maxLineLength
+  ) {
+    return inline
+  }
+  // Like Prettier, a single call keeps its multiline arguments on the chain
+  if (calls.length === 1 && inline.includes('\n')) {
+    return inline
+  }
+  const lines = calls.map((line) => {
+    // Long string arguments go on their own line
+    const [, name, string] = /^\.(\w+)\(('(?:[^'\\]|\\.)*')\)$/.exec(line) || []
+    return string && indent + 2 + line.length > maxLineLength
+      ? `.${name}(\n  ${string}\n)`
+      : line
+  })
+  // Multiline calls are written relative to the chain's indentation
+  return `${base}${lines.map((line) => `\n  ${line.replaceAll('\n', '\n  ')}`).join('')}`
+}
+
+/**
+ * Writes a regex literal for a JSON Schema `pattern`.
+ *
+ * @param {string} pattern - The pattern source.
+ * @returns {string} The regex literal.
+ */
+function regexLiteral(pattern) {
+  return `/${pattern.replace(/(^|[^\\])\//g, '$1\\/')}/`
+}
+
+/**
+ * Translates a JSON Schema (OpenAPI 3.0 or 3.1) into a Joi chain.
+ *
+ * Generated code is indented relative to the line it starts on; `indent` and
+ * `prefix` only tell where that line starts, to keep chains under the
+ * maximum line length.
+ *
+ * @param {object} schema - The JSON Schema.
+ * @param {object} context - Translation state: `refName(name)` names the
+ *   component referenced by a `$ref`, and `component` is the component being
+ *   translated, whose self references become `Joi.link()`s.
+ * @param {Object} [layout={}] - Where the chain is written.
+ * @param {number} [layout.indent=0] - The indentation of the chain's line.
+ * @param {number} [layout.prefix=0] - The length of the code before the chain.
+ * @param {string[]} [layout.calls=[]] - Calls to append to the chain.
+ * @returns {string} The Joi source code.
+ */
+function schemaToJoi(
+  schema,
+  context,
+  { indent = 0, prefix = 0, calls: extra = [] } = {}
+) {
+  if (schema === true || !schema || !Object.keys(schema).length) {
+    return chain('Joi.any()', extra, { indent, prefix })
+  }
+  if (schema.$ref) {
+    const name = componentName(schema.$ref, 'schemas')
+    const base =
+      name === context.component
+        ? `Joi.link(${toSource(`#${name}`)})`
+        : context.refName(name)
+    return chain(base, extra, { indent, prefix })
+  }
+
+  const calls = []
+  const nested = { indent: indent + 2, prefix: 0 }
+  const nullable =
+    schema.nullable === true ||
+    (Array.isArray(schema.type) && schema.type.includes('null'))
+  const types = [].concat(schema.type || []).filter((type) => type !== 'null')
+  let type = types.length > 1 ? undefined : types[0]
+  if (!type && (schema.properties || schema.additionalProperties)) {
+    type = 'object'
+  } else if (!type && schema.items) {
+    type = 'array'
+  }
+
+  let base
+  if (schema.oneOf || schema.anyOf) {
+    const alternatives = (schema.oneOf || schema.anyOf).map((alternative) =>
+      schemaToJoi(alternative, context, nested)
+    )
+    base = 'Joi.alternatives()'
+    calls.push(call('try', alternatives))
+    if (schema.oneOf) {
+      calls.push(".match('one')")
+    }
+  } else if (schema.allOf) {
+    const [first, ...others] = schema.allOf.map((member) =>
+      schemaToJoi(member, context, nested)
+    )
+    base = first
+    calls.push(...others.map((other) => call('concat', [other])))
+  } else if (types.length > 1) {
+    const alternatives = types.map((alternative) =>
+      schemaToJoi({ type: alternative }, context)
+    )
+    base = 'Joi.alternatives()'
+    calls.push(call('try', alternatives))
+  } else if (type === 'string' && schema.format === 'binary') {
+    base = 'Joi.binary()'
+    calls.push(...sizeCalls(schema, 'Length'))
+  } else if (type === 'string') {
+    base = 'Joi.string()'
+    calls.push(...stringCalls(schema))
+  } else if (type === 'number' || type === 'integer') {
+    base = 'Joi.number()'
+    calls.push(...numberCalls(schema, type))
+  } else if (type === 'boolean') {
+    base = 'Joi.boolean()'
+  } else if (type === 'array') {
+    base = 'Joi.array()'
+    calls.push(...arrayCalls(schema, context, nested))
+  } else if (type === 'object') {
+    base = objectBase(schema, context, indent)
+    calls.push(...sizeCalls(schema, 'Properties'))
+    if (
+      schema.additionalProperties === undefined ||
+      schema.additionalProperties === true
+    ) {
+      calls.push('.unknown()')
+    }
+  } else {
+    base = 'Joi.any()'
+  }
+
+  const valids = Object.hasOwn(schema, 'const') ? [schema.const] : schema.enum
+  const values = (valids || []).filter((value) => value !== null)
+  if (values.length) {
+    calls.push(`.valid(${values.map((value) => toSource(value)).join(', ')})`)
+  }
+  if (nullable || (valids && valids.includes(null))) {
+    calls.push('.allow(null)')
+  }
+  if (schema.title) {
+    calls.push(`.label(${toSource(schema.title)})`)
+  }
+  if (schema.description) {
+    calls.push(`.description(${toSource(schema.description)})`)
+  }
+  if (Object.hasOwn(schema, 'default')) {
+    calls.push(`.default(${toSource(schema.default)})`)
+  }
+  const examples = [
+    ...(Object.hasOwn(schema, 'example') ? [schema.example] : []),
+    ...(schema.examples || []),
+  ]
+  for (const example of examples) {
+    calls.push(`.example(${toSource(example)})`)
+  }
+
+  const untranslated = Object.fromEntries(
+    Object.entries(schema).filter(
+      ([keyword]) =>
+        !translatedKeywords.has(keyword) ||
+        (keyword === 'format' && !isTranslatedFormat(schema, type))
+    )
+  )
+  if (Object.keys(untranslated).length) {
+    calls.push(`.meta(${toSource({ swagger: untranslated })})`)
+  }
+
+  return chain(base, [...calls, ...extra], { indent, prefix })
+}
+
+function isTranslatedFormat({ format }, type) {
+  return (
+    (type === 'string' && (format === 'binary' || format in stringFormats)) ||
+    (type === 'number' && ['float', 'double'].includes(format)) ||
+    (type === 'integer' && ['int32', 'int64'].includes(format))
+  )
+}
+
+function sizeCalls(schema, suffix) {
+  const min = schema[`min${suffix}`]
+  const max = schema[`max${suffix}`]
+  if (min !== undefined && min === max) {
+    return [`.length(${min})`]
+  }
+  return [
+    ...(min !== undefined ? [`.min(${min})`] : []),
+    ...(max !== undefined ? [`.max(${max})`] : []),
+  ]
+}
+
+function stringCalls(schema) {
+  const calls = []
+  if (stringFormats[schema.format]) {
+    calls.push(stringFormats[schema.format])
+  }
+  calls.push(...sizeCalls(schema, 'Length'))
+  if (schema.pattern) {
+    calls.push(`.pattern(${regexLiteral(schema.pattern)})`)
+  }
+  return calls
+}
+
+function numberCalls(schema, type) {
+  const calls = type === 'integer' ? ['.integer()'] : []
+  // OpenAPI 3.0 flags a bound as exclusive, 3.1 carries the limit itself
+  for (const [bound, inclusive, exclusive] of [
+    ['minimum', 'min', 'greater'],
+    ['maximum', 'max', 'less'],
+  ]) {
+    const exclusiveKey = `exclusive${upperFirst(bound)}`
+    if (typeof schema[exclusiveKey] === 'number') {
+      calls.push(`.${exclusive}(${schema[exclusiveKey]})`)
+    } else if (schema[bound] !== undefined) {
+      const method = schema[exclusiveKey] === true ? exclusive : inclusive
+      calls.push(`.${method}(${schema[bound]})`)
+    }
+  }
+  if (schema.multipleOf !== undefined) {
+    calls.push(`.multiple(${schema.multipleOf})`)
+  }
+  if (schema.format === 'int64') {
+    calls.push('.unsafe()')
+  }
+  return calls
+}
+
+function arrayCalls(schema, context, layout) {
+  const calls = []
+  const { items } = schema
+  if (items && items.oneOf && !items.discriminator) {
+    const alternatives = items.oneOf.map((item) =>
+      schemaToJoi(item, context, layout)
+    )
+    calls.push(call('items', alternatives))
+  } else if (items && Object.keys(items).length) {
+    calls.push(call('items', [schemaToJoi(items, context, layout)]))
+  }
+  calls.push(...sizeCalls(schema, 'Items'))
+  if (schema.uniqueItems) {
+    calls.push('.unique()')
+  }
+  return calls
+}
+
+function objectBase(schema, context, indent) {
+  const required = new Set(schema.required || [])
+  const keys = {}
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    keys[key] = new Code(
+      schemaToJoi(property, context, {
+        indent: indent + 2,
+        prefix: propertyKey(key).length + 2,
+        calls: required.has(key) ? ['.required()'] : [],
+      })
+    )
+  }
+
+  const base = Object.keys(keys).length
+    ? `Joi.object(${toSource(keys)})`
+    : 'Joi.object()'
+  const additional = schema.additionalProperties
+  if (isPlainObject(additional) && Object.keys(additional).length) {
+    const values = schemaToJoi(additional, context, { indent: indent + 2 })
+    return `${base}${call('pattern', ['Joi.string()', values])}`
+  }
+  return base
+}
+
+/**
+ * Extracts the component name from a local `$ref`.
+ *
+ * @param {string} ref - The reference, such as `#/components/schemas/Order`.
+ * @param {string} section - The expected components section.
+ * @returns {string} The component name.
+ * @throws {Error} If the reference is not a local reference to that section.
+ */
+function componentName(ref, section) {
+  const prefix = `#/components/${section}/`
+  if (!ref.startsWith(prefix)) {
+    throw new Error(
+      `Unsupported $ref "${ref}": only references to ${prefix}* can be imported.`
+    )
+  }
+  return decodeURIComponent(ref.slice(prefix.length))
+    .replaceAll('~1', '/')
+    .replaceAll('~0', '~')
+}
+
+/**
+ * Follows a `$ref` to a reusable component (parameter, request body, response).
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @param {object} value - The value, possibly a `$ref`.
+ * @param {string} section - The components section of the reference.
+ * @returns {object} The referenced component, or the value itself.
+ */
+function resolveComponent(spec, value, section) {
+  if (!value || !value.$ref) {
+    return value
+  }
+  const name = componentName(value.$ref, section)
+  const component = get(spec, ['components', section, name])
+  if (!component) {
+    throw new Error(`Unable to resolve "${value.$ref}".`)
+  }
+  return component
+}
+
+/**
+ * Lists the component schemas referenced by a JSON Schema, directly or not.
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @param {*} value - The value to search.
+ * @param {Set<string>} [found] - The names found so far.
+ * @returns {Set<string>} The names of the referenced component schemas.
+ */
+function collectSchemaRefs(spec, value, found = new Set()) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectSchemaRefs(spec, item, found))
+  } else if (isPlainObject(value)) {
+    if (typeof value.$ref === 'string') {
+      const name = componentName(value.$ref, 'schemas')
+      if (!found.has(name)) {
+        found.add(name)
+        collectSchemaRefs(
+          spec,
+          get(spec, ['components', 'schemas', name]),
+          found
+        )
+      }
+    }
+    Object.entries(value)
+      .filter(([key]) => key !== '$ref')
+      .forEach(([, item]) => collectSchemaRefs(spec, item, found))
+  }
+  return found
+}
+
+/**
+ * Orders component schemas so that each one comes after the schemas it
+ * references. A schema may reference itself (it becomes a `Joi.link()`), but
+ * longer reference cycles cannot be written as constants.
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @returns {string[]} The component schema names, dependencies first.
+ * @throws {Error} If component schemas reference each other in a cycle.
+ */
+function sortSchemaComponents(spec) {
+  const schemas = get(spec, 'components.schemas') || {}
+  const sorted = []
+  const visiting = []
+
+  const visit = (name) => {
+    if (sorted.includes(name)) {
+      return
+    }
+    if (visiting.includes(name)) {
+      const cycle = [...visiting.slice(visiting.indexOf(name)), name]
+      throw new Error(
+        `Component schemas reference each other in a cycle (${cycle.join(' -> ')}). Only self references can be imported.`
+      )
+    }
+    if (!schemas[name]) {
+      throw new Error(`Unable to resolve "#/components/schemas/${name}".`)
+    }
+    visiting.push(name)
+    const direct = new Set()
+    collectDirectRefs(schemas[name], direct)
+    direct.delete(name)
+    direct.forEach(visit)
+    visiting.pop()
+    sorted.push(name)
+  }
+
+  Object.keys(schemas).forEach(visit)
+  return sorted
+}
+
+function collectDirectRefs(value, found) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => collectDirectRefs(item, found))
+  } else if (isPlainObject(value)) {
+    if (typeof value.$ref === 'string') {
+      found.add(componentName(value.$ref, 'schemas'))
+    }
+    Object.values(value).forEach((item) => collectDirectRefs(item, found))
+  }
+}
+
+/**
+ * Translates a parameter into a Joi object holding its single key, the shape
+ * `RouteSchema.parameters()` entries have.
+ *
+ * @param {object} parameter - The OpenAPI parameter.
+ * @param {object} context - Translation state, see `schemaToJoi`.
+ * @returns {string} The Joi source code.
+ */
+function parameterToJoi(parameter, context) {
+  const schema = {
+    ...parameter.schema,
+    ...(parameter.description && { description: parameter.description }),
+    ...(Object.hasOwn(parameter, 'example') && { example: parameter.example }),
+  }
+  const source = schemaToJoi(schema, context, {
+    indent: 2,
+    prefix: propertyKey(parameter.name).length + 2,
+    calls: parameter.required ? ['.required()'] : [],
+  })
+  const object = `Joi.object(${toSource({ [parameter.name]: new Code(source) })})`
+  // Requests carry many more headers than the documented ones
+  return parameter.in === 'header' ? `${object}.unknown(true)` : object
+}
+
+/**
+ * Lists the operations of a document with their resolved parameters.
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @returns {object[]} The operations, in document order.
+ */
+function listOperations(spec) {
+  const operations = []
+  for (const [path, pathItem] of Object.entries(spec.paths || {})) {
+    const shared = (pathItem.parameters || []).map((parameter) =>
+      resolveComponent(spec, parameter, 'parameters')
+    )
+    for (const method of httpMethods) {
+      const operation = pathItem[method]
+      if (!operation) {
+        continue
+      }
+      const own = (operation.parameters || []).map((parameter) => ({
+        parameter: resolveComponent(spec, parameter, 'parameters'),
+        ref: parameter.$ref && componentName(parameter.$ref, 'parameters'),
+      }))
+      // Operation parameters override path-level ones with the same name and location
+      const inherited = (pathItem.parameters || [])
+        .map((parameter, i) => ({
+          parameter: shared[i],
+          ref: parameter.$ref && componentName(parameter.$ref, 'parameters'),
+        }))
+        .filter(
+          ({ parameter }) =>
+            !own.some(
+              (item) =>
+                item.parameter.name === parameter.name &&
+                item.parameter.in === parameter.in
+            )
+        )
+      operations.push({
+        path,
+        method,
+        operation,
+        parameters: [...inherited, ...own],
+      })
+    }
+  }
+  return operations
+}
+
+/**
+ * Names the getter of an operation: its `operationId`, or else its method and path.
+ *
+ * @param {object} entry - An operation listed by `listOperations`.
+ * @returns {string} The getter name.
+ */
+function routeName({ operation, method, path }) {
+  return toIdentifier(camelCase(operation.operationId || `${method} ${path}`))
+}
+
+/**
+ * Generates the source of `RouteSchema` subclasses from an OpenAPI document,
+ * one class per tag, plus a `components.js` module holding the component
+ * schemas and parameters they share. The generated classes convert back to
+ * the same paths and schemas with `schemaToSwagger`, within what both sides
+ * support: nested `$ref`s are inlined, and inline request and response
+ * schemas become named components.
+ *
+ * @param {object} spec - The OpenAPI 3.0 or 3.1 document.
+ * @param {Object} [options={}] - Generation options.
+ * @param {string} [options.packageName='joi-ful-routes'] - The module the
+ *   generated classes import `RouteSchema` from.
+ * @returns {{ files: Array<{ fileName: string, source: string }>, warnings: string[] }}
+ *   The generated files, and what could not be translated.
+ * @throws {Error} If the document is not an OpenAPI 3 document, or uses
+ *   references that cannot be imported.
+ */
+export function openApiToRouteSchemas(
+  spec,
+  { packageName = 'joi-ful-routes' } = {}
+) {
+  if (!isPlainObject(spec) || !/^3\./.test(String(spec.openapi))) {
+    throw new TypeError('Only OpenAPI 3.0 and 3.1 documents can be imported.')
+  }
+
+  const warnings = []
+  const identifiers = new Map() // Component key -> exported identifier
+  const exportName = (key, name) => {
+    if (!identifiers.has(key)) {
+      let identifier = toIdentifier(name)
+      const taken = new Set(identifiers.values())
+      for (let i = 2; taken.has(identifier); i++) {
+        identifier = `${toIdentifier(name)}${i}`
+      }
+      identifiers.set(key, identifier)
+    }
+    return identifiers.get(key)
+  }
+
+  // 1. Shared components: schemas, then the parameters used as query or headers
+  const componentSources = []
+  const schemaContext = (component) => ({
+    component,
+    refName: (name) => exportName(`schemas/${name}`, name),
+  })
+  for (const name of sortSchemaComponents(spec)) {
+    const context = schemaContext(name)
+    const identifier = exportName(`schemas/${name}`, name)
+    const schema = spec.components.schemas[name]
+    const references = new Set()
+    collectDirectRefs(schema, references)
+    const source = schemaToJoi(schema, context, {
+      prefix: `export const ${identifier} = `.length,
+      // Self references link to the schema by id
+      calls: references.has(name) ? [`.id(${toSource(name)})`] : [],
+    })
+    componentSources.push({ identifier, source })
+  }
+
+  const operations = listOperations(spec)
+  const parameterNames = new Map() // 'in:name' -> parameters() key
+  for (const { parameters, method, path } of operations) {
+    for (const { parameter, ref } of parameters) {
+      if (!['query', 'header'].includes(parameter.in)) {
+        if (!['path', 'cookie'].includes(parameter.in)) {
+          warnings.push(
+            `${method.toUpperCase()} ${path}: "${parameter.name}" in ${parameter.in} parameters cannot be imported.`
+          )
+        }
+        continue
+      }
+      const key = `${parameter.in}:${parameter.name}`
+      if (parameterNames.has(key)) {
+        continue
+      }
+      const name =
+        ref ||
+        `${upperFirst(camelCase(parameter.name))}${parameter.in === 'header' ? 'Header' : 'Query'}`
+      parameterNames.set(key, name)
+      // Inline parameters become components, as schemaToSwagger documents them
+      componentSources.push({
+        identifier: exportName(`parameters/${name}`, name),
+        source: parameterToJoi(parameter, schemaContext()),
+      })
+    }
+  }
+
+  const files = [
+    {
+      fileName: 'components.js',
+      source: [
+        "import Joi from 'joi'\n",
+        ...componentSources.map(
+          ({ identifier, source }) => `export const ${identifier} = ${source}\n`
+        ),
+      ].join('\n'),
+    },
+  ]
+
+  // 2. One class per tag
+  const groups = new Map()
+  for (const entry of operations) {
+    const tag = get(entry.operation, 'tags.0') || 'Default'
+    if (!groups.has(tag)) {
+      groups.set(tag, [])
+    }
+    groups.get(tag).push(entry)
+  }
+
+  for (const [tagName, entries] of groups) {
+    const tag = (spec.tags || []).find(({ name }) => name === tagName) || {
+      name: tagName,
+    }
+    const className = `${upperFirst(camelCase(tagName))}Schema`
+    const usedSchemas = new Set()
+    const usedParameters = new Set()
+    const context = {
+      refName: (name) => {
+        usedSchemas.add(name)
+        return exportName(`schemas/${name}`, name)
+      },
+    }
+    const getterNames = new Set()
+    const getters = entries.map((entry) => {
+      let name = routeName(entry)
+      for (let i = 2; getterNames.has(name); i++) {
+        name = `${routeName(entry)}${i}`
+      }
+      getterNames.add(name)
+      return routeGetter(spec, entry, name, context, {
+        parameterNames,
+        usedParameters,
+        exportName,
+      })
+    })
+
+    // Referenced schemas are inlined, but stay documented as components
+    const schemaNames = new Set()
+    for (const name of usedSchemas) {
+      schemaNames.add(name)
+      collectSchemaRefs(spec, { $ref: `#/components/schemas/${name}` }).forEach(
+        (nested) => schemaNames.add(nested)
+      )
+    }
+    const schemaEntries = Object.fromEntries(
+      [...schemaNames].map((name) => [
+        name,
+        new Code(exportName(`schemas/${name}`, name)),
+      ])
+    )
+    const schemaIdentifiers = Object.values(schemaEntries).map(
+      ({ text }) => text
+    )
+    const parameterEntries = Object.fromEntries(
+      [...usedParameters].map((name) => [
+        name,
+        new Code(exportName(`parameters/${name}`, name)),
+      ])
+    )
+    const parameterIdentifiers = Object.values(parameterEntries).map(
+      ({ text }) => text
+    )
+    const imported = [...schemaIdentifiers, ...parameterIdentifiers].sort()
+    const usesJoi = getters.some((getter) => getter.includes('Joi.'))
+
+    files.push({
+      fileName: `${_.kebabCase(tagName)}-schema.js`,
+      source: [
+        ...(usesJoi ? ["import Joi from 'joi'"] : []),
+        `import { RouteSchema } from '${packageName}'`,
+        '',
+        ...(imported.length
+          ? [importStatement(imported, './components.js'), '']
+          : []),
+        `class ${className} extends RouteSchema {`,
+        '  static get tag() {',
+        `    return ${toSource(tag, 2)}`,
+        '  }',
+        '',
+        '  static schemas() {',
+        `    return ${toSource(schemaEntries, 2)}`,
+        '  }',
+        '',
+        '  static parameters() {',
+        `    return ${toSource(parameterEntries, 2)}`,
+        '  }',
+        ...getters.flatMap((getter) => ['', getter]),
+        '}',
+        '',
+        `export default ${className}`,
+        '',
+      ].join('\n'),
+    })
+  }
+
+  return { files, warnings }
+}
+
+/**
+ * Writes a named import, one name per line when it does not fit on one line.
+ *
+ * @param {string[]} names - The imported names.
+ * @param {string} from - The module.
+ * @returns {string} The import statement.
+ */
+function importStatement(names, from) {
+  const inline = `import { ${names.join(', ')} } from '${from}'`
+  if (inline.length <= maxLineLength) {
+    return inline
+  }
+  return `import {\n${names.map((name) => `  ${name},\n`).join('')}} from '${from}'`
+}
+
+/**
+ * Combines the parameter objects of one container with `concat()`.
+ *
+ * @param {string} key - The container, such as `query`.
+ * @param {string[]} identifiers - The parameter identifiers.
+ * @returns {Code} The combined schema.
+ */
+function concatSchemas(key, [first, ...others]) {
+  return new Code(
+    chain(
+      first,
+      others.map((other) => call('concat', [other])),
+      { indent: 6, prefix: key.length + 2 }
+    )
+  )
+}
+
+/**
+ * Writes the `createRoute` getter of one operation.
+ *
+ * @param {object} spec - The OpenAPI document.
+ * @param {object} entry - An operation listed by `listOperations`.
+ * @param {string} name - The getter name.
+ * @param {object} context - Translation state, see `schemaToJoi`.
+ * @param {object} shared - The parameter names and identifiers of the document.
+ * @returns {string} The getter source, indented for a class body.
+ */
+function routeGetter(spec, entry, name, context, shared) {
+  const { path, method, operation, parameters } = entry
+  const route = {
+    path,
+    method,
+    summary:
+      operation.summary ||
+      operation.description ||
+      `${method.toUpperCase()} ${path}`,
+  }
+
+  const containers = { header: [], query: [] }
+  // Path parameters and cookies are declared inline, by route
+  const inlineKeys = { params: {}, cookies: {}, signedCookies: {} }
+  for (const { parameter } of parameters) {
+    if (parameter.in === 'path' || parameter.in === 'cookie') {
+      const schema = {
+        ...parameter.schema,
+        ...(parameter.description && { description: parameter.description }),
+      }
+      const container =
+        parameter.in === 'path'
+          ? 'params'
+          : parameter['x-signed']
+            ? 'signedCookies'
+            : 'cookies'
+      inlineKeys[container][parameter.name] = new Code(
+        schemaToJoi(schema, context, {
+          indent: 8,
+          prefix: propertyKey(parameter.name).length + 2,
+          calls:
+            parameter.in === 'path' || parameter.required
+              ? ['.required()']
+              : [],
+        })
+      )
+    } else if (containers[parameter.in]) {
+      const parameterName = shared.parameterNames.get(
+        `${parameter.in}:${parameter.name}`
+      )
+      shared.usedParameters.add(parameterName)
+      containers[parameter.in].push(
+        shared.exportName(`parameters/${parameterName}`, parameterName)
+      )
+    }
+  }
+  if (containers.header.length) {
+    route.headers = concatSchemas('headers', containers.header)
+  }
+  if (Object.keys(inlineKeys.params).length) {
+    route.params = new Code(`Joi.object(${toSource(inlineKeys.params, 0)})`)
+  }
+  if (containers.query.length) {
+    route.query = concatSchemas('query', containers.query)
+  }
+  for (const container of ['cookies', 'signedCookies']) {
+    if (Object.keys(inlineKeys[container]).length) {
+      route[container] = new Code(
+        `Joi.object(${toSource(inlineKeys[container], 0)})`
+      )
+    }
+  }
+
+  const baseLabel = upperFirst(name)
+  const content = (mediaTypes, label) =>
+    Object.fromEntries(
+      Object.entries(mediaTypes || {}).map(([mediaType, { schema }]) => {
+        const source = schemaToJoi(schema, context, {
+          indent: 12,
+          prefix: 'schema: '.length,
+          calls: schema && schema.$ref ? [] : [`.label(${toSource(label)})`],
+        })
+        return [mediaType, { schema: new Code(source) }]
+      })
+    )
+
+  const requestBody = resolveComponent(
+    spec,
+    operation.requestBody,
+    'requestBodies'
+  )
+  if (requestBody) {
+    route.body = {
+      ...(requestBody.description && { description: requestBody.description }),
+      ...(requestBody.required && { required: true }),
+      content: content(requestBody.content, `${baseLabel}Request`),
+    }
+  }
+
+  if (operation.responses) {
+    route.responses = Object.fromEntries(
+      Object.entries(operation.responses).map(([status, value]) => {
+        const response = resolveComponent(spec, value, 'responses')
+        return [
+          status,
+          {
+            description: response.description || '',
+            content: content(
+              response.content,
+              `${baseLabel}${upperFirst(status)}Response`
+            ),
+          },
+        ]
+      })
+    )
+  }
+
+  return [
+    `  static get ${name}() {`,
+    `    return this.createRoute(${toSource(route, 2)})`,
+    '  }',
+  ].join('\n')
+}
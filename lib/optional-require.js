@@ -0,0 +1,46 @@
+import { createRequire } from 'node:module'
+
+const require = createRequire(import.meta.url)
+
+function missingPackage(err, name, feature) {
+  if (err.code === 'MODULE_NOT_FOUND') {
+    return new Error(
+      `${feature} requires the "${name}" package. Install it with: npm install ${name}`
+    )
+  }
+  return err
+}
+
+/**
+ * Loads an optional peer dependency on first use, so the package can be
+ * imported without it by projects that do not use the feature needing it.
+ *
+ * @param {string} name - The package name.
+ * @param {string} feature - The feature that needs the package, for the error message.
+ * @throws {Error} If the package is not installed.
+ * @returns {*} The package's exports.
+ */
+export function requireOptional(name, feature) {
+  try {
+    return require(name)
+  } catch (err) {
+    throw missingPackage(err, name, feature)
+  }
+}
+
+/**
+ * Locates an optional peer dependency without loading it, for packages that
+ * only ship files to serve, such as browser bundles.
+ *
+ * @param {string} name - The package name.
+ * @param {string} feature - The feature that needs the package, for the error message.
+ * @throws {Error} If the package is not installed.
+ * @returns {string} The path of the package's main file.
+ */
+export function resolveOptional(name, feature) {
+  try {
+    return require.resolve(name)
+  } catch (err) {
+    throw missingPackage(err, name, feature)
+  }
+}
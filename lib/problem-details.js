@@ -0,0 +1,122 @@
+import Joi from 'joi'
+import _ from 'lodash'
+import { STATUS_CODES } from 'node:http'
+
+const { isPlainObject, mapValues } = _
+
+/**
+ * Copies a Joi error context without the uploaded file buffers it holds, at
+ * any depth (such as the files of an array that has too many).
+ *
+ * @param {*} value - The context, or a value inside it.
+ * @returns {*} The value without buffers.
+ */
+function withoutBuffers(value) {
+  if (Array.isArray(value)) {
+    return value
+      .filter((item) => !Buffer.isBuffer(item))
+      .map((item) => withoutBuffers(item))
+  }
+  if (isPlainObject(value)) {
+    const kept = Object.entries(value).filter(
+      ([, item]) => !Buffer.isBuffer(item)
+    )
+    return mapValues(Object.fromEntries(kept), (item) => withoutBuffers(item))
+  }
+  return value
+}
+
+// Media type for RFC 7807 "problem details" responses
+export const PROBLEM_CONTENT_TYPE = 'application/problem+json'
+
+/**
+ * Joi description of the problem details body sent for failed validations.
+ * It is converted by `schemaToSwagger` so the documented error responses
+ * always match what the middleware sends.
+ */
+export const ValidationProblemSchema = Joi.object({
+  type: Joi.string()
+    .required()
+    .description('A URI reference that identifies the problem type.'),
+  title: Joi.string()
+    .required()
+    .description('A short, human-readable summary of the problem type.'),
+  status: Joi.number()
+    .integer()
+    .required()
+    .description('The HTTP status code of the response.'),
+  detail: Joi.string().description(
+    'A human-readable explanation of this occurrence of the problem.'
+  ),
+  instance: Joi.string().description('The request path that failed.'),
+  requestID: Joi.string()
+    .allow(null)
+    .description('The request ID, if one was supplied.'),
+  container: Joi.string()
+    .valid(
+      'query',
+      'body',
+      'headers',
+      'params',
+      'fields',
+      'cookies',
+      'signedCookies'
+    )
+    .description('The request container that failed validation.'),
+  errors: Joi.array()
+    .items(
+      Joi.object({
+        path: Joi.array()
+          .items(Joi.string(), Joi.number().integer())
+          .description('Path to the offending value within the container.'),
+        type: Joi.string().description('The Joi error type.'),
+        message: Joi.string().description('The Joi error message.'),
+        context: Joi.object()
+          .unknown(true)
+          .description('Additional context provided by Joi.'),
+      })
+    )
+    .description('One entry per validation failure.'),
+}).label('ValidationProblem')
+
+/**
+ * Builds an RFC 7807 problem details object for a failed validation.
+ *
+ * @param {Object} options - The problem properties.
+ * @param {number} options.status - The HTTP status code.
+ * @param {string} options.detail - A human-readable explanation.
+ * @param {string} [options.type='about:blank'] - The problem type URI.
+ * @param {string} [options.instance] - The request path that failed.
+ * @param {string|null} [options.requestID] - The request ID.
+ * @param {string} [options.container] - The container that failed validation.
+ * @param {Array<Object>} [options.details] - Joi error details.
+ * @returns {Object} The problem details object.
+ */
+export function toProblemDetails({
+  status,
+  detail,
+  type = 'about:blank',
+  instance,
+  requestID,
+  container,
+  details,
+}) {
+  return {
+    type,
+    title: STATUS_CODES[status] || 'Error',
+    status,
+    detail,
+    ...(instance && { instance }),
+    requestID: requestID ?? null,
+    ...(container && { container }),
+    ...(details && {
+      errors: details.map((item) => ({
+        path: item.path,
+        type: item.type,
+        message: item.message,
+        // Uploaded file buffers are not worth echoing back to the client
+        context: withoutBuffers(item.context),
+      })),
+    }),
+  }
+}
@@ -0,0 +1,180 @@
+'use strict'
+// eslint-disable-next-line no-unused-vars
+import Joi from 'joi'
+
+import { ResponseValidationError } from './errors.js'
+import { getRequestID } from './middleware-validator.js'
+
+// Joi options for each response validation mode
+const modes = {
+  error: {
+    abortEarly: false,
+    allowUnknown: false,
+  },
+  warn: {
+    abortEarly: false,
+    allowUnknown: false,
+  },
+  strip: {
+    abortEarly: false,
+    stripUnknown: true,
+    noDefaults: true, // Only remove fields, never add defaults to the body
+  },
+}
+
+// Content types of JSON bodies, such as application/json or application/problem+json
+const jsonContentTypePattern = /^application\/(?:[\w.-]+\+)?json$/
+
+/**
+ * Looks up the response definition for a status code. Falls back to a range
+ * key such as `2XX`, then to `default`, as in OpenAPI.
+ *
+ * @param {Object} responses - The route's `responses` definitions.
+ * @param {number} statusCode - The response status code.
+ * @returns {Object|undefined} The matching response definition.
+ */
+const findResponseDefinition = (responses, statusCode) =>
+  responses[statusCode] ||
+  responses[`${String(statusCode)[0]}XX`] ||
+  responses.default
+
+/**
+ * Middleware that validates JSON response bodies against the Joi schemas
+ * declared in the route's `responses[status].content[mime].schema`.
+ *
+ * `res.json` and `res.send` are wrapped for the current response: objects sent
+ * with either, and strings sent with `res.send` under a JSON content type, are
+ * validated. Responses without a matching status code or content type are
+ * sent unchanged.
+ *
+ * Modes:
+ * - `error` (default): respond with 500 instead of the invalid body.
+ * - `warn`: send the body unchanged and log a warning.
+ * - `strip`: remove undeclared fields before sending, and warn about any
+ *   other mismatch.
+ *
+ * @param {Object} route - A route definition created with `RouteSchema.createRoute`.
+ * @param {Object} [options={}] - Response validation options.
+ * @param {'error'|'warn'|'strip'} [options.mode='error'] - What to do with invalid bodies.
+ * @param {{ warn: Function }} [options.logger=console] - Logger used by `warn` and `strip`.
+ * @param {boolean} [options.passErrors=false] - In `error` mode, pass the
+ *   `ResponseValidationError` to `next()` instead of responding.
+ * @param {Function} [options.onError] - `(err, req, res, next)` hook that takes
+ *   over error handling in `error` mode.
+ * @throws {TypeError} If the mode is not recognized.
+ * @returns {(req, res, next) => void} Express middleware function.
+ */
+const validateResponse = (route, options = {}) => {
+  const {
+    mode = 'error',
+    logger = console,
+    passErrors = false,
+    onError = null,
+  } = options
+
+  if (!modes[mode]) {
+    throw new TypeError(
+      `Unknown response validation mode "${mode}". Use one of: ${Object.keys(modes).join(', ')}.`
+    )
+  }
+
+  return (req, res, next) => {
+    const json = res.json.bind(res)
+    const send = res.send.bind(res)
+    let sendingJson = false
+
+    // `res.json` sends its serialized body through `res.send`, unvalidated
+    const sendJson = (body) => {
+      sendingJson = true
+      try {
+        return json(body)
+      } finally {
+        sendingJson = false
+      }
+    }
+
+    /**
+     * Validates a body against the schema declared for the response, then
+     * sends it (or its stripped value) with `respond`, or handles the error.
+     *
+     * @param {*} body - The parsed response body.
+     * @param {string} contentType - The response content type.
+     * @param {(body: *) => *} respond - Sends a valid body.
+     * @returns {*} The result of sending the response.
+     */
+    const validateAndSend = (body, contentType, respond) => {
+      const responseDef = findResponseDefinition(
+        route?.responses || {},
+        res.statusCode
+      )
+      const responseSchema = responseDef?.content?.[contentType]?.schema
+
+      if (!responseSchema) {
+        return respond(body)
+      }
+
+      const { error, value } = responseSchema.validate(body, modes[mode])
+      if (!error) {
+        return respond(mode === 'strip' ? value : body)
+      }
+
+      const err = new ResponseValidationError({
+        responseStatus: res.statusCode,
+        contentType,
+        details: error.details,
+        requestID: getRequestID(req),
+      })
+
+      if (mode !== 'error') {
+        logger.warn(err.message)
+        return respond(mode === 'strip' ? value : body)
+      }
+
+      if (typeof onError === 'function') {
+        return onError(err, req, res, next)
+      }
+
+      if (passErrors) {
+        return next(err)
+      }
+
+      // Bypass the wrapper so the error body is not validated in turn
+      res.status(err.statusCode)
+      return sendJson({
+        requestID: err.requestID,
+        error: err.message,
+      })
+    }
+
+    res.json = (body) =>
+      validateAndSend(
+        body,
+        res.get('Content-Type')?.split(';')[0] || 'application/json',
+        sendJson
+      )
+
+    // JSON already serialized by the handler, e.g. `res.type('json').send(text)`
+    res.send = (body) => {
+      const contentType = res.get('Content-Type')?.split(';')[0]
+      const isJson = jsonContentTypePattern.test(contentType || '')
+      if (sendingJson || !isJson || typeof body !== 'string') {
+        return send(body)
+      }
+
+      let parsed
+      try {
+        parsed = JSON.parse(body)
+      } catch {
+        // Not JSON after all: there is nothing to validate
+        return send(body)
+      }
+      return validateAndSend(parsed, contentType, (value) =>
+        send(value === parsed ? body : JSON.stringify(value))
+      )
+    }
+
+    next()
+  }
+}
+
+export default validateResponse
@@ -1,3 +1,6 @@
+// Matches OpenAPI path templates such as `{productId}`
+const pathPlaceholderPattern = /{([^{}/]+)}/g
+
 /**
  * Base class for all schemas. Provides utilities for creating and managing route definitions.
  */
@@ -24,6 +27,9 @@ export default class RouteSchema {
 
   /**
    * Subclasses must override this method to provide Joi schemas for route parameters, if applicable.
+   * Each entry is a Joi object with one key. Its OpenAPI location is declared with
+   * `.meta({ in: 'header' })` or by grouping entries under `headers`, `query`, `path` and
+   * `cookie` keys; otherwise it is inferred from the routes using the parameter.
    * @throws {Error} If not implemented in a subclass.
    */
   static parameters() {
@@ -48,22 +54,34 @@ export default class RouteSchema {
    * Utility method for constructing API route definitions.
    * Subclasses should use this to define their routes.
    * @param {Object} options - Options for defining a route.
-   * @param {string} options.path - The API endpoint path.
+   * @param {string} options.path - The API endpoint path, with path parameters
+   *   in OpenAPI form (e.g., '/products/{productId}').
    * @param {string} options.method - The HTTP method (e.g., 'get', 'post').
    * @param {string} options.summary - A summary of the route's purpose.
    * @param {Object} [options.headers] - Optional headers schema.
+   * @param {Object} [options.params] - Path parameter schema, required when the
+   *   path has placeholders. Its keys must match the placeholders exactly.
    * @param {Object} [options.query] - Optional query parameter schema.
+   * @param {Object} [options.cookies] - Optional cookie schema, validating
+   *   `req.cookies` (parsed from the `Cookie` header without cookie-parser).
+   * @param {Object} [options.signedCookies] - Optional schema of the cookies
+   *   signed with cookie-parser's secret, validating `req.signedCookies`.
    * @param {Object} [options.body] - Optional request body schema.
    * @param {Object} [options.responses] - Optional response schemas.
-   * @throws {Error} If `path`, `method`, or `summary` is missing.
-   * @returns {Object} A route definition object.
+   * @throws {Error} If `path`, `method`, or `summary` is missing, or if the
+   *   path placeholders and `params` keys do not match.
+   * @returns {Object} A route definition object. Its `expressPath` holds the
+   *   path in Express form (e.g., '/products/:productId') for mounting.
    */
   static createRoute({
     path,
     method,
     summary,
     headers,
+    params,
     query,
+    cookies,
+    signedCookies,
     body,
     responses,
   }) {
@@ -73,19 +91,57 @@ export default class RouteSchema {
       )
     }
 
+    this._checkPathParams(path, params)
+
     return {
       path,
+      expressPath: path.replace(pathPlaceholderPattern, ':$1'),
       method,
       summary,
       // The "tags" property helps group operations in OpenAPI docs.
       tags: this._tags.map((tag) => tag.name),
       ...(headers && { headers }),
+      ...(params && { params }),
       ...(query && { query }),
+      ...(cookies && { cookies }),
+      ...(signedCookies && { signedCookies }),
       ...(body && { body }),
       ...(responses && { responses }),
     }
   }
 
+  /**
+   * Internal method that checks the path placeholders against the keys of the
+   * `params` schema, so mistakes surface when the route is defined.
+   * @param {string} path - The API endpoint path.
+   * @param {Object} [params] - The path parameter schema.
+   * @throws {Error} If a placeholder has no matching key, or a key no placeholder.
+   * @private
+   */
+  static _checkPathParams(path, params) {
+    const placeholders = [...path.matchAll(pathPlaceholderPattern)].map(
+      ([, name]) => name
+    )
+    const paramKeys =
+      params && typeof params.describe === 'function'
+        ? Object.keys(params.describe().keys || {})
+        : []
+
+    const missing = placeholders.filter((name) => !paramKeys.includes(name))
+    if (missing.length) {
+      throw new Error(
+        `Path "${path}" has placeholders without a matching key in "params": ${missing.join(', ')}.`
+      )
+    }
+
+    const unused = paramKeys.filter((key) => !placeholders.includes(key))
+    if (unused.length) {
+      throw new Error(
+        `Path "${path}" has no placeholders for these "params" keys: ${unused.join(', ')}.`
+      )
+    }
+  }
+
   /**
    * Internal method for generating OpenAPI tags.
    * Tags are used for grouping routes in the documentation.
@@ -98,14 +154,14 @@ export default class RouteSchema {
   }
 
   /**
-   * Internal method for generating a reflection-based structure of paths.
+   * Internal method for discovering route definitions by reflection.
    * This scans static properties of the class and identifies route definitions.
-   * @returns {Object} A Swagger-compatible "paths" object.
+   * @returns {Object<string, Object>} Route definitions keyed by property name.
    * @private
    */
-  static get _paths() {
+  static get _routes() {
     const allProps = Object.getOwnPropertyNames(this)
-    const swaggerPaths = {}
+    const routes = {}
 
     for (const propName of allProps) {
       // Skip built-ins or known base methods
@@ -116,12 +172,14 @@ export default class RouteSchema {
       if (
         [
           'createRoute',
+          '_checkPathParams',
           'schemas',
           'parameters',
           'components',
           'tag',
           '_tags',
-          '_paths', // itself
+          '_routes', // itself
+          '_paths',
         ].includes(propName)
       ) {
         continue
@@ -136,12 +194,41 @@ export default class RouteSchema {
         potentialRoute.method
       ) {
         // e.g. potentialRoute = { path: '/some', method: 'get', summary: '...' }
-        const { path, method } = potentialRoute
-        if (!swaggerPaths[path]) {
-          swaggerPaths[path] = {}
-        }
-        swaggerPaths[path][method] = potentialRoute
+        routes[propName] = potentialRoute
+      }
+    }
+    return routes
+  }
+
+  /**
+   * Internal method for generating a reflection-based structure of paths.
+   * Groups the route definitions found by `_routes` by path and method.
+   * @returns {Object} A Swagger-compatible "paths" object, keyed by path and then
+   *   by lower-case method.
+   * @throws {Error} If the same path and method are declared more than once.
+   * @private
+   */
+  static get _paths() {
+    const swaggerPaths = {}
+    const declaredBy = {} // Maps 'METHOD /path' -> declaring property name
+
+    for (const [propName, route] of Object.entries(this._routes)) {
+      const { path } = route
+      const method = route.method.toLowerCase()
+      if (!swaggerPaths[path]) {
+        swaggerPaths[path] = {}
+      }
+
+      // Several methods may share a path, but each path + method only once
+      const routeKey = `${method.toUpperCase()} ${path}`
+      if (declaredBy[routeKey]) {
+        throw new Error(
+          `Duplicate route ${routeKey} in ${this.name}: declared by both "${declaredBy[routeKey]}" and "${propName}".`
+        )
       }
+      declaredBy[routeKey] = propName
+
+      swaggerPaths[path][method] = route
     }
     return swaggerPaths
   }
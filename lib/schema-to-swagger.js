@@ -1,4 +1,48 @@
+import Joi from 'joi'
+
 import { parse as j2s } from './joi-to-swagger.js'
+import {
+  PROBLEM_CONTENT_TYPE,
+  ValidationProblemSchema,
+} from './problem-details.js'
+import { fileFields, singleFileField } from './uploaded-file.js'
+
+// Request containers that `validateRequest` validates
+const validatedContainers = [
+  'headers',
+  'query',
+  'params',
+  'cookies',
+  'signedCookies',
+  'body',
+]
+
+// Groups of `parameters()` entries, by the location of their parameters
+const parameterGroups = {
+  headers: 'header',
+  query: 'query',
+  path: 'path',
+  cookie: 'cookie',
+}
+
+// Route containers, by the location of the parameters they validate, in the
+// order their parameters are listed
+const containerLocations = {
+  params: 'path',
+  headers: 'header',
+  query: 'query',
+  cookies: 'cookie',
+  signedCookies: 'cookie',
+}
+
+// Locations whose parameters routes reference as components; path
+// parameters and cookies are emitted inline
+const referencedLocations = ['header', 'query']
+
+// Identifies a parameter by location and name. Header names are compared
+// case-insensitively, since Express lowercases them.
+const locationKey = (location, name) =>
+  `${location}:${location === 'header' ? name.toLowerCase() : name}`
 
 /**
  * @typedef {import('./route-schema').default} RouteSchema
@@ -14,19 +58,24 @@ import { parse as j2s } from './joi-to-swagger.js'
 /**
  * Primary entry point: convert a Joi-based RouteSchema class to Swagger documentation.
  * @param {RouteSchema} schemaClass - The schema class with paths, components, and tags.
+ * @param {Object} [options={}] - Generation options.
+ * @param {string} [options.errorFormat='default'] - Set to 'problem' to document the
+ *   `application/problem+json` responses sent by `validateRequest` in that format.
+ * @param {'3.0'|'3.1'} [options.target='3.0'] - The OpenAPI version of the generated schemas.
  * @returns {Object} The generated Swagger documentation.
  */
-export function schemaToSwagger(schemaClass) {
+export function schemaToSwagger(schemaClass, options = {}) {
   // 1) Build all "components" (schemas + parameters)
   const { swaggerComponents, schemaMap, convertedSchemasMap } =
-    buildSwaggerComponents(schemaClass)
+    buildSwaggerComponents(schemaClass, options)
 
   // 2) Build the "paths" section
   const swaggerPaths = buildSwaggerPaths(
     schemaClass,
     swaggerComponents,
     schemaMap,
-    convertedSchemasMap
+    convertedSchemasMap,
+    options
   )
 
   // Finally, return the fully assembled definition
@@ -45,12 +94,13 @@ export function schemaToSwagger(schemaClass) {
  * can reuse them (preventing duplicates).
  *
  * @param {RouteSchema} schemaClass - The schema class with paths, components, and tags.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  * @returns {Object} The Swagger components and supporting maps.
  * @returns {SwaggerComponents} return.swaggerComponents - The built components.
  * @returns {Map} return.schemaMap - Maps Joi object -> assigned schema name.
  * @returns {Map} return.convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
  */
-function buildSwaggerComponents(schemaClass) {
+function buildSwaggerComponents(schemaClass, options) {
   const components = schemaClass.components()
   const swaggerComponents = {
     schemas: {},
@@ -64,43 +114,60 @@ function buildSwaggerComponents(schemaClass) {
   // 1. Convert top-level schemas
   Object.keys(components.schemas).forEach((key) => {
     const joiSchema = components.schemas[key]
-    const convertedSchema = j2s(joiSchema).swagger
+    const { swagger: convertedSchema, components: linkedComponents } = j2s(
+      joiSchema,
+      {},
+      false,
+      options
+    )
 
     // Store directly under that key
     swaggerComponents.schemas[key] = convertedSchema
+    addLinkedSchemas(swaggerComponents.schemas, linkedComponents)
 
     // Cache the association
     schemaMap.set(joiSchema, key)
     convertedSchemasMap.set(JSON.stringify(convertedSchema), key)
   })
 
-  // 2. Convert parameters
-  const parameterKeyToNameMap = {}
-  Object.keys(components.parameters).forEach((refName) => {
-    const parameter = components.parameters[refName]
-    if (parameter && typeof parameter.describe === 'function') {
-      const swaggerParam = j2s(parameter).swagger
-      const [paramName] = Object.keys(swaggerParam.properties || {})
-      if (!paramName) {
-        return
-      }
+  // 2. Convert parameters, in the location they are declared in or used in
+  const entries = listParameterEntries(components.parameters)
+  const usage = collectParameterUsage(schemaClass)
+  const declared = new Set(
+    entries
+      .filter(({ location }) => location)
+      .map(({ schema, location }) =>
+        locationKey(location, parameterKey(schema))
+      )
+  )
+  entries.forEach(({ refName, schema: parameter, location }) => {
+    const swaggerParam = j2s(parameter, {}, false, options).swagger
+    const [paramName] = Object.keys(swaggerParam.properties || {})
+    if (!paramName) {
+      return
+    }
 
-      const paramDef = { ...swaggerParam.properties[paramName] }
-      const isRequired = swaggerParam.required?.includes(paramName) || false
+    const paramDef = { ...swaggerParam.properties[paramName] }
+    const isRequired = swaggerParam.required?.includes(paramName) || false
 
-      const paramIn = paramName.startsWith('x-') ? 'header' : 'query'
-      parameterKeyToNameMap[paramName] = refName
+    const paramIn = resolveParameterLocation(
+      refName,
+      parameter,
+      location,
+      usage,
+      declared
+    )
 
-      const paramDescription = paramDef.description || ''
-      delete paramDef.description
+    const paramDescription = paramDef.description || ''
+    delete paramDef.description
 
-      swaggerComponents.parameters[refName] = {
-        name: paramName,
-        in: paramIn,
-        required: isRequired,
-        schema: paramDef,
-        description: paramDescription,
-      }
+    swaggerComponents.parameters[refName] = {
+      name: paramName,
+      in: paramIn,
+      // Path parameters are always required
+      required: paramIn === 'path' || isRequired,
+      schema: paramDef,
+      description: paramDescription,
     }
   })
 
@@ -113,99 +180,314 @@ function buildSwaggerComponents(schemaClass) {
 }
 
 /**
- * Build the 'paths' object from the route definitions in schemaClass._paths.
+ * Flatten the entries of `parameters()`, which may be grouped by location
+ * under `headers`, `query`, `path` and `cookie` keys, and read the location
+ * each entry declares: its group, or `.meta({ in })`.
+ *
+ * @param {Object} [parameters={}] - The parameters returned by `parameters()`.
+ * @throws {Error} If an entry declares an unknown location, a location other
+ *   than its group's, or a name already used by another entry.
+ * @returns {Array<Object>} The entries, with their `refName`, Joi `schema` and
+ *   declared `location` (undefined when not declared).
+ */
+function listParameterEntries(parameters = {}) {
+  const entries = []
+  Object.entries(parameters).forEach(([key, value]) => {
+    const isGroup =
+      Object.hasOwn(parameterGroups, key) &&
+      value &&
+      typeof value.describe !== 'function'
+    const group = isGroup ? Object.entries(value) : [[key, value]]
+
+    group.forEach(([refName, schema]) => {
+      if (!schema || typeof schema.describe !== 'function') {
+        return
+      }
+      if (entries.some((entry) => entry.refName === refName)) {
+        throw new Error(
+          `Parameter "${refName}" is declared more than once in parameters().`
+        )
+      }
+
+      const groupLocation = isGroup ? parameterGroups[key] : undefined
+      const metaLocation = Object.assign({}, ...schema.$_terms.metas).in
+      if (
+        metaLocation !== undefined &&
+        !Object.values(parameterGroups).includes(metaLocation)
+      ) {
+        throw new Error(
+          `Parameter "${refName}" has an invalid location "${metaLocation}": use header, query, path or cookie.`
+        )
+      }
+      if (groupLocation && metaLocation && groupLocation !== metaLocation) {
+        throw new Error(
+          `Parameter "${refName}" is grouped under "${key}" but declares the ${metaLocation} location.`
+        )
+      }
+
+      entries.push({ refName, schema, location: groupLocation || metaLocation })
+    })
+  })
+  return entries
+}
+
+/**
+ * The Joi schema of the first key of a parameter.
+ *
+ * @param {Joi.ObjectSchema} parameter - A `parameters()` entry.
+ * @returns {Joi.Schema|undefined} The key's schema.
+ */
+function parameterKeySchema(parameter) {
+  return parameter.$_terms.keys?.[0]?.schema
+}
+
+/**
+ * The name of the first key of a parameter.
+ *
+ * @param {Joi.ObjectSchema} parameter - A `parameters()` entry.
+ * @returns {string|undefined} The key's name.
+ */
+function parameterKey(parameter) {
+  return parameter.$_terms.keys?.[0]?.key
+}
+
+/**
+ * Record where the routes of a schema class use each key: in their `headers`,
+ * `query`, `params`, `cookies` or `signedCookies`.
+ *
+ * @param {RouteSchema} schemaClass - The schema class with its routes.
+ * @returns {Map<string, Object[]>} Maps a 'location:name' key (see
+ *   `locationKey`) to its uses, each with the route (e.g. 'GET /orders') and
+ *   the key's Joi schema.
+ */
+function collectParameterUsage(schemaClass) {
+  const usage = new Map()
+  Object.values(schemaClass._routes || {}).forEach((route) => {
+    const routeName = `${route.method.toUpperCase()} ${route.path}`
+    Object.entries(containerLocations).forEach(([container, location]) => {
+      const keys = route[container]?.$_terms?.keys || []
+      keys.forEach(({ key, schema }) => {
+        const usageKey = locationKey(location, key)
+        usage.set(usageKey, [
+          ...(usage.get(usageKey) || []),
+          { routeName, schema },
+        ])
+      })
+    })
+  })
+  return usage
+}
+
+// Describes the routes using a parameter in a location, for error messages
+const describeUse = ([used, uses]) =>
+  `in ${used} by ${[...new Set(uses.map(({ routeName }) => routeName))].join(', ')}`
+
+/**
+ * Narrow the locations a parameter is used in to the one using its own key
+ * schema, when several locations use a key with its name.
+ *
+ * @param {Array} usedIn - `[location, uses]` pairs.
+ * @param {Joi.Schema} keySchema - The parameter's key schema.
+ * @returns {Array} The pairs, narrowed when exactly one uses the key schema.
+ */
+function preferSameSchema(usedIn, keySchema) {
+  const same = usedIn.filter(([, uses]) =>
+    uses.some(({ schema }) => schema === keySchema)
+  )
+  return usedIn.length > 1 && same.length === 1 ? same : usedIn
+}
+
+/**
+ * Decide the location of a parameter component. A declared location wins;
+ * otherwise it is the location routes use a key with the parameter's name in
+ * (headers and query first, since routes reference their components), and
+ * finally `header` for names starting with `x-` and `query` for the others.
+ * When several locations use the name, the one using the parameter's own Joi
+ * schema is picked.
+ *
+ * @param {string} refName - The parameter's name in `parameters()`.
+ * @param {Joi.ObjectSchema} parameter - The `parameters()` entry.
+ * @param {string} [location] - The declared location, if any.
+ * @param {Map} usage - The key usage from `collectParameterUsage`.
+ * @param {Set<string>} declared - The 'location:name' pairs declared explicitly.
+ * @throws {Error} If routes use the parameter's name in headers or query other
+ *   than its declared location, or in several locations.
+ * @returns {'header'|'query'|'path'|'cookie'} The parameter location.
+ */
+function resolveParameterLocation(
+  refName,
+  parameter,
+  location,
+  usage,
+  declared
+) {
+  const name = parameterKey(parameter)
+  // Uses covered by another entry declaring the same name there do not count
+  const usedIn = [...new Set(Object.values(containerLocations))]
+    .map((used) => [used, usage.get(locationKey(used, name))])
+    .filter(
+      ([used, uses]) =>
+        uses && (used === location || !declared.has(locationKey(used, name)))
+    )
+  const referenced = usedIn.filter(([used]) =>
+    referencedLocations.includes(used)
+  )
+
+  if (location) {
+    const conflicts = referenced.filter(([used]) => used !== location)
+    if (conflicts.length) {
+      throw new Error(
+        `Parameter "${refName}" is declared in ${location}, but "${name}" is used ${conflicts.map(describeUse).join('; ')}.`
+      )
+    }
+    return location
+  }
+
+  const inferred = preferSameSchema(
+    referenced.length ? referenced : usedIn,
+    parameterKeySchema(parameter)
+  )
+  if (inferred.length > 1) {
+    throw new Error(
+      `Parameter "${refName}" is used in conflicting locations: ${inferred.map(describeUse).join('; ')}. Declare its location with .meta({ in }) or split it into one parameter per location.`
+    )
+  }
+  if (inferred.length === 1) {
+    return inferred[0][0]
+  }
+  return name.startsWith('x-') ? 'header' : 'query'
+}
+
+/**
+ * Build the 'paths' object from the route definitions in schemaClass._paths,
+ * emitting every method declared for each path.
  * Reuses schema and conversion maps from `buildSwaggerComponents`.
  *
  * @param {RouteSchema} schemaClass - The schema class with paths, components, and tags.
  * @param {SwaggerComponents} swaggerComponents - The built Swagger components.
  * @param {Map} schemaMap - Maps Joi object -> assigned schema name.
  * @param {Map} convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  * @returns {Object} The Swagger paths object.
  */
 function buildSwaggerPaths(
   schemaClass,
   swaggerComponents,
   schemaMap,
-  convertedSchemasMap
+  convertedSchemasMap,
+  options
 ) {
   const swaggerPaths = {}
   const paths = schemaClass._paths
 
-  // Build a quick paramName->refName map from the existing swaggerComponents:
+  // Build a quick 'location:paramName'->refName map from the existing swaggerComponents:
   const paramNameToRefName = {}
   Object.entries(swaggerComponents.parameters).forEach(
     ([refName, paramObj]) => {
-      paramNameToRefName[paramObj.name] = refName // Map param names to their references
+      paramNameToRefName[locationKey(paramObj.in, paramObj.name)] = refName // Map param names to their references
     }
   )
 
   Object.keys(paths).forEach((path) => {
     const routeDef = paths[path]
-    const [methodKey] = Object.keys(routeDef)
-    const methodConfig = routeDef[methodKey]
+    swaggerPaths[path] = {}
 
-    if (!methodConfig || !methodConfig.method) {
-      return
-    }
+    Object.entries(routeDef).forEach(([methodKey, methodConfig]) => {
+      if (!methodConfig || !methodConfig.method) {
+        return
+      }
 
-    const parameters = collectParameters(methodConfig, paramNameToRefName)
-    const requestBody = buildRequestBody(
-      methodConfig.body,
-      swaggerComponents,
-      schemaMap,
-      convertedSchemasMap
-    )
-    const responses = buildResponses(
-      methodConfig.responses,
-      swaggerComponents,
-      schemaMap,
-      convertedSchemasMap
-    )
+      const parameters = collectParameters(
+        methodConfig,
+        paramNameToRefName,
+        options
+      )
+      const requestBody = buildRequestBody(
+        methodConfig.body,
+        swaggerComponents,
+        schemaMap,
+        convertedSchemasMap,
+        options
+      )
+      const responses = buildResponses(
+        methodConfig.responses,
+        swaggerComponents,
+        schemaMap,
+        convertedSchemasMap,
+        options
+      )
+
+      if (options.errorFormat === 'problem') {
+        addProblemResponses(
+          methodConfig,
+          responses,
+          swaggerComponents,
+          schemaMap,
+          convertedSchemasMap,
+          options
+        )
+      }
 
-    swaggerPaths[path] = {
-      [methodKey]: {
+      swaggerPaths[path][methodKey] = {
         tags: methodConfig.tags || [],
         summary: methodConfig.summary || '',
         parameters,
         ...(requestBody && { requestBody }),
         responses,
-      },
-    }
+      }
+    })
   })
 
   return swaggerPaths
 }
 
 /**
- * Collect parameters from headers and query in method configuration.
+ * Collect parameters from path params, headers, query and cookies in method configuration.
+ * Headers and query parameters reference their component when one is registered for their
+ * location, and are emitted inline otherwise. Path parameters are always emitted inline,
+ * since their names are bound to the route's path, and so are cookies.
  *
  * @param {Object} methodConfig - The route method configuration.
- * @param {Object} paramNameToRefName - Map of parameter names to reference names.
- * @returns {Array<Object>} Array of parameter references for Swagger.
+ * @param {Object} paramNameToRefName - Map of 'location:name' pairs to reference names.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
+ * @returns {Array<Object>} Array of parameter objects and references for Swagger.
  */
-function collectParameters(methodConfig, paramNameToRefName) {
+function collectParameters(methodConfig, paramNameToRefName, options) {
   const parameters = []
 
-  // HEADERS
-  if (
-    methodConfig.headers &&
-    typeof methodConfig.headers.describe === 'function'
-  ) {
-    const headerKeys = Object.keys(methodConfig.headers.describe().keys || {})
-    headerKeys.forEach((k) => {
-      const refName = paramNameToRefName[k] || k
-      parameters.push({ $ref: `#/components/parameters/${refName}` })
-    })
-  }
+  Object.entries(containerLocations).forEach(([container, location]) => {
+    const containerSchema = methodConfig[container]
+    if (!containerSchema || typeof containerSchema.describe !== 'function') {
+      return
+    }
+    const swaggerParams = j2s(containerSchema, {}, false, options).swagger
+    Object.entries(swaggerParams.properties || {}).forEach(
+      ([name, paramDef]) => {
+        // Only reference components that exist, in this location
+        const refName =
+          referencedLocations.includes(location) &&
+          paramNameToRefName[locationKey(location, name)]
+        if (refName) {
+          parameters.push({ $ref: `#/components/parameters/${refName}` })
+          return
+        }
 
-  // QUERY
-  if (methodConfig.query && typeof methodConfig.query.describe === 'function') {
-    const queryKeys = Object.keys(methodConfig.query.describe().keys || {})
-    queryKeys.forEach((k) => {
-      const refName = paramNameToRefName[k] || k
-      parameters.push({ $ref: `#/components/parameters/${refName}` })
-    })
-  }
+        const { description, ...schema } = paramDef
+        parameters.push({
+          name,
+          in: location,
+          required:
+            location === 'path' ||
+            swaggerParams.required?.includes(name) ||
+            false,
+          schema,
+          ...(description && { description }),
+          // Signed cookies are flagged
+          ...(container === 'signedCookies' && { 'x-signed': true }),
+        })
+      }
+    )
+  })
 
   return parameters
 }
@@ -217,13 +499,15 @@ function collectParameters(methodConfig, paramNameToRefName) {
  * @param {SwaggerComponents} swaggerComponents - The built Swagger components.
  * @param {Map} schemaMap - Maps Joi object -> assigned schema name.
  * @param {Map} convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  * @returns {Object|null} The requestBody object or null if not applicable.
  */
 function buildRequestBody(
   bodyConfig,
   swaggerComponents,
   schemaMap,
-  convertedSchemasMap
+  convertedSchemasMap,
+  options
 ) {
   if (!bodyConfig || !bodyConfig.content) {
     return null
@@ -236,12 +520,28 @@ function buildRequestBody(
       joiSchema,
       swaggerComponents.schemas,
       schemaMap,
-      convertedSchemasMap
+      convertedSchemasMap,
+      options
     )
 
     content[mimeType] = {
       schema: { $ref: `#/components/schemas/${schemaName}` },
     }
+
+    // Multipart bodies list the MIME types each file field accepts
+    const encoding = mimeType.startsWith('multipart/')
+      ? Object.fromEntries(
+          fileFields(joiSchema)
+            .filter(({ mimetypes }) => mimetypes.length)
+            .map(({ name, mimetypes }) => [
+              name,
+              { contentType: mimetypes.join(', ') },
+            ])
+        )
+      : {}
+    if (Object.keys(encoding).length) {
+      content[mimeType].encoding = encoding
+    }
   })
 
   return {
@@ -258,13 +558,15 @@ function buildRequestBody(
  * @param {SwaggerComponents} swaggerComponents - The built Swagger components.
  * @param {Map} schemaMap - Maps Joi object -> assigned schema name.
  * @param {Map} convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  * @returns {Object} The responses object for Swagger.
  */
 function buildResponses(
   responsesConfig,
   swaggerComponents,
   schemaMap,
-  convertedSchemasMap
+  convertedSchemasMap,
+  options
 ) {
   const responses = {}
   if (!responsesConfig) {
@@ -282,7 +584,8 @@ function buildResponses(
           joiSchema,
           swaggerComponents.schemas,
           schemaMap,
-          convertedSchemasMap
+          convertedSchemasMap,
+          options
         )
 
         builtContent[mimeType] = {
@@ -305,6 +608,153 @@ function buildResponses(
   return responses
 }
 
+/**
+ * Document the problem details responses that `validateRequest` sends when
+ * configured with `errorFormat: 'problem'` (including the 503 of async
+ * validation that times out), and the 413 that `uploadFor` sends for files
+ * above their size limit. Responses declared by the route for the same status
+ * code take precedence.
+ *
+ * @param {Object} methodConfig - The route method configuration.
+ * @param {Object} responses - The responses object built for the route.
+ * @param {SwaggerComponents} swaggerComponents - The built Swagger components.
+ * @param {Map} schemaMap - Maps Joi object -> assigned schema name.
+ * @param {Map} convertedSchemasMap - Maps JSON string of Swagger schema -> schema name.
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
+ */
+function addProblemResponses(
+  methodConfig,
+  responses,
+  swaggerComponents,
+  schemaMap,
+  convertedSchemasMap,
+  options
+) {
+  const isValidated = validatedContainers.some(
+    (container) => methodConfig[container]
+  )
+  if (!isValidated) {
+    return
+  }
+
+  const schemaName = getSchemaNameFromObj(
+    ValidationProblemSchema,
+    swaggerComponents.schemas,
+    schemaMap,
+    convertedSchemasMap,
+    options
+  )
+  const content = {
+    [PROBLEM_CONTENT_TYPE]: {
+      schema: { $ref: `#/components/schemas/${schemaName}` },
+    },
+  }
+
+  if (!responses[422]) {
+    responses[422] = {
+      description: 'Unprocessable Entity - Request validation failed.',
+      content,
+    }
+  }
+
+  if (methodConfig.body?.content && !responses[415]) {
+    responses[415] = {
+      description: 'Unsupported Media Type - Request content type not allowed.',
+      content,
+    }
+  }
+
+  if (hasUploadSizeLimit(methodConfig.body) && !responses[413]) {
+    responses[413] = {
+      description:
+        'Payload Too Large - An uploaded file exceeds its size limit.',
+      content,
+    }
+  }
+
+  if (hasExternalRules(methodConfig) && !responses[503]) {
+    responses[503] = {
+      description: 'Service Unavailable - Request validation timed out.',
+      content,
+    }
+  }
+}
+
+// Whether a Joi description, or any schema nested in it, has external rules
+const describesExternals = (description) => {
+  if (Array.isArray(description)) {
+    return description.some(describesExternals)
+  }
+  if (!description || typeof description !== 'object') {
+    return false
+  }
+  return (
+    Array.isArray(description.externals) ||
+    Object.values(description).some(describesExternals)
+  )
+}
+
+/**
+ * Tells whether a route validates a container with `.external()` rules, which
+ * `validateRequest` runs in async mode and fails with a 503 after `timeout`.
+ *
+ * @param {Object} methodConfig - The route method configuration.
+ * @returns {boolean} Whether a container schema has external rules.
+ */
+function hasExternalRules(methodConfig) {
+  const schemas = [
+    ...validatedContainers.map((container) => methodConfig[container]),
+    ...Object.values(methodConfig.body?.content || {}).map(
+      ({ schema }) => schema
+    ),
+  ]
+  return schemas.some(
+    (schema) => Joi.isSchema(schema) && describesExternals(schema.describe())
+  )
+}
+
+/**
+ * Tells whether `uploadFor` rejects files of a request body as too large: its
+ * `multipart/form-data` schema declares a size limit on a file field.
+ *
+ * @param {Object} [bodyConfig] - Configuration for the request body.
+ * @returns {boolean} Whether a file field has a size limit.
+ */
+function hasUploadSizeLimit(bodyConfig) {
+  const schema = bodyConfig?.content?.['multipart/form-data']?.schema
+  if (!schema) {
+    return false
+  }
+  const fields = fileFields(schema)
+  const single = fields.length ? undefined : singleFileField(schema)
+  return [...fields, ...(single ? [single] : [])].some(
+    ({ maxSize }) => maxSize !== undefined
+  )
+}
+
+/**
+ * Add the named schemas produced while converting a Joi schema (such as the
+ * targets of `Joi.link()`) to the Swagger schemas. Existing entries with the
+ * same shape are kept.
+ *
+ * @param {Object} schemasObj - e.g. swaggerComponents.schemas
+ * @param {Object} [components={}] - The components returned by joi-to-swagger.
+ * @throws {Error} If a name is already used for a different schema shape.
+ */
+function addLinkedSchemas(schemasObj, components = {}) {
+  Object.entries(components.schemas || {}).forEach(([name, schema]) => {
+    if (!schemasObj[name]) {
+      schemasObj[name] = schema
+      return
+    }
+    if (JSON.stringify(schemasObj[name]) !== JSON.stringify(schema)) {
+      throw new Error(
+        `Component schema "${name}" is used for two different schema shapes. Give the linked schemas distinct .id() or .label() names.`
+      )
+    }
+  })
+}
+
 /**
  * Helper function to get the schema name from a Joi object.
  * If the schema is already defined in the swaggerComponents, it will reuse it.
@@ -313,13 +763,15 @@ function buildResponses(
  * @param {Object} schemasObj - e.g. swaggerComponents.schemas
  * @param {Map<Joi.ObjectSchema, string>} schemaMap - Maps Joi object -> assigned schema name
  * @param {Map<string, string>} convertedSchemasMap - Maps JSON string of swagger schema -> schema name
+ * @param {Object} options - Generation options passed to `schemaToSwagger`.
  * @returns {string} The schema name.
  */
 function getSchemaNameFromObj(
   joiSchema,
   schemasObj, // e.g. swaggerComponents.schemas
   schemaMap, // Map<JoiObject, schemaName>
-  convertedSchemasMap // Map<stringifiedSwaggerSchema, schemaName>
+  convertedSchemasMap, // Map<stringifiedSwaggerSchema, schemaName>
+  options
 ) {
   // Already mapped by exact object reference?
   if (schemaMap.has(joiSchema)) {
@@ -327,7 +779,12 @@ function getSchemaNameFromObj(
   }
 
   // Convert with joi-to-swagger
-  const convertedSchema = j2s(joiSchema).swagger
+  const { swagger: convertedSchema, components: linkedComponents } = j2s(
+    joiSchema,
+    {},
+    false,
+    options
+  )
   const str = JSON.stringify(convertedSchema)
 
   // If we already have an identical shape
@@ -374,6 +831,7 @@ function getSchemaNameFromObj(
 
   // Register in swagger components
   schemasObj[chosenName] = convertedSchema
+  addLinkedSchemas(schemasObj, linkedComponents)
   schemaMap.set(joiSchema, chosenName)
   convertedSchemasMap.set(str, chosenName)
 
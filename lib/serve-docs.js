@@ -0,0 +1,197 @@
+import path from 'node:path'
+
+import { buildOpenApiDocument } from './openapi-document.js'
+import { serializeOpenApiDocument } from './openapi-serializer.js'
+import { requireOptional, resolveOptional } from './optional-require.js'
+
+const htmlEscapes = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}
+
+const escapeHtml = (text) =>
+  String(text).replace(/[&<>"']/g, (char) => htmlEscapes[char])
+
+const page = (title, head, body) => `<!DOCTYPE html>
+<html lang="en">
+  <head>
+    <meta charset="utf-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1" />
+    <title>${escapeHtml(title)}</title>
+${head}
+  </head>
+  <body>
+${body}
+  </body>
+</html>
+`
+
+// The browser bundles of each UI, served from the package's own files
+const userInterfaces = {
+  'swagger-ui': {
+    packageName: 'swagger-ui-dist',
+    assets: ['swagger-ui.css', 'swagger-ui-bundle.js'],
+    page: ({ title, assetsUrl, specUrl }) =>
+      page(
+        title,
+        `    <link rel="stylesheet" href="${escapeHtml(assetsUrl)}/swagger-ui.css" />`,
+        [
+          '    <div id="swagger-ui"></div>',
+          `    <script src="${escapeHtml(assetsUrl)}/swagger-ui-bundle.js"></script>`,
+          // A script file rather than inline code, for Content-Security-Policy
+          `    <script src="${escapeHtml(assetsUrl)}/init.js" data-spec-url="${escapeHtml(specUrl)}"></script>`,
+        ].join('\n')
+      ),
+    init: [
+      'const { specUrl } = document.currentScript.dataset',
+      "window.ui = SwaggerUIBundle({ url: specUrl, dom_id: '#swagger-ui' })",
+      '',
+    ].join('\n'),
+  },
+  redoc: {
+    packageName: 'redoc',
+    assets: ['redoc.standalone.js'],
+    page: ({ title, assetsUrl, specUrl }) =>
+      page(
+        title,
+        '',
+        [
+          `    <redoc spec-url="${escapeHtml(specUrl)}"></redoc>`,
+          `    <script src="${escapeHtml(assetsUrl)}/redoc.standalone.js"></script>`,
+        ].join('\n')
+      ),
+  },
+}
+
+const sameClasses = (a, b) =>
+  a.length === b.length && a.every((schemaClass, i) => schemaClass === b[i])
+
+/**
+ * Creates an Express router serving the OpenAPI document of RouteSchema
+ * classes, as JSON and YAML, and an interactive documentation page. The UI's
+ * browser files are served from its locally installed package, so the page
+ * works without a CDN or network access.
+ *
+ * The document is built once and cached. In development, `schemaClasses` may
+ * be a function returning the current classes (e.g. after a hot reload): it
+ * is called on each request, and the document is rebuilt when the classes
+ * it returns change. An array of classes is never rebuilt, even in
+ * development.
+ *
+ * @example
+ * app.use(serveDocs([ProductSchema, OrderSchema], {
+ *   info: { title: 'Shop API', version: '1.0.0' },
+ *   ui: 'redoc',
+ * }))
+ *
+ * @param {Function[]|(() => Function[])} schemaClasses - The schema classes to
+ *   document, or a function returning them.
+ * @param {Object} options - Docs options; other options are passed to
+ *   `buildOpenApiDocument` (`info` is required).
+ * @param {string} [options.path='/docs'] - The path of the documentation page.
+ * @param {'swagger-ui'|'redoc'} [options.ui='swagger-ui'] - The documentation UI,
+ *   which needs the "swagger-ui-dist" or "redoc" package.
+ * @param {string} [options.specPath] - The path of the JSON document; the YAML
+ *   document is served next to it. Defaults to `${path}/openapi.json`.
+ * @param {string} [options.assets] - A directory holding the UI's browser
+ *   files, instead of its package.
+ * @param {boolean} [options.development] - Whether to rebuild the document when
+ *   the classes returned by a `schemaClasses` function change. Defaults to
+ *   `NODE_ENV !== 'production'`.
+ * @param {Object} [options.router] - An existing Express router to add the routes to.
+ * @throws {Error} If the UI is unknown or its package is not installed, or if
+ *   the document cannot be built.
+ * @returns {Object} The Express router.
+ */
+const serveDocs = (schemaClasses, options = {}) => {
+  const {
+    path: docsPath = '/docs',
+    ui = 'swagger-ui',
+    specPath = `${docsPath.replace(/\/+$/, '')}/openapi.json`,
+    assets,
+    development = process.env.NODE_ENV !== 'production',
+    router: existingRouter,
+    ...documentOptions
+  } = options
+
+  const userInterface = userInterfaces[ui]
+  if (!userInterface) {
+    throw new Error(
+      `Unknown docs UI "${ui}". Use one of: ${Object.keys(userInterfaces).join(', ')}.`
+    )
+  }
+  const assetsDir =
+    assets ||
+    path.dirname(
+      resolveOptional(userInterface.packageName, `serveDocs({ ui: '${ui}' })`)
+    )
+
+  const basePath = docsPath.replace(/\/+$/, '')
+  const jsonPath = specPath.replace(/\.ya?ml$/, '.json')
+  const yamlPath = jsonPath.replace(/\.json$/, '.yaml')
+
+  let cache
+  const currentDocument = () => {
+    if (cache && !development) {
+      return cache
+    }
+    const classes = [].concat(
+      typeof schemaClasses === 'function' ? schemaClasses() : schemaClasses
+    )
+    if (!cache || !sameClasses(cache.classes, classes)) {
+      const document = buildOpenApiDocument(classes, documentOptions)
+      cache = { classes, document, serialized: {} }
+    }
+    return cache
+  }
+  const serialized = (format) => {
+    const entry = currentDocument()
+    entry.serialized[format] =
+      entry.serialized[format] ||
+      serializeOpenApiDocument(entry.document, { format })
+    return entry.serialized[format]
+  }
+
+  // Fail on startup rather than on the first request
+  currentDocument()
+
+  const router =
+    existingRouter || requireOptional('express', 'serveDocs').Router()
+
+  router.get(jsonPath, (req, res) => {
+    res.type('application/json').send(serialized('json'))
+  })
+  router.get(yamlPath, (req, res) => {
+    res.type('application/yaml').send(serialized('yaml'))
+  })
+  router.get([basePath || '/', `${basePath}/`], (req, res) => {
+    res.type('html').send(
+      userInterface.page({
+        title: currentDocument().document.info.title,
+        assetsUrl: `${req.baseUrl}${basePath}/assets`,
+        specUrl: `${req.baseUrl}${jsonPath}`,
+      })
+    )
+  })
+  router.get(`${basePath}/assets/:file`, (req, res, next) => {
+    const { file } = req.params
+    if (file === 'init.js' && userInterface.init) {
+      res.type('application/javascript').send(userInterface.init)
+    } else if (userInterface.assets.includes(file)) {
+      res.sendFile(path.join(assetsDir, file), { maxAge: '1d' }, (err) => {
+        if (err) {
+          next(err)
+        }
+      })
+    } else {
+      next()
+    }
+  })
+
+  return router
+}
+
+export default serveDocs
@@ -0,0 +1,298 @@
+import Joi from 'joi'
+import { Transform } from 'node:stream'
+
+import { ValidationError } from './errors.js'
+import {
+  defaultsOf,
+  getRequestID,
+  handleValidationError,
+  resolveSettings,
+} from './middleware-validator.js'
+import { requireOptional } from './optional-require.js'
+import { fileFields, mimetypeSchema, singleFileField } from './uploaded-file.js'
+
+// Multer limits that a request exceeds by being too large
+const sizeLimitCodes = [
+  'LIMIT_FILE_SIZE',
+  'LIMIT_FILE_COUNT',
+  'LIMIT_PART_COUNT',
+  'LIMIT_FIELD_COUNT',
+  'LIMIT_FIELD_VALUE',
+]
+
+/**
+ * Finds the schema of a route's `multipart/form-data` body.
+ *
+ * @param {Object} route - The route, as returned by `createRoute`.
+ * @returns {Joi.ObjectSchema|undefined} The body schema, if any.
+ */
+function multipartSchema(route) {
+  const body = route?.body
+  if (Joi.isSchema(body)) {
+    return body
+  }
+  return body?.content?.['multipart/form-data']?.schema
+}
+
+/**
+ * Adapts a function writing a file stream to a sink into a multer storage
+ * engine. The function resolves with properties added to the file, such as
+ * its `path`; the file's `size` is counted while it streams.
+ *
+ * @param {(file: Object, req: Object) => Promise<Object>} sink - Consumes
+ *   `file.stream`, and resolves once it is stored.
+ * @returns {Object} The storage engine.
+ */
+function streamStorage(sink) {
+  return {
+    _handleFile(req, file, cb) {
+      let size = 0
+      const stream = file.stream.pipe(
+        new Transform({
+          transform(chunk, encoding, done) {
+            size += chunk.length
+            done(null, chunk)
+          },
+        })
+      )
+      Promise.resolve()
+        .then(() => sink({ ...file, stream }, req))
+        .then((info) => cb(null, { size, ...info }))
+        .catch(cb)
+    },
+    // Stored files are the sink's to clean up
+    _removeFile(req, file, cb) {
+      cb(null)
+    },
+  }
+}
+
+function storageEngine(multer, storage, dest) {
+  if (storage === 'memory') {
+    return multer.memoryStorage()
+  }
+  if (storage === 'disk') {
+    return multer.diskStorage({ destination: dest })
+  }
+  if (typeof storage === 'function') {
+    return streamStorage(storage)
+  }
+  if (typeof storage?._handleFile === 'function') {
+    return storage
+  }
+  throw new TypeError(
+    'The upload storage must be "memory", "disk", a multer storage engine or a function.'
+  )
+}
+
+/**
+ * Builds the `ValidationError` sent for a rejected upload, with one detail
+ * shaped like a Joi error detail.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Object} detail - The detail's `message`, `path`, `type` and `context`.
+ * @param {number} [statusCode=422] - The HTTP status code to respond with.
+ * @returns {ValidationError} The error.
+ */
+function uploadError(req, { message, path, type, context }, statusCode = 422) {
+  const label = path.join('.')
+  return new ValidationError({
+    container: 'body',
+    details: [{ message, path, type, context: { label, ...context } }],
+    requestID: getRequestID(req),
+    statusCode,
+    message,
+  })
+}
+
+/**
+ * Translates a multer limit error into a `ValidationError`: 413 for a request
+ * that is too large, 422 for files the route does not accept.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Error} err - The `MulterError`.
+ * @param {Object[]} fields - The route's file fields.
+ * @param {Object} limits - The multer limits.
+ * @returns {ValidationError} The error.
+ */
+function limitError(req, err, fields, limits) {
+  const statusCode = sizeLimitCodes.includes(err.code) ? 413 : 422
+  const field = fields.find(({ name }) => name === err.field)
+  const path = err.field ? [err.field] : []
+
+  if (err.code === 'LIMIT_FILE_SIZE') {
+    // Multer stops at the largest size of all fields; report this field's own
+    const limit = field?.maxSize ?? limits.fileSize
+    return uploadError(
+      req,
+      {
+        message: `"${err.field}" must be a file of at most ${limit} bytes`,
+        path,
+        type: 'file.maxSize',
+        context: { limit },
+      },
+      statusCode
+    )
+  }
+  if (err.code === 'LIMIT_UNEXPECTED_FILE' && field) {
+    return uploadError(req, {
+      message: `"${err.field}" must contain at most ${field.maxCount} ${field.maxCount === 1 ? 'file' : 'files'}`,
+      path,
+      type: 'file.maxCount',
+      context: { limit: field.maxCount },
+    })
+  }
+  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+    return uploadError(req, {
+      message: `"${err.field}" is not allowed`,
+      path,
+      type: 'object.unknown',
+    })
+  }
+  return uploadError(
+    req,
+    {
+      message: err.field ? `"${err.field}": ${err.message}` : err.message,
+      path,
+      type: `multipart.${err.code}`,
+    },
+    statusCode
+  )
+}
+
+/**
+ * Creates the multer middleware parsing a route's uploads, configured from its
+ * `multipart/form-data` body schema so the limits are declared only once: the
+ * file fields and their counts (`uploadedFile()` keys, arrays of them with
+ * `max()`, or a `file: Joi.binary()` key for a single file), their allowed
+ * MIME types and their size limits (`maxSize`, or `Joi.binary().max()`).
+ *
+ * Multer stops files above the largest declared size as they stream, and
+ * files of another type before they are stored. Each field's own limits are
+ * checked again by `validateRequest`, which should follow this middleware.
+ * Rejected uploads are handled like failed validations: `errorFormat`,
+ * `passErrors` and `onError` apply, with a 413 status for files that are too
+ * large. Pass the factory made by `createValidator` as `validate` to use its
+ * defaults for these options.
+ *
+ * @example
+ * const validate = createValidator({ errorFormat: 'problem' })
+ * app.post(
+ *   '/gallery',
+ *   uploadFor(GallerySchema.uploadImages, { storage: 'disk', validate }),
+ *   validate(GallerySchema.uploadImages),
+ *   handler
+ * )
+ *
+ * @param {Object} route - The route, as returned by `createRoute`.
+ * @param {Object} [options={}] - Upload options, and the error options of
+ *   `validateRequest` (`errorFormat`, `problemType`, `passErrors`, `onError`).
+ * @param {'memory'|'disk'|Object|Function} [options.storage='memory'] - Where
+ *   files go: in memory (`buffer`), on disk (`path`), to a multer storage
+ *   engine, or to a function `(file, req) => Promise<Object>` that consumes
+ *   `file.stream` and resolves with properties to add to the file. A single
+ *   `file: Joi.binary()` key validates the file's `buffer`, so it needs memory
+ *   storage (or an engine providing `buffer`).
+ * @param {string} [options.dest] - The directory of disk storage. Defaults to
+ *   the OS temporary directory.
+ * @param {Object} [options.limits] - Multer limits, overriding the derived ones.
+ * @param {Function} [options.validate] - The factory made by `createValidator`
+ *   whose defaults apply to the error options.
+ * @throws {Error} If the route has no multipart body or file fields, if a
+ *   `file: Joi.binary()` key is stored on disk or by a function, or if the
+ *   "multer" package is not installed.
+ * @returns {(req, res, next) => void} Express middleware function.
+ */
+const uploadFor = (route, options = {}) => {
+  const { storage = 'memory', dest, limits: limitOverrides } = options
+  const settings = resolveSettings(defaultsOf(options.validate), options)
+  const routeName = `${route?.method?.toUpperCase()} ${route?.path}`
+
+  const bodySchema = multipartSchema(route)
+  if (!bodySchema) {
+    throw new Error(
+      `Cannot create an upload middleware for ${routeName}: it has no multipart/form-data body schema.`
+    )
+  }
+  const namedFields = fileFields(bodySchema)
+  const singleFile = namedFields.length
+    ? undefined
+    : singleFileField(bodySchema)
+  const fields = singleFile ? [singleFile] : namedFields
+  if (!fields.length) {
+    throw new Error(
+      `Cannot create an upload middleware for ${routeName}: its body declares no file fields. Use uploadedFile().`
+    )
+  }
+
+  // `file: Joi.binary()` validates `req.file.buffer`, which only memory storage
+  // and some storage engines provide
+  if (singleFile && (storage === 'disk' || typeof storage === 'function')) {
+    throw new Error(
+      `Cannot create an upload middleware for ${routeName}: its "file: Joi.binary()" field needs memory storage. Declare the file with uploadedFile() to store it elsewhere.`
+    )
+  }
+
+  const sizes = fields.map(({ maxSize }) => maxSize)
+  const limits = {
+    ...(sizes.every((size) => size !== undefined) && {
+      fileSize: Math.max(...sizes),
+    }),
+    ...limitOverrides,
+  }
+  const fieldsByName = new Map(fields.map((field) => [field.name, field]))
+
+  const multer = requireOptional('multer', 'uploadFor')
+  const upload = multer({
+    storage: storageEngine(multer, storage, dest),
+    limits,
+    fileFilter: (req, file, cb) => {
+      const field = fieldsByName.get(file.fieldname)
+      const { mimetypes } = field
+      if (!mimetypes.length) {
+        return cb(null, true)
+      }
+      // Checked by the `mimetype` key itself, for the message Joi gives,
+      // including a custom `.error()` declared on it
+      const path = singleFile ? ['mimetype'] : [file.fieldname, 'mimetype']
+      const schema = field.mimetypeSchema || mimetypeSchema(field.schema)
+      const { error } = schema.label(path.join('.')).validate(file.mimetype)
+      if (!error) {
+        return cb(null, true)
+      }
+      cb(
+        uploadError(req, {
+          message: error.message,
+          path,
+          type: 'any.only',
+          context: { valids: mimetypes, value: file.mimetype },
+        })
+      )
+    },
+  })
+  const parse = singleFile
+    ? upload.single(singleFile.name)
+    : upload.fields(fields.map(({ name, maxCount }) => ({ name, maxCount })))
+
+  return (req, res, next) =>
+    parse(req, res, (err) => {
+      if (!err) {
+        return next()
+      }
+      if (err instanceof ValidationError) {
+        return handleValidationError(req, res, next, settings, err)
+      }
+      if (err instanceof multer.MulterError) {
+        return handleValidationError(
+          req,
+          res,
+          next,
+          settings,
+          limitError(req, err, fields, limits)
+        )
+      }
+      return next(err)
+    })
+}
+
+export default uploadFor
@@ -0,0 +1,199 @@
+import Joi from 'joi'
+import _ from 'lodash'
+
+const { get, groupBy, pick } = _
+
+// The properties of a multer file that are validated; `buffer` comes from
+// memory storage and `path` from disk storage
+const fileKeys = ['originalname', 'mimetype', 'size', 'buffer', 'path']
+
+const isFileSchema = (schema) =>
+  Joi.isSchema(schema) &&
+  (schema.$_terms.metas || []).some((meta) => meta.swaggerType === 'file')
+
+const keySchema = (objectSchema, name) =>
+  (objectSchema.$_terms.keys || []).find(({ key }) => key === name)?.schema
+
+/**
+ * Reads the numeric limit of the first of the given rules a schema has, such
+ * as its `max()` or `length()`.
+ *
+ * @param {Joi.Schema} [schema] - The schema.
+ * @param {string[]} names - The rule names, in order of preference.
+ * @returns {number|undefined} The limit, unless none is set or it is a reference.
+ */
+export function ruleLimit(schema, names) {
+  const rule = names
+    .map((name) => schema?.$_getRule(name))
+    .find((found) => found && typeof found.args.limit === 'number')
+  return rule?.args.limit
+}
+
+/**
+ * Finds the schema of the `mimetype` key of an object schema, such as a file
+ * schema.
+ *
+ * @param {Joi.ObjectSchema} objectSchema - The schema holding the `mimetype` key.
+ * @returns {Joi.Schema|undefined} The key's schema, if any.
+ */
+export function mimetypeSchema(objectSchema) {
+  return keySchema(objectSchema, 'mimetype')
+}
+
+/**
+ * Lists the values allowed by the `mimetype` key of an object schema, such as
+ * a file schema.
+ *
+ * @param {Joi.ObjectSchema} objectSchema - The schema holding the `mimetype` key.
+ * @returns {string[]} The allowed MIME types, or an empty array if any is allowed.
+ */
+export function allowedMimetypes(objectSchema) {
+  const mimetype = mimetypeSchema(objectSchema)
+  return mimetype && mimetype._flags.only ? [...mimetype._valids.values()] : []
+}
+
+// The largest size of a file schema, from its `size` or `buffer` key
+const maxFileSize = (fileSchema) =>
+  ruleLimit(keySchema(fileSchema, 'size'), ['max']) ??
+  ruleLimit(keySchema(fileSchema, 'buffer'), ['max', 'length'])
+
+/**
+ * Describes one uploaded file in a request body: an object holding its
+ * `originalname`, `mimetype`, `size` and `buffer` (or `path` with disk
+ * storage), documented as a binary string.
+ *
+ * @example
+ * Joi.object({
+ *   images: Joi.array().items(uploadedFile({ mimetypes: ['image/png'] })).max(10),
+ *   specSheet: uploadedFile({ mimetypes: ['application/pdf'] }).required(),
+ * })
+ *
+ * @param {Object} [options={}] - File constraints.
+ * @param {string[]} [options.mimetypes] - The allowed MIME types.
+ * @param {number} [options.maxSize] - The maximum size in bytes.
+ * @returns {Joi.ObjectSchema} The file schema.
+ */
+export function uploadedFile({ mimetypes, maxSize } = {}) {
+  let mimetype = Joi.string()
+  if (mimetypes) {
+    mimetype = mimetype.valid(...mimetypes)
+  }
+  let size = Joi.number().integer().min(0)
+  if (maxSize !== undefined) {
+    size = size.max(maxSize)
+  }
+
+  return Joi.object({
+    originalname: Joi.string(),
+    mimetype: mimetype.required(),
+    size,
+    buffer: Joi.binary(),
+    path: Joi.string(),
+  }).meta({ swaggerType: 'file' })
+}
+
+/**
+ * Lists the file fields of a body schema: its keys holding a file schema
+ * (`uploadedFile()` or any schema with `.meta({ swaggerType: 'file' })`), or
+ * an array of them.
+ *
+ * @param {Joi.ObjectSchema} bodySchema - The body schema.
+ * @returns {Array<{ name: string, multiple: boolean, maxCount?: number, maxSize?: number, mimetypes: string[], schema: Joi.Schema }>}
+ *   The file fields: `maxCount` is the number of files allowed (unset when
+ *   unbounded), `maxSize` the size limit of each file in bytes, `mimetypes`
+ *   lists the allowed MIME types (empty when any type is allowed), and `schema`
+ *   is the schema of one file.
+ */
+export function fileFields(bodySchema) {
+  const keys = (Joi.isSchema(bodySchema) && bodySchema.$_terms.keys) || []
+  return keys.flatMap(({ key, schema }) => {
+    if (isFileSchema(schema)) {
+      return [
+        {
+          name: key,
+          multiple: false,
+          maxCount: 1,
+          maxSize: maxFileSize(schema),
+          mimetypes: allowedMimetypes(schema),
+          schema,
+        },
+      ]
+    }
+    const item = get(schema, '$_terms.items.0')
+    if (schema.type === 'array' && isFileSchema(item)) {
+      return [
+        {
+          name: key,
+          multiple: true,
+          maxCount: ruleLimit(schema, ['max', 'length']),
+          maxSize: maxFileSize(item),
+          mimetypes: allowedMimetypes(item),
+          schema: item,
+        },
+      ]
+    }
+    return []
+  })
+}
+
+/**
+ * Describes the single file of a body declaring it as `file: Joi.binary()`
+ * next to a `mimetype` key, which `validateRequest` fills from `req.file`.
+ *
+ * @param {Joi.ObjectSchema} bodySchema - The body schema.
+ * @returns {Object|undefined} The file field, as listed by `fileFields`.
+ */
+export function singleFileField(bodySchema) {
+  const file = (bodySchema.$_terms.keys || []).find(
+    ({ key, schema }) => key === 'file' && schema.type === 'binary'
+  )
+  return (
+    file && {
+      name: file.key,
+      multiple: false,
+      maxCount: 1,
+      maxSize: ruleLimit(file.schema, ['max', 'length']),
+      mimetypes: allowedMimetypes(bodySchema),
+      mimetypeSchema: mimetypeSchema(bodySchema),
+      schema: file.schema,
+    }
+  )
+}
+
+/**
+ * Copies the files parsed by multer (`req.file` or `req.files`, from
+ * `single()`, `array()`, `fields()` or `any()`) into the request body, under
+ * their field names, so the body schema validates them. Fields declared as
+ * a single file get an object, the others an array.
+ *
+ * A single file whose field is not declared as a file keeps the original
+ * behavior: its buffer and MIME type are copied to `file` and `mimetype`. It
+ * needs memory storage, since files stored on disk have no buffer.
+ *
+ * @param {Object} req - The Express request object.
+ * @param {Joi.ObjectSchema} [bodySchema] - The body schema.
+ */
+export function attachUploadedFiles(req, bodySchema) {
+  const fields = new Map(
+    fileFields(bodySchema).map((field) => [field.name, field])
+  )
+  if (req.file && !req.files && !fields.has(req.file.fieldname)) {
+    req.body.file = req.file.buffer
+    req.body.mimetype = req.file.mimetype
+    return
+  }
+
+  const files = [
+    ...[].concat(req.file || []),
+    ...(Array.isArray(req.files)
+      ? req.files
+      : Object.values(req.files || {}).flat()),
+  ]
+  const byField = groupBy(files, 'fieldname')
+  for (const [name, fieldFiles] of Object.entries(byField)) {
+    const values = fieldFiles.map((file) => pick(file, fileKeys))
+    const single = fields.has(name) && !fields.get(name).multiple
+    // Several files for a single-file field fail validation as an array
+    req.body[name] = single && values.length === 1 ? values[0] : values
+  }
+}
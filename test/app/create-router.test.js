@@ -0,0 +1,128 @@
+import express from 'express'
+import { createRouter, createValidator, uploadFor } from 'joi-ful-routes'
+import request from 'supertest'
+
+import OrderSchema from './schemas/order-schema.js'
+import ProductSchema from './schemas/product-schema.js'
+
+const productHandlers = {
+  getProduct: (req, res) => res.status(200).json(req.query),
+  addProduct: (req, res) => res.status(201).json(req.body),
+  updateProduct: (req, res) => res.status(200).json(req.body),
+  deleteProduct: (req, res) => res.status(204).send(),
+  uploadFile: [
+    uploadFor(ProductSchema.uploadFile),
+    (req, res) => res.status(200).json({ name: req.file.originalname }),
+  ],
+}
+
+describe('createRouter', () => {
+  let app
+
+  beforeAll(() => {
+    app = express()
+    app.use(express.json())
+    app.use(createRouter(ProductSchema, productHandlers))
+    app.use(
+      createRouter(
+        OrderSchema,
+        {
+          getOrder: async (req, res) => {
+            if (req.params.orderId === 404) {
+              throw new Error('Order not found')
+            }
+            res.status(200).json(req.params)
+          },
+          deleteOrder: (req, res) => res.status(204).send(),
+        },
+        { prefix: '/shop/' }
+      )
+    )
+    app.use((err, req, res, next) => {
+      res.status(500).json({ error: err.message })
+    })
+  })
+
+  it('should mount routes on their declared path and method', async () => {
+    const response = await request(app)
+      .get('/api-v1/product/get')
+      .query({ productId: '123e4567-e89b-12d3-a456-426614174000' })
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({
+      productId: '123e4567-e89b-12d3-a456-426614174000',
+    })
+  })
+
+  it('should validate requests automatically', async () => {
+    const response = await request(app).get('/api-v1/product/get')
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toBe('"productId" is required')
+  })
+
+  it('should run per-route middleware before validation', async () => {
+    const response = await request(app)
+      .post('/api-v1/product/upload')
+      .attach('file', Buffer.from('Sample File Content'), {
+        filename: 'sample.pdf',
+        contentType: 'application/pdf',
+      })
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({ name: 'sample.pdf' })
+  })
+
+  it('should apply the prefix and Express-style path parameters', async () => {
+    const response = await request(app).get('/shop/api-v1/orders/42')
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({ orderId: 42 })
+  })
+
+  it('should pass rejected handler promises to the error handler', async () => {
+    const response = await request(app).get('/shop/api-v1/orders/404')
+
+    expect(response.status).toBe(500)
+    expect(response.body).toEqual({ error: 'Order not found' })
+  })
+
+  it('should use a custom validator', async () => {
+    const router = createRouter(ProductSchema, productHandlers, {
+      validate: createValidator({ query: { allowUnknown: true } }),
+    })
+    const customApp = express().use(router)
+
+    const response = await request(customApp).get('/api-v1/product/get').query({
+      productId: '123e4567-e89b-12d3-a456-426614174000',
+      legacy: 'true',
+    })
+
+    expect(response.status).toBe(200)
+  })
+
+  it('should throw when a route has no handler', () => {
+    const { deleteProduct, ...handlers } = productHandlers // eslint-disable-line no-unused-vars
+
+    expect(() => createRouter(ProductSchema, handlers)).toThrow(
+      'Cannot create a router for ProductSchema: route "deleteProduct" (DELETE /api-v1/product/delete) has no handler.'
+    )
+  })
+
+  it('should throw when a handler has no route', () => {
+    expect(() =>
+      createRouter(ProductSchema, {
+        ...productHandlers,
+        listProducts: (req, res) => res.json([]),
+      })
+    ).toThrow(
+      'Cannot create a router for ProductSchema: handler "listProducts" does not match any route.'
+    )
+  })
+
+  it('should throw when a handler is not a function', () => {
+    expect(() =>
+      createRouter(ProductSchema, { ...productHandlers, getProduct: 'nope' })
+    ).toThrow(TypeError)
+  })
+})
@@ -0,0 +1,169 @@
+import { buildOpenApiDocument, serializeOpenApiDocument } from 'joi-ful-routes'
+import yaml from 'js-yaml'
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+import OrderSchema from './schemas/order-schema.js'
+import ProductSchema from './schemas/product-schema.js'
+import { runCli } from '../../lib/cli.js'
+
+const info = { title: 'Shop API', version: '1.0.0' }
+const testDir = path.dirname(fileURLToPath(import.meta.url))
+
+const output = () => {
+  const stream = { text: '' }
+  stream.write = (chunk) => {
+    stream.text += chunk
+  }
+  return stream
+}
+
+const unlabelledSchema = `import Joi from 'joi'
+import { RouteSchema } from 'joi-ful-routes'
+
+export class NoteSchema extends RouteSchema {
+  static get tag() {
+    return { name: 'Note' }
+  }
+
+  static schemas() {
+    return {}
+  }
+
+  static parameters() {
+    return {}
+  }
+
+  static get createNote() {
+    return this.createRoute({
+      path: '/notes',
+      method: 'post',
+      summary: 'Create a note.',
+      body: {
+        content: {
+          'application/json': { schema: Joi.object({ text: Joi.string() }) },
+        },
+      },
+    })
+  }
+}
+`
+
+describe('generating OpenAPI documents', () => {
+  let outDir
+  let stdout
+  let stderr
+
+  const generate = (...args) =>
+    runCli(['generate', ...args], { stdout, stderr, cwd: testDir })
+
+  beforeEach(() => {
+    outDir = mkdtempSync(path.join(testDir, '.generate-'))
+    writeFileSync(path.join(outDir, 'info.json'), JSON.stringify(info))
+    stdout = output()
+    stderr = output()
+  })
+
+  afterEach(() => {
+    rmSync(outDir, { recursive: true, force: true })
+  })
+
+  it('should document every RouteSchema class matched by the glob', async () => {
+    const outFile = path.join(outDir, 'openapi.json')
+
+    const code = await generate(
+      '--schemas',
+      'schemas/**/*.js',
+      '--out',
+      outFile,
+      '--info',
+      path.join(outDir, 'info.json')
+    )
+
+    expect(code).toBe(0)
+    expect(stderr.text).toBe('')
+    expect(stdout.text).toContain('(2 schema classes, 6 paths)')
+    // Modules are loaded in path order
+    expect(JSON.parse(readFileSync(outFile, 'utf8'))).toEqual(
+      buildOpenApiDocument([OrderSchema, ProductSchema], { info })
+    )
+  })
+
+  it('should write stable YAML without extra packages', async () => {
+    const outFile = path.join(outDir, 'openapi.yaml')
+
+    const code = await generate(
+      '--schemas',
+      'schemas/product-schema.js',
+      '--schemas',
+      'schemas/order-schema.js',
+      '--out',
+      outFile,
+      '--info',
+      path.join(outDir, 'info.json')
+    )
+    const text = readFileSync(outFile, 'utf8')
+    const document = buildOpenApiDocument([OrderSchema, ProductSchema], {
+      info,
+    })
+
+    expect(code).toBe(0)
+    expect(text).toBe(serializeOpenApiDocument(document, { format: 'yaml' }))
+    expect(yaml.load(text)).toEqual(document)
+  })
+
+  it('should take all document options and the target from the command line', async () => {
+    writeFileSync(
+      path.join(outDir, 'options.json'),
+      JSON.stringify({ info, servers: [{ url: 'https://api.example.com' }] })
+    )
+
+    const code = await generate(
+      '--schemas',
+      'schemas/order-schema.js',
+      '--info',
+      path.join(outDir, 'options.json'),
+      '--target',
+      '3.1'
+    )
+
+    expect(code).toBe(0)
+    expect(JSON.parse(stdout.text)).toEqual(
+      buildOpenApiDocument([OrderSchema], {
+        info,
+        servers: [{ url: 'https://api.example.com' }],
+        target: '3.1',
+      })
+    )
+  })
+
+  it('should exit with an error naming the module that fails to convert', async () => {
+    writeFileSync(path.join(outDir, 'note-schema.js'), unlabelledSchema)
+
+    const code = await generate(
+      '--schemas',
+      `${path.basename(outDir)}/*.js`,
+      '--info',
+      path.join(outDir, 'info.json')
+    )
+
+    expect(code).toBe(1)
+    expect(stdout.text).toBe('')
+    expect(stderr.text).toMatch(
+      /^Error: \.generate-\w+\/note-schema\.js \(NoteSchema\): Encountered a Joi schema without a label\./
+    )
+  })
+
+  it('should exit with an error when no files match', async () => {
+    const code = await generate(
+      '--schemas',
+      'missing/*.js',
+      '--info',
+      path.join(outDir, 'info.json')
+    )
+
+    expect(code).toBe(1)
+    expect(stderr.text).toBe('Error: No files match missing/*.js.\n')
+  })
+})
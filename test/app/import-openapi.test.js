@@ -0,0 +1,112 @@
+import { buildOpenApiDocument, openApiToRouteSchemas } from 'joi-ful-routes'
+import { mkdtempSync, readdirSync, rmSync, writeFileSync } from 'node:fs'
+import path from 'node:path'
+import { fileURLToPath, pathToFileURL } from 'node:url'
+
+import OrderSchema from './schemas/order-schema.js'
+import ProductSchema from './schemas/product-schema.js'
+import { runCli } from '../../lib/cli.js'
+
+const info = { title: 'Shop API', version: '1.0.0' }
+const testDir = path.dirname(fileURLToPath(import.meta.url))
+
+const output = () => {
+  const stream = { text: '' }
+  stream.write = (chunk) => {
+    stream.text += chunk
+  }
+  return stream
+}
+
+describe('importing OpenAPI documents', () => {
+  let outDir
+
+  beforeEach(() => {
+    // Generated classes must resolve joi and joi-ful-routes from the project
+    outDir = mkdtempSync(path.join(testDir, '.import-'))
+  })
+
+  afterEach(() => {
+    rmSync(outDir, { recursive: true, force: true })
+  })
+
+  it('should generate classes that document the same API', async () => {
+    const document = buildOpenApiDocument([ProductSchema, OrderSchema], {
+      info,
+    })
+    const { files, warnings } = openApiToRouteSchemas(document)
+    for (const { fileName, source } of files) {
+      writeFileSync(path.join(outDir, fileName), source)
+    }
+    const imported = []
+    // One at a time: Jest cannot link concurrent dynamic imports
+    for (const fileName of ['product-schema.js', 'order-schema.js']) {
+      const url = pathToFileURL(path.join(outDir, fileName)).href
+      imported.push((await import(url)).default)
+    }
+
+    const regenerated = buildOpenApiDocument(imported, { info })
+
+    expect(warnings).toEqual([])
+    expect(regenerated.tags).toEqual(document.tags)
+    expect(regenerated.paths).toEqual(document.paths)
+    expect(regenerated.components.schemas).toEqual(document.components.schemas)
+    // Path parameters are written inline, so unused components are dropped
+    expect(regenerated.components.parameters).toEqual({
+      RequestIdHeader: document.components.parameters.RequestIdHeader,
+      ProductIdParam: document.components.parameters.ProductIdParam,
+    })
+  })
+
+  it('should write the classes from the command line', async () => {
+    const specFile = path.join(outDir, 'openapi.json')
+    writeFileSync(
+      specFile,
+      JSON.stringify(buildOpenApiDocument([OrderSchema], { info }))
+    )
+    const stdout = output()
+    const stderr = output()
+
+    const code = await runCli(['import', specFile, '--out', 'schemas'], {
+      stdout,
+      stderr,
+      cwd: outDir,
+    })
+
+    expect(code).toBe(0)
+    expect(stderr.text).toBe('')
+    expect(readdirSync(path.join(outDir, 'schemas')).sort()).toEqual([
+      'components.js',
+      'order-schema.js',
+    ])
+    expect(stdout.text).toContain(
+      `Wrote ${path.join('schemas', 'order-schema.js')}`
+    )
+
+    const again = await runCli(['import', specFile, '--out', 'schemas'], {
+      stdout,
+      stderr,
+      cwd: outDir,
+    })
+
+    expect(again).toBe(1)
+    expect(stderr.text).toContain('Use --force to overwrite.')
+  })
+
+  it('should exit with an error for invalid documents', async () => {
+    const specFile = path.join(outDir, 'openapi.json')
+    writeFileSync(specFile, JSON.stringify({ swagger: '2.0' }))
+    const stderr = output()
+
+    const code = await runCli(['import', specFile], {
+      stdout: output(),
+      stderr,
+      cwd: outDir,
+    })
+
+    expect(code).toBe(1)
+    expect(stderr.text).toBe(
+      'Error: Only OpenAPI 3.0 and 3.1 documents can be imported.\n'
+    )
+  })
+})
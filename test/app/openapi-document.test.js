@@ -0,0 +1,142 @@
+import Joi from 'joi'
+import { buildOpenApiDocument, RouteSchema } from 'joi-ful-routes'
+
+import OrderSchema from './schemas/order-schema.js'
+import ProductSchema from './schemas/product-schema.js'
+
+const info = { title: 'Shop API', version: '1.0.0' }
+
+describe('buildOpenApiDocument', () => {
+  it('should build a top-level OpenAPI 3.0 document', () => {
+    const document = buildOpenApiDocument([ProductSchema, OrderSchema], {
+      info,
+      servers: [{ url: 'https://api.example.com' }],
+      security: [{ bearerAuth: [] }],
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer' },
+      },
+      externalDocs: { url: 'https://docs.example.com' },
+    })
+
+    expect(Object.keys(document)).toEqual([
+      'openapi',
+      'info',
+      'externalDocs',
+      'servers',
+      'security',
+      'tags',
+      'paths',
+      'components',
+    ])
+    expect(document.openapi).toBe('3.0.3')
+    expect(document.info).toEqual(info)
+    expect(document.tags.map((tag) => tag.name)).toEqual(['Product', 'Order'])
+    expect(Object.keys(document.paths)).toEqual([
+      '/api-v1/product/get',
+      '/api-v1/product/add',
+      '/api-v1/product/update',
+      '/api-v1/product/delete',
+      '/api-v1/product/upload',
+      '/api-v1/orders/{orderId}',
+    ])
+    expect(document.components.schemas).toHaveProperty(
+      'ProductMetadataResponse'
+    )
+    expect(document.components.schemas).toHaveProperty('OrderResponse')
+    expect(document.components.securitySchemes).toEqual({
+      bearerAuth: { type: 'http', scheme: 'bearer' },
+    })
+  })
+
+  it('should merge identical components declared by several classes', () => {
+    class ReviewSchema extends RouteSchema {
+      static get tag() {
+        return { name: 'Review' }
+      }
+
+      static schemas() {
+        return {
+          InternalServerError: Joi.object({
+            error: Joi.string().default('Internal Server Error'),
+          }),
+        }
+      }
+
+      static parameters() {
+        return {}
+      }
+    }
+
+    const document = buildOpenApiDocument([ProductSchema, ReviewSchema], {
+      info,
+    })
+
+    expect(document.components.schemas.InternalServerError).toEqual({
+      type: 'object',
+      properties: {
+        error: { type: 'string', default: 'Internal Server Error' },
+      },
+      additionalProperties: false,
+    })
+  })
+
+  it('should reject component name collisions', () => {
+    class CatalogSchema extends RouteSchema {
+      static get tag() {
+        return { name: 'Catalog' }
+      }
+
+      static schemas() {
+        return {
+          OrderResponse: Joi.object({ catalogId: Joi.string() }),
+        }
+      }
+
+      static parameters() {
+        return {}
+      }
+    }
+
+    expect(() =>
+      buildOpenApiDocument([OrderSchema, CatalogSchema], { info })
+    ).toThrow(
+      'Schema component "OrderResponse" is defined differently by OrderSchema and CatalogSchema.'
+    )
+  })
+
+  it('should reject routes declared by several classes', () => {
+    class LegacyOrderSchema extends OrderSchema {
+      static get tag() {
+        return { name: 'LegacyOrder' }
+      }
+
+      static get getOrder() {
+        return super.getOrder
+      }
+    }
+
+    expect(() =>
+      buildOpenApiDocument([OrderSchema, LegacyOrderSchema], { info })
+    ).toThrow(
+      'Route GET /api-v1/orders/{orderId} is declared by both OrderSchema and LegacyOrderSchema.'
+    )
+  })
+
+  it('should require info.title and info.version', () => {
+    expect(() => buildOpenApiDocument([ProductSchema])).toThrow(
+      'An OpenAPI document requires "info.title" and "info.version".'
+    )
+  })
+
+  it('should declare OpenAPI 3.1 for the 3.1 target', () => {
+    const document = buildOpenApiDocument([ProductSchema], {
+      info,
+      target: '3.1',
+    })
+
+    expect(document.openapi).toBe('3.1.0')
+    expect(
+      document.components.schemas.ProductMetadataResponse.properties.description
+    ).toEqual({ type: ['string', 'null'] })
+  })
+})
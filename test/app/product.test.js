@@ -149,7 +149,9 @@ describe('Product API Routes', () => {
         })
 
       expect(response.status).toBe(422)
-      expect(response.body).toHaveProperty('error')
+      expect(response.body.error).toBe(
+        'Invalid file type. Only JPEG, PNG, and PDF files are allowed.'
+      )
     })
   })
 
@@ -427,7 +429,12 @@ describe('Product API Routes', () => {
                   productId: { type: 'string' },
                   name: { type: 'string' },
                   category: { type: 'string' },
-                  price: { type: 'number', format: 'float', minimum: 1 },
+                  price: {
+                    type: 'number',
+                    format: 'float',
+                    minimum: 0,
+                    exclusiveMinimum: true,
+                  },
                   stock: { type: 'integer', minimum: 0 },
                   description: { type: 'string', nullable: true },
                 },
@@ -455,7 +462,11 @@ describe('Product API Routes', () => {
                     type: 'string',
                     enum: ['image/jpeg', 'image/png', 'application/pdf'],
                   },
-                  file: { type: 'string', format: 'binary' },
+                  file: {
+                    type: 'string',
+                    format: 'binary',
+                    maxLength: 2400000,
+                  },
                 },
                 required: ['mimetype', 'file'],
                 additionalProperties: false,
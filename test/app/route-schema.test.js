@@ -0,0 +1,135 @@
+import express from 'express'
+import Joi from 'joi'
+import { RouteSchema, schemaToSwagger, validateRequest } from 'joi-ful-routes'
+import request from 'supertest'
+
+import OrderSchema from './schemas/order-schema.js'
+
+describe('RouteSchema', () => {
+  describe('path parameters', () => {
+    it('should expose an Express-style path', () => {
+      expect(OrderSchema.getOrder.path).toBe('/api-v1/orders/{orderId}')
+      expect(OrderSchema.getOrder.expressPath).toBe('/api-v1/orders/:orderId')
+    })
+
+    it('should throw when a placeholder has no matching params key', () => {
+      expect(() =>
+        OrderSchema.createRoute({
+          path: '/orders/{orderId}/items/{itemId}',
+          method: 'get',
+          summary: 'Get an order item.',
+          params: Joi.object({ orderId: Joi.number() }),
+        })
+      ).toThrow(
+        'Path "/orders/{orderId}/items/{itemId}" has placeholders without a matching key in "params": itemId.'
+      )
+    })
+
+    it('should throw when a params key has no placeholder', () => {
+      expect(() =>
+        OrderSchema.createRoute({
+          path: '/orders',
+          method: 'get',
+          summary: 'List orders.',
+          params: Joi.object({ orderId: Joi.number() }),
+        })
+      ).toThrow(
+        'Path "/orders" has no placeholders for these "params" keys: orderId.'
+      )
+    })
+
+    it('should validate and convert req.params', async () => {
+      const route = OrderSchema.getOrder
+      const app = express()
+      app[route.method](route.expressPath, validateRequest(route), (req, res) =>
+        res.status(200).json(req.params)
+      )
+
+      const valid = await request(app).get('/api-v1/orders/42')
+      expect(valid.status).toBe(200)
+      expect(valid.body).toEqual({ orderId: 42 })
+
+      const invalid = await request(app).get('/api-v1/orders/0')
+      expect(invalid.status).toBe(422)
+      expect(invalid.body.error).toBe(
+        '"orderId" must be greater than or equal to 1'
+      )
+    })
+
+    it('should document path parameters inline', () => {
+      const { definition } = schemaToSwagger(OrderSchema)
+
+      expect(
+        definition.paths['/api-v1/orders/{orderId}'].get.parameters
+      ).toEqual([
+        {
+          name: 'orderId',
+          in: 'path',
+          required: true,
+          schema: { type: 'integer', minimum: 1 },
+          description: 'The numeric ID of the order',
+        },
+      ])
+    })
+  })
+
+  it('should keep routes without placeholders unchanged', () => {
+    class PingSchema extends RouteSchema {
+      static get tag() {
+        return { name: 'Ping' }
+      }
+    }
+
+    expect(
+      PingSchema.createRoute({ path: '/ping', method: 'get', summary: 'Ping.' })
+    ).toEqual({
+      path: '/ping',
+      expressPath: '/ping',
+      method: 'get',
+      summary: 'Ping.',
+      tags: ['Ping'],
+    })
+  })
+
+  describe('multiple methods per path', () => {
+    it('should collect every method declared for a path', () => {
+      expect(
+        Object.keys(OrderSchema._paths['/api-v1/orders/{orderId}'])
+      ).toEqual(['get', 'delete'])
+    })
+
+    it('should document every method declared for a path', () => {
+      const { definition } = schemaToSwagger(OrderSchema)
+      const operations = definition.paths['/api-v1/orders/{orderId}']
+
+      expect(operations.get.summary).toBe('Retrieve an order by ID.')
+      expect(operations.delete.summary).toBe('Cancel an order by ID.')
+    })
+
+    it('should throw when a path and method are declared twice', () => {
+      class DuplicateSchema extends OrderSchema {
+        static get cancelOrder() {
+          return this.createRoute({
+            path: '/api-v1/orders/{orderId}',
+            method: 'DELETE',
+            summary: 'Cancel an order by ID, again.',
+            params: this.parameters().OrderIdParam,
+          })
+        }
+
+        static get removeOrder() {
+          return this.createRoute({
+            path: '/api-v1/orders/{orderId}',
+            method: 'delete',
+            summary: 'Remove an order by ID.',
+            params: this.parameters().OrderIdParam,
+          })
+        }
+      }
+
+      expect(() => DuplicateSchema._paths).toThrow(
+        'Duplicate route DELETE /api-v1/orders/{orderId} in DuplicateSchema: declared by both "cancelOrder" and "removeOrder".'
+      )
+    })
+  })
+})
@@ -1,14 +1,8 @@
 import express from 'express'
-import { validateRequest, schemaToSwagger } from 'joi-ful-routes'
+import { validateRequest, schemaToSwagger, uploadFor } from 'joi-ful-routes'
 
-import MulterWrapper from '../lib/multer.js'
 import ProductSchema from '../schemas/product-schema.js'
 
-const uploadMiddleware = new MulterWrapper(
-  2400000,
-  ['image/jpeg', 'image/png', 'application/pdf'],
-  'memory'
-)
 const router = express.Router()
 
 // Route: Get Product by ID
@@ -73,7 +67,7 @@ router.delete(
 // Route: Upload a file
 router.post(
   '/upload',
-  uploadMiddleware.single('file'),
+  uploadFor(ProductSchema.uploadFile),
   validateRequest(ProductSchema.uploadFile),
   async (req, res) => {
     if (!req.file) {
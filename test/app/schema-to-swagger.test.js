@@ -0,0 +1,436 @@
+import Joi from 'joi'
+import { RouteSchema, schemaToSwagger } from 'joi-ful-routes'
+
+import ProductSchema from './schemas/product-schema.js'
+
+describe('schemaToSwagger', () => {
+  describe('errorFormat: problem', () => {
+    const { definition } = schemaToSwagger(ProductSchema, {
+      errorFormat: 'problem',
+    })
+
+    it('should register the ValidationProblem schema', () => {
+      expect(definition.components.schemas.ValidationProblem).toMatchObject({
+        type: 'object',
+        required: ['type', 'title', 'status'],
+      })
+    })
+
+    it('should document 422 responses for validated routes', () => {
+      const { responses } = definition.paths['/api-v1/product/get'].get
+
+      expect(responses[422]).toEqual({
+        description: 'Unprocessable Entity - Request validation failed.',
+        content: {
+          'application/problem+json': {
+            schema: { $ref: '#/components/schemas/ValidationProblem' },
+          },
+        },
+      })
+      expect(responses).not.toHaveProperty('415')
+      expect(responses).not.toHaveProperty('503')
+    })
+
+    it('should document 415 responses for routes with a request body', () => {
+      const { responses } = definition.paths['/api-v1/product/add'].post
+
+      expect(responses[415].content).toHaveProperty('application/problem+json')
+    })
+  })
+
+  describe('recursive schemas', () => {
+    class CategorySchema extends RouteSchema {
+      static get tag() {
+        return { name: 'Category' }
+      }
+
+      static schemas() {
+        return {
+          CategoryTree: Joi.object({
+            name: Joi.string().required(),
+            children: Joi.array().items(Joi.link('#CategoryTree')),
+          }).id('CategoryTree'),
+        }
+      }
+
+      static parameters() {
+        return {}
+      }
+
+      static get getCategories() {
+        const { CategoryTree } = this.schemas()
+
+        return this.createRoute({
+          path: '/categories',
+          method: 'get',
+          summary: 'Retrieve the category tree.',
+          responses: {
+            200: {
+              description: 'The category tree.',
+              content: { 'application/json': { schema: CategoryTree } },
+            },
+          },
+        })
+      }
+    }
+
+    it('should document recursive schemas with $refs', () => {
+      const { definition } = schemaToSwagger(CategorySchema)
+
+      expect(definition.components.schemas).toEqual({
+        CategoryTree: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            children: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/CategoryTree' },
+            },
+          },
+          required: ['name'],
+          additionalProperties: false,
+        },
+      })
+      expect(
+        definition.paths['/categories'].get.responses[200].content[
+          'application/json'
+        ].schema
+      ).toEqual({ $ref: '#/components/schemas/CategoryTree' })
+    })
+
+    it('should reject different linked schemas with the same name', () => {
+      class PriceSchema extends RouteSchema {
+        static get tag() {
+          return { name: 'Price' }
+        }
+
+        static schemas() {
+          return {
+            Price: Joi.object({ amount: Joi.link('#Money') }).shared(
+              Joi.number().id('Money')
+            ),
+            Invoice: Joi.object({ total: Joi.link('#Money') }).shared(
+              Joi.object({ cents: Joi.number().integer() }).id('Money')
+            ),
+          }
+        }
+
+        static parameters() {
+          return {}
+        }
+      }
+
+      expect(() => schemaToSwagger(PriceSchema)).toThrow(
+        'Component schema "Money" is used for two different schema shapes. Give the linked schemas distinct .id() or .label() names.'
+      )
+    })
+  })
+
+  describe('parameter locations', () => {
+    const TenantHeader = Joi.object({ tenant: Joi.string().required() })
+    const AccountIdParam = Joi.object({ accountId: Joi.string().required() })
+
+    // Builds a schema class from its parameters and the routes using them
+    const schemaClass = (parameters, routes) =>
+      class extends RouteSchema {
+        static get tag() {
+          return { name: 'Accounts' }
+        }
+
+        static schemas() {
+          return {}
+        }
+
+        static parameters() {
+          return parameters
+        }
+
+        static get listAccounts() {
+          return this.createRoute({
+            path: '/accounts',
+            method: 'get',
+            summary: 'List the accounts.',
+            ...routes.listAccounts?.(this.parameters()),
+          })
+        }
+
+        static get getAccount() {
+          return this.createRoute({
+            path: '/accounts/{accountId}',
+            method: 'get',
+            summary: 'Retrieve an account.',
+            params: AccountIdParam,
+            ...routes.getAccount?.(this.parameters()),
+          })
+        }
+      }
+
+    it('should read the location from .meta({ in })', () => {
+      const { definition } = schemaToSwagger(
+        schemaClass(
+          {
+            TenantHeader: TenantHeader.meta({ in: 'header' }),
+            PageQuery: Joi.object({ page: Joi.number().integer() }).meta({
+              in: 'query',
+            }),
+          },
+          {}
+        )
+      )
+
+      expect(definition.components.parameters).toEqual({
+        TenantHeader: {
+          name: 'tenant',
+          in: 'header',
+          required: true,
+          schema: { type: 'string' },
+          description: '',
+        },
+        PageQuery: {
+          name: 'page',
+          in: 'query',
+          required: false,
+          schema: { type: 'integer' },
+          description: '',
+        },
+      })
+    })
+
+    it('should read the location from the group of a parameter', () => {
+      const { definition } = schemaToSwagger(
+        schemaClass(
+          {
+            headers: { TenantHeader },
+            path: { AccountIdParam },
+            cookie: { SessionCookie: Joi.object({ session: Joi.string() }) },
+          },
+          {
+            getAccount: ({ headers, path }) => ({
+              headers: headers.TenantHeader,
+              params: path.AccountIdParam,
+            }),
+          }
+        )
+      )
+      const { parameters } = definition.components
+
+      expect(parameters.TenantHeader.in).toBe('header')
+      expect(parameters.AccountIdParam).toMatchObject({
+        in: 'path',
+        required: true,
+      })
+      expect(parameters.SessionCookie).toMatchObject({
+        in: 'cookie',
+        required: false,
+      })
+      expect(definition.paths['/accounts/{accountId}'].get.parameters).toEqual([
+        {
+          name: 'accountId',
+          in: 'path',
+          required: true,
+          schema: { type: 'string' },
+        },
+        { $ref: '#/components/parameters/TenantHeader' },
+      ])
+    })
+
+    it('should infer the location from the routes using a parameter', () => {
+      const { definition } = schemaToSwagger(
+        schemaClass(
+          { TenantHeader, AccountIdParam },
+          {
+            listAccounts: (parameters) => ({
+              headers: parameters.TenantHeader.unknown(true),
+            }),
+            getAccount: (parameters) => ({
+              headers: parameters.TenantHeader,
+              params: parameters.AccountIdParam,
+            }),
+          }
+        )
+      )
+
+      expect(definition.components.parameters.TenantHeader.in).toBe('header')
+      expect(definition.components.parameters.AccountIdParam.in).toBe('path')
+      expect(definition.paths['/accounts'].get.parameters).toEqual([
+        { $ref: '#/components/parameters/TenantHeader' },
+      ])
+    })
+
+    it('should infer the location from routes using fresh parameter schemas', () => {
+      class SessionSchema extends RouteSchema {
+        static get tag() {
+          return { name: 'Session' }
+        }
+
+        static schemas() {
+          return {}
+        }
+
+        static parameters() {
+          return {
+            AuthorizationHeader: Joi.object({
+              authorization: Joi.string().required(),
+            }).unknown(true),
+          }
+        }
+
+        static get getSession() {
+          const { AuthorizationHeader } = this.parameters()
+
+          return this.createRoute({
+            path: '/session',
+            method: 'get',
+            summary: 'Read the current session.',
+            headers: AuthorizationHeader,
+          })
+        }
+      }
+
+      const { definition } = schemaToSwagger(SessionSchema)
+
+      expect(definition.components.parameters.AuthorizationHeader.in).toBe(
+        'header'
+      )
+      expect(definition.paths['/session'].get.parameters).toEqual([
+        { $ref: '#/components/parameters/AuthorizationHeader' },
+      ])
+    })
+
+    it('should match header parameters case-insensitively', () => {
+      const { definition } = schemaToSwagger(
+        schemaClass(
+          {
+            AuthorizationHeader: Joi.object({
+              Authorization: Joi.string().required(),
+            }),
+          },
+          {
+            listAccounts: () => ({
+              headers: Joi.object({
+                authorization: Joi.string().required(),
+              }).unknown(true),
+            }),
+          }
+        )
+      )
+
+      expect(
+        definition.components.parameters.AuthorizationHeader
+      ).toMatchObject({ name: 'Authorization', in: 'header' })
+      expect(definition.paths['/accounts'].get.parameters).toEqual([
+        { $ref: '#/components/parameters/AuthorizationHeader' },
+      ])
+    })
+
+    it('should inline parameters without a component', () => {
+      const { definition } = schemaToSwagger(
+        schemaClass(
+          {},
+          {
+            listAccounts: () => ({
+              headers: Joi.object({
+                'x-trace-id': Joi.string().description('The trace ID.'),
+              }),
+            }),
+          }
+        )
+      )
+
+      expect(definition.components.parameters).toEqual({})
+      expect(definition.paths['/accounts'].get.parameters).toEqual([
+        {
+          name: 'x-trace-id',
+          in: 'header',
+          required: false,
+          schema: { type: 'string' },
+          description: 'The trace ID.',
+        },
+      ])
+    })
+
+    it('should reference the parameter declared in each location', () => {
+      const { definition } = schemaToSwagger(
+        schemaClass(
+          {
+            headers: { TenantHeader },
+            query: { TenantQuery: Joi.object({ tenant: Joi.string() }) },
+          },
+          {
+            listAccounts: ({ headers, query }) => ({
+              headers: headers.TenantHeader,
+              query: query.TenantQuery,
+            }),
+          }
+        )
+      )
+
+      expect(definition.paths['/accounts'].get.parameters).toEqual([
+        { $ref: '#/components/parameters/TenantHeader' },
+        { $ref: '#/components/parameters/TenantQuery' },
+      ])
+    })
+
+    it('should keep the x- prefix convention for unused parameters', () => {
+      const { definition } = schemaToSwagger(
+        schemaClass(
+          {
+            TraceHeader: Joi.object({ 'x-trace-id': Joi.string() }),
+            SortQuery: Joi.object({ sort: Joi.string() }),
+          },
+          {}
+        )
+      )
+
+      expect(definition.components.parameters.TraceHeader.in).toBe('header')
+      expect(definition.components.parameters.SortQuery.in).toBe('query')
+    })
+
+    it('should report parameters used in several locations', () => {
+      const Accounts = schemaClass(
+        { TenantHeader },
+        {
+          listAccounts: (parameters) => ({ query: parameters.TenantHeader }),
+          getAccount: (parameters) => ({
+            headers: parameters.TenantHeader,
+          }),
+        }
+      )
+
+      expect(() => schemaToSwagger(Accounts)).toThrow(
+        'Parameter "TenantHeader" is used in conflicting locations: in header by GET /accounts/{accountId}; in query by GET /accounts.'
+      )
+    })
+
+    it('should report uses that differ from the declared location', () => {
+      const Accounts = schemaClass(
+        { TenantHeader: TenantHeader.meta({ in: 'header' }) },
+        {
+          listAccounts: (parameters) => ({ query: parameters.TenantHeader }),
+        }
+      )
+
+      expect(() => schemaToSwagger(Accounts)).toThrow(
+        'Parameter "TenantHeader" is declared in header, but "tenant" is used in query by GET /accounts.'
+      )
+    })
+
+    it('should reject unknown or contradicting locations', () => {
+      const unknown = schemaClass(
+        { TenantHeader: TenantHeader.meta({ in: 'body' }) },
+        {}
+      )
+      const contradicting = schemaClass(
+        { query: { TenantHeader: TenantHeader.meta({ in: 'header' }) } },
+        {}
+      )
+
+      expect(() => schemaToSwagger(unknown)).toThrow(
+        'Parameter "TenantHeader" has an invalid location "body": use header, query, path or cookie.'
+      )
+      expect(() => schemaToSwagger(contradicting)).toThrow(
+        'Parameter "TenantHeader" is grouped under "query" but declares the header location.'
+      )
+    })
+  })
+})
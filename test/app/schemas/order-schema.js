@@ -0,0 +1,73 @@
+import Joi from 'joi'
+import { RouteSchema } from 'joi-ful-routes'
+
+class OrderSchema extends RouteSchema {
+  static get tag() {
+    return {
+      name: 'Order',
+      description: 'Endpoints for managing Order resources.',
+    }
+  }
+
+  static schemas() {
+    return {
+      OrderResponse: Joi.object({
+        orderId: Joi.number().integer().required(),
+        status: Joi.string().valid('pending', 'shipped').required(),
+      }),
+    }
+  }
+
+  static parameters() {
+    return {
+      OrderIdParam: Joi.object({
+        orderId: Joi.number()
+          .integer()
+          .min(1)
+          .description('The numeric ID of the order')
+          .required(),
+      }),
+    }
+  }
+
+  static get getOrder() {
+    const { OrderResponse } = this.schemas()
+    const { OrderIdParam } = this.parameters()
+
+    return this.createRoute({
+      path: '/api-v1/orders/{orderId}',
+      method: 'get',
+      summary: 'Retrieve an order by ID.',
+      params: OrderIdParam,
+      responses: {
+        200: {
+          description: 'Order retrieved successfully.',
+          content: {
+            'application/json': {
+              schema: OrderResponse,
+            },
+          },
+        },
+      },
+    })
+  }
+
+  static get deleteOrder() {
+    const { OrderIdParam } = this.parameters()
+
+    return this.createRoute({
+      path: '/api-v1/orders/{orderId}',
+      method: 'delete',
+      summary: 'Cancel an order by ID.',
+      params: OrderIdParam,
+      responses: {
+        204: {
+          description: 'Order cancelled successfully.',
+          content: {},
+        },
+      },
+    })
+  }
+}
+
+export default OrderSchema
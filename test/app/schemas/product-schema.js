@@ -36,7 +36,7 @@ class ProductSchema extends RouteSchema {
               'Invalid file type. Only JPEG, PNG, and PDF files are allowed.'
             )
           ),
-        file: Joi.binary().required(),
+        file: Joi.binary().max(2400000).required(),
       })
         .required()
         .description('The file to be uploaded and processed.'),
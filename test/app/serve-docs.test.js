@@ -0,0 +1,165 @@
+import express from 'express'
+import {
+  buildOpenApiDocument,
+  RouteSchema,
+  serializeOpenApiDocument,
+  serveDocs,
+} from 'joi-ful-routes'
+import yaml from 'js-yaml'
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs'
+import os from 'node:os'
+import path from 'node:path'
+import request from 'supertest'
+
+import OrderSchema from './schemas/order-schema.js'
+import ProductSchema from './schemas/product-schema.js'
+
+const info = { title: 'Shop <API>', version: '1.0.0' }
+
+class HealthSchema extends RouteSchema {
+  static get tag() {
+    return { name: 'Health' }
+  }
+
+  static schemas() {
+    return {}
+  }
+
+  static parameters() {
+    return {}
+  }
+
+  static get getHealth() {
+    return this.createRoute({
+      path: '/health',
+      method: 'get',
+      summary: 'Check the service health.',
+    })
+  }
+}
+
+describe('serveDocs', () => {
+  let assets
+
+  const appWith = (schemaClasses, options = {}, mountPath = '/') => {
+    const app = express()
+    app.use(mountPath, serveDocs(schemaClasses, { info, assets, ...options }))
+    return app
+  }
+
+  beforeAll(() => {
+    // Stand-ins for the browser bundles of the UI packages
+    assets = mkdtempSync(path.join(os.tmpdir(), 'joi-ful-routes-docs-'))
+    writeFileSync(path.join(assets, 'swagger-ui-bundle.js'), '// swagger-ui')
+    writeFileSync(path.join(assets, 'redoc.standalone.js'), '// redoc')
+  })
+
+  afterAll(() => {
+    rmSync(assets, { recursive: true, force: true })
+  })
+
+  it('should serve the sorted document as JSON and YAML', async () => {
+    const app = appWith([ProductSchema, OrderSchema])
+    const document = buildOpenApiDocument([ProductSchema, OrderSchema], {
+      info,
+    })
+
+    const json = await request(app).get('/docs/openapi.json')
+    const yamlResponse = await request(app).get('/docs/openapi.yaml')
+
+    expect(json.status).toBe(200)
+    expect(json.type).toBe('application/json')
+    expect(json.text).toBe(serializeOpenApiDocument(document))
+    expect(yamlResponse.status).toBe(200)
+    expect(yamlResponse.type).toBe('application/yaml')
+    expect(yaml.load(yamlResponse.text)).toEqual(document)
+  })
+
+  it('should serve a Swagger UI page using local assets', async () => {
+    const app = appWith([OrderSchema], {}, '/api')
+
+    const page = await request(app).get('/api/docs')
+    const bundle = await request(app).get(
+      '/api/docs/assets/swagger-ui-bundle.js'
+    )
+    const init = await request(app).get('/api/docs/assets/init.js')
+
+    expect(page.status).toBe(200)
+    expect(page.type).toBe('text/html')
+    expect(page.text).toContain('<title>Shop &lt;API&gt;</title>')
+    expect(page.text).toContain(
+      '<script src="/api/docs/assets/swagger-ui-bundle.js"></script>'
+    )
+    expect(page.text).toContain('data-spec-url="/api/docs/openapi.json"')
+    expect(page.text).not.toMatch(/https?:\/\//)
+    expect(bundle.text).toBe('// swagger-ui')
+    expect(init.text).toContain('SwaggerUIBundle({ url: specUrl')
+  })
+
+  it('should serve a Redoc page at custom paths', async () => {
+    const app = appWith([OrderSchema], {
+      ui: 'redoc',
+      path: '/reference',
+      specPath: '/openapi.json',
+    })
+
+    const page = await request(app).get('/reference/')
+    const spec = await request(app).get('/openapi.json')
+
+    expect(page.status).toBe(200)
+    expect(page.text).toContain('<redoc spec-url="/openapi.json"></redoc>')
+    expect(page.text).toContain(
+      '<script src="/reference/assets/redoc.standalone.js"></script>'
+    )
+    expect(spec.status).toBe(200)
+    expect((await request(app).get('/openapi.yaml')).status).toBe(200)
+    expect((await request(app).get('/reference/assets/init.js')).status).toBe(
+      404
+    )
+    expect(
+      (await request(app).get('/reference/assets/package.json')).status
+    ).toBe(404)
+  })
+
+  it('should serve the browser files of the installed UI packages', async () => {
+    const swaggerUi = appWith([OrderSchema], { assets: undefined })
+    const redoc = appWith([OrderSchema], { ui: 'redoc', assets: undefined })
+
+    const bundle = await request(swaggerUi).get(
+      '/docs/assets/swagger-ui-bundle.js'
+    )
+    const css = await request(swaggerUi).get('/docs/assets/swagger-ui.css')
+    const standalone = await request(redoc).get(
+      '/docs/assets/redoc.standalone.js'
+    )
+
+    expect(bundle.status).toBe(200)
+    expect(bundle.text).toContain('SwaggerUIBundle')
+    expect(css.status).toBe(200)
+    expect(css.type).toBe('text/css')
+    expect(standalone.status).toBe(200)
+    expect(standalone.type).toBe('application/javascript')
+  })
+
+  it('should cache the document and rebuild it when the classes change in development', async () => {
+    let classes = [OrderSchema]
+    const production = appWith(() => classes, { development: false })
+    const development = appWith(() => classes, { development: true })
+
+    classes = [OrderSchema, HealthSchema]
+    const cached = await request(production).get('/docs/openapi.json')
+    const rebuilt = await request(development).get('/docs/openapi.json')
+
+    expect(Object.keys(cached.body.paths)).not.toContain('/health')
+    expect(Object.keys(rebuilt.body.paths)).toContain('/health')
+  })
+
+  it('should fail on startup for invalid options', () => {
+    expect(() => serveDocs([OrderSchema], { info, ui: 'rapidoc' })).toThrow(
+      'Unknown docs UI "rapidoc". Use one of: swagger-ui, redoc.'
+    )
+    expect(() => serveDocs([OrderSchema], { assets })).toThrow(
+      'An OpenAPI document requires "info.title" and "info.version".'
+    )
+  })
+})
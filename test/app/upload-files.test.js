@@ -0,0 +1,437 @@
+import express from 'express'
+import Joi from 'joi'
+import {
+  createValidator,
+  RouteSchema,
+  schemaToSwagger,
+  uploadedFile,
+  uploadFor,
+  validateRequest,
+} from 'joi-ful-routes'
+import multer from 'multer'
+import request from 'supertest'
+
+const png = Buffer.from('89504e470d0a1a0a', 'hex')
+const pdf = Buffer.from('%PDF-1.4')
+
+class GallerySchema extends RouteSchema {
+  static get tag() {
+    return { name: 'Gallery' }
+  }
+
+  static schemas() {
+    return {
+      GalleryUpload: Joi.object({
+        productId: Joi.string().required(),
+        images: Joi.array()
+          .items(
+            uploadedFile({
+              mimetypes: ['image/png', 'image/jpeg'],
+              maxSize: 1000,
+            })
+          )
+          .min(1)
+          .max(10)
+          .required(),
+        specSheet: uploadedFile({
+          mimetypes: ['application/pdf'],
+          maxSize: 2000,
+        }).required(),
+      }),
+    }
+  }
+
+  static parameters() {
+    return {}
+  }
+
+  static get uploadGallery() {
+    const { GalleryUpload } = this.schemas()
+
+    return this.createRoute({
+      path: '/gallery',
+      method: 'post',
+      summary: 'Upload product images and a spec sheet.',
+      body: {
+        required: true,
+        content: { 'multipart/form-data': { schema: GalleryUpload } },
+      },
+    })
+  }
+}
+
+const upload = multer({ storage: multer.memoryStorage() })
+
+const describeBody = (req, res) =>
+  res.status(200).json({
+    productId: req.body.productId,
+    images: req.body.images.map(({ originalname, mimetype, size }) => ({
+      originalname,
+      mimetype,
+      size,
+    })),
+    specSheet: req.body.specSheet.originalname,
+  })
+
+describe('multi-file uploads', () => {
+  let app
+
+  beforeAll(() => {
+    app = express()
+    app.post(
+      '/gallery',
+      upload.fields([
+        { name: 'images', maxCount: 10 },
+        { name: 'specSheet', maxCount: 1 },
+      ]),
+      validateRequest(GallerySchema.uploadGallery),
+      describeBody
+    )
+    app.post(
+      '/gallery/any',
+      upload.any(),
+      validateRequest(GallerySchema.uploadGallery),
+      describeBody
+    )
+    app.post(
+      '/gallery/problem',
+      upload.any(),
+      validateRequest(GallerySchema.uploadGallery, { errorFormat: 'problem' }),
+      describeBody
+    )
+  })
+
+  it('should validate files from upload.fields() under their field names', async () => {
+    const response = await request(app)
+      .post('/gallery')
+      .field('productId', 'p-1')
+      .attach('images', png, 'front.png')
+      .attach('images', png, { filename: 'back.png', contentType: 'image/png' })
+      .attach('specSheet', pdf, 'spec.pdf')
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({
+      productId: 'p-1',
+      images: [
+        { originalname: 'front.png', mimetype: 'image/png', size: 8 },
+        { originalname: 'back.png', mimetype: 'image/png', size: 8 },
+      ],
+      specSheet: 'spec.pdf',
+    })
+  })
+
+  it('should validate files from upload.any()', async () => {
+    const response = await request(app)
+      .post('/gallery/any')
+      .field('productId', 'p-1')
+      .attach('images', png, 'front.png')
+      .attach('specSheet', pdf, 'spec.pdf')
+
+    expect(response.status).toBe(200)
+    expect(response.body.images).toHaveLength(1)
+  })
+
+  it('should reject files with another MIME type or size', async () => {
+    const response = await request(app)
+      .post('/gallery')
+      .field('productId', 'p-1')
+      .attach('images', Buffer.alloc(2000), 'huge.png')
+      .attach('images', pdf, 'notes.pdf')
+      .attach('specSheet', png, 'spec.png')
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toContain(
+      '"images[0].size" must be less than or equal to 1000'
+    )
+    expect(response.body.error).toContain(
+      '"images[1].mimetype" must be one of [image/png, image/jpeg]'
+    )
+    expect(response.body.error).toContain(
+      '"specSheet.mimetype" must be [application/pdf]'
+    )
+  })
+
+  it('should reject several files for a single-file field, and undeclared fields', async () => {
+    const response = await request(app)
+      .post('/gallery/any')
+      .field('productId', 'p-1')
+      .attach('images', png, 'front.png')
+      .attach('specSheet', pdf, 'spec.pdf')
+      .attach('specSheet', pdf, 'spec-2.pdf')
+      .attach('manual', pdf, 'manual.pdf')
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toContain('"specSheet" must be of type object')
+    expect(response.body.error).toContain('"manual" is not allowed')
+  })
+
+  it('should leave file contents out of problem details', async () => {
+    let req = request(app).post('/gallery/problem').field('productId', 'p-1')
+    for (let i = 0; i < 11; i++) {
+      req = req.attach('images', png, `image-${i}.png`)
+    }
+
+    const response = await req.attach('specSheet', pdf, 'spec.pdf')
+
+    expect(response.status).toBe(422)
+    expect(response.body.errors).toMatchObject([
+      { path: ['images'], type: 'array.max' },
+    ])
+    expect(response.body.errors[0].context.value[0]).toEqual({
+      originalname: 'image-0.png',
+      mimetype: 'image/png',
+      size: 8,
+    })
+    expect(response.text).not.toContain('Buffer')
+  })
+
+  it('should document file fields as binary strings', () => {
+    const { definition } = schemaToSwagger(GallerySchema)
+
+    expect(definition.components.schemas.GalleryUpload).toEqual({
+      type: 'object',
+      properties: {
+        productId: { type: 'string' },
+        images: {
+          type: 'array',
+          items: { type: 'string', format: 'binary' },
+          minItems: 1,
+          maxItems: 10,
+        },
+        specSheet: { type: 'string', format: 'binary' },
+      },
+      required: ['productId', 'images', 'specSheet'],
+      additionalProperties: false,
+    })
+    expect(
+      definition.paths['/gallery'].post.requestBody.content[
+        'multipart/form-data'
+      ]
+    ).toEqual({
+      schema: { $ref: '#/components/schemas/GalleryUpload' },
+      encoding: {
+        images: { contentType: 'image/png, image/jpeg' },
+        specSheet: { contentType: 'application/pdf' },
+      },
+    })
+  })
+
+  it('should document 413 responses for files with a size limit', () => {
+    const { definition } = schemaToSwagger(GallerySchema, {
+      errorFormat: 'problem',
+    })
+
+    expect(definition.paths['/gallery'].post.responses[413]).toEqual({
+      description:
+        'Payload Too Large - An uploaded file exceeds its size limit.',
+      content: {
+        'application/problem+json': {
+          schema: { $ref: '#/components/schemas/ValidationProblem' },
+        },
+      },
+    })
+  })
+})
+
+describe('uploadFor', () => {
+  let app
+  const stored = []
+
+  beforeAll(() => {
+    app = express()
+    app.post(
+      '/gallery',
+      uploadFor(GallerySchema.uploadGallery),
+      validateRequest(GallerySchema.uploadGallery),
+      describeBody
+    )
+    app.post(
+      '/gallery/problem',
+      uploadFor(GallerySchema.uploadGallery, { errorFormat: 'problem' }),
+      validateRequest(GallerySchema.uploadGallery),
+      describeBody
+    )
+    const validate = createValidator({ errorFormat: 'problem' })
+    app.post(
+      '/gallery/validator',
+      uploadFor(GallerySchema.uploadGallery, { validate }),
+      validate(GallerySchema.uploadGallery),
+      describeBody
+    )
+    app.post(
+      '/gallery/sink',
+      uploadFor(GallerySchema.uploadGallery, {
+        storage: async (file) => {
+          const chunks = []
+          for await (const chunk of file.stream) {
+            chunks.push(chunk)
+          }
+          stored.push(Buffer.concat(chunks))
+          return { path: `memory://${file.originalname}` }
+        },
+      }),
+      validateRequest(GallerySchema.uploadGallery),
+      (req, res) =>
+        res
+          .status(200)
+          .json(req.body.images.map(({ path, size }) => ({ path, size })))
+    )
+  })
+
+  it('should parse the file fields declared by the body schema', async () => {
+    const response = await request(app)
+      .post('/gallery')
+      .field('productId', 'p-1')
+      .attach('images', png, 'front.png')
+      .attach('images', png, 'back.png')
+      .attach('specSheet', pdf, 'spec.pdf')
+
+    expect(response.status).toBe(200)
+    expect(response.body.images).toHaveLength(2)
+    expect(response.body.specSheet).toBe('spec.pdf')
+  })
+
+  it('should reject other MIME types before storing files', async () => {
+    const response = await request(app)
+      .post('/gallery')
+      .field('productId', 'p-1')
+      .attach('images', pdf, 'notes.pdf')
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toBe(
+      '"images.mimetype" must be one of [image/png, image/jpeg]'
+    )
+  })
+
+  it('should reject more files than a field allows, and undeclared fields', async () => {
+    const twoSheets = await request(app)
+      .post('/gallery')
+      .attach('specSheet', pdf, 'spec.pdf')
+      .attach('specSheet', pdf, 'spec-2.pdf')
+    const manual = await request(app)
+      .post('/gallery')
+      .attach('manual', pdf, 'manual.pdf')
+
+    expect(twoSheets.status).toBe(422)
+    expect(twoSheets.body.error).toBe('"specSheet" must contain at most 1 file')
+    expect(manual.status).toBe(422)
+    expect(manual.body.error).toBe('"manual" is not allowed')
+  })
+
+  it('should stop files above the largest declared size with a 413', async () => {
+    const response = await request(app)
+      .post('/gallery/problem')
+      .attach('images', Buffer.alloc(3000), 'huge.png')
+
+    expect(response.status).toBe(413)
+    expect(response.body.detail).toBe(
+      '"images" must be a file of at most 1000 bytes'
+    )
+    expect(response.body.errors[0].context).toEqual({
+      label: 'images',
+      limit: 1000,
+    })
+  })
+
+  it("should leave each field's own size limit to validateRequest", async () => {
+    const response = await request(app)
+      .post('/gallery')
+      .field('productId', 'p-1')
+      .attach('images', Buffer.alloc(1500), 'large.png')
+      .attach('specSheet', pdf, 'spec.pdf')
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toBe(
+      '"images[0].size" must be less than or equal to 1000'
+    )
+  })
+
+  it('should send upload errors in the configured error format', async () => {
+    const response = await request(app)
+      .post('/gallery/problem')
+      .attach('images', Buffer.alloc(3000), 'huge.png')
+
+    expect(response.status).toBe(413)
+    expect(response.headers['content-type']).toContain(
+      'application/problem+json'
+    )
+    expect(response.body).toMatchObject({
+      title: 'Payload Too Large',
+      status: 413,
+      container: 'body',
+      errors: [{ path: ['images'], type: 'file.maxSize' }],
+    })
+  })
+
+  it('should use the error options of the validator it is given', async () => {
+    const response = await request(app)
+      .post('/gallery/validator')
+      .attach('images', pdf, 'notes.pdf')
+
+    expect(response.status).toBe(422)
+    expect(response.headers['content-type']).toContain(
+      'application/problem+json'
+    )
+    expect(response.body.detail).toBe(
+      '"images.mimetype" must be one of [image/png, image/jpeg]'
+    )
+  })
+
+  it('should stream files to a custom sink', async () => {
+    const response = await request(app)
+      .post('/gallery/sink')
+      .field('productId', 'p-1')
+      .attach('images', png, 'front.png')
+      .attach('specSheet', pdf, 'spec.pdf')
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual([{ path: 'memory://front.png', size: 8 }])
+    expect(stored[0].equals(png)).toBe(true)
+  })
+
+  it('should require a multipart body with file fields', () => {
+    class NoUploadSchema extends RouteSchema {
+      static get tag() {
+        return { name: 'NoUpload' }
+      }
+
+      static get addNote() {
+        return this.createRoute({
+          path: '/notes',
+          method: 'post',
+          summary: 'Add a note.',
+          body: {
+            content: {
+              'multipart/form-data': {
+                schema: Joi.object({ text: Joi.string() }),
+              },
+            },
+          },
+        })
+      }
+    }
+
+    expect(() => uploadFor({ path: '/notes', method: 'get' })).toThrow(
+      'Cannot create an upload middleware for GET /notes: it has no multipart/form-data body schema.'
+    )
+    expect(() => uploadFor(NoUploadSchema.addNote)).toThrow(
+      'its body declares no file fields'
+    )
+  })
+
+  it('should require memory storage for a Joi.binary() file', () => {
+    const route = {
+      path: '/upload',
+      method: 'post',
+      body: Joi.object({ mimetype: Joi.string(), file: Joi.binary() }),
+    }
+
+    expect(() => uploadFor(route, { storage: 'disk' })).toThrow(
+      'Cannot create an upload middleware for POST /upload: its "file: Joi.binary()" field needs memory storage. Declare the file with uploadedFile() to store it elsewhere.'
+    )
+    expect(() => uploadFor(route, { storage: async () => ({}) })).toThrow(
+      'needs memory storage'
+    )
+    expect(() => uploadFor(route)).not.toThrow()
+  })
+})
@@ -0,0 +1,276 @@
+import express from 'express'
+import Joi from 'joi'
+import {
+  ExternalRuleError,
+  RouteSchema,
+  schemaToSwagger,
+  validateRequest,
+} from 'joi-ful-routes'
+import request from 'supertest'
+
+const catalog = new Map([
+  ['p-1', { stock: 5 }],
+  ['p-2', { stock: 0 }],
+])
+const usedCoupons = new Set(['SPRING'])
+
+// An external rule that waits until validation is cancelled
+const waitForAbort = (value, { prefs }) =>
+  new Promise((resolve, reject) => {
+    prefs.context.signal.addEventListener('abort', () => {
+      prefs.context.services.aborted.push(prefs.context.signal.reason.message)
+      reject(new Error('Lookup cancelled'))
+    })
+  })
+
+class OrderLookupSchema extends RouteSchema {
+  static get tag() {
+    return { name: 'Orders' }
+  }
+
+  static schemas() {
+    return {
+      NewOrder: Joi.object({
+        productId: Joi.string()
+          .required()
+          .external(async (id, { prefs, state }) => {
+            if (!(await prefs.context.services.catalog.has(id))) {
+              throw new ExternalRuleError({
+                statusCode: 404,
+                message: `Product ${id} not found`,
+                path: state.path,
+              })
+            }
+          }, 'must exist in the catalog'),
+        quantity: Joi.number()
+          .integer()
+          .min(1)
+          .required()
+          .external((quantity, helpers) => {
+            const { catalog: products } = helpers.prefs.context.services
+            const { productId } = helpers.state.ancestors[0]
+            if (quantity > products.get(productId).stock) {
+              return helpers.message({
+                external: '{{#label}} exceeds the stock',
+              })
+            }
+            return undefined
+          }),
+        coupon: Joi.string().external((code, { state }) => {
+          if (code === undefined) {
+            return undefined
+          }
+          if (usedCoupons.has(code)) {
+            throw new ExternalRuleError({
+              statusCode: 409,
+              message: `Coupon ${code} was already used`,
+              path: state.path,
+              type: 'coupon.used',
+            })
+          }
+          return code.toUpperCase()
+        }),
+      }),
+    }
+  }
+
+  static parameters() {
+    return {}
+  }
+
+  static get createOrder() {
+    const { NewOrder } = this.schemas()
+
+    return this.createRoute({
+      path: '/orders',
+      method: 'post',
+      summary: 'Place an order.',
+      body: {
+        required: true,
+        content: { 'application/json': { schema: NewOrder } },
+      },
+    })
+  }
+}
+
+const buildApp = (options) => {
+  const app = express()
+  app.use(express.json())
+  app.post(
+    '/orders',
+    validateRequest(OrderLookupSchema.createOrder, {
+      async: true,
+      services: { catalog },
+      ...options,
+    }),
+    (req, res) => res.status(201).json(req.body)
+  )
+  return app
+}
+
+describe('async validation', () => {
+  it('should run external rules and keep the values they return', async () => {
+    const response = await request(buildApp())
+      .post('/orders')
+      .send({ productId: 'p-1', quantity: 2, coupon: 'summer' })
+
+    expect(response.status).toBe(201)
+    expect(response.body).toEqual({
+      productId: 'p-1',
+      quantity: 2,
+      coupon: 'SUMMER',
+    })
+  })
+
+  it('should respond with the status code chosen by the rule', async () => {
+    const app = buildApp()
+
+    const notFound = await request(app)
+      .post('/orders')
+      .send({ productId: 'p-9', quantity: 1 })
+    const conflict = await request(app)
+      .post('/orders')
+      .send({ productId: 'p-1', quantity: 1, coupon: 'SPRING' })
+
+    expect(notFound.status).toBe(404)
+    expect(notFound.body.error).toBe('Product p-9 not found (productId)')
+    expect(conflict.status).toBe(409)
+    expect(conflict.body.error).toBe('Coupon SPRING was already used (coupon)')
+  })
+
+  it('should send Joi errors from external rules as 422 failures', async () => {
+    const response = await request(buildApp({ errorFormat: 'problem' }))
+      .post('/orders')
+      .send({ productId: 'p-2', quantity: 1 })
+
+    expect(response.status).toBe(422)
+    expect(response.body).toMatchObject({
+      detail: '"quantity" exceeds the stock',
+      container: 'body',
+      errors: [{ path: ['quantity'], type: 'external' }],
+    })
+  })
+
+  it('should describe rule failures in the problem details format', async () => {
+    const response = await request(buildApp({ errorFormat: 'problem' }))
+      .post('/orders')
+      .send({ productId: 'p-1', quantity: 1, coupon: 'SPRING' })
+
+    expect(response.status).toBe(409)
+    expect(response.body).toMatchObject({
+      title: 'Conflict',
+      status: 409,
+      errors: [{ path: ['coupon'], type: 'coupon.used' }],
+    })
+  })
+
+  it('should skip external rules when the schema rules fail', async () => {
+    const response = await request(buildApp())
+      .post('/orders')
+      .send({ productId: 'p-9', quantity: 0 })
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toBe(
+      '"quantity" must be greater than or equal to 1'
+    )
+  })
+
+  it('should give rules the request and per-request services', async () => {
+    const seen = []
+    const app = buildApp({
+      services: async (req) => ({
+        catalog: {
+          has: (id) => {
+            seen.push(req.headers['x-tenant'])
+            return id === 'p-1'
+          },
+          get: (id) => catalog.get(id),
+        },
+      }),
+    })
+
+    const response = await request(app)
+      .post('/orders')
+      .set('x-tenant', 'acme')
+      .send({ productId: 'p-1', quantity: 1 })
+
+    expect(response.status).toBe(201)
+    expect(seen).toEqual(['acme'])
+  })
+
+  it('should time out, and abort the pending rules', async () => {
+    const services = { catalog, aborted: [] }
+    const app = express()
+    app.use(express.json())
+    app.post(
+      '/slow',
+      validateRequest(
+        { body: Joi.object({ id: Joi.string().external(waitForAbort) }) },
+        { async: true, services, timeout: 20 }
+      ),
+      (req, res) => res.sendStatus(201)
+    )
+
+    const response = await request(app).post('/slow').send({ id: 'a' })
+
+    expect(response.status).toBe(503)
+    expect(response.body.error).toBe(
+      'Request validation timed out after 20 ms.'
+    )
+    expect(services.aborted).toEqual([
+      'Request validation timed out after 20 ms.',
+    ])
+  })
+
+  it('should pass other errors thrown by rules to next()', async () => {
+    const app = express()
+    app.use(express.json())
+    app.post(
+      '/orders',
+      validateRequest(OrderLookupSchema.createOrder, {
+        async: true,
+        services: {
+          catalog: {
+            has: () => Promise.reject(new Error('Catalog unavailable')),
+          },
+        },
+      }),
+      (req, res) => res.sendStatus(201)
+    )
+    app.use((err, req, res, next) =>
+      res.status(500).json({ error: err.message })
+    )
+
+    const response = await request(app)
+      .post('/orders')
+      .send({ productId: 'p-1', quantity: 1 })
+
+    expect(response.status).toBe(500)
+    expect(response.body.error).toBe('Catalog unavailable (productId)')
+  })
+
+  it('should mark external rules in the generated docs', () => {
+    const { definition } = schemaToSwagger(OrderLookupSchema)
+    const { properties } = definition.components.schemas.NewOrder
+
+    expect(properties.productId['x-external-validation']).toEqual([
+      'must exist in the catalog',
+    ])
+    expect(properties.quantity['x-external-validation']).toBe(true)
+  })
+
+  it('should document the 503 of timed out validation', () => {
+    const { definition } = schemaToSwagger(OrderLookupSchema, {
+      errorFormat: 'problem',
+    })
+
+    expect(definition.paths['/orders'].post.responses[503]).toEqual({
+      description: 'Service Unavailable - Request validation timed out.',
+      content: {
+        'application/problem+json': {
+          schema: { $ref: '#/components/schemas/ValidationProblem' },
+        },
+      },
+    })
+  })
+})
@@ -0,0 +1,176 @@
+import express from 'express'
+import Joi from 'joi'
+import { RouteSchema, schemaToSwagger, validateRequest } from 'joi-ful-routes'
+import { createHmac } from 'node:crypto'
+import request from 'supertest'
+
+const secret = 'cookie-secret'
+
+// Signs a cookie value the way cookie-parser and res.cookie() do
+const sign = (value) =>
+  `s:${value}.${createHmac('sha256', secret).update(value).digest('base64').replace(/=+$/, '')}`
+
+class SessionSchema extends RouteSchema {
+  static get tag() {
+    return { name: 'Session' }
+  }
+
+  static schemas() {
+    return {}
+  }
+
+  static parameters() {
+    return {}
+  }
+
+  static get getProfile() {
+    return this.createRoute({
+      path: '/profile',
+      method: 'get',
+      summary: 'Read the profile of the signed-in user.',
+      cookies: Joi.object({
+        session: Joi.string().required().description('The session ID.'),
+        visits: Joi.number().integer(),
+      }),
+    })
+  }
+
+  static get updateProfile() {
+    return this.createRoute({
+      path: '/profile',
+      method: 'put',
+      summary: 'Update the profile of the signed-in user.',
+      signedCookies: Joi.object({
+        csrf: Joi.string().required(),
+      }),
+    })
+  }
+}
+
+const buildApp = (options, { cookies } = {}) => {
+  const app = express()
+  if (cookies) {
+    // Stands in for cookie-parser
+    app.use((req, res, next) => {
+      req.cookies = cookies
+      next()
+    })
+  }
+  app.get(
+    '/profile',
+    validateRequest(SessionSchema.getProfile, options),
+    (req, res) => res.status(200).json(req.cookies)
+  )
+  app.put(
+    '/profile',
+    validateRequest(SessionSchema.updateProfile, options),
+    (req, res) => res.status(200).json(req.signedCookies)
+  )
+  app.use((err, req, res, next) => res.status(500).json({ error: err.message }))
+  return app
+}
+
+describe('cookie validation', () => {
+  it('should validate cookies parsed from the Cookie header', async () => {
+    const response = await request(buildApp())
+      .get('/profile')
+      .set('Cookie', 'theme=dark; session=abc%20123; visits=4')
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({
+      theme: 'dark',
+      session: 'abc 123',
+      visits: 4,
+    })
+  })
+
+  it('should reject missing or invalid cookies', async () => {
+    const response = await request(buildApp({ errorFormat: 'problem' }))
+      .get('/profile')
+      .set('Cookie', 'visits=many')
+
+    expect(response.status).toBe(422)
+    expect(response.body).toMatchObject({
+      container: 'cookies',
+      detail: '"session" is required. "visits" must be a number',
+    })
+  })
+
+  it('should validate the cookies parsed by cookie-parser', async () => {
+    const app = buildApp({}, { cookies: { session: 'from-parser' } })
+
+    const response = await request(app).get('/profile')
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({ session: 'from-parser' })
+  })
+
+  it('should check signed cookies with the cookieSecret option', async () => {
+    const app = buildApp({ cookieSecret: secret })
+
+    const valid = await request(app)
+      .put('/profile')
+      .set('Cookie', `csrf=${encodeURIComponent(sign('token-1'))}`)
+    const tampered = await request(app)
+      .put('/profile')
+      .set(
+        'Cookie',
+        `csrf=${encodeURIComponent(sign('token-1').replace('token-1', 'token-2'))}`
+      )
+
+    expect(valid.status).toBe(200)
+    expect(valid.body).toEqual({ csrf: 'token-1' })
+    expect(tampered.status).toBe(422)
+    expect(tampered.body.error).toBe('"csrf" must be a string')
+  })
+
+  it('should leave signed cookies out of the plain cookies', async () => {
+    const response = await request(buildApp())
+      .get('/profile')
+      .set('Cookie', `session=abc; csrf=${encodeURIComponent(sign('token-1'))}`)
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({ session: 'abc' })
+  })
+
+  it('should require a secret to check signed cookies', async () => {
+    const response = await request(buildApp())
+      .put('/profile')
+      .set('Cookie', `csrf=${encodeURIComponent(sign('token-1'))}`)
+
+    expect(response.status).toBe(500)
+    expect(response.body.error).toBe(
+      'Validating signed cookies requires cookie-parser with a secret, or the cookieSecret option.'
+    )
+  })
+
+  it('should document cookies as cookie parameters', () => {
+    const { definition } = schemaToSwagger(SessionSchema)
+    const { get, put } = definition.paths['/profile']
+
+    expect(get.parameters).toEqual([
+      {
+        name: 'session',
+        in: 'cookie',
+        required: true,
+        schema: { type: 'string' },
+        description: 'The session ID.',
+      },
+      {
+        name: 'visits',
+        in: 'cookie',
+        required: false,
+        schema: { type: 'integer' },
+      },
+    ])
+    expect(put.parameters).toEqual([
+      {
+        name: 'csrf',
+        in: 'cookie',
+        required: true,
+        schema: { type: 'string' },
+        'x-signed': true,
+      },
+    ])
+  })
+})
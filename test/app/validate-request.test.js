@@ -0,0 +1,233 @@
+import express from 'express'
+import Joi from 'joi'
+import {
+  createValidator,
+  UnsupportedMediaTypeError,
+  validateRequest,
+  ValidationError,
+} from 'joi-ful-routes'
+import request from 'supertest'
+
+import ProductSchema from './schemas/product-schema.js'
+
+const productId = '123e4567-e89b-12d3-a456-426614174000'
+
+const buildApp = (middleware, errorHandler) => {
+  const app = express()
+  app.use(express.json())
+  app.get('/product', middleware, (req, res) => {
+    res.status(200).json(req.query)
+  })
+  app.post('/product', middleware, (req, res) => {
+    res.status(201).json(req.body)
+  })
+  if (errorHandler) {
+    app.use(errorHandler)
+  }
+  return app
+}
+
+const errorHandler = (err, req, res, next) => {
+  res.status(err.statusCode).json({
+    name: err.name,
+    isValidationError: err instanceof ValidationError,
+    container: err.container,
+    paths: err.details.map((detail) => detail.path.join('.')),
+    requestID: err.requestID,
+  })
+}
+
+describe('validateRequest options', () => {
+  it('should reject unknown query parameters by default', async () => {
+    const app = buildApp(validateRequest(ProductSchema.getProduct))
+
+    const response = await request(app)
+      .get('/product')
+      .query({ productId, legacy: 'true' })
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toBe('"legacy" is not allowed')
+  })
+
+  it('should accept unknown query parameters when allowed per route', async () => {
+    const app = buildApp(
+      validateRequest(ProductSchema.getProduct, {
+        query: { allowUnknown: true },
+      })
+    )
+
+    const response = await request(app)
+      .get('/product')
+      .query({ productId, legacy: 'true' })
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual({ productId, legacy: 'true' })
+  })
+
+  it('should wrap a single query value with array single()', async () => {
+    const route = {
+      query: Joi.object({ tags: Joi.array().items(Joi.string()).single() }),
+    }
+    const app = buildApp(validateRequest(route))
+
+    const single = await request(app).get('/product').query({ tags: 'new' })
+    const repeated = await request(app).get('/product?tags=new&tags=sale')
+
+    expect(single.body).toEqual({ tags: ['new'] })
+    expect(repeated.body).toEqual({ tags: ['new', 'sale'] })
+  })
+
+  it('should strip unknown body keys with validator defaults', async () => {
+    const validate = createValidator({ body: { stripUnknown: true } })
+    const app = buildApp(validate(ProductSchema.addProduct))
+
+    const response = await request(app).post('/product').send({
+      name: 'Product',
+      category: 'Books',
+      price: 10,
+      stock: 1,
+      internal: true,
+    })
+
+    expect(response.status).toBe(201)
+    expect(response.body).not.toHaveProperty('internal')
+  })
+
+  it('should let route options override validator defaults', async () => {
+    const validate = createValidator({ abortEarly: false })
+    const app = buildApp(
+      validate(ProductSchema.addProduct, { body: { abortEarly: true } })
+    )
+
+    const response = await request(app).post('/product').send({})
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toBe('"name" is required')
+  })
+
+  it('should pass custom messages to Joi', async () => {
+    const app = buildApp(
+      validateRequest(ProductSchema.addProduct, {
+        messages: { 'any.required': '{{#label}} is missing' },
+      })
+    )
+
+    const response = await request(app).post('/product').send({})
+
+    expect(response.status).toBe(422)
+    expect(response.body.error).toContain('"name" is missing')
+  })
+
+  it('should send problem details when errorFormat is problem', async () => {
+    const app = buildApp(
+      validateRequest(ProductSchema.getProduct, { errorFormat: 'problem' })
+    )
+
+    const response = await request(app)
+      .get('/product')
+      .set('x-request-id', 'f47ac10b-58cc-4372-a567-0e02b2c3d479')
+      .query({ productId: 'invalid-id' })
+
+    expect(response.status).toBe(422)
+    expect(response.headers['content-type']).toMatch(
+      /^application\/problem\+json/
+    )
+    expect(response.body).toEqual({
+      type: 'about:blank',
+      title: 'Unprocessable Entity',
+      status: 422,
+      detail: '"productId" must be a valid GUID',
+      instance: '/product?productId=invalid-id',
+      requestID: 'f47ac10b-58cc-4372-a567-0e02b2c3d479',
+      container: 'query',
+      errors: [
+        {
+          path: ['productId'],
+          type: 'string.guid',
+          message: '"productId" must be a valid GUID',
+          context: {
+            label: 'productId',
+            key: 'productId',
+            value: 'invalid-id',
+          },
+        },
+      ],
+    })
+  })
+
+  it('should send problem details for unsupported content types', async () => {
+    const validate = createValidator({ errorFormat: 'problem' })
+    const app = buildApp(validate(ProductSchema.addProduct))
+
+    const response = await request(app)
+      .post('/product')
+      .type('text/plain')
+      .send('name=Product')
+
+    expect(response.status).toBe(415)
+    expect(response.body).toMatchObject({
+      title: 'Unsupported Media Type',
+      status: 415,
+      container: 'body',
+    })
+  })
+
+  describe('error handling', () => {
+    it('should pass a ValidationError to next() when passErrors is set', async () => {
+      const app = buildApp(
+        validateRequest(ProductSchema.addProduct, { passErrors: true }),
+        errorHandler
+      )
+
+      const response = await request(app)
+        .post('/product')
+        .set('x-request-id', 'req-1')
+        .send({ name: 'Product' })
+
+      expect(response.status).toBe(422)
+      expect(response.body).toEqual({
+        name: 'ValidationError',
+        isValidationError: true,
+        container: 'body',
+        paths: ['category', 'price', 'stock'],
+        requestID: 'req-1',
+      })
+    })
+
+    it('should pass an UnsupportedMediaTypeError for unknown content types', async () => {
+      const validate = createValidator({ passErrors: true })
+      let receivedError
+      const app = buildApp(
+        validate(ProductSchema.addProduct),
+        (err, req, res, next) => {
+          receivedError = err
+          res.status(err.statusCode).end()
+        }
+      )
+
+      const response = await request(app)
+        .post('/product')
+        .type('text/plain')
+        .send('name=Product')
+
+      expect(response.status).toBe(415)
+      expect(receivedError).toBeInstanceOf(UnsupportedMediaTypeError)
+      expect(receivedError).toBeInstanceOf(ValidationError)
+      expect(receivedError.contentType).toBe('text/plain')
+    })
+
+    it('should let the onError hook format the response', async () => {
+      const app = buildApp(
+        validateRequest(ProductSchema.getProduct, {
+          onError: (err, req, res) =>
+            res.status(400).json({ failed: err.container }),
+        })
+      )
+
+      const response = await request(app).get('/product')
+
+      expect(response.status).toBe(400)
+      expect(response.body).toEqual({ failed: 'query' })
+    })
+  })
+})
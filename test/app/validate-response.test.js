@@ -0,0 +1,170 @@
+import express from 'express'
+import { ResponseValidationError, validateResponse } from 'joi-ful-routes'
+import sinon from 'sinon'
+import request from 'supertest'
+
+import ProductSchema from './schemas/product-schema.js'
+
+const product = {
+  productId: '123e4567-e89b-12d3-a456-426614174000',
+  name: 'Sample Product',
+  category: 'Electronics',
+  price: 199.99,
+  stock: 10,
+}
+
+const buildApp = (route, options, body, errorHandler) => {
+  const app = express()
+  app.get('/product', validateResponse(route, options), (req, res) => {
+    res.status(200).json(body)
+  })
+  app.post('/product', validateResponse(route, options), (req, res) => {
+    res.status(201).send(body)
+  })
+  if (errorHandler) {
+    app.use(errorHandler)
+  }
+  return app
+}
+
+describe('validateResponse', () => {
+  it('should send bodies that match the declared schema', async () => {
+    const app = buildApp(ProductSchema.getProduct, {}, product)
+
+    const response = await request(app).get('/product')
+
+    expect(response.status).toBe(200)
+    expect(response.body).toEqual(product)
+  })
+
+  it('should respond with 500 for undeclared fields in error mode', async () => {
+    const app = buildApp(ProductSchema.getProduct, {}, { ...product, sku: 1 })
+
+    const response = await request(app).get('/product')
+
+    expect(response.status).toBe(500)
+    expect(response.body.error).toBe(
+      'Response validation failed for 200 application/json: "sku" is not allowed'
+    )
+  })
+
+  it('should pass a ResponseValidationError to next() when passErrors is set', async () => {
+    let receivedError
+    const app = buildApp(
+      ProductSchema.getProduct,
+      { passErrors: true },
+      { name: 'Sample Product' },
+      (err, req, res, next) => {
+        receivedError = err
+        res.status(err.statusCode).end()
+      }
+    )
+
+    const response = await request(app).get('/product')
+
+    expect(response.status).toBe(500)
+    expect(receivedError).toBeInstanceOf(ResponseValidationError)
+    expect(receivedError.responseStatus).toBe(200)
+    expect(receivedError.details.map((detail) => detail.path[0])).toEqual([
+      'category',
+      'price',
+      'stock',
+    ])
+  })
+
+  it('should log and send the body unchanged in warn mode', async () => {
+    const logger = { warn: sinon.spy() }
+    const body = { message: 'Product added successfully.', product }
+    const app = buildApp(
+      ProductSchema.addProduct,
+      { mode: 'warn', logger },
+      body
+    )
+
+    const response = await request(app).post('/product')
+
+    expect(response.status).toBe(201)
+    expect(response.body).toEqual(body)
+    expect(logger.warn.calledOnce).toBe(true)
+    expect(logger.warn.firstCall.args[0]).toBe(
+      'Response validation failed for 201 application/json: "product" is not allowed'
+    )
+  })
+
+  it('should remove undeclared fields in strip mode', async () => {
+    const logger = { warn: sinon.spy() }
+    const app = buildApp(
+      ProductSchema.addProduct,
+      { mode: 'strip', logger },
+      { message: 'Product added successfully.', product }
+    )
+
+    const response = await request(app).post('/product')
+
+    expect(response.status).toBe(201)
+    expect(response.body).toEqual({ message: 'Product added successfully.' })
+    expect(logger.warn.called).toBe(false)
+  })
+
+  it('should send responses without a declared schema unchanged', async () => {
+    const app = express()
+    app.get(
+      '/product',
+      validateResponse(ProductSchema.getProduct),
+      (req, res) => {
+        res.status(418).json({ anything: true })
+      }
+    )
+
+    const response = await request(app).get('/product')
+
+    expect(response.status).toBe(418)
+    expect(response.body).toEqual({ anything: true })
+  })
+
+  it('should validate JSON strings sent with res.send', async () => {
+    const app = express()
+    app.get(
+      '/product',
+      validateResponse(ProductSchema.getProduct, { mode: 'strip' }),
+      (req, res) => {
+        res.type('json').send(JSON.stringify({ ...product, sku: 1 }))
+      }
+    )
+    app.get('/text', validateResponse(ProductSchema.getProduct), (req, res) => {
+      res.send('{"sku": 1}')
+    })
+
+    const stripped = await request(app).get('/product')
+    const text = await request(app).get('/text')
+
+    expect(stripped.status).toBe(200)
+    expect(stripped.body).toEqual(product)
+    expect(text.status).toBe(200)
+    expect(text.text).toBe('{"sku": 1}')
+  })
+
+  it('should reject invalid JSON strings in error mode', async () => {
+    const app = express()
+    app.get(
+      '/product',
+      validateResponse(ProductSchema.getProduct),
+      (req, res) => {
+        res.type('json').send('{"name": "Sample Product"}')
+      }
+    )
+
+    const response = await request(app).get('/product')
+
+    expect(response.status).toBe(500)
+    expect(response.body.error).toMatch(
+      /^Response validation failed for 200 application\/json: "category" is required/
+    )
+  })
+
+  it('should reject unknown modes', () => {
+    expect(() =>
+      validateResponse(ProductSchema.getProduct, { mode: 'ignore' })
+    ).toThrow(TypeError)
+  })
+})
@@ -0,0 +1,700 @@
+import Joi from 'joi'
+
+import { parse, registerRule, registerType } from '../../lib/joi-to-swagger.js'
+
+const convert = (schema, target = '3.0') =>
+  parse(schema, {}, false, { target }).swagger
+
+describe('joi-to-swagger', () => {
+  describe('target: 3.1', () => {
+    it('should express nullable values with a type list', () => {
+      const schema = Joi.string().allow(null)
+
+      expect(convert(schema, '3.0')).toEqual({
+        type: 'string',
+        nullable: true,
+      })
+      expect(convert(schema, '3.1')).toEqual({ type: ['string', 'null'] })
+    })
+
+    it('should add null to enums and alternatives', () => {
+      expect(convert(Joi.string().valid('a', 'b', null), '3.1')).toEqual({
+        type: ['string', 'null'],
+        enum: ['a', 'b', null],
+      })
+      expect(
+        convert(
+          Joi.alternatives().try(Joi.string(), Joi.number()).allow(null),
+          '3.1'
+        )
+      ).toEqual({
+        anyOf: [
+          { type: 'string' },
+          { type: 'number', format: 'float' },
+          { type: 'null' },
+        ],
+      })
+    })
+
+    it('should emit examples as an array', () => {
+      const schema = Joi.string().example('abc')
+
+      expect(convert(schema, '3.0')).toEqual({ type: 'string', example: 'abc' })
+      expect(convert(schema, '3.1')).toEqual({
+        type: 'string',
+        examples: ['abc'],
+      })
+    })
+
+    it('should emit const for a single valid value', () => {
+      expect(convert(Joi.string().valid('fixed'), '3.0')).toEqual({
+        type: 'string',
+        enum: ['fixed'],
+      })
+      expect(convert(Joi.string().valid('fixed'), '3.1')).toEqual({
+        type: 'string',
+        const: 'fixed',
+      })
+    })
+
+    it('should describe binaries with content keywords', () => {
+      expect(convert(Joi.binary(), '3.1')).toEqual({
+        type: 'string',
+        contentMediaType: 'application/octet-stream',
+      })
+      expect(convert(Joi.binary().encoding('base64'), '3.1')).toEqual({
+        type: 'string',
+        contentEncoding: 'base64',
+      })
+      expect(convert(Joi.any().meta({ swaggerType: 'file' }), '3.1')).toEqual({
+        type: 'string',
+        contentMediaType: 'application/octet-stream',
+      })
+    })
+
+    it('should emit numeric exclusive bounds', () => {
+      const schema = Joi.number().greater(0).less(100)
+
+      expect(convert(schema, '3.0')).toEqual({
+        type: 'number',
+        format: 'float',
+        minimum: 0,
+        exclusiveMinimum: true,
+        maximum: 100,
+        exclusiveMaximum: true,
+      })
+      expect(convert(schema, '3.1')).toEqual({
+        type: 'number',
+        format: 'float',
+        exclusiveMinimum: 0,
+        exclusiveMaximum: 100,
+      })
+    })
+
+    it('should thread the target through nested schemas', () => {
+      expect(
+        convert(
+          Joi.object({ tags: Joi.array().items(Joi.string().allow(null)) }),
+          '3.1'
+        )
+      ).toEqual({
+        type: 'object',
+        properties: {
+          tags: { type: 'array', items: { type: ['string', 'null'] } },
+        },
+        additionalProperties: false,
+      })
+    })
+
+    it('should reject unknown targets', () => {
+      expect(() => convert(Joi.string(), '2.0')).toThrow(
+        'Unsupported OpenAPI target "2.0". Use one of: 3.0, 3.1.'
+      )
+    })
+  })
+
+  describe('links', () => {
+    const categoryNode = Joi.object({
+      name: Joi.string().required(),
+      children: Joi.array().items(Joi.link('#category')),
+    })
+      .id('category')
+      .label('CategoryNode')
+
+    it('should convert recursive schemas into a component and $refs', () => {
+      const { swagger, components } = parse(categoryNode)
+      const nodeSchema = {
+        type: 'object',
+        properties: {
+          name: { type: 'string' },
+          children: {
+            type: 'array',
+            items: { $ref: '#/components/schemas/CategoryNode' },
+          },
+        },
+        required: ['name'],
+        additionalProperties: false,
+        title: 'CategoryNode',
+      }
+
+      expect(swagger).toEqual(nodeSchema)
+      expect(components).toEqual({ schemas: { CategoryNode: nodeSchema } })
+    })
+
+    it('should reference nested recursive schemas', () => {
+      const { swagger, components } = parse(Joi.object({ tree: categoryNode }))
+
+      expect(swagger.properties.tree).toEqual({
+        $ref: '#/components/schemas/CategoryNode',
+      })
+      expect(components.schemas).toHaveProperty('CategoryNode')
+    })
+
+    it('should convert shared schemas once and name them by id', () => {
+      const { swagger, components } = parse(
+        Joi.object({
+          price: Joi.link('#money'),
+          discounts: Joi.array().items(Joi.link('#money')),
+        }).shared(
+          Joi.object({
+            amount: Joi.number().required(),
+            currency: Joi.string().length(3).required(),
+          }).id('money')
+        )
+      )
+
+      expect(swagger.properties).toEqual({
+        price: { $ref: '#/components/schemas/money' },
+        discounts: {
+          type: 'array',
+          items: { $ref: '#/components/schemas/money' },
+        },
+      })
+      expect(components.schemas.money).toEqual({
+        type: 'object',
+        properties: {
+          amount: { type: 'number', format: 'float' },
+          currency: { type: 'string', minLength: 3, maxLength: 3 },
+        },
+        required: ['amount', 'currency'],
+        additionalProperties: false,
+      })
+    })
+
+    it('should resolve relative links to ancestors', () => {
+      const comment = Joi.object({
+        text: Joi.string(),
+        replies: Joi.array().items(Joi.link('...')),
+      }).id('Comment')
+
+      const { components } = parse(
+        Joi.object({ comments: Joi.array().items(comment) })
+      )
+
+      expect(components.schemas.Comment.properties.replies).toEqual({
+        type: 'array',
+        items: { $ref: '#/components/schemas/Comment' },
+      })
+    })
+
+    it('should throw for links that cannot be resolved', () => {
+      expect(() => parse(Joi.object({ a: Joi.link('#missing') }))).toThrow(
+        'Unable to resolve the Joi link "ref:local:missing".'
+      )
+    })
+
+    it('should throw for linked schemas without an id or label', () => {
+      expect(() =>
+        parse(Joi.object({ children: Joi.array().items(Joi.link('/')) }))
+      ).toThrow(
+        'Schemas targeted by Joi.link() need an .id() or a .label() to be named in components.'
+      )
+    })
+  })
+
+  describe('strings', () => {
+    it('should map uri rules and their schemes', () => {
+      expect(
+        convert(Joi.string().uri({ scheme: ['https', 'git+ssh'] }))
+      ).toEqual({
+        type: 'string',
+        format: 'uri',
+        'x-uri-schemes': ['https', 'git+ssh'],
+        pattern: '^(?:https|git\\+ssh):',
+      })
+      expect(convert(Joi.string().uri({ allowRelative: true }))).toEqual({
+        type: 'string',
+        format: 'uri-reference',
+      })
+      expect(convert(Joi.string().dataUri())).toEqual({
+        type: 'string',
+        format: 'uri',
+        pattern: '^data:',
+      })
+    })
+
+    it('should map host and ip rules', () => {
+      expect(convert(Joi.string().hostname()).format).toBe('hostname')
+      expect(convert(Joi.string().domain()).format).toBe('hostname')
+      expect(
+        convert(Joi.string().ip({ version: 'ipv6', cidr: 'forbidden' }))
+      ).toEqual({ type: 'string', format: 'ipv6' })
+      expect(convert(Joi.string().ip({ version: ['ipv4', 'ipv6'] }))).toEqual({
+        type: 'string',
+        format: 'ip',
+        'x-cidr': 'optional',
+        'x-ip-version': ['ipv4', 'ipv6'],
+      })
+    })
+
+    it('should map encodings for each target', () => {
+      expect(convert(Joi.string().base64()).format).toBe('byte')
+      expect(convert(Joi.string().base64({ urlSafe: true })).format).toBe(
+        'base64url'
+      )
+      expect(convert(Joi.string().base64(), '3.1')).toEqual({
+        type: 'string',
+        contentEncoding: 'base64',
+      })
+      expect(convert(Joi.string().hex({ byteAligned: true })).pattern).toBe(
+        '^(?:[a-fA-F0-9]{2})*$'
+      )
+    })
+
+    it('should map the remaining formats', () => {
+      expect(convert(Joi.string().isoDuration()).format).toBe('duration')
+      expect(convert(Joi.string().creditCard()).format).toBe('credit-card')
+    })
+
+    it('should describe case and trim rules', () => {
+      expect(convert(Joi.string().uppercase().trim())).toEqual({
+        type: 'string',
+        'x-case': 'upper',
+        'x-trim': true,
+      })
+      expect(
+        convert(Joi.string().lowercase().prefs({ convert: false }))
+      ).toEqual({ type: 'string', 'x-case': 'lower', pattern: '^[^A-Z]*$' })
+    })
+
+    it('should keep every pattern', () => {
+      expect(
+        convert(
+          Joi.string()
+            .pattern(/^[a-z]/)
+            .pattern(/[0-9]$/)
+            .pattern(/--/, { invert: true })
+        )
+      ).toEqual({
+        type: 'string',
+        pattern: '^[a-z]',
+        allOf: [{ pattern: '[0-9]$' }, { not: { pattern: '--' } }],
+      })
+    })
+  })
+
+  describe('numbers', () => {
+    it('should document positive and negative as exclusive zero bounds', () => {
+      expect(convert(Joi.number().positive())).toEqual({
+        type: 'number',
+        format: 'float',
+        minimum: 0,
+        exclusiveMinimum: true,
+      })
+      expect(convert(Joi.number().negative(), '3.1')).toEqual({
+        type: 'number',
+        format: 'float',
+        exclusiveMaximum: 0,
+      })
+    })
+
+    it('should keep the stricter of overlapping bounds', () => {
+      expect(convert(Joi.number().min(0).greater(0), '3.1')).toEqual({
+        type: 'number',
+        format: 'float',
+        exclusiveMinimum: 0,
+      })
+      expect(convert(Joi.number().greater(1).min(5))).toEqual({
+        type: 'number',
+        format: 'float',
+        minimum: 5,
+      })
+    })
+
+    it('should map multiple and precision to multipleOf', () => {
+      expect(convert(Joi.number().multiple(0.5)).multipleOf).toBe(0.5)
+      expect(convert(Joi.number().precision(2))).toEqual({
+        type: 'number',
+        format: 'double',
+        multipleOf: 0.01,
+      })
+    })
+
+    it('should pick integer formats from ports and safety', () => {
+      expect(convert(Joi.number().port())).toEqual({
+        type: 'integer',
+        format: 'int32',
+        minimum: 0,
+        maximum: 65535,
+      })
+      expect(convert(Joi.number().integer().unsafe()).format).toBe('int64')
+      expect(convert(Joi.number().integer().min(1))).toEqual({
+        type: 'integer',
+        minimum: 1,
+      })
+    })
+  })
+
+  describe('object dependencies', () => {
+    const contact = Joi.object({
+      email: Joi.string(),
+      phone: Joi.string(),
+      lat: Joi.number(),
+      lng: Joi.number(),
+    })
+
+    it('should express xor as oneOf required keys', () => {
+      expect(convert(contact.xor('email', 'phone')).oneOf).toEqual([
+        { required: ['email'] },
+        { required: ['phone'] },
+      ])
+    })
+
+    it('should group several dependencies under allOf', () => {
+      const swagger = convert(
+        contact.and('lat', 'lng').nand('email', 'phone').min(1).max(3)
+      )
+
+      expect(swagger).toMatchObject({
+        minProperties: 1,
+        maxProperties: 3,
+        allOf: [
+          {
+            anyOf: [
+              { required: ['lat', 'lng'] },
+              {
+                not: { anyOf: [{ required: ['lat'] }, { required: ['lng'] }] },
+              },
+            ],
+          },
+          { not: { required: ['email', 'phone'] } },
+        ],
+      })
+    })
+
+    it('should keep the required keys of an object with one dependency', () => {
+      const swagger = convert(
+        Joi.object({ a: Joi.string().required(), b: Joi.string() }).or('b')
+      )
+
+      expect(swagger.required).toEqual(['a'])
+      expect(swagger.allOf).toEqual([{ required: ['b'] }])
+    })
+
+    it('should combine xor with when conditions under allOf', () => {
+      const swagger = convert(
+        contact.xor('email', 'phone').when('.lat', {
+          is: Joi.exist(),
+          then: Joi.object({ lng: Joi.required() }),
+        })
+      )
+
+      expect(swagger.oneOf).toEqual([
+        { required: ['email'] },
+        { required: ['phone'] },
+      ])
+      expect(swagger.allOf).toHaveLength(1)
+      expect(swagger.allOf[0].oneOf).toHaveLength(1)
+    })
+
+    it('should express or and oxor', () => {
+      expect(convert(contact.or('email', 'phone')).anyOf).toEqual([
+        { required: ['email'] },
+        { required: ['phone'] },
+      ])
+      expect(convert(contact.oxor('email', 'phone', 'lat')).not).toEqual({
+        anyOf: [
+          { required: ['email', 'phone'] },
+          { required: ['email', 'lat'] },
+          { required: ['phone', 'lat'] },
+        ],
+      })
+    })
+
+    it('should express with and without for each target', () => {
+      expect(convert(contact.with('lat', 'lng')).anyOf).toEqual([
+        { not: { required: ['lat'] } },
+        { required: ['lng'] },
+      ])
+      expect(
+        convert(contact.with('lat', 'lng').without('email', 'phone'), '3.1')
+          .allOf
+      ).toEqual([
+        { dependentRequired: { lat: ['lng'] } },
+        { dependentSchemas: { email: { not: { required: ['phone'] } } } },
+      ])
+    })
+
+    it('should describe what OpenAPI cannot express as extensions', () => {
+      const swagger = convert(
+        Joi.object({
+          address: Joi.object({ zip: Joi.string() }),
+          po: Joi.string(),
+        })
+          .or('address.zip', 'po')
+          .rename('postOffice', 'po')
+      )
+
+      expect(swagger['x-joi-dependencies']).toEqual([
+        { rule: 'or', peers: ['address.zip', 'po'] },
+      ])
+      expect(swagger['x-joi-renames']).toEqual([
+        { from: 'postOffice', to: 'po' },
+      ])
+    })
+  })
+
+  describe('arrays', () => {
+    const tuple = Joi.array().ordered(Joi.string(), Joi.number().integer())
+
+    it('should convert ordered items to prefixItems', () => {
+      expect(convert(tuple, '3.1')).toEqual({
+        type: 'array',
+        prefixItems: [{ type: 'string' }, { type: 'integer' }],
+        items: false,
+      })
+      expect(convert(tuple.items(Joi.boolean()), '3.1').items).toEqual({
+        type: 'boolean',
+      })
+    })
+
+    it('should fall back to x-prefix-items for OpenAPI 3.0', () => {
+      expect(convert(tuple)).toEqual({
+        type: 'array',
+        items: { oneOf: [{ type: 'string' }, { type: 'integer' }] },
+        'x-prefix-items': [{ type: 'string' }, { type: 'integer' }],
+        maxItems: 2,
+      })
+    })
+
+    it('should convert has() to contains', () => {
+      const tags = Joi.array()
+        .items(Joi.string())
+        .has(Joi.string().valid('new'))
+
+      expect(convert(tags, '3.1').contains).toEqual({
+        type: 'string',
+        const: 'new',
+      })
+      expect(convert(tags)['x-contains']).toEqual([
+        { type: 'string', enum: ['new'] },
+      ])
+    })
+
+    it('should allow null items in sparse arrays', () => {
+      const sparse = Joi.array().items(Joi.string()).sparse()
+
+      expect(convert(sparse).items).toEqual({ type: 'string', nullable: true })
+      expect(convert(sparse, '3.1').items).toEqual({ type: ['string', 'null'] })
+    })
+
+    it('should accept a bare item for single()', () => {
+      expect(convert(Joi.array().items(Joi.string()).single())).toEqual({
+        oneOf: [
+          { type: 'string' },
+          { type: 'array', items: { type: 'string' } },
+        ],
+      })
+    })
+
+    it('should describe unique comparators', () => {
+      const swagger = convert(
+        Joi.array()
+          .items(Joi.object({ id: Joi.number() }))
+          .unique('id')
+      )
+
+      expect(swagger.uniqueItems).toBe(true)
+      expect(swagger['x-unique-by']).toBe('id')
+    })
+  })
+
+  describe('discriminators', () => {
+    const Card = Joi.object({
+      type: Joi.valid('card').required(),
+      number: Joi.string(),
+    }).label('Card')
+    const Paypal = Joi.object({
+      type: Joi.valid('paypal').required(),
+      email: Joi.string().email(),
+    }).meta({ className: 'Paypal' })
+
+    const mapping = {
+      card: '#/components/schemas/Card',
+      paypal: '#/components/schemas/Paypal',
+    }
+
+    it('should convert a conditional switch on an own key', () => {
+      const { swagger, components } = parse(
+        Joi.alternatives().conditional('.type', {
+          switch: [
+            { is: 'card', then: Card },
+            { is: 'paypal', then: Paypal },
+          ],
+        })
+      )
+
+      expect(swagger).toEqual({
+        oneOf: [
+          { $ref: '#/components/schemas/Card' },
+          { $ref: '#/components/schemas/Paypal' },
+        ],
+        discriminator: { propertyName: 'type', mapping },
+      })
+      expect(Object.keys(components.schemas)).toEqual(['Card', 'Paypal'])
+      expect(components.schemas.Card.properties.number).toEqual({
+        type: 'string',
+      })
+    })
+
+    const Payment = Joi.object({
+      type: Joi.string().valid('card', 'paypal').required(),
+    })
+      .when('.type', {
+        is: 'card',
+        then: Joi.object({ number: Joi.string() }).label('Card'),
+      })
+      .when('.type', {
+        is: 'paypal',
+        then: Joi.object({ email: Joi.string() }).id('Paypal'),
+      })
+
+    it('should merge object whens into full variants', () => {
+      const { swagger, components } = parse(Payment)
+
+      expect(swagger.discriminator).toEqual({ propertyName: 'type', mapping })
+      expect(Object.keys(components.schemas.Card.properties)).toEqual([
+        'type',
+        'number',
+      ])
+      expect(components.schemas.Paypal.required).toEqual(['type'])
+    })
+
+    it('should narrow the discriminator of each variant to its value', () => {
+      const { components } = parse(Payment)
+      expect(components.schemas.Card.properties.type).toEqual({
+        type: 'string',
+        enum: ['card'],
+      })
+      expect(components.schemas.Paypal.properties.type).toEqual({
+        type: 'string',
+        enum: ['paypal'],
+      })
+
+      const { components: components31 } = parse(Payment, {}, false, {
+        target: '3.1',
+      })
+      expect(components31.schemas.Card.properties.type).toEqual({
+        type: 'string',
+        const: 'card',
+      })
+    })
+
+    it('should keep plain alternatives when a case cannot be mapped', () => {
+      expect(
+        convert(
+          Joi.alternatives().conditional('.type', {
+            is: 'card',
+            then: Card,
+            otherwise: Joi.object({ type: Joi.string() }),
+          })
+        )
+      ).not.toHaveProperty('discriminator')
+      expect(
+        convert(
+          Joi.alternatives().conditional('.type', {
+            is: 'card',
+            then: Joi.object({ number: Joi.string() }),
+          })
+        )
+      ).not.toHaveProperty('discriminator')
+    })
+  })
+
+  describe('extensions', () => {
+    const custom = Joi.extend(
+      { type: 'objectId', base: Joi.string() },
+      { type: 'phone', base: Joi.string() },
+      {
+        type: 'money',
+        base: Joi.object({ amount: Joi.number(), currency: Joi.string() }),
+        rules: {
+          currency: {
+            method(code) {
+              return this.$_addRule({ name: 'currency', args: { code } })
+            },
+            args: ['code'],
+            validate: (value) => value,
+          },
+        },
+      }
+    )
+
+    beforeAll(() => {
+      registerType('objectId', (schema, { target }) => ({
+        type: 'string',
+        pattern: '^[a-f0-9]{24}$',
+        ...(target === '3.1' && { examples: ['507f1f77bcf86cd799439011'] }),
+      }))
+      registerType('money', (schema, { convert }) => ({
+        type: 'object',
+        properties: {
+          amount: convert(Joi.number().precision(2)),
+          currency: convert(Joi.string().length(3)),
+        },
+      }))
+    })
+
+    it('should throw for unregistered custom types', () => {
+      expect(() => parse(custom.phone())).toThrow(
+        'phone is not a recognized Joi type. Use registerType() to document custom types.'
+      )
+    })
+
+    it('should convert registered types with the target and nested schemas', () => {
+      expect(convert(custom.objectId().description('Owner'), '3.1')).toEqual({
+        type: 'string',
+        pattern: '^[a-f0-9]{24}$',
+        examples: ['507f1f77bcf86cd799439011'],
+        description: 'Owner',
+      })
+      expect(convert(custom.money()).properties.amount).toEqual({
+        type: 'number',
+        format: 'double',
+        multipleOf: 0.01,
+      })
+    })
+
+    it('should merge registered rule converters', () => {
+      registerRule('money', 'currency', ({ code }, schema, { target }) => ({
+        'x-currency': code,
+        'x-target': target,
+      }))
+
+      expect(convert(custom.money().currency('EUR'))).toMatchObject({
+        type: 'object',
+        'x-currency': 'EUR',
+        'x-target': '3.0',
+      })
+    })
+
+    it('should reject invalid registrations', () => {
+      expect(() => registerType('phone')).toThrow(
+        'The converter registered for "phone" must be a function.'
+      )
+      expect(() => registerRule('string', '', () => ({}))).toThrow(
+        'Converters must be registered under a non-empty name.'
+      )
+    })
+  })
+})
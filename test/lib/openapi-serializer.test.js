@@ -0,0 +1,197 @@
+import yaml from 'js-yaml'
+
+import {
+  serializeOpenApiDocument,
+  sortOpenApiDocument,
+  toYaml,
+} from '../../lib/openapi-serializer.js'
+
+const document = () => ({
+  paths: {
+    '/orders': {
+      post: {
+        responses: {
+          default: { description: 'Error.' },
+          201: { description: 'Created.' },
+          '4XX': { description: 'Client error.' },
+          400: { description: 'Invalid.' },
+        },
+        summary: 'Create an order.',
+        tags: ['Order'],
+      },
+      get: { summary: 'List orders.', responses: {} },
+    },
+    '/carts': { get: { summary: 'List carts.', responses: {} } },
+  },
+  tags: [{ description: 'Orders.', name: 'Order' }],
+  components: {
+    parameters: {},
+    schemas: {
+      Order: {
+        'x-joi-renames': [],
+        required: ['total', 'id'],
+        properties: {
+          total: { minimum: 0, type: 'number' },
+          id: { type: 'string', format: 'uuid' },
+        },
+        type: 'object',
+      },
+      Cart: { type: 'object' },
+    },
+  },
+  info: { version: '1.0.0', title: 'Shop API' },
+  openapi: '3.0.3',
+})
+
+describe('openapi-serializer', () => {
+  describe('sortOpenApiDocument', () => {
+    it('should order paths, methods, responses and components', () => {
+      const sorted = sortOpenApiDocument(document())
+
+      expect(Object.keys(sorted)).toEqual([
+        'openapi',
+        'info',
+        'paths',
+        'components',
+        'tags',
+      ])
+      expect(Object.keys(sorted.info)).toEqual(['title', 'version'])
+      expect(Object.keys(sorted.paths)).toEqual(['/carts', '/orders'])
+      expect(Object.keys(sorted.paths['/orders'])).toEqual(['get', 'post'])
+      expect(Object.keys(sorted.paths['/orders'].post)).toEqual([
+        'tags',
+        'summary',
+        'responses',
+      ])
+      expect(Object.keys(sorted.paths['/orders'].post.responses)).toEqual([
+        '201',
+        '400',
+        '4XX',
+        'default',
+      ])
+      expect(Object.keys(sorted.components)).toEqual(['schemas', 'parameters'])
+      expect(Object.keys(sorted.components.schemas)).toEqual(['Cart', 'Order'])
+      expect(Object.keys(sorted.tags[0])).toEqual(['name', 'description'])
+    })
+
+    it('should order schema keywords but keep property and required orders', () => {
+      const { Order } = sortOpenApiDocument(document()).components.schemas
+
+      expect(Object.keys(Order)).toEqual([
+        'type',
+        'properties',
+        'required',
+        'x-joi-renames',
+      ])
+      expect(Object.keys(Order.properties)).toEqual(['total', 'id'])
+      expect(Object.keys(Order.properties.total)).toEqual(['type', 'minimum'])
+      expect(Order.required).toEqual(['total', 'id'])
+    })
+
+    it('should not depend on insertion order', () => {
+      const reordered = document()
+      reordered.components.schemas = {
+        Order: reordered.components.schemas.Order,
+        Cart: reordered.components.schemas.Cart,
+      }
+      reordered.paths = {
+        '/carts': reordered.paths['/carts'],
+        '/orders': reordered.paths['/orders'],
+      }
+
+      expect(serializeOpenApiDocument(reordered)).toBe(
+        serializeOpenApiDocument(document())
+      )
+    })
+  })
+
+  describe('toYaml', () => {
+    it('should write block-style YAML', () => {
+      expect(
+        toYaml({
+          openapi: '3.0.3',
+          paths: {
+            '/items/{id}': {
+              get: {
+                parameters: [{ name: 'id', in: 'path', required: true }],
+                responses: { 200: { description: 'OK', content: {} } },
+              },
+            },
+          },
+          tags: [],
+        })
+      ).toBe(
+        [
+          "openapi: '3.0.3'",
+          'paths:',
+          '  /items/{id}:',
+          '    get:',
+          '      parameters:',
+          '        - name: id',
+          '          in: path',
+          '          required: true',
+          '      responses:',
+          "        '200':",
+          '          description: OK',
+          '          content: {}',
+          'tags: []',
+          '',
+        ].join('\n')
+      )
+    })
+
+    it('should write values that YAML parsers read back unchanged', () => {
+      const values = {
+        numbers: [0, -1.5, 1e21],
+        scalars: [true, false, null],
+        lookalikes: ['true', 'No', 'null', '~', '12', '1.5', '.inf', '-3'],
+        dates: ['2024-01-31', '12:30'],
+        indicators: [
+          '- item',
+          '[a]',
+          '{a}',
+          '#hash',
+          '*alias',
+          '&anchor',
+          '!tag',
+        ],
+        quotes: ["it's", '"quoted"', '', ' padded ', 'trailing '],
+        separators: ['a: b', 'a #comment', 'key:', 'https://example.com/a#b'],
+        multiline: [
+          'first\nsecond',
+          'with trailing newline\n',
+          '\n leading',
+          'a\n\n\nb',
+        ],
+        controls: ['tab\there', 'bell\u0007', 'crlf\r\n'],
+        unicode: ['café', '日本語', '😀'],
+        nested: [
+          [1, [2, []]],
+          [{ a: { b: [] } }, {}],
+        ],
+        '<<': { 200: 'ok', 'key with: colon': 1, '': 'empty key' },
+      }
+
+      expect(yaml.load(toYaml(values))).toEqual(values)
+    })
+  })
+
+  describe('serializeOpenApiDocument', () => {
+    it('should write the sorted document as JSON or YAML', () => {
+      const sorted = sortOpenApiDocument(document())
+
+      expect(serializeOpenApiDocument(document())).toBe(
+        `${JSON.stringify(sorted, null, 2)}\n`
+      )
+      expect(
+        yaml.load(serializeOpenApiDocument(document(), { format: 'yaml' }))
+      ).toEqual(sorted)
+    })
+
+    it('should reject unknown formats', () => {
+      expect(() =>
+        serializeOpenApiDocument(document(), { format: 'xml' })
+      ).toThrow('Unsupported format "xml": use "json" or "yaml".')
+    })
+  })
+})
@@ -0,0 +1,165 @@
+import { openApiToRouteSchemas } from '../../lib/openapi-to-joi.js'
+
+const document = (schemas, paths = {}) => ({
+  openapi: '3.0.3',
+  info: { title: 'Test', version: '1.0.0' },
+  paths,
+  components: { schemas },
+})
+
+const components = (spec) =>
+  openApiToRouteSchemas(spec).files.find(
+    ({ fileName }) => fileName === 'components.js'
+  ).source
+
+describe('openApiToRouteSchemas', () => {
+  it('should translate keywords into Joi rules', () => {
+    const source = components(
+      document({
+        User: {
+          type: 'object',
+          required: ['id'],
+          properties: {
+            id: { type: 'string', format: 'uuid' },
+            age: { type: 'integer', minimum: 0, exclusiveMaximum: 150 },
+            score: {
+              type: 'number',
+              minimum: 0,
+              exclusiveMinimum: true,
+              multipleOf: 0.5,
+            },
+            role: { type: 'string', enum: ['admin', 'user'], nullable: true },
+            tags: {
+              type: 'array',
+              items: { type: 'string' },
+              uniqueItems: true,
+            },
+          },
+          additionalProperties: false,
+        },
+      })
+    )
+
+    expect(source).toContain('id: Joi.string().uuid().required()')
+    expect(source).toContain('age: Joi.number().integer().min(0).less(150)')
+    expect(source).toContain('score: Joi.number().greater(0).multiple(0.5)')
+    expect(source).toContain(
+      "role: Joi.string().valid('admin', 'user').allow(null)"
+    )
+    expect(source).toContain('tags: Joi.array().items(Joi.string()).unique()')
+    expect(source).not.toContain('.unknown()')
+  })
+
+  it('should keep untranslated keywords in the swagger meta', () => {
+    const source = components(
+      document({
+        Legacy: { type: 'string', deprecated: true, 'x-internal': true },
+      })
+    )
+
+    expect(source).toContain(
+      "Joi.string().meta({\n  swagger: {\n    deprecated: true,\n    'x-internal': true,\n  },\n})"
+    )
+  })
+
+  it('should write referenced components first and link self references', () => {
+    const source = components(
+      document({
+        Category: {
+          type: 'object',
+          properties: {
+            parent: { $ref: '#/components/schemas/Category' },
+            owner: { $ref: '#/components/schemas/Owner' },
+          },
+        },
+        Owner: { type: 'object', properties: { name: { type: 'string' } } },
+      })
+    )
+
+    expect(source.indexOf('export const Owner')).toBeLessThan(
+      source.indexOf('export const Category')
+    )
+    expect(source).toContain("parent: Joi.link('#Category')")
+    expect(source).toContain('owner: Owner')
+    expect(source).toContain(".id('Category')")
+  })
+
+  it('should reject reference cycles and remote references', () => {
+    expect(() =>
+      openApiToRouteSchemas(
+        document({
+          A: {
+            type: 'object',
+            properties: { b: { $ref: '#/components/schemas/B' } },
+          },
+          B: {
+            type: 'object',
+            properties: { a: { $ref: '#/components/schemas/A' } },
+          },
+        })
+      )
+    ).toThrow('cycle (A -> B -> A)')
+    expect(() =>
+      openApiToRouteSchemas(
+        document({ A: { $ref: 'https://example.com/schemas.json#/A' } })
+      )
+    ).toThrow('Unsupported $ref')
+  })
+
+  it('should reject documents that are not OpenAPI 3', () => {
+    expect(() => openApiToRouteSchemas({ swagger: '2.0' })).toThrow(
+      'Only OpenAPI 3.0 and 3.1 documents can be imported.'
+    )
+  })
+
+  it('should group operations by tag and declare cookie parameters', () => {
+    const { files, warnings } = openApiToRouteSchemas(
+      document(
+        {},
+        {
+          '/users/{userId}': {
+            get: {
+              tags: ['User Accounts'],
+              operationId: 'get-user',
+              parameters: [
+                {
+                  name: 'userId',
+                  in: 'path',
+                  required: true,
+                  schema: { type: 'string' },
+                },
+                { name: 'session', in: 'cookie', schema: { type: 'string' } },
+                {
+                  name: 'csrf',
+                  in: 'cookie',
+                  required: true,
+                  schema: { type: 'string' },
+                  'x-signed': true,
+                },
+                { name: 'debug', in: 'matrix', schema: { type: 'string' } },
+              ],
+              responses: { 204: { description: 'Found.' } },
+            },
+          },
+        }
+      )
+    )
+
+    expect(files.map(({ fileName }) => fileName)).toEqual([
+      'components.js',
+      'user-accounts-schema.js',
+    ])
+    expect(files[1].source).toContain('class UserAccountsSchema')
+    expect(files[1].source).toContain('static get getUser()')
+    expect(files[1].source).toContain('userId: Joi.string().required()')
+    expect(files[1].source).toContain(
+      'cookies: Joi.object({\n        session: Joi.string(),\n      }),'
+    )
+    expect(files[1].source).toContain(
+      'signedCookies: Joi.object({\n        csrf: Joi.string().required(),\n      }),'
+    )
+    expect(warnings).toEqual([
+      'GET /users/{userId}: "debug" in matrix parameters cannot be imported.',
+    ])
+  })
+})